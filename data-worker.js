@@ -0,0 +1,288 @@
+/**
+ * データ読み込み用 Web Worker
+ *
+ * 機能:
+ * - 統計CSV・行政区域GeoJSON（TopoJSON）・建築計画JSONの取得と解析をメインスレッド外で実行
+ * - 解析結果を IndexedDB に保存し、ファイルの ETag（なければ内容のハッシュ）が同じなら再利用
+ * - 取得の進捗（受信バイト数）と状態をメインスレッドに通知
+ *
+ * メッセージ:
+ * - 受信: { id, url, format }  format は 'csv' | 'geojson' | 'json'
+ * - 送信: { id, type: 'progress', status, loaded, total }
+ *         { id, type: 'done', data, fromCache }  GeoJSONは座標を1つの配列にまとめた形式（packGeoJSON）で、座標は複製せずに転送
+ *         { id, type: 'error', message }
+ */
+
+importScripts(
+    'https://unpkg.com/papaparse@5.4.1/papaparse.min.js',
+    'https://unpkg.com/topojson-client@3.1.0/dist/topojson-client.min.js'
+);
+
+// ============================================================================
+// 定数定義
+// ============================================================================
+
+const CACHE_DB = {
+    NAME: 'building-stats-map-cache',
+    VERSION: 1,
+    STORE: 'datasets',
+    FORMAT_VERSION: 2  // 解析結果の形式を変えたら上げる（古いキャッシュを無効化）
+};
+
+// ============================================================================
+// IndexedDB キャッシュ
+// ============================================================================
+
+let cacheDBPromise = null;
+
+/**
+ * キャッシュDBを開く（利用できない環境では null）
+ */
+function openCacheDB() {
+    if (!cacheDBPromise) {
+        cacheDBPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(CACHE_DB.NAME, CACHE_DB.VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_DB.STORE, { keyPath: 'url' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+    }
+    return cacheDBPromise;
+}
+
+/**
+ * キャッシュから取得（見つからない・失敗時は null）
+ */
+async function readCache(url) {
+    const db = await openCacheDB();
+    if (!db) return null;
+    
+    return new Promise((resolve) => {
+        try {
+            const request = db.transaction(CACHE_DB.STORE, 'readonly').objectStore(CACHE_DB.STORE).get(url);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        } catch (error) {
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * キャッシュに保存（容量不足などで失敗しても読み込みは続ける）
+ */
+async function writeCache(entry) {
+    const db = await openCacheDB();
+    if (!db) return;
+    
+    await new Promise((resolve) => {
+        try {
+            const tx = db.transaction(CACHE_DB.STORE, 'readwrite');
+            tx.objectStore(CACHE_DB.STORE).put(entry);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => resolve();
+            tx.onabort = () => resolve();
+        } catch (error) {
+            resolve();
+        }
+    });
+}
+
+/**
+ * キャッシュのバージョン文字列
+ */
+function buildCacheVersion(format, fileVersion) {
+    return `${CACHE_DB.FORMAT_VERSION}:${format}:${fileVersion}`;
+}
+
+// ============================================================================
+// 取得・解析
+// ============================================================================
+
+/**
+ * 進捗をメインスレッドに通知
+ */
+function postProgress(id, status, loaded = 0, total = 0) {
+    self.postMessage({ id, type: 'progress', status, loaded, total });
+}
+
+/**
+ * HEADリクエストでファイルのバージョン（ETag、なければ更新日時＋サイズ）を取得
+ */
+async function fetchFileVersion(url) {
+    try {
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+        if (!response.ok) return null;
+        
+        const etag = response.headers.get('ETag');
+        if (etag) return `etag:${etag}`;
+        
+        const lastModified = response.headers.get('Last-Modified');
+        const length = response.headers.get('Content-Length');
+        return lastModified ? `modified:${lastModified}:${length || ''}` : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 受信バイト数を通知しながら本文をテキストで取得
+ */
+async function fetchText(id, url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTPエラー: ${response.status} ${response.statusText}`);
+    }
+    
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body || !response.body.getReader) {
+        const text = await response.text();
+        postProgress(id, 'downloading', text.length, total);
+        return { text, etag: response.headers.get('ETag') };
+    }
+    
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        postProgress(id, 'downloading', loaded, total);
+    }
+    
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    
+    return { text: new TextDecoder('utf-8').decode(bytes), etag: response.headers.get('ETag') };
+}
+
+/**
+ * 本文のSHA-256ハッシュ（ETagが得られないサーバー用）
+ */
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return 'sha256:' + Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * 形式に応じて本文を解析
+ */
+function parseText(text, format) {
+    if (format === 'csv') {
+        const results = Papa.parse(text, {
+            header: true,
+            skipEmptyLines: true
+        });
+        if (results.errors.length > 0 && results.data.length === 0) {
+            throw new Error('CSVの解析に失敗: ' + results.errors[0].message);
+        }
+        return results.data;
+    }
+    
+    const data = JSON.parse(text);
+    if (format === 'geojson' && data.type === 'Topology') {
+        // TopoJSONは最初のオブジェクトをGeoJSONに変換して保存
+        const objectName = Object.keys(data.objects)[0];
+        return topojson.feature(data, data.objects[objectName]);
+    }
+    return data;
+}
+
+/**
+ * 座標の入れ子配列を values に書き出し、入れ子の形を返す
+ * 
+ * 形: 点は null、点の配列（リング・線）は点の数、それより深い入れ子は形の配列。高さの値は使わないため捨てる
+ */
+function packCoordinates(coordinates, values) {
+    if (typeof coordinates[0] === 'number') {
+        values.push(coordinates[0], coordinates[1]);
+        return null;
+    }
+    if (coordinates.length === 0 || typeof coordinates[0][0] === 'number') {
+        coordinates.forEach(point => values.push(point[0], point[1]));
+        return coordinates.length;
+    }
+    return coordinates.map(child => packCoordinates(child, values));
+}
+
+/**
+ * GeoJSONの座標を1つの Float64Array にまとめる
+ * 
+ * 多数の小さな配列を構造化複製でメインスレッドに送ると時間がかかるため、座標は ArrayBuffer ごと転送する。
+ * 各フィーチャーの geometry は coordinates の代わりに入れ子の形（shape）を持つ（復元はメインスレッドの unpackGeoJSON）
+ */
+function packGeoJSON(collection) {
+    const values = [];
+    const features = collection.features.map(feature => {
+        const geometry = feature.geometry;
+        if (!geometry || !geometry.coordinates) return feature;
+        
+        return {
+            ...feature,
+            geometry: { type: geometry.type, shape: packCoordinates(geometry.coordinates, values) }
+        };
+    });
+    
+    return { type: 'PackedFeatureCollection', features, coordinates: new Float64Array(values) };
+}
+
+/**
+ * データセットの読み込み（キャッシュ確認 → 取得 → 解析 → 保存）
+ */
+async function loadDataset({ id, url, format }) {
+    postProgress(id, 'checking');
+    const cached = await readCache(url);
+    
+    // ETag等が一致すれば取得せずにキャッシュを使う
+    const fileVersion = await fetchFileVersion(url);
+    if (cached && fileVersion && cached.version === buildCacheVersion(format, fileVersion)) {
+        return { data: cached.data, fromCache: true };
+    }
+    
+    postProgress(id, 'downloading');
+    const { text, etag } = await fetchText(id, url);
+    
+    // バージョンが得られない場合は内容のハッシュで比較（解析を省略できる）
+    const version = buildCacheVersion(format, fileVersion || (etag ? `etag:${etag}` : await hashText(text)));
+    if (cached && cached.version === version) {
+        return { data: cached.data, fromCache: true };
+    }
+    
+    postProgress(id, 'parsing');
+    let data = parseText(text, format);
+    if (format === 'geojson' && data.type === 'FeatureCollection') {
+        data = packGeoJSON(data);
+    }
+    
+    postProgress(id, 'caching');
+    await writeCache({ url, version, data, savedAt: Date.now() });
+    
+    return { data, fromCache: false };
+}
+
+self.addEventListener('message', async (e) => {
+    const { id } = e.data;
+    try {
+        const result = await loadDataset(e.data);
+        const transfer = result.data.type === 'PackedFeatureCollection' ? [result.data.coordinates.buffer] : [];
+        self.postMessage({ id, type: 'done', data: result.data, fromCache: result.fromCache }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -4,12 +4,34 @@
  * 機能:
  * - 国土地理院地図上に市区町村別建築統計をコロプレスマップで表示
  * - 着工件数（推計）、床面積、見込み工事額の3指標を切り替え可能
+ * - 任意の市区町村別CSVを列の対応付けで取り込み、独自の指標として追加（ブラウザに保存）
+ * - 各指標の前月・前年同月からの増減を発散型配色で表示
+ * - 建築計画データを市区町村の境界で空間結合し、件数・延床面積・用途別件数を指標として表示（着工・完成年月の絞り込みに連動）
+ * - 建築計画を用途区分・工事種別・延床面積・階数・施工者の未定/決定済みで絞り込み（年月の条件と組み合わせ、エリア分析にも反映）
+ * - 建築計画を名称・住所・設計者・施工者・建築主で全文検索し、結果一覧から地図上の位置へ移動（一致したものだけを表示可能）
+ * - 建築計画マーカーをクラスターにまとめて表示（件数と最多の用途区分で色分け、同じ住所は放射状に展開。切替可能）
+ * - 建築計画マーカーを用途区分で色分けし、延床面積で大きさを変えて表示（凡例つき。色分け・大きさの基準は切替可能）
+ * - 基準日時点の工事状況（着工前・工事中・完成）で建築計画を色分けし、状況別の件数を表示（基準日の再生に対応）
+ * - 2指標を3×3の配色で重ねて表示するバイバリエイト表示
+ * - 比例シンボル・ドット密度による表示（市区町村境界は薄く下地表示）
+ * - 統計データに含まれる年月を自動検出し、タイムスライダーで月次推移を再生
+ * - 2つの年月・指標を地図上のスワイプ境界で左右に並べて比較（階級区分の左右共通化に対応）
+ * - 表示単位を都道府県・市区町村・政令市の行政区で切り替え（政令市の合計と行政区は二重計上しない）
+ * - データの取得・解析はWeb Workerで行い、解析結果をIndexedDBにキャッシュ（ETag・内容が同じなら再利用）
  * - インタラクティブな操作（ホバー、クリック、凡例）
+ * - 凡例の階級クリックで該当する市区町村だけを表示、分布のヒストグラム上で境界値をドラッグして分類を調整
+ * - 指標・年月の変更は既存レイヤーのスタイル更新のみ。Canvas描画とズーム別の形状簡略化に対応
+ * - 市区町村名の検索（かな・ローマ字入力対応）と該当地域へのズーム
+ * - 市区町村ランキング表（並べ替え・都道府県絞り込み・CSV出力、地図と連動）
+ * - 表示中の建築計画の一覧表（並べ替え・列の選択を保存、行とマーカーの選択を相互に連動）
+ * - 表示中の建築計画の工程表（着工日～完成日のガントチャート。市区町村・用途・施工者ごと、月・四半期・年の目盛り、地図と連動）
+ * - 表示中の地図をPNG・PDF（A4/A3）で出力（タイトル・凡例・縮尺・方位・出典入り）
+ * - クリックした市区町村の詳細パネル（推移グラフ、順位、都道府県内シェア、境界内の建築計画）
  * 
  * データソース:
  * - data/municipality_stats.csv: 市区町村別統計データ
- * - data/municipalities.geojson: N03行政区域データ（25.85MB、9,296ポリゴン）
- * - 埋め込み: 都道府県別平均工事単価
+ * - data/municipalities.geojson: N03行政区域データ（25.85MB、9,296ポリゴン。TopoJSONに変換したものも利用可能）
+ * - 埋め込み: 都道府県別平均工事単価（初期値。画面で編集・CSV入出力可能）
  */
 
 // ============================================================================
@@ -29,14 +51,42 @@ const CONFIG = {
     // データファイルパス
     DATA: {
         MUNICIPALITY_STATS: 'data/stats.csv',
-        GEOJSON: 'data/municipalities_light.geojson'  // 軽量版（17MB→2.4MB）
+        GEOJSON: 'data/municipalities_light.geojson',  // 軽量版（17MB→2.4MB）。TopoJSON（.topojson）も指定可能
+        CONSTRUCTION_PROJECTS: 'data/construction_projects.json',
+        WORKER: 'data-worker.js'  // 取得・解析を行うWeb Worker（解析結果はIndexedDBにキャッシュ）
     },
     
-    // 色設定（5段階コロプレス）
+    // 色設定（階級数ごとのコロプレス配色、ColorBrewer YlGn）
     COLORS: {
-        SCALE: ['#ffffcc', '#c2e699', '#78c679', '#31a354', '#006837'],
+        SCALES: {
+            3: ['#f7fcb9', '#addd8e', '#31a354'],
+            4: ['#ffffcc', '#c2e699', '#78c679', '#238443'],
+            5: ['#ffffcc', '#c2e699', '#78c679', '#31a354', '#006837'],
+            6: ['#ffffcc', '#d9f0a3', '#addd8e', '#78c679', '#31a354', '#006837'],
+            7: ['#ffffcc', '#d9f0a3', '#addd8e', '#78c679', '#41ab5d', '#238443', '#005a32'],
+            8: ['#ffffe5', '#f7fcb9', '#d9f0a3', '#addd8e', '#78c679', '#41ab5d', '#238443', '#005a32'],
+            9: ['#ffffe5', '#f7fcb9', '#d9f0a3', '#addd8e', '#78c679', '#41ab5d', '#238443', '#006837', '#004529']
+        },
+        // 増減表示用の発散型配色（減少=青 → 増加=赤、ColorBrewer RdBu）
+        DIVERGING_SCALES: {
+            3: ['#67a9cf', '#f7f7f7', '#ef8a62'],
+            4: ['#0571b0', '#92c5de', '#f4a582', '#ca0020'],
+            5: ['#0571b0', '#92c5de', '#f7f7f7', '#f4a582', '#ca0020'],
+            6: ['#2166ac', '#67a9cf', '#d1e5f0', '#fddbc7', '#ef8a62', '#b2182b'],
+            7: ['#2166ac', '#67a9cf', '#d1e5f0', '#f7f7f7', '#fddbc7', '#ef8a62', '#b2182b'],
+            8: ['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#fddbc7', '#f4a582', '#d6604d', '#b2182b'],
+            9: ['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b']
+        },
+        // 2指標表示用の3×3配色（行: 指標2 低→高、列: 指標1 低→高）
+        BIVARIATE: [
+            ['#e8e8e8', '#e4acac', '#c85a5a'],
+            ['#b0d5df', '#ad9ea5', '#985356'],
+            ['#64acbe', '#627f8c', '#574249']
+        ],
         NO_DATA: '#cccccc',
+        NO_UNIT_COST: '#f1948a',  // 見込み工事額: 工事単価が未設定の都道府県
         BORDER: 'white',
+        UNDERLAY_BORDER: '#888888',  // シンボル表示時の境界線
         HIGHLIGHT: '#666'
     },
     
@@ -47,14 +97,163 @@ const CONFIG = {
         DEFAULT_OPACITY: 1,
         DEFAULT_FILL_OPACITY: 0.7,
         NO_DATA_FILL_OPACITY: 0.1,
-        HIGHLIGHT_FILL_OPACITY: 0.9
+        HIGHLIGHT_FILL_OPACITY: 0.9,
+        UNDERLAY_WEIGHT: 0.5,
+        UNDERLAY_FILL_OPACITY: 0.05,
+        FILTERED_OPACITY: 0.3,        // 凡例の絞り込みで非表示にした市区町村
+        FILTERED_FILL_OPACITY: 0
+    },
+    
+    // 凡例のヒストグラム
+    LEGEND_HISTOGRAM: {
+        WIDTH: 200,
+        HEIGHT: 64,
+        BIN_COUNT: 24
+    },
+    
+    // シンボル表示設定（比例シンボル・ドット密度）
+    SYMBOLS: {
+        MAX_RADIUS: 30,          // 最大値の円の半径（px）
+        MIN_RADIUS: 2,
+        FILL: '#31a354',
+        FILL_OPACITY: 0.6,
+        INCREASE: '#ca0020',     // 増減指標: 増加
+        DECREASE: '#0571b0',     // 増減指標: 減少
+        DOT_COLOR: '#1a5e2a',
+        DOT_RADIUS: 1.5,
+        DOT_TARGET_COUNT: 5000,  // 地図全体の点の数の目安（1点あたりの値はこれに合わせて決める）
+        DOT_MAX_ATTEMPTS: 30     // 1点あたりの配置試行回数の上限（細長い地域で無限ループしないように）
+    },
+    
+    // 階級区分設定
+    CLASSIFICATION: {
+        DEFAULT_METHOD: 'equalInterval',
+        DEFAULT_CLASS_COUNT: 5,
+        MIN_CLASS_COUNT: 3,
+        MAX_CLASS_COUNT: 9,
+        JENKS_MAX_SAMPLES: 1000,  // Jenks計算に使う最大サンプル数（計算量O(n²)のため）
+        DIVERGING_PERCENTILE: 0.95 // 増減指標の配色範囲（絶対値のこの分位点を両端とし、外れ値に引きずられないようにする）
+    },
+    
+    // 結合診断の設定
+    JOIN_DIAGNOSTICS: {
+        SUGGESTION_MIN_SIMILARITY: 0.5,  // 候補として提示する名称類似度の下限
+        SUGGESTION_LIMIT: 3
+    },
+    
+    // 表示単位（行政レベル）
+    ADMIN_LEVELS: {
+        prefecture: { label: '都道府県' },
+        city: { label: '市区町村（政令市は市全体）' },
+        ward: { label: '市区町村（政令市は行政区）' }
+    },
+    DEFAULT_ADMIN_LEVEL: 'city',
+    
+    // 市区町村検索
+    SEARCH: {
+        MAX_SUGGESTIONS: 10
+    },
+    
+    // 建築計画の全文検索
+    PROJECT_SEARCH: {
+        FIELDS: [
+            { key: 'name', label: '名称' },
+            { key: 'address', label: '住所' },
+            { key: 'designer', label: '設計者' },
+            { key: 'designer_address', label: '設計者住所' },
+            { key: 'constructor', label: '施工者' },
+            { key: 'constructor_address', label: '施工者住所' },
+            { key: 'owner', label: '建築主' },
+            { key: 'owner_address', label: '建築主住所' }
+        ],
+        MAX_RESULTS: 100,   // 一覧に表示する最大件数
+        FOCUS_ZOOM: 16      // 結果をクリックしたときのズーム
+    },
+    
+    // 市区町村ランキング表
+    RANKING_TABLE: {
+        PAGE_SIZE: 50
+    },
+    
+    // 建築計画一覧
+    PROJECT_TABLE: {
+        PAGE_SIZE: 50,
+        COLUMNS: [
+            { key: 'name', label: '名称', numeric: false },
+            { key: 'usage', label: '用途', numeric: false },
+            { key: 'area', label: '延床面積', unit: '㎡', numeric: true },
+            { key: 'start_date', label: '着工日', numeric: false },
+            { key: 'completion_date', label: '完成日', numeric: false },
+            { key: 'constructor', label: '施工者', numeric: false },
+            { key: 'designer', label: '設計者', numeric: false },
+            { key: 'owner', label: '建築主', numeric: false },
+            { key: 'structure', label: '工事種別', numeric: false },
+            { key: 'address', label: '住所', numeric: false }
+        ],
+        DEFAULT_COLUMNS: ['name', 'usage', 'area', 'start_date', 'completion_date', 'constructor', 'designer'],
+        HIGHLIGHT_COLOR: '#f1c40f'  // 選択中の建築計画を囲む円の色
+    },
+    
+    // 建築計画の工程表
+    PROJECT_TIMELINE: {
+        ROW_HEIGHT: 18,
+        LABEL_WIDTH: 240,       // 名称の列の幅（px）
+        AXIS_HEIGHT: 22,
+        LABEL_MAX_LENGTH: 18,   // 名称の表示文字数（超えた分は省略）
+        GROUPS: {
+            municipality: '市区町村',
+            usage: '用途',
+            constructor: '施工者'
+        },
+        SCALES: {               // 目盛りの単位と1日あたりの幅（px）
+            month: { label: '月', unitMonths: 1, dayWidth: 3 },
+            quarter: { label: '四半期', unitMonths: 3, dayWidth: 1 },
+            year: { label: '年', unitMonths: 12, dayWidth: 0.3 }
+        }
+    },
+    
+    // 市区町村詳細パネル
+    DETAIL_PANEL: {
+        CHART_WIDTH: 280,
+        CHART_HEIGHT: 70,
+        CHART_PADDING: 8,
+        PROJECT_LIST_LIMIT: 100  // 境界内の建築計画の一覧に表示する最大件数
+    },
+    
+    // 地図の画像出力設定
+    EXPORT: {
+        PAPER_SIZES: {          // 用紙サイズ（mm、長辺・短辺）
+            A4: [297, 210],
+            A3: [420, 297]
+        },
+        DPI: 150,               // PDFの解像度
+        PNG_SCALE: 2            // PNGの出力倍率（画面表示に対する）
+    },
+    
+    // 描画設定
+    RENDERING: {
+        SIMPLIFY_ZOOM_LEVELS: [7, 9, 11, 13],  // この値以下のズームでは各段階に簡略化した形状を使う
+        SIMPLIFY_TOLERANCE_PX: 0.75            // 簡略化の許容誤差（画面上のピクセル）
+    },
+    
+    // 時系列再生設定
+    TIME_SERIES: {
+        PLAY_INTERVAL_MS: 1500  // 再生時の1ステップあたりの表示時間
+    },
+    
+    // 増減指標の比較方法
+    CHANGE_TYPES: {
+        momDiff: { label: '前月差', monthOffset: 1, percent: false },
+        momRate: { label: '前月比', monthOffset: 1, percent: true },
+        yoyDiff: { label: '前年同月差', monthOffset: 12, percent: false },
+        yoyRate: { label: '前年同月比', monthOffset: 12, percent: true }
     },
     
-    // 指標設定
+    // 指標設定（増減指標は registerChangeIndicators で追加）
     INDICATORS: {
         buildingCount: {
             field: 'buildingCount',
-            label: '着工件数',
+            label: '着工件数（推計）',
             unit: '棟'
         },
         floorAreaTotal: {
@@ -65,16 +264,79 @@ const CONFIG = {
         estimatedAmount: {
             field: 'estimatedAmount',
             label: '見込み工事額',
-            unit: '円'
+            unit: '円',
+            requiresUnitCost: true
+        }
+    },
+    
+    // 見込み工事額の算出に使う建物用途（床面積 × 用途別単価）
+    BUILDING_USES: {
+        residence: {
+            label: '居住専用住宅',
+            areaField: 'aResidenceArea',
+            csvColumn: 'unit_cost_per_m2'
+        },
+        nonResidence: {
+            label: '居住専用以外',
+            areaField: 'nonResidenceArea',
+            csvColumn: 'non_residence_unit_cost_per_m2'
         }
+    },
+    
+    // 建築計画の用途区分（categorizeUsage の分類。集計指標・クラスターの色分けに使用）
+    PROJECT_USAGE_CATEGORIES: {
+        residential: { label: '住宅系', color: '#e67e22' },
+        commercial: { label: '商業系', color: '#e74c3c' },
+        business: { label: '業務系', color: '#3498db' },
+        industrial: { label: '工業系', color: '#7f8c8d' },
+        public: { label: '公共系', color: '#27ae60' },
+        other: { label: 'その他', color: '#8e44ad' }
+    },
+    
+    // 建築計画の工事種別の区分（「増築、用途変更」などは含まれる区分すべてに該当、いずれもなければ「その他」）
+    PROJECT_STRUCTURE_TYPES: ['新築', '増築', '改築', 'その他'],
+    
+    // 建築計画マーカーのクラスター表示
+    CONSTRUCTION_CLUSTER: {
+        MAX_CLUSTER_RADIUS: 60,      // クラスターにまとめる範囲（px）
+        SIZES: [                     // 件数に応じたアイコンの大きさ（px）
+            { minCount: 100, size: 46 },
+            { minCount: 10, size: 38 },
+            { minCount: 0, size: 30 }
+        ]
+    },
+    
+    // 建築計画マーカーの表示（用途区分で色分け・延床面積で大きさ）
+    CONSTRUCTION_MARKER: {
+        DEFAULT_COLOR: '#e74c3c',    // 色分けしない場合の色
+        DEFAULT_SIZE: 12,            // 大きさを変えない場合の直径（px）
+        AREA_SIZES: [                // 延床面積に応じた直径（px）。記載なしは最小
+            { minArea: 10000, size: 24, label: '10,000㎡以上' },
+            { minArea: 3000, size: 18, label: '3,000～10,000㎡' },
+            { minArea: 1000, size: 13, label: '1,000～3,000㎡' },
+            { minArea: 0, size: 9, label: '1,000㎡未満・記載なし' }
+        ]
+    },
+    
+    // 基準日時点の建築計画の工事状況
+    PROJECT_STATUSES: {
+        planned: { label: '着工前', color: '#3498db' },
+        underConstruction: { label: '工事中', color: '#e74c3c' },
+        completed: { label: '完成', color: '#95a5a6' },
+        unknown: { label: '日付不明', color: '#dee2e6' }
+    },
+    
+    // 基準日モード
+    CONSTRUCTION_ASOF: {
+        PLAY_INTERVAL_MS: 800   // 再生時に1ヶ月進める間隔
     }
 };
 
-// 都道府県別平均工事単価（埋め込みデータ）
-const PREF_UNIT_COST_DATA = `pref_name,unit_cost_per_m2
-千葉県,280000
-東京都,340000
-埼玉県,270000`;
+// 都道府県別平均工事単価（初期値。画面で編集した単価はLocalStorageに保存される）
+const PREF_UNIT_COST_DATA = `pref_name,unit_cost_per_m2,non_residence_unit_cost_per_m2
+千葉県,280000,
+東京都,340000,
+埼玉県,270000,`;
 
 // ============================================================================
 // グローバル状態
@@ -82,9 +344,16 @@ const PREF_UNIT_COST_DATA = `pref_name,unit_cost_per_m2
 
 const state = {
     // データストア
-    prefUnitCostMap: new Map(),
+    prefUnitCostMap: new Map(),         // 正規化した都道府県名 → { prefName, residence, nonResidence }（円/㎡、未設定は null）
     municipalityStatsMap: new Map(),
+    statsHasCityCode: false,    // 統計データに city_code 列があるか（あればコードで結合）
     municipalitiesGeoJSON: null,
+    cityCodeIndex: new Map(),   // GeoJSONの市区町村コード → { prefName, cityName, wardName }
+    designatedCities: new Map(), // 政令指定都市（市の表示単位キー → { prefName, cityName, code, wards: 行政区コード → 区名, wardNames }）
+    levelGeoJSONCache: {},      // 表示単位 → 表示単位ごとに集約したFeatureCollection
+    levelStatsCache: new Map(), // 表示単位+年月 → 表示単位ごとに集計した統計データ
+    displayGeoJSON: null,       // 現在の表示単位のFeatureCollection
+    availablePeriods: [],       // 統計データに含まれる年月 [{ year, month }]（昇順）
     
     // Leafletオブジェクト
     map: null,
@@ -94,9 +363,18 @@ const state = {
     currentYear: '2025',
     currentMonth: '9',
     currentIndicator: 'buildingCount',
+    currentLevel: CONFIG.DEFAULT_ADMIN_LEVEL,
+    displayMode: 'choropleth',  // choropleth: 単一指標 / bivariate: 2指標 / proportional: 比例シンボル / dotDensity: ドット密度
+    bivariateIndicator: 'floorAreaTotal',
+    
+    // 階級区分設定
+    currentClassMethod: CONFIG.CLASSIFICATION.DEFAULT_METHOD,
+    currentClassCount: CONFIG.CLASSIFICATION.DEFAULT_CLASS_COUNT,
+    manualBreaks: [],           // 手動分類の境界値（min・maxを除く）
     
     // 現在の階級区分
-    currentBreaks: []
+    currentBreaks: [],
+    bivariateBreaks: { x: [], y: [] }  // 2指標表示の三分位の区分（x: 指標1、y: 指標2）
 };
 
 // ============================================================================
@@ -121,17 +399,127 @@ function buildMunicipalityKey(prefName, cityName, year, month) {
 }
 
 /**
- * 数値フォーマット（K/M表記）
+ * 市区町村コードの正規化（5桁。6桁の全国地方公共団体コードは検査数字を除く）
+ */
+function normalizeCityCode(code) {
+    if (code === null || code === undefined) return '';
+    const digits = String(code).replace(/[^\d]/g, '');
+    if (digits.length === 0) return '';
+    if (digits.length === 6) return digits.slice(0, 5);
+    return digits.padStart(5, '0');
+}
+
+/**
+ * 年月の正規化（"09" → "9"）
+ */
+function normalizePeriodValue(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return '';
+    const num = Number(value);
+    return isNaN(num) ? '' : String(num);
+}
+
+/**
+ * 年月キー生成
+ */
+function buildPeriodKey(year, month) {
+    return `${year}__${month}`;
+}
+
+/**
+ * 年月をずらす（offsetMonths が負なら過去へ）
+ */
+function shiftPeriod(year, month, offsetMonths) {
+    const index = Number(year) * 12 + (Number(month) - 1) + offsetMonths;
+    return {
+        year: String(Math.floor(index / 12)),
+        month: String(index % 12 + 1)
+    };
+}
+
+/**
+ * 数値フォーマット（K/M表記。decimals は1000未満の値の小数点以下の桁数）
  */
-function formatNumber(num) {
+function formatNumber(num, decimals = 0) {
     if (num >= 1000000) {
         return (num / 1000000).toFixed(1) + 'M';
     } else if (num >= 1000) {
         return (num / 1000).toFixed(1) + 'K';
     }
+    if (decimals > 0) {
+        return num.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    }
     return Math.round(num).toLocaleString();
 }
 
+/**
+ * 符号付き数値フォーマット（増減表示用。表示桁で0になる値は ±0）
+ */
+function formatSignedNumber(num, decimals = 0) {
+    if (Number(Math.abs(num).toFixed(decimals)) === 0) return '±0';
+    return (num > 0 ? '+' : '-') + formatNumber(Math.abs(num), decimals);
+}
+
+/**
+ * 指標の値のフォーマット（増減指標は符号付き、増減率は小数第1位まで）
+ */
+function formatIndicatorValue(indicator, value) {
+    const decimals = indicator.decimals || 0;
+    return indicator.diverging ? formatSignedNumber(value, decimals) : formatNumber(value, decimals);
+}
+
+/**
+ * HTMLに埋め込む文字列をエスケープ（データ由来の名称などを innerHTML に入れる場合）
+ */
+function escapeHTML(value) {
+    const strValue = value === null || value === undefined ? '' : String(value);
+    return strValue
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * CSVの値をエスケープ（カンマ・改行・ダブルクォートを含む場合は囲む）
+ */
+function escapeCSVValue(value) {
+    const strValue = value === null || value === undefined ? '' : String(value);
+    if (strValue.includes(',') || strValue.includes('\n') || strValue.includes('"')) {
+        return `"${strValue.replace(/"/g, '""')}"`;
+    }
+    return strValue;
+}
+
+/**
+ * CSVファイルをダウンロード（BOM付きUTF-8、Excelで文字化けしないように）
+ */
+function downloadCSV(filename, headers, rows) {
+    const csvContent = [headers, ...rows]
+        .map(row => row.map(escapeCSVValue).join(','))
+        .join('\n');
+    
+    const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
+    const blob = new Blob([bom, csvContent], { type: 'text/csv;charset=utf-8;' });
+    
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * ファイル名用の日時文字列（YYYY-MM-DD_HH-MM-SS）
+ */
+function buildFileTimestamp() {
+    return new Date().toISOString().slice(0, 19).replace(/:/g, '-').replace('T', '_');
+}
+
 /**
  * ローディング表示制御
  */
@@ -141,3009 +529,10327 @@ function setLoadingVisible(visible) {
 }
 
 // ============================================================================
-// データ読み込み
+// 指標定義
 // ============================================================================
 
 /**
- * 都道府県別平均工事単価の読み込み
+ * 増減指標のキー生成（例: buildingCount_momDiff）
  */
-function loadPrefUnitCost() {
-    return new Promise((resolve, reject) => {
-        Papa.parse(PREF_UNIT_COST_DATA, {
-            header: true,
-            skipEmptyLines: true,
-            complete: (results) => {
-                results.data.forEach(row => {
-                    const prefName = row.pref_name;
-                    const unitCost = Number(row.unit_cost_per_m2);
-                    
-                    if (prefName && !isNaN(unitCost)) {
-                        const key = normalizeName(prefName);
-                        state.prefUnitCostMap.set(key, unitCost);
-                    }
-                });
-                console.log(`✓ 都道府県別単価読み込み完了: ${state.prefUnitCostMap.size}件`);
-                resolve();
-            },
-            error: (error) => {
-                reject(new Error('都道府県別単価の解析に失敗: ' + error.message));
-            }
-        });
-    });
+function buildChangeIndicatorKey(baseKey, changeType) {
+    return `${baseKey}_${changeType}`;
 }
 
 /**
- * 市区町村別統計データの読み込み
+ * 実数指標のキー一覧
  */
-async function loadMunicipalityStats() {
-    try {
-        const response = await fetch(CONFIG.DATA.MUNICIPALITY_STATS);
-        if (!response.ok) {
-            throw new Error(`HTTPエラー: ${response.status} ${response.statusText}`);
-        }
+function getBaseIndicatorKeys() {
+    return Object.keys(CONFIG.INDICATORS).filter(key => !CONFIG.INDICATORS[key].changeType && !CONFIG.INDICATORS[key].projectJoin);
+}
+
+/**
+ * 工事単価を使う指標か（見込み工事額とその増減指標）
+ */
+function indicatorRequiresUnitCost(indicatorKey) {
+    const def = CONFIG.INDICATORS[indicatorKey];
+    const baseDef = def.baseIndicator ? CONFIG.INDICATORS[def.baseIndicator] : def;
+    return !!baseDef.requiresUnitCost;
+}
+
+/**
+ * 実数指標ごとに前月・前年同月との増減指標を登録（省略時はすべての実数指標）
+ */
+function registerChangeIndicators(baseKeys = getBaseIndicatorKeys()) {
+    baseKeys.forEach(baseKey => {
+        const base = CONFIG.INDICATORS[baseKey];
         
-        const csvText = await response.text();
-        
-        return new Promise((resolve, reject) => {
-            Papa.parse(csvText, {
-                header: true,
-                skipEmptyLines: true,
-                complete: (results) => {
-                    results.data.forEach(row => {
-                        const prefName = row.pref_name;
-                        const cityName = row.city_name;
-                        const year = row.year;
-                        const month = row.month;
-                        const buildingCount = Number(row.building_count_A_Residence);
-                        const floorAreaTotal = Number(row.floor_area_total);
-                        const aResidenceArea = Number(row.A_Residence_Area);
-                        
-                        if (!prefName || !cityName || !year || !month) return;
-                        
-                        // 都道府県の平均単価を取得
-                        const prefKey = normalizeName(prefName);
-                        const unitCost = state.prefUnitCostMap.get(prefKey) || 0;
-                        
-                        // 見込み工事額を計算（居住専用住宅の床面積 × 単価）
-                        const estimatedAmount = aResidenceArea * unitCost;
-                        
-                        // データを格納
-                        const key = buildMunicipalityKey(prefName, cityName, year, month);
-                        state.municipalityStatsMap.set(key, {
-                            prefName,
-                            cityName,
-                            year,
-                            month,
-                            buildingCount,
-                            floorAreaTotal,
-                            aResidenceArea,
-                            estimatedAmount
-                        });
-                    });
-                    
-                    console.log(`✓ 市区町村統計読み込み完了: ${state.municipalityStatsMap.size}件`);
-                    resolve();
-                },
-                error: (error) => {
-                    reject(new Error('統計データの解析に失敗: ' + error.message));
-                }
-            });
+        Object.entries(CONFIG.CHANGE_TYPES).forEach(([changeType, change]) => {
+            const key = buildChangeIndicatorKey(baseKey, changeType);
+            CONFIG.INDICATORS[key] = {
+                field: key,
+                label: `${base.label} ${change.label}`,
+                unit: change.percent ? '%' : base.unit,
+                decimals: change.percent ? 1 : 0,
+                baseIndicator: baseKey,
+                changeType,
+                diverging: true
+            };
         });
-    } catch (error) {
-        throw new Error('統計データの取得に失敗: ' + error.message);
-    }
+    });
 }
 
 /**
- * GeoJSON（行政区域データ）の読み込み
+ * 地図の配色に使っている指標（2指標表示では2つ）
  */
-async function loadGeoJSON() {
-    try {
-        const response = await fetch(CONFIG.DATA.GEOJSON);
-        if (!response.ok) {
-            throw new Error(`HTTPエラー: ${response.status} ${response.statusText}`);
-        }
-        
-        state.municipalitiesGeoJSON = await response.json();
-        console.log(`✓ GeoJSON読み込み完了: ${state.municipalitiesGeoJSON.features.length}フィーチャー`);
-    } catch (error) {
-        throw new Error('行政区域データの取得に失敗: ' + error.message);
+function getActiveIndicators() {
+    if (state.displayMode === 'bivariate') {
+        return [state.currentIndicator, state.bivariateIndicator];
     }
+    return [state.currentIndicator];
 }
 
 /**
- * 全データの一括読み込み
+ * 指標セレクトの構成（指標1・指標2の両方）
  */
-async function loadAllData() {
-    try {
-        // 都道府県単価を先に読み込み（統計データの計算に必要）
-        await loadPrefUnitCost();
+function initIndicatorSelect() {
+    populateIndicatorSelect(document.getElementById('indicator-select'), state.currentIndicator);
+    populateIndicatorSelect(document.getElementById('indicator2-select'), state.bivariateIndicator);
+}
+
+/**
+ * 指標セレクトの選択肢を作成（実数／前月比較／前年同月比較のグループ）
+ */
+function populateIndicatorSelect(select, selectedKey) {
+    select.innerHTML = '';
+    
+    const groups = [
+        { label: '実数', filter: def => !def.changeType && !def.projectJoin },
+        { label: '前月からの増減', filter: def => def.changeType && CONFIG.CHANGE_TYPES[def.changeType].monthOffset === 1 },
+        { label: '前年同月からの増減', filter: def => def.changeType && CONFIG.CHANGE_TYPES[def.changeType].monthOffset === 12 },
+        { label: '建築計画（境界内の集計）', filter: def => def.projectJoin }
+    ];
+    
+    groups.forEach(group => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = group.label;
         
-        // 残りのデータを並行読み込み
-        await Promise.all([
-            loadMunicipalityStats(),
-            loadGeoJSON()
-        ]);
+        Object.entries(CONFIG.INDICATORS).forEach(([key, def]) => {
+            if (!group.filter(def)) return;
+            
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${def.label}（${def.unit}）`;
+            optgroup.appendChild(option);
+        });
         
-        console.log('✓ 全データ読み込み完了');
-    } catch (error) {
-        throw error;
-    }
+        select.appendChild(optgroup);
+    });
+    
+    select.value = selectedKey;
 }
 
 // ============================================================================
-// 地図初期化・描画
+// バックグラウンド読み込み（Web Worker・IndexedDBキャッシュ）
 // ============================================================================
 
+// 読み込み状態の表示名
+const LOAD_STATUS_LABELS = {
+    waiting: '待機中',
+    checking: 'キャッシュ確認中',
+    downloading: 'ダウンロード中',
+    parsing: '解析中',
+    caching: 'キャッシュに保存中',
+    done: '完了',
+    cached: 'キャッシュから読み込み',
+    error: '失敗'
+};
+
+// データ読み込みの状態
+const dataLoaderState = {
+    worker: null,           // null: 未作成、false: 利用不可（メインスレッドで読み込む）
+    nextRequestId: 1,
+    requests: new Map(),    // リクエストID → { fileKey, url, format, resolve, reject }
+    progressItems: new Map() // ファイルキー → 進捗表示の要素
+};
+
 /**
- * Leaflet地図の初期化
+ * 読み込み用Workerを取得（作成できない環境では null）
  */
-function initMap() {
-    state.map = L.map('map').setView(
-        CONFIG.MAP.INITIAL_CENTER,
-        CONFIG.MAP.INITIAL_ZOOM
-    );
+function getDataWorker() {
+    if (dataLoaderState.worker === null) {
+        try {
+            const worker = new Worker(CONFIG.DATA.WORKER);
+            worker.addEventListener('message', onDataWorkerMessage);
+            worker.addEventListener('error', onDataWorkerError);
+            dataLoaderState.worker = worker;
+        } catch (error) {
+            console.warn('Web Workerを利用できないため、メインスレッドで読み込みます:', error.message);
+            dataLoaderState.worker = false;
+        }
+    }
+    return dataLoaderState.worker || null;
+}
+
+/**
+ * Workerからの進捗・結果を処理
+ */
+function onDataWorkerMessage(e) {
+    const { id, type } = e.data;
+    const request = dataLoaderState.requests.get(id);
+    if (!request) return;
     
-    // 国土地理院タイルレイヤー
-    L.tileLayer(CONFIG.MAP.TILE_URL, {
-        attribution: CONFIG.MAP.ATTRIBUTION,
-        maxZoom: CONFIG.MAP.MAX_ZOOM
-    }).addTo(state.map);
+    if (type === 'progress') {
+        updateLoadProgress(request.fileKey, e.data.status, e.data.loaded, e.data.total);
+        return;
+    }
     
-    console.log('✓ 地図初期化完了');
+    dataLoaderState.requests.delete(id);
+    if (type === 'done') {
+        updateLoadProgress(request.fileKey, e.data.fromCache ? 'cached' : 'done');
+        const data = e.data.data;
+        request.resolve(data && data.type === 'PackedFeatureCollection' ? unpackGeoJSON(data) : data);
+    } else {
+        updateLoadProgress(request.fileKey, 'error');
+        request.reject(new Error(e.data.message));
+    }
 }
 
 /**
- * GeoJSONフィーチャーにデータを付与
+ * Workerで座標を1つの配列にまとめたGeoJSON（data-worker.js の packGeoJSON）を元の形に戻す
  */
-function attachDataToFeatures() {
-    if (!state.municipalitiesGeoJSON) return;
+function unpackGeoJSON(packed) {
+    const values = packed.coordinates;
+    let offset = 0;
     
-    state.municipalitiesGeoJSON.features.forEach(feature => {
-        const prefName = feature.properties.pref_name;
-        const cityName = feature.properties.city_name;
-        
-        if (!prefName || !cityName) return;
-        
-        const key = buildMunicipalityKey(
-            prefName,
-            cityName,
-            state.currentYear,
-            state.currentMonth
-        );
-        
-        const stats = state.municipalityStatsMap.get(key);
+    const readPoint = () => {
+        const point = [values[offset], values[offset + 1]];
+        offset += 2;
+        return point;
+    };
+    const readCoordinates = shape => {
+        if (shape === null) return readPoint();
+        if (typeof shape === 'number') return Array.from({ length: shape }, readPoint);
+        return shape.map(readCoordinates);
+    };
+    
+    const features = packed.features.map(feature => {
+        const geometry = feature.geometry;
+        if (!geometry || geometry.shape === undefined) return feature;
         
-        if (stats) {
-            feature.properties.buildingCount = stats.buildingCount;
-            feature.properties.floorAreaTotal = stats.floorAreaTotal;
-            feature.properties.estimatedAmount = stats.estimatedAmount;
-            feature.properties.year = stats.year;
-            feature.properties.month = stats.month;
-        } else {
-            // データなし
-            feature.properties.buildingCount = null;
-            feature.properties.floorAreaTotal = null;
-            feature.properties.estimatedAmount = null;
-        }
+        feature.geometry = { type: geometry.type, coordinates: readCoordinates(geometry.shape) };
+        return feature;
     });
+    
+    return { type: 'FeatureCollection', features };
 }
 
 /**
- * 階級区分の計算（5段階）
+ * Worker自体のエラー（スクリプトの読み込み失敗など）: 残りはメインスレッドで読み込む
  */
-function calculateBreaks(indicator) {
-    const values = [];
-    
-    state.municipalitiesGeoJSON.features.forEach(feature => {
-        const value = feature.properties[indicator];
-        if (value !== null && value !== undefined && !isNaN(value)) {
-            values.push(value);
-        }
-    });
+function onDataWorkerError(e) {
+    e.preventDefault();
+    console.warn('読み込み用Workerでエラーが発生したため、メインスレッドで読み込みます:', e.message);
     
-    if (values.length === 0) {
-        return [0, 0, 0, 0, 0, 0];
+    if (dataLoaderState.worker) {
+        dataLoaderState.worker.terminate();
     }
+    dataLoaderState.worker = false;
     
-    values.sort((a, b) => a - b);
-    
-    const min = values[0];
-    const max = values[values.length - 1];
-    const range = max - min;
-    
-    // 等間隔5段階
-    return [
-        min,
-        min + range * 0.2,
-        min + range * 0.4,
-        min + range * 0.6,
-        min + range * 0.8,
-        max
-    ];
+    const pending = Array.from(dataLoaderState.requests.values());
+    dataLoaderState.requests.clear();
+    pending.forEach(request => {
+        loadDatasetOnMainThread(request).then(request.resolve, request.reject);
+    });
 }
 
 /**
- * 値から色を取得
+ * メインスレッドでの読み込み（Workerを利用できない場合。キャッシュは使わない）
  */
-function getColor(value, breaks) {
-    if (value === null || value === undefined || isNaN(value)) {
-        return CONFIG.COLORS.NO_DATA;
+async function loadDatasetOnMainThread({ fileKey, url, format }) {
+    try {
+        updateLoadProgress(fileKey, 'downloading');
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTPエラー: ${response.status} ${response.statusText}`);
+        }
+        const text = await response.text();
+        
+        updateLoadProgress(fileKey, 'parsing');
+        let data;
+        if (format === 'csv') {
+            data = Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+        } else {
+            data = JSON.parse(text);
+        }
+        
+        updateLoadProgress(fileKey, 'done');
+        return data;
+    } catch (error) {
+        updateLoadProgress(fileKey, 'error');
+        throw error;
     }
+}
+
+/**
+ * データファイルを取得・解析（Workerで実行し、解析結果はIndexedDBにキャッシュ）
+ * 
+ * format: 'csv'（行オブジェクトの配列）| 'geojson' | 'json'
+ */
+function fetchDataset(fileKey, label, url, format) {
+    addLoadProgressItem(fileKey, label);
     
-    const colors = CONFIG.COLORS.SCALE;
-    
-    for (let i = breaks.length - 1; i >= 0; i--) {
-        if (value >= breaks[i]) {
-            return colors[Math.min(i, colors.length - 1)];
-        }
+    const worker = getDataWorker();
+    if (!worker) {
+        return loadDatasetOnMainThread({ fileKey, url, format });
     }
     
-    return colors[0];
+    return new Promise((resolve, reject) => {
+        const id = dataLoaderState.nextRequestId++;
+        dataLoaderState.requests.set(id, { fileKey, url, format, resolve, reject });
+        worker.postMessage({ id, url, format });
+    });
 }
 
 /**
- * フィーチャーのスタイル取得
+ * バイト数の表示（KB/MB）
  */
-function getFeatureStyle(feature) {
-    const value = feature.properties[state.currentIndicator];
-    const hasData = value !== null && value !== undefined;
+function formatByteSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    return `${Math.round(bytes / 1024)}KB`;
+}
+
+/**
+ * 進捗表示にファイルの行を追加
+ */
+function addLoadProgressItem(fileKey, label) {
+    const container = document.getElementById('load-progress');
     
-    return {
-        fillColor: getColor(value, state.currentBreaks),
-        weight: CONFIG.STYLE.DEFAULT_WEIGHT,
-        opacity: CONFIG.STYLE.DEFAULT_OPACITY,
-        color: CONFIG.COLORS.BORDER,
-        fillOpacity: hasData 
-            ? CONFIG.STYLE.DEFAULT_FILL_OPACITY 
-            : CONFIG.STYLE.NO_DATA_FILL_OPACITY
-    };
+    const item = document.createElement('div');
+    item.className = 'load-progress-item';
+    item.innerHTML = `
+        <div class="load-progress-header">
+            <span class="load-progress-label"></span>
+            <span class="load-progress-status"></span>
+        </div>
+        <div class="load-progress-bar"><div class="load-progress-fill"></div></div>
+    `;
+    item.querySelector('.load-progress-label').textContent = label;
+    container.appendChild(item);
+    
+    dataLoaderState.progressItems.set(fileKey, item);
+    updateLoadProgress(fileKey, 'waiting');
 }
 
 /**
- * 地図レイヤーの更新
+ * ファイルごとの進捗表示を更新
  */
-function updateMapLayer() {
-    if (!state.municipalitiesGeoJSON) {
-        console.warn('GeoJSONデータが読み込まれていません');
-        return;
-    }
-    
-    setLoadingVisible(true);
-    
-    // 既存レイヤーを削除
-    if (state.geoJSONLayer) {
-        state.map.removeLayer(state.geoJSONLayer);
+function updateLoadProgress(fileKey, status, loaded = 0, total = 0) {
+    const item = dataLoaderState.progressItems.get(fileKey);
+    if (!item) return;
+    
+    let statusText = LOAD_STATUS_LABELS[status] || status;
+    let percent = 0;
+    if (status === 'downloading' && loaded > 0) {
+        statusText += total > 0
+            ? ` ${formatByteSize(loaded)} / ${formatByteSize(total)}`
+            : ` ${formatByteSize(loaded)}`;
+        percent = total > 0 ? Math.min(loaded / total * 100, 100) : 0;
+    } else if (['parsing', 'caching', 'done', 'cached'].includes(status)) {
+        percent = 100;
     }
     
-    // データ付与
-    attachDataToFeatures();
-    
-    // 階級区分を計算
-    state.currentBreaks = calculateBreaks(state.currentIndicator);
-    
-    // GeoJSONレイヤーを作成
-    state.geoJSONLayer = L.geoJSON(state.municipalitiesGeoJSON, {
-        style: getFeatureStyle,
-        onEachFeature: (feature, layer) => {
-            layer.on({
-                mouseover: onFeatureMouseOver,
-                mouseout: onFeatureMouseOut,
-                click: onFeatureClick
-            });
-        }
-    }).addTo(state.map);
-    
-    // 凡例を更新
-    updateLegend();
-    
-    // ポリゴンレイヤーを最前面に移動
-    bringDrawnItemsToFront();
-    
-    setLoadingVisible(false);
-    
-    console.log(`✓ 地図更新完了: ${state.currentYear}年${state.currentMonth}月 - ${CONFIG.INDICATORS[state.currentIndicator].label}`);
+    item.className = `load-progress-item ${status}`;
+    item.querySelector('.load-progress-status').textContent = statusText;
+    item.querySelector('.load-progress-fill').style.width = `${percent}%`;
+}
+
+/**
+ * 進捗表示をクリア
+ */
+function clearLoadProgress() {
+    document.getElementById('load-progress').innerHTML = '';
+    dataLoaderState.progressItems.clear();
 }
 
 // ============================================================================
-// インタラクション
+// データ読み込み
 // ============================================================================
 
 /**
- * フィーチャーマウスオーバー
+ * 工事単価の値を数値に変換（空欄・不正値は未設定として null）
  */
-function onFeatureMouseOver(e) {
-    const layer = e.target;
-    
-    layer.setStyle({
-        weight: CONFIG.STYLE.HIGHLIGHT_WEIGHT,
-        color: CONFIG.COLORS.HIGHLIGHT,
-        fillOpacity: CONFIG.STYLE.HIGHLIGHT_FILL_OPACITY
+function parseUnitCostValue(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const num = Number(String(value).replace(/,/g, ''));
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * 工事単価CSVの解析
+ */
+function parseUnitCostCSV(csvText) {
+    return new Promise((resolve, reject) => {
+        Papa.parse(csvText, {
+            header: true,
+            skipEmptyLines: true,
+            complete: (results) => {
+                const unitCostMap = new Map();
+                
+                results.data.forEach(row => {
+                    const prefName = normalizeName(row.pref_name);
+                    if (!prefName) return;
+                    
+                    const entry = { prefName };
+                    Object.entries(CONFIG.BUILDING_USES).forEach(([useKey, use]) => {
+                        entry[useKey] = parseUnitCostValue(row[use.csvColumn]);
+                    });
+                    unitCostMap.set(prefName, entry);
+                });
+                
+                resolve(unitCostMap);
+            },
+            error: (error) => {
+                reject(new Error('都道府県別単価の解析に失敗: ' + error.message));
+            }
+        });
     });
-    
-    layer.bringToFront();
 }
 
 /**
- * フィーチャーマウスアウト
+ * 都道府県別平均工事単価の読み込み
  */
-function onFeatureMouseOut(e) {
-    if (state.geoJSONLayer) {
-        state.geoJSONLayer.resetStyle(e.target);
+async function loadPrefUnitCost() {
+    // 画面で編集した単価があればそちらを優先
+    if (!loadPrefUnitCostFromStorage()) {
+        state.prefUnitCostMap = await parseUnitCostCSV(PREF_UNIT_COST_DATA);
     }
+    console.log(`✓ 都道府県別単価読み込み完了: ${state.prefUnitCostMap.size}件`);
 }
 
 /**
- * フィーチャークリック（ポップアップ表示）
+ * 見込み工事額の計算（用途別床面積 × 都道府県の用途別単価）
+ * 
+ * 単価が1つも設定されていない都道府県は 0 円ではなく null（単価未設定）を返す
  */
-function onFeatureClick(e) {
-    const layer = e.target;
-    const props = layer.feature.properties;
-    
-    const prefName = props.pref_name || '';
-    const cityName = props.city_name || '';
-    
-    // ポップアップコンテンツ生成
-    let content = `<div class="popup-title">${prefName} ${cityName}</div>`;
-    content += `<div class="popup-info">`;
-    content += `<div class="popup-info-item">`;
-    content += `<span class="popup-info-label">年月:</span>`;
-    content += `<span class="popup-info-value">${state.currentYear}年${state.currentMonth}月</span>`;
-    content += `</div>`;
+function calculateEstimatedAmount(stats) {
+    const rates = state.prefUnitCostMap.get(normalizeName(stats.prefName));
+    if (!rates) return null;
+    
+    let amount = null;
+    Object.entries(CONFIG.BUILDING_USES).forEach(([useKey, use]) => {
+        const rate = rates[useKey];
+        if (rate === null || rate === undefined) return;
+        amount = (amount || 0) + (stats[use.areaField] || 0) * rate;
+    });
     
-    if (props.buildingCount !== null && props.buildingCount !== undefined) {
-        content += `<div class="popup-info-item">`;
-        content += `<span class="popup-info-label">着工件数（推計）:</span>`;
-        content += `<span class="popup-info-value">${props.buildingCount.toLocaleString()} 棟</span>`;
-        content += `</div>`;
+    return amount;
+}
+
+/**
+ * 市区町村別統計データの読み込み
+ * 
+ * 政令指定都市の判定にGeoJSONの行政区コードも使うため、行の格納は行政区域データの読み込み後に行う
+ */
+async function loadMunicipalityStats(geoJSONLoaded) {
+    let rows;
+    try {
+        rows = await fetchDataset('stats', '統計データ', CONFIG.DATA.MUNICIPALITY_STATS, 'csv');
+    } catch (error) {
+        throw new Error('統計データの取得に失敗: ' + error.message);
+    }
+    await geoJSONLoaded;
+    
+    // 統計データの行政区の行からも政令指定都市を収集し、GeoJSONの行政区の区名を解決
+    collectDesignatedCitiesFromRows(rows.map(row => ({
+        prefName: row.pref_name,
+        cityName: row.city_name,
+        cityCode: normalizeCityCode(row.city_code)
+    })));
+    resolveDesignatedWardNames();
+    buildCityCodeIndex();
+    
+    const periods = new Map();
+    
+    // 政令指定都市の行政区の行は市の合計行に続く（例: さいたま市, 西区, 北区, ...）
+    let designatedContext = null;
+    
+    rows.forEach(row => {
+        const prefName = row.pref_name;
+        const cityName = row.city_name;
+        const year = normalizePeriodValue(row.year);
+        const month = normalizePeriodValue(row.month);
+        const buildingCount = Number(row.building_count_A_Residence);
+        const floorAreaTotal = Number(row.floor_area_total);
+        const aResidenceArea = Number(row.A_Residence_Area);
+        const cityCode = normalizeCityCode(row.city_code);
         
-        content += `<div class="popup-info-item">`;
-        content += `<span class="popup-info-label">全建物床面積:</span>`;
-        content += `<span class="popup-info-value">${props.floorAreaTotal.toLocaleString()} ㎡</span>`;
-        content += `</div>`;
+        if (!prefName || !cityName || !year || !month) return;
         
-        content += `<div class="popup-info-item">`;
-        content += `<span class="popup-info-label">見込み工事額:</span>`;
-        content += `<span class="popup-info-value">${Math.round(props.estimatedAmount).toLocaleString()} 円</span>`;
-        content += `</div>`;
-    } else {
-        content += `<div class="popup-no-data">データなし</div>`;
-    }
-    
-    content += `</div>`;
+        // 行の種別（市区町村・政令市合計・行政区・郡）を判定
+        const rowInfo = classifyStatsRow(prefName, cityName, cityCode, designatedContext);
+        if (rowInfo.rowType === 'designatedCity') {
+            designatedContext = rowInfo.designatedCity;
+        } else if (rowInfo.rowType !== 'ward') {
+            designatedContext = null;
+        }
+        
+        // データを格納（行政区は市名を付けて区別する）
+        const key = buildMunicipalityKey(prefName, rowInfo.parentCityName + cityName, year, month);
+        const stats = {
+            prefName,
+            cityName,
+            cityCode,
+            rowType: rowInfo.rowType,
+            parentCityName: rowInfo.parentCityName,
+            year,
+            month,
+            buildingCount,
+            floorAreaTotal,
+            aResidenceArea,
+            nonResidenceArea: Math.max(floorAreaTotal - aResidenceArea, 0),
+            estimatedAmount: null,
+            unitCostMissing: false
+        };
+        
+        // 見込み工事額を計算（用途別床面積 × 都道府県の単価）
+        stats.estimatedAmount = calculateEstimatedAmount(stats);
+        stats.unitCostMissing = stats.estimatedAmount === null;
+        
+        state.municipalityStatsMap.set(key, stats);
+        
+        if (cityCode) {
+            state.statsHasCityCode = true;
+        }
+        
+        periods.set(buildPeriodKey(year, month), { year, month });
+    });
     
-    // ポリゴンの中心座標を取得
-    const center = layer.getBounds().getCenter();
+    // 利用可能な年月を昇順で保持
+    state.availablePeriods = Array.from(periods.values()).sort((a, b) =>
+        (Number(a.year) * 100 + Number(a.month)) - (Number(b.year) * 100 + Number(b.month))
+    );
     
-    L.popup()
-        .setLatLng(center)
-        .setContent(content)
-        .openOn(state.map);
+    console.log(`✓ 市区町村統計読み込み完了: ${state.municipalityStatsMap.size}件（${state.availablePeriods.length}期間）`);
 }
 
-// ============================================================================
-// 凡例
-// ============================================================================
-
 /**
- * 凡例の更新
+ * TopoJSONをGeoJSONのFeatureCollectionに変換（最初のオブジェクトを使用）
  */
-function updateLegend() {
-    const legendContent = document.getElementById('legend-content');
-    legendContent.innerHTML = '';
-    
-    const colors = CONFIG.COLORS.SCALE;
-    const indicator = CONFIG.INDICATORS[state.currentIndicator];
-    const unit = indicator.unit;
-    
-    // 階級ごとの凡例アイテム
-    for (let i = colors.length - 1; i >= 0; i--) {
-        const item = createLegendItem(
-            colors[i],
-            `${formatNumber(state.currentBreaks[i])} ${unit} 以上`
-        );
-        legendContent.appendChild(item);
+function convertTopoJSON(topology) {
+    if (typeof topojson === 'undefined') {
+        throw new Error('TopoJSONの読み込みには topojson-client が必要です');
     }
     
-    // データなしの凡例アイテム
-    const noDataItem = createLegendItem(CONFIG.COLORS.NO_DATA, 'データなし');
-    legendContent.appendChild(noDataItem);
+    const objectName = Object.keys(topology.objects)[0];
+    const collection = topojson.feature(topology, topology.objects[objectName]);
+    console.log(`✓ TopoJSONを変換: ${objectName}`);
+    return collection;
 }
 
 /**
- * 凡例アイテムの生成
+ * GeoJSON（行政区域データ）の読み込み
  */
-function createLegendItem(color, label) {
-    const item = document.createElement('div');
-    item.className = 'legend-item';
-    
-    const colorBox = document.createElement('div');
-    colorBox.className = 'legend-color';
-    colorBox.style.backgroundColor = color;
-    
-    const labelSpan = document.createElement('span');
-    labelSpan.className = 'legend-label';
-    labelSpan.textContent = label;
-    
-    item.appendChild(colorBox);
-    item.appendChild(labelSpan);
-    
-    return item;
+async function loadGeoJSON() {
+    try {
+        const data = await fetchDataset('geojson', '行政区域データ', CONFIG.DATA.GEOJSON, 'geojson');
+        state.municipalitiesGeoJSON = data.type === 'Topology' ? convertTopoJSON(data) : data;
+        collectDesignatedCitiesFromGeoJSON();
+        buildCityCodeIndex();
+        console.log(`✓ GeoJSON読み込み完了: ${state.municipalitiesGeoJSON.features.length}フィーチャー`);
+    } catch (error) {
+        throw new Error('行政区域データの取得に失敗: ' + error.message);
+    }
+}
+
+/**
+ * 全データの一括読み込み
+ */
+async function loadAllData() {
+    try {
+        // 都道府県単価を先に読み込み（統計データの計算に必要）
+        await loadPrefUnitCost();
+        
+        // 残りのデータを並行読み込み（統計データの格納は行政区域データの読み込みを待つ）
+        const geoJSONLoaded = loadGeoJSON();
+        await Promise.all([
+            loadMunicipalityStats(geoJSONLoaded),
+            geoJSONLoaded
+        ]);
+        
+        console.log('✓ 全データ読み込み完了');
+    } catch (error) {
+        throw error;
+    }
 }
 
 // ============================================================================
-// イベントハンドラー
+// 表示単位（都道府県・市区町村・政令市の行政区）
 // ============================================================================
 
 /**
- * 更新ボタンクリック
+ * 政令指定都市を登録（登録済みなら登録済みのものを返す）
  */
-function onUpdateButtonClick() {
-    state.currentYear = document.getElementById('year-select').value;
-    state.currentMonth = document.getElementById('month-select').value;
-    state.currentIndicator = document.getElementById('indicator-select').value;
-    
-    updateMapLayer();
+function registerDesignatedCity(prefName, cityName, code) {
+    const key = buildUnitKey('city', prefName, cityName);
+    let city = state.designatedCities.get(key);
+    if (!city) {
+        city = { prefName, cityName, code: '', wards: new Map(), wardNames: [] };
+        state.designatedCities.set(key, city);
+    }
+    city.code = city.code || code || '';
+    return city;
 }
 
 /**
- * 統計レイヤーの表示切替
+ * 政令指定都市に行政区を追加（コードがあれば行政区コード → 区名も登録）
  */
-function toggleStatsLayer(show) {
-    if (!state.geoJSONLayer) return;
-    
-    if (show) {
-        if (!state.map.hasLayer(state.geoJSONLayer)) {
-            state.map.addLayer(state.geoJSONLayer);
-        }
-        // 統計レイヤー表示後、エリア分析レイヤーを最前面に
-        if (areaAnalysisState.drawnItems) {
-            areaAnalysisState.drawnItems.bringToFront();
-        }
-    } else {
-        if (state.map.hasLayer(state.geoJSONLayer)) {
-            state.map.removeLayer(state.geoJSONLayer);
-        }
+function addDesignatedWard(city, wardName, wardCode) {
+    if (wardName && !isWardOfDesignatedCity(city, wardName)) {
+        city.wardNames.push(wardName);
+    }
+    if (wardCode && !city.wards.get(wardCode)) {
+        city.wards.set(wardCode, wardName || '');
     }
 }
 
 /**
- * イベントリスナーの設定
+ * GeoJSONから政令指定都市を収集（同じ市名で複数の市区町村コードを持つ市は行政区に分かれている）
  */
-function setupEventListeners() {
-    document.getElementById('update-btn').addEventListener('click', onUpdateButtonClick);
+function collectDesignatedCitiesFromGeoJSON() {
+    state.designatedCities = new Map();
     
-    // 統計レイヤー表示切替
-    const statsLayerCheckbox = document.getElementById('show-stats-layer-checkbox');
-    if (statsLayerCheckbox) {
-        statsLayerCheckbox.addEventListener('change', (e) => {
-            toggleStatsLayer(e.target.checked);
-        });
-    }
+    const cities = new Map();
+    state.municipalitiesGeoJSON.features.forEach(feature => {
+        const props = feature.properties;
+        const cityCode = normalizeCityCode(props.city_code);
+        if (!props.pref_name || !props.city_name || !cityCode) return;
+        
+        const key = buildUnitKey('city', props.pref_name, props.city_name);
+        if (!cities.has(key)) {
+            cities.set(key, { prefName: props.pref_name, cityName: props.city_name, wards: new Map() });
+        }
+        const wards = cities.get(key).wards;
+        wards.set(cityCode, wards.get(cityCode) || props.ward_name || '');
+    });
+    
+    cities.forEach(({ prefName, cityName, wards }) => {
+        if (wards.size < 2) return;
+        
+        // 市のコードは最小の行政区コードの末尾を0にしたもの（例: 11101 西区 → 11100 さいたま市）
+        const wardCodes = Array.from(wards.keys()).sort();
+        const city = registerDesignatedCity(prefName, cityName, `${wardCodes[0].slice(0, 4)}0`);
+        wardCodes.forEach(code => addDesignatedWard(city, wards.get(code), code));
+    });
 }
 
-// ============================================================================
-// 初期化・起動
-// ============================================================================
-
 /**
- * アプリケーション初期化
+ * 統計データ等の行から政令指定都市と行政区を収集
+ * 
+ * 行政区の行は市の合計行に続くため、同じ都道府県の「〜市」の行に続く「〜区」の行を行政区とみなす
+ * （東京都の特別区のようにGeoJSONで市区町村になっている区は除く）。
+ * rows: [{ prefName, cityName, cityCode }]（ファイルの並び順）
  */
-async function initialize() {
-    console.log('アプリケーション起動中...');
-    setLoadingVisible(true);
+function collectDesignatedCitiesFromRows(rows) {
+    const municipalityKeys = new Set();
+    if (state.municipalitiesGeoJSON) {
+        state.municipalitiesGeoJSON.features.forEach(feature => {
+            municipalityKeys.add(buildUnitKey('city', feature.properties.pref_name, feature.properties.city_name));
+        });
+    }
     
-    try {
-        // 地図初期化
-        initMap();
+    let cityRow = null;  // 直前の「〜市」の行
+    let city = null;     // 行政区を追加中の政令指定都市
+    rows.forEach(row => {
+        if (!row.prefName || !row.cityName) return;
         
-        // データ読み込み
-        await loadAllData();
+        // 行政区コードの行は並び順によらず区名を登録
+        const wardCity = row.cityCode ? findDesignatedCityByWardCode(row.cityCode) : null;
+        if (wardCity) {
+            addDesignatedWard(wardCity, row.cityName, row.cityCode);
+        }
         
-        // イベントリスナー設定
-        setupEventListeners();
+        const name = normalizeName(row.cityName);
+        const isWardRow = cityRow &&
+            normalizeName(row.prefName) === normalizeName(cityRow.prefName) &&
+            /区$/.test(name) &&
+            !municipalityKeys.has(buildUnitKey('city', row.prefName, row.cityName));
+        if (isWardRow) {
+            city = city || registerDesignatedCity(cityRow.prefName, cityRow.cityName, cityRow.cityCode);
+            addDesignatedWard(city, row.cityName, row.cityCode);
+            return;
+        }
+        
+        cityRow = /市$/.test(name) ? row : null;
+        city = null;
+    });
+}
+
+/**
+ * 区名の分からない行政区コードに、統計データの行政区の行の区名を割り当てる
+ * 
+ * 行政区の行はコード順に並ぶため、区名のないコードと未対応の区名の数が一致する場合だけ順に対応付ける
+ */
+function resolveDesignatedWardNames() {
+    state.designatedCities.forEach(city => {
+        const codes = Array.from(city.wards.keys()).filter(code => !city.wards.get(code)).sort();
+        const assigned = new Set(Array.from(city.wards.values()).filter(Boolean).map(normalizeName));
+        const names = city.wardNames.filter(name => !assigned.has(normalizeName(name)));
+        if (codes.length === 0 || codes.length !== names.length) return;
+        
+        codes.forEach((code, i) => city.wards.set(code, names[i]));
+    });
+}
+
+/**
+ * 都道府県名・市区町村名から政令指定都市を取得
+ */
+function findDesignatedCity(prefName, cityName) {
+    return state.designatedCities.get(buildUnitKey('city', prefName, cityName)) || null;
+}
+
+/**
+ * 市区町村コードから政令指定都市を取得
+ */
+function findDesignatedCityByCode(cityCode) {
+    return Array.from(state.designatedCities.values()).find(city => city.code === cityCode) || null;
+}
+
+/**
+ * 行政区コードから政令指定都市を取得
+ */
+function findDesignatedCityByWardCode(wardCode) {
+    return Array.from(state.designatedCities.values()).find(city => city.wards.has(wardCode)) || null;
+}
+
+/**
+ * 政令指定都市の行政区名か
+ */
+function isWardOfDesignatedCity(city, wardName) {
+    const name = normalizeName(wardName);
+    return city.wardNames.some(ward => normalizeName(ward) === name) ||
+        Array.from(city.wards.values()).some(ward => ward && normalizeName(ward) === name);
+}
+
+/**
+ * 統計データの行の種別を判定
+ * 
+ * - designatedCity: 政令指定都市の合計行
+ * - ward: 政令指定都市の行政区（parentCityName に市名）
+ * - county: 郡の合計行（構成町村の行が別にある）
+ * - municipality: その他の市区町村
+ */
+function classifyStatsRow(prefName, cityName, cityCode, designatedContext) {
+    const result = { rowType: 'municipality', parentCityName: '', designatedCity: null };
+    
+    // city_code がある場合はコードで判定
+    let designatedCity = cityCode ? findDesignatedCityByCode(cityCode) : null;
+    if (!designatedCity && !cityCode) {
+        designatedCity = findDesignatedCity(prefName, cityName);
+    }
+    if (designatedCity) {
+        result.rowType = 'designatedCity';
+        result.designatedCity = designatedCity;
+        return result;
+    }
+    
+    let parentCity = cityCode ? findDesignatedCityByWardCode(cityCode) : null;
+    if (!parentCity && !cityCode) {
+        // 直前の政令市の行政区か。並び順に頼れない場合は同じ都道府県で唯一該当する政令市
+        if (designatedContext && isWardOfDesignatedCity(designatedContext, cityName)) {
+            parentCity = designatedContext;
+        } else {
+            const candidates = Array.from(state.designatedCities.values()).filter(city =>
+                normalizeName(city.prefName) === normalizeName(prefName) &&
+                isWardOfDesignatedCity(city, cityName)
+            );
+            parentCity = candidates.length === 1 ? candidates[0] : null;
+        }
+    }
+    if (parentCity) {
+        result.rowType = 'ward';
+        result.parentCityName = parentCity.cityName;
+        result.designatedCity = parentCity;
+        return result;
+    }
+    
+    if (/郡$/.test(normalizeName(cityName))) {
+        result.rowType = 'county';
+    }
+    return result;
+}
+
+/**
+ * GeoJSONの市区町村コード索引を作成（行政区ポリゴンの区名もここで解決）
+ */
+function buildCityCodeIndex() {
+    state.cityCodeIndex = new Map();
+    state.levelGeoJSONCache = {};
+    
+    state.municipalitiesGeoJSON.features.forEach(feature => {
+        const cityCode = normalizeCityCode(feature.properties.city_code);
+        if (!cityCode || state.cityCodeIndex.has(cityCode)) return;
+        
+        const designatedCity = findDesignatedCityByWardCode(cityCode);
+        state.cityCodeIndex.set(cityCode, {
+            prefName: feature.properties.pref_name,
+            cityName: feature.properties.city_name,
+            wardName: designatedCity ? designatedCity.wards.get(cityCode) : ''
+        });
+    });
+}
+
+/**
+ * 表示単位のキー生成（都道府県 / 市区町村 / 市区町村+行政区）
+ */
+function buildUnitKey(level, prefName, cityName, wardName) {
+    const p = normalizeName(prefName);
+    if (level === 'prefecture') return p;
+    
+    const c = normalizeName(cityName);
+    if (level === 'ward' && wardName) {
+        return `${p}__${c}__${normalizeName(wardName)}`;
+    }
+    return `${p}__${c}`;
+}
+
+/**
+ * フィーチャーの表示名（例: 埼玉県 さいたま市西区）
+ */
+function getFeatureDisplayName(props) {
+    const localName = `${props.city_name || ''}${props.ward_name || ''}`;
+    return localName ? `${props.pref_name} ${localName}` : props.pref_name;
+}
+
+/**
+ * 統計データの行が表す地域（コードがあればGeoJSON側の名称に合わせる）
+ */
+function getStatsRowIdentity(stats) {
+    if (stats.cityCode && state.cityCodeIndex.has(stats.cityCode)) {
+        return state.cityCodeIndex.get(stats.cityCode);
+    }
+    if (stats.rowType === 'ward') {
+        return { prefName: stats.prefName, cityName: stats.parentCityName, wardName: stats.cityName };
+    }
+    return { prefName: stats.prefName, cityName: stats.cityName, wardName: '' };
+}
+
+/**
+ * ジオメトリを構成するリングの一覧
+ */
+function getGeometryRings(geometry) {
+    if (geometry.type === 'Polygon') return geometry.coordinates;
+    if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates.reduce((rings, polygon) => rings.concat(polygon), []);
+    }
+    return [];
+}
+
+/**
+ * 複数のポリゴンを1つに融合（隣接する境界線を取り除く）
+ * 
+ * 行政区域データは隣接ポリゴンが同じ頂点列を共有しているため、
+ * 偶数回現れる辺（内部の境界）を除いた残りの辺をつないで外周リングを作る。
+ * 穴や飛び地のリングも同じ MultiPolygon に入り、描画は evenodd の塗りで正しく表示される
+ */
+function dissolveGeometries(geometries) {
+    if (geometries.length === 0) return null;
+    if (geometries.length === 1) return geometries[0];
+    
+    const segments = new Map();
+    geometries.forEach(geometry => {
+        getGeometryRings(geometry).forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const a = ring[i];
+                const b = ring[i + 1];
+                const keyA = `${a[0]},${a[1]}`;
+                const keyB = `${b[0]},${b[1]}`;
+                if (keyA === keyB) continue;
+                
+                const key = keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+                const segment = segments.get(key);
+                if (segment) {
+                    segment.count++;
+                } else {
+                    segments.set(key, { a, b, keyA, keyB, count: 1, used: false });
+                }
+            }
+        });
+    });
+    
+    // 外周の辺（奇数回現れる辺）を頂点ごとに索引化
+    const segmentsByPoint = new Map();
+    const outerSegments = [];
+    segments.forEach(segment => {
+        if (segment.count % 2 === 0) return;
+        outerSegments.push(segment);
+        [segment.keyA, segment.keyB].forEach(pointKey => {
+            if (!segmentsByPoint.has(pointKey)) segmentsByPoint.set(pointKey, []);
+            segmentsByPoint.get(pointKey).push(segment);
+        });
+    });
+    
+    // 辺をたどってリングを作る
+    const rings = [];
+    outerSegments.forEach(start => {
+        if (start.used) return;
+        start.used = true;
+        
+        const ring = [start.a, start.b];
+        let currentKey = start.keyB;
+        while (currentKey !== start.keyA) {
+            const next = segmentsByPoint.get(currentKey).find(segment => !segment.used);
+            if (!next) break;
+            
+            next.used = true;
+            const forward = next.keyA === currentKey;
+            ring.push(forward ? next.b : next.a);
+            currentKey = forward ? next.keyB : next.keyA;
+        }
+        
+        if (currentKey === start.keyA && ring.length >= 4) {
+            rings.push(ring);
+        }
+    });
+    
+    return {
+        type: 'MultiPolygon',
+        coordinates: rings.map(ring => [ring])
+    };
+}
+
+/**
+ * 表示単位ごとに集約したFeatureCollectionを取得（初回のみ作成）
+ */
+function getLevelGeoJSON(level) {
+    if (state.levelGeoJSONCache[level]) {
+        return state.levelGeoJSONCache[level];
+    }
+    
+    const groups = new Map();
+    state.municipalitiesGeoJSON.features.forEach(feature => {
+        const props = feature.properties;
+        if (!props.pref_name || !props.city_name) return;
+        
+        const cityCode = normalizeCityCode(props.city_code);
+        const indexed = cityCode ? state.cityCodeIndex.get(cityCode) : null;
+        const wardName = indexed ? indexed.wardName : '';
+        const unitKey = buildUnitKey(level, props.pref_name, props.city_name, wardName);
+        
+        let group = groups.get(unitKey);
+        if (!group) {
+            group = {
+                unitKey,
+                prefName: props.pref_name,
+                cityName: props.city_name,
+                wardName,
+                cityCode,
+                featureCount: 0,
+                geometries: []
+            };
+            groups.set(unitKey, group);
+        }
+        group.featureCount++;
+        group.cityCode = group.cityCode || cityCode;
+        if (feature.geometry) {
+            group.geometries.push(feature.geometry);
+        }
+    });
+    
+    const features = Array.from(groups.values()).map(group => {
+        // 表示単位に対応するコード（都道府県は末尾000、政令市全体は市のコード）
+        let cityCode = group.cityCode;
+        if (level === 'prefecture') {
+            cityCode = cityCode ? `${cityCode.slice(0, 2)}000` : '';
+        } else if (level === 'city') {
+            const designatedCity = findDesignatedCity(group.prefName, group.cityName);
+            cityCode = (designatedCity && designatedCity.code) || cityCode;
+        }
+        
+        return {
+            type: 'Feature',
+            properties: {
+                unit_key: group.unitKey,
+                level,
+                pref_name: group.prefName,
+                city_name: level === 'prefecture' ? '' : group.cityName,
+                ward_name: level === 'ward' ? group.wardName : '',
+                city_code: cityCode,
+                source_feature_count: group.featureCount
+            },
+            geometry: dissolveGeometries(group.geometries),
+            // 融合前の形状（点の内外判定は頂点の少ない元のポリゴンで行う）
+            sourceGeometries: group.geometries
+        };
+    });
+    
+    state.levelGeoJSONCache[level] = { type: 'FeatureCollection', features };
+    console.log(`✓ 表示単位を作成: ${CONFIG.ADMIN_LEVELS[level].label} ${features.length}件`);
+    return state.levelGeoJSONCache[level];
+}
+
+/**
+ * 表示単位で合算する統計項目（合算しない独自指標は除く）
+ */
+function getSummableStatsFields() {
+    const fields = getBaseIndicatorKeys()
+        .filter(key => CONFIG.INDICATORS[key].aggregation !== 'none')
+        .map(key => CONFIG.INDICATORS[key].field);
+    Object.values(CONFIG.BUILDING_USES).forEach(use => fields.push(use.areaField));
+    return fields;
+}
+
+/**
+ * 合算できない統計項目（比率などの独自指標）
+ */
+function getUnsummableStatsFields() {
+    return getBaseIndicatorKeys()
+        .filter(key => CONFIG.INDICATORS[key].aggregation === 'none')
+        .map(key => CONFIG.INDICATORS[key].field);
+}
+
+/**
+ * 統計データの行を合算（1行でも欠損があれば null）
+ * 
+ * 項目自体を持たない行（独自指標だけの行など）はその項目の合算から除く。
+ * 合算しない独自指標は複数の行をまとめる単位ではデータなしとする
+ */
+function aggregateStatsRows(rows, year, month) {
+    const aggregated = {
+        prefName: rows[0].prefName,
+        year,
+        month,
+        sourceRows: rows,
+        unitCostMissing: rows.some(row => row.unitCostMissing)
+    };
+    
+    getSummableStatsFields().forEach(field => {
+        const fieldRows = rows.filter(row => field in row);
+        if (fieldRows.length === 0) {
+            aggregated[field] = null;
+            return;
+        }
+        aggregated[field] = fieldRows.reduce((sum, row) => {
+            const value = row[field];
+            if (sum === null || value === null || value === undefined || isNaN(value)) return null;
+            return sum + value;
+        }, 0);
+    });
+    
+    // 合算できない項目は、元の行がそのまま表示単位になる場合だけ値を使う
+    getUnsummableStatsFields().forEach(field => {
+        const value = rows.length === 1 ? rows[0][field] : null;
+        aggregated[field] = value === undefined || isNaN(value) ? null : value;
+    });
+    
+    return aggregated;
+}
+
+/**
+ * 表示単位ごとに集計した統計データを取得
+ * 
+ * 二重計上を避けるため、政令市は合計行か行政区の行のどちらか一方だけを使う。
+ * - 行政区: 行政区の行を使い、合計行は使わない
+ * - 市区町村: 合計行を使い、合計行がない場合のみ行政区を合算
+ * - 都道府県: 行政区の行を合算し、行政区の行がない政令市のみ合計行を使う
+ * 郡の合計行は構成町村と重複するため、どの単位でも使わない
+ */
+function getLevelStats(level, year, month) {
+    const cacheKey = `${level}__${buildPeriodKey(year, month)}`;
+    if (state.levelStatsCache.has(cacheKey)) {
+        return state.levelStatsCache.get(cacheKey);
+    }
+    
+    const rows = Array.from(state.municipalityStatsMap.values()).filter(stats =>
+        stats.year === year && stats.month === month
+    );
+    
+    // 政令市ごとに合計行・行政区の行があるか
+    const citiesWithTotal = new Set();
+    const citiesWithWards = new Set();
+    rows.forEach(stats => {
+        const identity = getStatsRowIdentity(stats);
+        const cityKey = buildUnitKey('city', identity.prefName, identity.cityName);
+        if (stats.rowType === 'designatedCity') citiesWithTotal.add(cityKey);
+        if (stats.rowType === 'ward') citiesWithWards.add(cityKey);
+    });
+    
+    const groups = new Map();
+    const excludedRows = new Set();
+    rows.forEach(stats => {
+        const identity = getStatsRowIdentity(stats);
+        const cityKey = buildUnitKey('city', identity.prefName, identity.cityName);
+        
+        let unitKey = null;
+        if (stats.rowType === 'designatedCity') {
+            if (level === 'city' || (level === 'prefecture' && !citiesWithWards.has(cityKey))) {
+                unitKey = buildUnitKey(level, identity.prefName, identity.cityName);
+            }
+        } else if (stats.rowType === 'ward') {
+            if (level !== 'city' || !citiesWithTotal.has(cityKey)) {
+                unitKey = buildUnitKey(level, identity.prefName, identity.cityName, identity.wardName);
+            }
+        } else if (stats.rowType !== 'county') {
+            unitKey = buildUnitKey(level, identity.prefName, identity.cityName);
+        }
+        
+        if (!unitKey) {
+            excludedRows.add(stats);
+            return;
+        }
+        if (!groups.has(unitKey)) groups.set(unitKey, []);
+        groups.get(unitKey).push(stats);
+    });
+    
+    const units = new Map();
+    groups.forEach((groupRows, unitKey) => {
+        units.set(unitKey, aggregateStatsRows(groupRows, year, month));
+    });
+    
+    const result = { rows, units, excludedRows };
+    state.levelStatsCache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * 表示単位ごとの集計結果を破棄（統計データ・工事単価の変更時）
+ */
+function clearLevelStatsCache() {
+    state.levelStatsCache.clear();
+    joinDiagnosticsState.geojson = null;
+}
+
+// ============================================================================
+// 地図初期化・描画
+// ============================================================================
+
+/**
+ * Leaflet地図の初期化
+ */
+function initMap() {
+    state.map = L.map('map').setView(
+        CONFIG.MAP.INITIAL_CENTER,
+        CONFIG.MAP.INITIAL_ZOOM
+    );
+    
+    // 国土地理院タイルレイヤー
+    L.tileLayer(CONFIG.MAP.TILE_URL, {
+        attribution: CONFIG.MAP.ATTRIBUTION,
+        maxZoom: CONFIG.MAP.MAX_ZOOM,
+        crossOrigin: 'anonymous'  // 地図の画像出力でタイルをCanvasに描画するため
+    }).addTo(state.map);
+    
+    // 統計レイヤー用のペイン（比較表示で左右に切り抜くため。作図したポリゴンより下）
+    state.map.createPane('statsPane').style.zIndex = 380;
+    state.map.createPane('comparePane').style.zIndex = 390;
+    
+    console.log('✓ 地図初期化完了');
+}
+
+/**
+ * 表示単位のフィーチャーに対応する統計データを取得
+ * 
+ * 統計データに city_code がある場合はコードで、なければ都道府県名・市区町村名で結合した上で
+ * 表示単位ごとに合算した値を返す
+ */
+function getStatsForFeature(feature, year, month) {
+    const props = feature.properties;
+    return getLevelStats(props.level, year, month).units.get(props.unit_key);
+}
+
+/**
+ * 増減値の計算（比較元がない・0の場合の増減率は null）
+ */
+function calculateChangeValue(current, previous, percent) {
+    if (current === null || current === undefined || isNaN(current)) return null;
+    if (previous === null || previous === undefined || isNaN(previous)) return null;
+    
+    if (percent) {
+        return previous === 0 ? null : (current - previous) / previous * 100;
+    }
+    return current - previous;
+}
+
+/**
+ * GeoJSONフィーチャーにデータを付与（比較表示では比較側のフィーチャー・年月を渡す）
+ */
+function attachDataToFeatures(geojson = state.displayGeoJSON, year = state.currentYear, month = state.currentMonth) {
+    if (!geojson) return;
+    
+    const baseKeys = getBaseIndicatorKeys();
+    
+    // 比較対象の年月（前月・前年同月）
+    const comparePeriods = {};
+    Object.entries(CONFIG.CHANGE_TYPES).forEach(([changeType, change]) => {
+        comparePeriods[changeType] = shiftPeriod(year, month, -change.monthOffset);
+    });
+    
+    geojson.features.forEach(feature => {
+        const stats = getStatsForFeature(feature, year, month);
+        
+        baseKeys.forEach(baseKey => {
+            const field = CONFIG.INDICATORS[baseKey].field;
+            feature.properties[field] = stats ? stats[field] : null;  // データなしは null
+        });
+        
+        if (stats) {
+            feature.properties.unitCostMissing = stats.unitCostMissing;
+            feature.properties.year = stats.year;
+            feature.properties.month = stats.month;
+        } else {
+            feature.properties.unitCostMissing = false;
+        }
+        
+        // 増減指標
+        Object.entries(CONFIG.CHANGE_TYPES).forEach(([changeType, change]) => {
+            const period = comparePeriods[changeType];
+            const previous = stats ? getStatsForFeature(feature, period.year, period.month) : null;
+            
+            baseKeys.forEach(baseKey => {
+                const field = CONFIG.INDICATORS[baseKey].field;
+                feature.properties[buildChangeIndicatorKey(baseKey, changeType)] = calculateChangeValue(
+                    stats ? stats[field] : null,
+                    previous ? previous[field] : null,
+                    change.percent
+                );
+            });
+        });
+    });
+    
+    // 建築計画の集計指標（年月ではなく建築計画の絞り込み条件に従う）
+    attachProjectIndicatorValues(geojson);
+}
+
+/**
+ * 階級区分の計算
+ * 
+ * 戻り値は [min, 境界1, ..., max] の「階級数 + 1」個の配列
+ * values を省略した場合は表示中のフィーチャーから収集（渡した配列は並べ替えられる）
+ */
+function calculateBreaks(indicator, values = collectIndicatorValues(indicator)) {
+    
+    const method = state.currentClassMethod;
+    const classCount = method === 'manual'
+        ? state.manualBreaks.length + 1
+        : state.currentClassCount;
+    
+    if (values.length === 0) {
+        return new Array(classCount + 1).fill(0);
+    }
+    
+    values.sort((a, b) => a - b);
+    
+    const min = values[0];
+    const max = values[values.length - 1];
+    
+    // 増減指標は0を中心とした対称な区分（手動分類の場合は入力値を優先）
+    if (CONFIG.INDICATORS[indicator].diverging && method !== 'manual') {
+        return calculateDivergingBreaks(values, classCount);
+    }
+    
+    let innerBreaks;
+    switch (method) {
+        case 'quantile':
+            innerBreaks = calculateQuantileBreaks(values, classCount);
+            break;
+        case 'jenks':
+            innerBreaks = calculateJenksBreaks(values, classCount);
+            break;
+        case 'stdDev':
+            innerBreaks = calculateStdDevBreaks(values, classCount);
+            break;
+        case 'logarithmic':
+            innerBreaks = calculateLogBreaks(min, max, classCount);
+            break;
+        case 'manual':
+            innerBreaks = state.manualBreaks;
+            break;
+        default:
+            innerBreaks = calculateEqualIntervalBreaks(min, max, classCount);
+    }
+    
+    // 重複する境界値（同じ値が多い場合の分位数など）や、データの範囲（最小値・最大値）の外や端にある境界値は
+    // 空の階級になるため使わない（その分だけ階級数が減る）
+    innerBreaks = innerBreaks.filter((value, i) => value > min && value < max && value !== innerBreaks[i - 1]);
+    
+    return [min, ...innerBreaks, max];
+}
+
+/**
+ * 指標値を表示単位ごとに1件ずつ収集
+ * 
+ * 飛び地などで分かれていたポリゴンは表示単位ごとに1フィーチャーへ集約済み
+ */
+function collectIndicatorValues(indicator, geojson = state.displayGeoJSON) {
+    const values = [];
+    
+    geojson.features.forEach(feature => {
+        const value = feature.properties[indicator];
+        if (value !== null && value !== undefined && !isNaN(value)) {
+            values.push(value);
+        }
+    });
+    
+    return values;
+}
+
+/**
+ * 等間隔分類の内側の境界値
+ */
+function calculateEqualIntervalBreaks(min, max, classCount) {
+    const step = (max - min) / classCount;
+    const breaks = [];
+    for (let i = 1; i < classCount; i++) {
+        breaks.push(min + step * i);
+    }
+    return breaks;
+}
+
+/**
+ * 分位数分類の内側の境界値（各階級がほぼ同数になる）
+ */
+function calculateQuantileBreaks(sortedValues, classCount) {
+    const breaks = [];
+    for (let i = 1; i < classCount; i++) {
+        const index = Math.floor(sortedValues.length * i / classCount);
+        breaks.push(sortedValues[Math.min(index, sortedValues.length - 1)]);
+    }
+    return breaks;
+}
+
+/**
+ * 自然分類（Fisher-Jenks）の内側の境界値
+ */
+function calculateJenksBreaks(sortedValues, classCount) {
+    // 件数が多い場合は等間隔にサンプリング
+    let data = sortedValues;
+    const maxSamples = CONFIG.CLASSIFICATION.JENKS_MAX_SAMPLES;
+    if (data.length > maxSamples) {
+        data = [];
+        for (let i = 0; i < maxSamples; i++) {
+            data.push(sortedValues[Math.floor(i * (sortedValues.length - 1) / (maxSamples - 1))]);
+        }
+    }
+    
+    const n = data.length;
+    if (n <= classCount) {
+        return calculateEqualIntervalBreaks(data[0], data[n - 1], classCount);
+    }
+    
+    // lowerClassLimits[i][j]: 先頭i件をj階級に分けた時の最終階級の開始位置
+    // variance[i][j]: そのときの階級内分散の合計
+    const lowerClassLimits = [];
+    const variance = [];
+    for (let i = 0; i <= n; i++) {
+        lowerClassLimits.push(new Array(classCount + 1).fill(0));
+        variance.push(new Array(classCount + 1).fill(i === 0 ? 0 : Infinity));
+    }
+    for (let j = 1; j <= classCount; j++) {
+        lowerClassLimits[1][j] = 1;
+        variance[1][j] = 0;
+    }
+    
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let w = 0;
+        let v = 0;
+        
+        for (let m = 1; m <= l; m++) {
+            const lowerIndex = l - m + 1;
+            const value = data[lowerIndex - 1];
+            
+            w++;
+            sum += value;
+            sumSquares += value * value;
+            v = sumSquares - (sum * sum) / w;
+            
+            if (lowerIndex > 1) {
+                for (let j = 2; j <= classCount; j++) {
+                    if (variance[l][j] >= v + variance[lowerIndex - 1][j - 1]) {
+                        lowerClassLimits[l][j] = lowerIndex;
+                        variance[l][j] = v + variance[lowerIndex - 1][j - 1];
+                    }
+                }
+            }
+        }
+        
+        lowerClassLimits[l][1] = 1;
+        variance[l][1] = v;
+    }
+    
+    // 境界値を後ろから復元
+    const breaks = [];
+    let k = n;
+    for (let j = classCount; j >= 2; j--) {
+        const lowerIndex = lowerClassLimits[k][j];
+        breaks.unshift(data[lowerIndex - 1]);
+        k = lowerIndex - 1;
+    }
+    return breaks;
+}
+
+/**
+ * 標準偏差分類の内側の境界値（平均を中心に1σ刻み）
+ */
+function calculateStdDevBreaks(sortedValues, classCount) {
+    const n = sortedValues.length;
+    const min = sortedValues[0];
+    const max = sortedValues[n - 1];
+    const mean = sortedValues.reduce((sum, v) => sum + v, 0) / n;
+    const stdDev = Math.sqrt(sortedValues.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n);
+    
+    if (stdDev === 0) {
+        return calculateEqualIntervalBreaks(min, max, classCount);
+    }
+    
+    const breaks = [];
+    for (let i = 1; i < classCount; i++) {
+        const value = mean + (i - classCount / 2) * stdDev;
+        breaks.push(Math.min(max, Math.max(min, value)));
+    }
+    return breaks;
+}
+
+/**
+ * 対数分類の内側の境界値（log10(値+1) を等間隔に分割）
+ */
+function calculateLogBreaks(min, max, classCount) {
+    const logMin = Math.log10(Math.max(min, 0) + 1);
+    const logMax = Math.log10(Math.max(max, 0) + 1);
+    return calculateEqualIntervalBreaks(logMin, logMax, classCount)
+        .map(logValue => Math.pow(10, logValue) - 1);
+}
+
+/**
+ * 増減指標の階級区分（0を中心に対称な等間隔）
+ * 
+ * 階級数が偶数なら0が境界に、奇数なら中央の階級が0をまたぐ。
+ * 両端は絶対値の分位点とし、それを超える値は端の階級に含める。
+ */
+function calculateDivergingBreaks(values, classCount) {
+    const absValues = values.map(v => Math.abs(v)).sort((a, b) => a - b);
+    const index = Math.floor((absValues.length - 1) * CONFIG.CLASSIFICATION.DIVERGING_PERCENTILE);
+    const extent = absValues[index] || absValues[absValues.length - 1] || 1;
+    
+    const breaks = [];
+    for (let i = 0; i <= classCount; i++) {
+        breaks.push(-extent + (2 * extent) * i / classCount);
+    }
+    return breaks;
+}
+
+/**
+ * 手動分類の境界値入力をパース（"10, 50, 100" → [10, 50, 100]）
+ */
+function parseManualBreaks(text) {
+    const values = text
+        .split(/[,、\s]+/)
+        .filter(v => v !== '')
+        .map(v => Number(v));
+    
+    if (values.some(v => isNaN(v))) {
+        throw new Error('境界値には数値をカンマ区切りで入力してください');
+    }
+    
+    const minCount = CONFIG.CLASSIFICATION.MIN_CLASS_COUNT - 1;
+    const maxCount = CONFIG.CLASSIFICATION.MAX_CLASS_COUNT - 1;
+    if (values.length < minCount || values.length > maxCount) {
+        throw new Error(`境界値は${minCount}～${maxCount}個で入力してください`);
+    }
+    
+    return values.sort((a, b) => a - b);
+}
+
+/**
+ * 手動分類の境界値のうち、データの範囲外のため使っていないもの
+ */
+function getUnusedManualBreaks() {
+    if (state.currentClassMethod !== 'manual' || state.displayMode === 'bivariate') return [];
+    if (collectIndicatorValues(state.currentIndicator).length === 0) return [];
+    
+    const min = state.currentBreaks[0];
+    const max = state.currentBreaks[state.currentBreaks.length - 1];
+    return state.manualBreaks.filter(value => value <= min || value >= max);
+}
+
+/**
+ * 階級数に対応する配色を取得
+ */
+function getColorScale(classCount) {
+    const { MIN_CLASS_COUNT, MAX_CLASS_COUNT } = CONFIG.CLASSIFICATION;
+    const count = Math.min(MAX_CLASS_COUNT, Math.max(MIN_CLASS_COUNT, classCount));
+    return CONFIG.COLORS.SCALES[count];
+}
+
+/**
+ * 指標に対応する配色を取得（増減指標は発散型）
+ */
+function getIndicatorColorScale(indicator, classCount) {
+    if (CONFIG.INDICATORS[indicator].diverging) {
+        const { MIN_CLASS_COUNT, MAX_CLASS_COUNT } = CONFIG.CLASSIFICATION;
+        const count = Math.min(MAX_CLASS_COUNT, Math.max(MIN_CLASS_COUNT, classCount));
+        return CONFIG.COLORS.DIVERGING_SCALES[count];
+    }
+    return getColorScale(classCount);
+}
+
+/**
+ * 値が属する階級のインデックスを取得（0 ～ 階級数-1）
+ */
+function getClassIndex(value, breaks) {
+    const classCount = breaks.length - 1;
+    
+    for (let i = classCount - 1; i > 0; i--) {
+        if (value >= breaks[i]) {
+            return i;
+        }
+    }
+    
+    return 0;
+}
+
+/**
+ * 値から色を取得
+ */
+function getColor(value, breaks, colors = getColorScale(breaks.length - 1)) {
+    if (value === null || value === undefined || isNaN(value)) {
+        return CONFIG.COLORS.NO_DATA;
+    }
+    
+    return colors[getClassIndex(value, breaks)];
+}
+
+/**
+ * フィーチャーのスタイル取得（比較表示の右側は指標・階級区分を渡し、凡例の絞り込みは適用しない）
+ */
+function getFeatureStyle(feature, indicator = state.currentIndicator, breaks = state.currentBreaks, legendFilter = true) {
+    // シンボル表示では境界だけを薄く表示
+    if (isSymbolMode()) {
+        return getUnderlayStyle();
+    }
+    
+    // 工事単価が未設定の都道府県は「データなし」と区別して表示
+    const styledIndicators = state.displayMode === 'bivariate' ? getActiveIndicators() : [indicator];
+    if (feature.properties.unitCostMissing && styledIndicators.some(indicatorRequiresUnitCost)) {
+        const style = {
+            fillColor: CONFIG.COLORS.NO_UNIT_COST,
+            weight: CONFIG.STYLE.DEFAULT_WEIGHT,
+            opacity: CONFIG.STYLE.DEFAULT_OPACITY,
+            color: CONFIG.COLORS.BORDER,
+            fillOpacity: CONFIG.STYLE.DEFAULT_FILL_OPACITY
+        };
+        return legendFilter && isFeatureFilteredOut(feature) ? getFilteredOutStyle(style) : style;
+    }
+    
+    if (state.displayMode === 'bivariate') {
+        return getBivariateFeatureStyle(feature);
+    }
+    
+    const value = feature.properties[indicator];
+    const hasData = value !== null && value !== undefined;
+    const colors = getIndicatorColorScale(indicator, breaks.length - 1);
+    
+    const style = {
+        fillColor: getColor(value, breaks, colors),
+        weight: CONFIG.STYLE.DEFAULT_WEIGHT,
+        opacity: CONFIG.STYLE.DEFAULT_OPACITY,
+        color: CONFIG.COLORS.BORDER,
+        fillOpacity: hasData 
+            ? CONFIG.STYLE.DEFAULT_FILL_OPACITY 
+            : CONFIG.STYLE.NO_DATA_FILL_OPACITY
+    };
+    
+    // 凡例で絞り込み中は選択外の階級を非表示
+    return legendFilter && isFeatureFilteredOut(feature) ? getFilteredOutStyle(style) : style;
+}
+
+/**
+ * 2指標表示の区分（三分位）
+ */
+function calculateBivariateBreaks(indicator) {
+    const values = collectIndicatorValues(indicator);
+    if (values.length === 0) {
+        return [0, 0, 0, 0];
+    }
+    
+    values.sort((a, b) => a - b);
+    return [values[0], ...calculateQuantileBreaks(values, 3), values[values.length - 1]];
+}
+
+/**
+ * 2指標表示のフィーチャースタイル（3×3の配色）
+ */
+function getBivariateFeatureStyle(feature) {
+    const valueX = feature.properties[state.currentIndicator];
+    const valueY = feature.properties[state.bivariateIndicator];
+    const hasData = [valueX, valueY].every(value => value !== null && value !== undefined && !isNaN(value));
+    
+    let fillColor = CONFIG.COLORS.NO_DATA;
+    if (hasData) {
+        const column = getClassIndex(valueX, state.bivariateBreaks.x);
+        const row = getClassIndex(valueY, state.bivariateBreaks.y);
+        fillColor = CONFIG.COLORS.BIVARIATE[row][column];
+    }
+    
+    return {
+        fillColor,
+        weight: CONFIG.STYLE.DEFAULT_WEIGHT,
+        opacity: CONFIG.STYLE.DEFAULT_OPACITY,
+        color: CONFIG.COLORS.BORDER,
+        fillOpacity: hasData 
+            ? CONFIG.STYLE.DEFAULT_FILL_OPACITY 
+            : CONFIG.STYLE.NO_DATA_FILL_OPACITY
+    };
+}
+
+/**
+ * 地図レイヤーの更新
+ */
+function updateMapLayer() {
+    if (!state.municipalitiesGeoJSON) {
+        console.warn('GeoJSONデータが読み込まれていません');
+        return;
+    }
+    
+    setLoadingVisible(true);
+    
+    // 表示単位のフィーチャーを取得してデータ付与
+    state.displayGeoJSON = getLevelGeoJSON(state.currentLevel);
+    attachDataToFeatures();
+    prepareCompareData();
+    
+    // 階級区分を計算（比較表示で左右共通の場合は両方の値から）
+    state.currentBreaks = calculateBreaks(state.currentIndicator, getMainBreakValues());
+    if (state.displayMode === 'bivariate') {
+        state.bivariateBreaks = {
+            x: calculateBivariateBreaks(state.currentIndicator),
+            y: calculateBivariateBreaks(state.bivariateIndicator)
+        };
+    }
+    
+    // 表示単位・レンダラーが変わった場合のみレイヤーを作り直し、それ以外は既存レイヤーのスタイルだけ更新
+    const buildKey = `${state.currentLevel}__${renderState.useCanvas ? 'canvas' : 'svg'}`;
+    if (!state.geoJSONLayer || renderState.layerBuildKey !== buildKey) {
+        buildGeoJSONLayer();
+    } else {
+        state.geoJSONLayer.setStyle(getFeatureStyle);
+    }
+    
+    // 比較表示の右側を描画
+    updateCompareLayer();
+    
+    // 比例シンボル・ドット密度を描画
+    updateSymbolLayer();
+    
+    // 凡例を更新
+    updateLegend();
+    
+    // ポリゴンレイヤーを最前面に移動
+    bringDrawnItemsToFront();
+    
+    // 結合診断・検索の索引を更新
+    updateJoinDiagnostics();
+    buildSearchIndex();
+    
+    // 詳細パネル・ランキング表を表示中なら新しい年月・表示単位で再描画
+    refreshDetailPanel();
+    refreshRankingTable();
+    
+    setLoadingVisible(false);
+    
+    const indicatorLabels = getActiveIndicators().map(key => CONFIG.INDICATORS[key].label).join(' × ');
+    console.log(`✓ 地図更新完了: ${state.currentYear}年${state.currentMonth}月 - ${indicatorLabels}（${CONFIG.ADMIN_LEVELS[state.currentLevel].label}）`);
+}
+
+// ============================================================================
+// インタラクション
+// ============================================================================
+
+/**
+ * フィーチャーのハイライト表示
+ */
+function highlightLayer(layer) {
+    layer.setStyle({
+        weight: CONFIG.STYLE.HIGHLIGHT_WEIGHT,
+        color: CONFIG.COLORS.HIGHLIGHT,
+        fillOpacity: CONFIG.STYLE.HIGHLIGHT_FILL_OPACITY
+    });
+    
+    layer.bringToFront();
+}
+
+/**
+ * 表示単位のキーから地図上のレイヤーを取得
+ */
+function findLayerByUnitKey(unitKey) {
+    if (!state.geoJSONLayer) return null;
+    
+    let found = null;
+    state.geoJSONLayer.eachLayer(layer => {
+        if (!found && layer.feature.properties.unit_key === unitKey) {
+            found = layer;
+        }
+    });
+    return found;
+}
+
+/**
+ * フィーチャーマウスオーバー
+ */
+function onFeatureMouseOver(e) {
+    highlightLayer(e.target);
+}
+
+/**
+ * フィーチャーマウスアウト
+ */
+function onFeatureMouseOut(e) {
+    if (state.geoJSONLayer) {
+        state.geoJSONLayer.resetStyle(e.target);
+    }
+}
+
+/**
+ * フィーチャークリック（ポップアップ表示）
+ */
+function onFeatureClick(e) {
+    const layer = e.target;
+    const props = layer.feature.properties;
+    
+    // ポップアップコンテンツ生成
+    let content = `<div class="popup-title">${getFeatureDisplayName(props)}</div>`;
+    content += `<div class="popup-info">`;
+    content += `<div class="popup-info-item">`;
+    content += `<span class="popup-info-label">年月:</span>`;
+    content += `<span class="popup-info-value">${state.currentYear}年${state.currentMonth}月</span>`;
+    content += `</div>`;
+    
+    if (props.buildingCount !== null && props.buildingCount !== undefined) {
+        content += `<div class="popup-info-item">`;
+        content += `<span class="popup-info-label">着工件数（推計）:</span>`;
+        content += `<span class="popup-info-value">${props.buildingCount.toLocaleString()} 棟</span>`;
+        content += `</div>`;
+        
+        content += `<div class="popup-info-item">`;
+        content += `<span class="popup-info-label">全建物床面積:</span>`;
+        content += `<span class="popup-info-value">${props.floorAreaTotal.toLocaleString()} ㎡</span>`;
+        content += `</div>`;
+        
+        content += `<div class="popup-info-item">`;
+        content += `<span class="popup-info-label">見込み工事額:</span>`;
+        content += `<span class="popup-info-value">${props.unitCostMissing ? '単価未設定' : `${Math.round(props.estimatedAmount).toLocaleString()} 円`}</span>`;
+        content += `</div>`;
+        
+        // 増減指標を表示中の場合はその値も表示
+        getActiveIndicators().forEach(indicatorKey => {
+            const indicator = CONFIG.INDICATORS[indicatorKey];
+            if (!indicator.changeType) return;
+            
+            const change = props[indicatorKey];
+            content += `<div class="popup-info-item">`;
+            content += `<span class="popup-info-label">${escapeHTML(indicator.label)}:</span>`;
+            content += `<span class="popup-info-value">${change !== null ? `${formatIndicatorValue(indicator, change)} ${escapeHTML(indicator.unit)}` : '比較データなし'}</span>`;
+            content += `</div>`;
+        });
+    } else {
+        content += `<div class="popup-no-data">データなし</div>`;
+    }
+    
+    content += `</div>`;
+    
+    // ポリゴンの中心座標を取得
+    const center = layer.getBounds().getCenter();
+    
+    L.popup()
+        .setLatLng(center)
+        .setContent(content)
+        .openOn(state.map);
+    
+    // 詳細パネルを開き、ランキング表の該当行を表示
+    openDetailPanel(layer.feature);
+    scrollToRankingRow(layer.feature.properties.unit_key);
+}
+
+// ============================================================================
+// 凡例
+// ============================================================================
+
+/**
+ * 凡例の更新
+ */
+function updateLegend() {
+    const legendContent = document.getElementById('legend-content');
+    legendContent.innerHTML = '';
+    syncLegendFilterSignature();
+    
+    if (state.displayMode === 'bivariate') {
+        updateBivariateLegend(legendContent);
+        return;
+    }
+    
+    if (isSymbolMode()) {
+        updateSymbolLegend(legendContent);
+        return;
+    }
+    
+    if (CONFIG.INDICATORS[state.currentIndicator].diverging) {
+        updateDivergingLegend(legendContent);
+        return;
+    }
+    
+    const breaks = state.currentBreaks;
+    const colors = getColorScale(breaks.length - 1);
+    const indicator = CONFIG.INDICATORS[state.currentIndicator];
+    const unit = indicator.unit;
+    
+    // 階級ごとの凡例アイテム（上位の階級から。クリックで絞り込み）
+    for (let i = breaks.length - 2; i >= 0; i--) {
+        const item = createLegendItem(
+            colors[i],
+            `${formatNumber(breaks[i])} – ${formatNumber(breaks[i + 1])} ${unit}`,
+            i
+        );
+        legendContent.appendChild(item);
+    }
+    
+    // データなしの凡例アイテム
+    const noDataItem = createLegendItem(CONFIG.COLORS.NO_DATA, 'データなし', 'noData');
+    legendContent.appendChild(noDataItem);
+    
+    appendUnitCostLegendItem(legendContent);
+    appendProjectFilterNote(legendContent);
+    appendUnusedBreaksNote(legendContent);
+    appendReducedClassesNote(legendContent);
+    appendLegendFilterNote(legendContent);
+    appendBreaksHistogram(legendContent);
+}
+
+/**
+ * 工事単価未設定の凡例アイテム（該当する市区町村がある場合のみ）
+ */
+function appendUnitCostLegendItem(legendContent) {
+    if (!getActiveIndicators().some(indicatorRequiresUnitCost)) return;
+    
+    const hasMissing = state.displayGeoJSON.features.some(f => f.properties.unitCostMissing);
+    if (hasMissing) {
+        const classKey = isLegendFilterAvailable() ? 'unitCost' : undefined;
+        legendContent.appendChild(createLegendItem(CONFIG.COLORS.NO_UNIT_COST, '工事単価未設定', classKey));
+    }
+}
+
+/**
+ * データの範囲外のため使っていない手動分類の境界値の注記
+ */
+function appendUnusedBreaksNote(legendContent) {
+    const unused = getUnusedManualBreaks();
+    if (unused.length === 0) return;
+    
+    const breaks = state.currentBreaks;
+    const note = document.createElement('div');
+    note.className = 'legend-note';
+    note.textContent = `※ 境界値 ${unused.join('、')} はデータの範囲（${formatNumber(breaks[0])} – ${formatNumber(breaks[breaks.length - 1])}）外のため使っていません`;
+    legendContent.appendChild(note);
+}
+
+/**
+ * 境界値が重なったため指定より少ない階級数で表示している場合の注記（手動分類は appendUnusedBreaksNote）
+ */
+function appendReducedClassesNote(legendContent) {
+    if (state.currentClassMethod === 'manual') return;
+    if (collectIndicatorValues(state.currentIndicator).length === 0) return;
+    
+    const classCount = state.currentBreaks.length - 1;
+    if (classCount >= state.currentClassCount) return;
+    
+    const note = document.createElement('div');
+    note.className = 'legend-note';
+    note.textContent = `※ 同じ値が多く境界値が重なるため、${classCount}階級で表示しています（指定は${state.currentClassCount}階級）`;
+    legendContent.appendChild(note);
+}
+
+/**
+ * 増減指標の凡例（増加=赤、減少=青、中央=±0）
+ */
+function updateDivergingLegend(legendContent) {
+    const breaks = state.currentBreaks;
+    const classCount = breaks.length - 1;
+    const colors = getIndicatorColorScale(state.currentIndicator, classCount);
+    const indicator = CONFIG.INDICATORS[state.currentIndicator];
+    const unit = indicator.unit;
+    
+    const caption = document.createElement('div');
+    caption.className = 'legend-caption';
+    caption.textContent = `${indicator.label}（▲増加 / ▼減少）`;
+    legendContent.appendChild(caption);
+    
+    // 両端の階級は範囲外の値も含むため「以上」「未満」で表記
+    for (let i = classCount - 1; i >= 0; i--) {
+        let label;
+        if (i === classCount - 1) {
+            label = `${formatIndicatorValue(indicator, breaks[i])} ${unit} 以上`;
+        } else if (i === 0) {
+            label = `${formatIndicatorValue(indicator, breaks[1])} ${unit} 未満`;
+        } else {
+            label = `${formatIndicatorValue(indicator, breaks[i])} – ${formatIndicatorValue(indicator, breaks[i + 1])} ${unit}`;
+        }
+        legendContent.appendChild(createLegendItem(colors[i], label, i));
+    }
+    
+    legendContent.appendChild(createLegendItem(CONFIG.COLORS.NO_DATA, '比較データなし', 'noData'));
+    
+    appendUnitCostLegendItem(legendContent);
+    appendUnusedBreaksNote(legendContent);
+    appendLegendFilterNote(legendContent);
+    appendBreaksHistogram(legendContent);
+}
+
+/**
+ * 2指標表示の凡例（3×3のマトリクス）
+ */
+function updateBivariateLegend(legendContent) {
+    const indicatorX = CONFIG.INDICATORS[state.currentIndicator];
+    const indicatorY = CONFIG.INDICATORS[state.bivariateIndicator];
+    const { x: breaksX, y: breaksY } = state.bivariateBreaks;
+    
+    // 行は上が指標2の高い方
+    let cells = '';
+    for (let row = 2; row >= 0; row--) {
+        for (let column = 0; column < 3; column++) {
+            cells += `<div class="bivariate-cell" style="background-color: ${CONFIG.COLORS.BIVARIATE[row][column]}"></div>`;
+        }
+    }
+    
+    const legend = document.createElement('div');
+    legend.className = 'bivariate-legend';
+    legend.innerHTML = `
+        <div class="bivariate-axis-y">${escapeHTML(indicatorY.label)} →</div>
+        <div class="bivariate-grid">${cells}</div>
+        <div class="bivariate-axis-x">${escapeHTML(indicatorX.label)} →</div>
+    `;
+    legendContent.appendChild(legend);
+    
+    // 三分位の境界値
+    const breaksText = document.createElement('div');
+    breaksText.className = 'legend-caption';
+    breaksText.innerHTML = `
+        横: ${formatIndicatorValue(indicatorX, breaksX[1])} / ${formatIndicatorValue(indicatorX, breaksX[2])} ${escapeHTML(indicatorX.unit)} で三分位<br>
+        縦: ${formatIndicatorValue(indicatorY, breaksY[1])} / ${formatIndicatorValue(indicatorY, breaksY[2])} ${escapeHTML(indicatorY.unit)} で三分位
+    `;
+    legendContent.appendChild(breaksText);
+    
+    legendContent.appendChild(createLegendItem(CONFIG.COLORS.NO_DATA, 'データなし'));
+    
+    appendUnitCostLegendItem(legendContent);
+}
+
+/**
+ * 凡例アイテムの生成（classKey を指定するとクリックで絞り込み可能）
+ */
+function createLegendItem(color, label, classKey) {
+    const item = document.createElement('div');
+    item.className = 'legend-item';
+    
+    const colorBox = document.createElement('div');
+    colorBox.className = 'legend-color';
+    colorBox.style.backgroundColor = color;
+    
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'legend-label';
+    labelSpan.textContent = label;
+    
+    item.appendChild(colorBox);
+    item.appendChild(labelSpan);
+    
+    if (classKey !== undefined) {
+        makeLegendItemSelectable(item, classKey);
+    }
+    
+    return item;
+}
+
+// ============================================================================
+// 時系列コントロール
+// ============================================================================
+
+// 再生状態
+const playbackState = {
+    isPlaying: false,
+    timer: null
+};
+
+/**
+ * 年月コントロール（セレクト・スライダー）の初期化
+ */
+function initPeriodControls() {
+    const yearSelect = document.getElementById('year-select');
+    const slider = document.getElementById('period-slider');
+    const playBtn = document.getElementById('period-play-btn');
+    const periods = state.availablePeriods;
+    
+    if (periods.length === 0) {
+        console.warn('統計データに年月が含まれていません');
+        return;
+    }
+    
+    // 初期表示は最新の年月（表示中の年月がデータにあればそのまま）
+    const latest = periods[periods.length - 1];
+    const current = periods.find(p => p.year === state.currentYear && p.month === state.currentMonth);
+    state.currentYear = (current || latest).year;
+    state.currentMonth = (current || latest).month;
+    
+    // 年のオプション
+    const years = Array.from(new Set(periods.map(p => p.year)));
+    yearSelect.innerHTML = '';
+    years.forEach(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = `${year}年`;
+        yearSelect.appendChild(option);
+    });
+    yearSelect.value = state.currentYear;
+    
+    populateMonthSelect(state.currentYear, state.currentMonth);
+    
+    // スライダー
+    if (slider) {
+        slider.min = 0;
+        slider.max = periods.length - 1;
+        slider.disabled = periods.length < 2;
+    }
+    if (playBtn) {
+        playBtn.disabled = periods.length < 2;
+    }
+    
+    syncPeriodControls();
+    
+    console.log(`✓ 年月コントロール初期化完了: ${periods[0].year}年${periods[0].month}月 ～ ${latest.year}年${latest.month}月`);
+}
+
+/**
+ * 指定年のデータがある月でセレクトを構成
+ */
+function populateMonthSelect(year, selectedMonth) {
+    const monthSelect = document.getElementById('month-select');
+    const months = state.availablePeriods
+        .filter(p => p.year === year)
+        .map(p => p.month);
+    
+    monthSelect.innerHTML = '';
+    months.forEach(month => {
+        const option = document.createElement('option');
+        option.value = month;
+        option.textContent = `${month}月`;
+        monthSelect.appendChild(option);
+    });
+    
+    // 選択中の月がなければ最後の月を選択
+    monthSelect.value = months.includes(selectedMonth) ? selectedMonth : months[months.length - 1];
+}
+
+/**
+ * 現在の年月のインデックスを取得
+ */
+function getCurrentPeriodIndex() {
+    return state.availablePeriods.findIndex(p =>
+        p.year === state.currentYear && p.month === state.currentMonth
+    );
+}
+
+/**
+ * セレクト・スライダー・ラベルを現在の年月に合わせる
+ */
+function syncPeriodControls() {
+    const yearSelect = document.getElementById('year-select');
+    const monthSelect = document.getElementById('month-select');
+    const slider = document.getElementById('period-slider');
+    const label = document.getElementById('period-label');
+    
+    if (yearSelect.value !== state.currentYear) {
+        yearSelect.value = state.currentYear;
+        populateMonthSelect(state.currentYear, state.currentMonth);
+    }
+    monthSelect.value = state.currentMonth;
+    
+    const index = getCurrentPeriodIndex();
+    if (slider && index !== -1) {
+        slider.value = index;
+    }
+    if (label) {
+        label.textContent = `${state.currentYear}年${state.currentMonth}月`;
+    }
+}
+
+/**
+ * インデックス指定で表示年月を変更
+ */
+function setCurrentPeriodIndex(index) {
+    const period = state.availablePeriods[index];
+    if (!period) return;
+    
+    state.currentYear = period.year;
+    state.currentMonth = period.month;
+    
+    syncPeriodControls();
+    updateMapLayer();
+}
+
+/**
+ * 再生開始
+ */
+function startPlayback() {
+    const periods = state.availablePeriods;
+    if (periods.length < 2) return;
+    
+    // 最後の年月から再生する場合は先頭に戻す
+    if (getCurrentPeriodIndex() >= periods.length - 1) {
+        setCurrentPeriodIndex(0);
+    }
+    
+    playbackState.isPlaying = true;
+    playbackState.timer = setInterval(() => {
+        const nextIndex = getCurrentPeriodIndex() + 1;
+        if (nextIndex >= periods.length) {
+            stopPlayback();
+            return;
+        }
+        setCurrentPeriodIndex(nextIndex);
+    }, CONFIG.TIME_SERIES.PLAY_INTERVAL_MS);
+    
+    updatePlayButton();
+}
+
+/**
+ * 再生停止
+ */
+function stopPlayback() {
+    if (playbackState.timer) {
+        clearInterval(playbackState.timer);
+        playbackState.timer = null;
+    }
+    playbackState.isPlaying = false;
+    
+    updatePlayButton();
+}
+
+/**
+ * 再生ボタンの表示更新
+ */
+function updatePlayButton() {
+    const playBtn = document.getElementById('period-play-btn');
+    if (!playBtn) return;
+    
+    playBtn.textContent = playbackState.isPlaying ? '⏸' : '▶';
+    playBtn.classList.toggle('active', playbackState.isPlaying);
+}
+
+/**
+ * 時系列コントロールのイベントリスナー設定
+ */
+function setupPeriodEventListeners() {
+    const yearSelect = document.getElementById('year-select');
+    const slider = document.getElementById('period-slider');
+    const playBtn = document.getElementById('period-play-btn');
+    
+    // 年を変更したら月の選択肢を更新
+    yearSelect.addEventListener('change', () => {
+        populateMonthSelect(yearSelect.value, document.getElementById('month-select').value);
+    });
+    
+    if (slider) {
+        slider.addEventListener('input', () => {
+            stopPlayback();
+            setCurrentPeriodIndex(Number(slider.value));
+        });
+    }
+    
+    if (playBtn) {
+        playBtn.addEventListener('click', () => {
+            if (playbackState.isPlaying) {
+                stopPlayback();
+            } else {
+                startPlayback();
+            }
+        });
+    }
+}
+
+// ============================================================================
+// イベントハンドラー
+// ============================================================================
+
+/**
+ * 更新ボタンクリック
+ */
+function onUpdateButtonClick() {
+    const classMethod = document.getElementById('classification-select').value;
+    
+    const displayMode = document.getElementById('display-mode-select').value;
+    
+    // 手動分類の境界値を検証（2指標表示は三分位固定）
+    if (classMethod === 'manual' && displayMode !== 'bivariate') {
+        try {
+            state.manualBreaks = parseManualBreaks(document.getElementById('manual-breaks-input').value);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+    }
+    
+    state.currentYear = document.getElementById('year-select').value;
+    state.currentMonth = document.getElementById('month-select').value;
+    state.currentIndicator = document.getElementById('indicator-select').value;
+    state.currentLevel = document.getElementById('level-select').value;
+    state.displayMode = displayMode;
+    state.bivariateIndicator = document.getElementById('indicator2-select').value;
+    state.currentClassMethod = classMethod;
+    state.currentClassCount = Number(document.getElementById('class-count-select').value);
+    
+    syncPeriodControls();
+    updateMapLayer();
+}
+
+/**
+ * 統計レイヤーの表示切替
+ */
+function toggleStatsLayer(show) {
+    if (!state.geoJSONLayer) return;
+    
+    if (show) {
+        if (!state.map.hasLayer(state.geoJSONLayer)) {
+            state.map.addLayer(state.geoJSONLayer);
+        }
+        if (symbolState.layer && !state.map.hasLayer(symbolState.layer)) {
+            state.map.addLayer(symbolState.layer);
+        }
+        if (compareState.layer && !state.map.hasLayer(compareState.layer)) {
+            state.map.addLayer(compareState.layer);
+        }
+        // 統計レイヤー表示後、エリア分析レイヤーを最前面に
+        if (areaAnalysisState.drawnItems) {
+            areaAnalysisState.drawnItems.bringToFront();
+        }
+    } else {
+        if (state.map.hasLayer(state.geoJSONLayer)) {
+            state.map.removeLayer(state.geoJSONLayer);
+        }
+        if (symbolState.layer && state.map.hasLayer(symbolState.layer)) {
+            state.map.removeLayer(symbolState.layer);
+        }
+        if (compareState.layer && state.map.hasLayer(compareState.layer)) {
+            state.map.removeLayer(compareState.layer);
+        }
+    }
+}
+
+/**
+ * 表示方法・分類方法に応じて入力欄の表示を切替
+ * 
+ * 手動分類の場合のみ境界値入力を表示し、2指標表示では指標2を選択（分類は三分位固定）
+ */
+function updateStyleControls() {
+    const isBivariate = document.getElementById('display-mode-select').value === 'bivariate';
+    const isManual = document.getElementById('classification-select').value === 'manual';
+    
+    document.getElementById('manual-breaks-group').style.display = isManual && !isBivariate ? '' : 'none';
+    document.getElementById('bivariate-group').style.display = isBivariate ? '' : 'none';
+    document.getElementById('indicator-label').textContent = isBivariate ? '指標1（横軸）:' : '指標:';
+    document.getElementById('classification-select').disabled = isBivariate;
+    document.getElementById('class-count-select').disabled = isManual || isBivariate;
+}
+
+/**
+ * イベントリスナーの設定
+ */
+function setupEventListeners() {
+    document.getElementById('update-btn').addEventListener('click', onUpdateButtonClick);
+    
+    // 統計レイヤー表示切替
+    const statsLayerCheckbox = document.getElementById('show-stats-layer-checkbox');
+    if (statsLayerCheckbox) {
+        statsLayerCheckbox.addEventListener('change', (e) => {
+            toggleStatsLayer(e.target.checked);
+        });
+    }
+    
+    // 分類方法・表示方法の切替
+    document.getElementById('classification-select').addEventListener('change', updateStyleControls);
+    document.getElementById('display-mode-select').addEventListener('change', updateStyleControls);
+    
+    // 時系列コントロール
+    setupPeriodEventListeners();
+}
+
+// ============================================================================
+// 初期化・起動
+// ============================================================================
+
+/**
+ * アプリケーション初期化
+ */
+async function initialize() {
+    console.log('アプリケーション起動中...');
+    setLoadingVisible(true);
+    
+    try {
+        // 地図初期化
+        initMap();
+        
+        // 増減指標・建築計画の集計指標を登録して指標セレクトを構成
+        registerChangeIndicators();
+        registerProjectIndicators();
+        initIndicatorSelect();
+        
+        // データ読み込み
+        await loadAllData();
+        
+        // 保存済みの独自指標（取り込んだCSV）を登録
+        initCustomIndicators();
+        
+        // 年月コントロールをデータに合わせて初期化
+        initPeriodControls();
+        
+        // イベントリスナー設定
+        setupEventListeners();
         
         // 初回描画
         updateMapLayer();
         
-        console.log('✓ アプリケーション起動完了');
+        console.log('✓ アプリケーション起動完了');
+    } catch (error) {
+        console.error('初期化エラー:', error);
+        alert(`データの読み込みに失敗しました。\n\n${error.message}\n\nサーバーが起動しているか、ファイルパスが正しいか確認してください。`);
+    } finally {
+        clearLoadProgress();
+        setLoadingVisible(false);
+    }
+}
+
+// ============================================================================
+// 建築計画データ機能
+// ============================================================================
+
+// 建築計画データの状態
+const constructionState = {
+    data: null,
+    markers: [],
+    currentMonth: null,
+    isVisible: false,
+    useClustering: true,    // マーカーをクラスターにまとめて表示するか
+    clusterGroup: null,     // L.markerClusterGroup（クラスター表示時のみ地図に追加）
+    markerColorBy: 'usage', // マーカーの色: 'usage'（用途区分） | 'none'（単色）
+    markerSizeBy: 'area'    // マーカーの大きさ: 'area'（延床面積） | 'none'（一定）
+};
+
+// 建築計画データを読み込む
+async function loadConstructionData() {
+    console.log('建築計画データ読み込み開始...');
+    setLoadingVisible(true);
+    
+    // 属性の絞り込み条件の選択肢（設定から作成するためデータの読み込み前に用意）
+    initConstructionAttributeFilters();
+    try {
+        // 全件座標付きデータを使用（2025年1月～12月完全版）
+        constructionState.data = await fetchDataset('construction', '建築計画データ', CONFIG.DATA.CONSTRUCTION_PROJECTS, 'json');
+        
+        // プロジェクトデータから完成年月・着工年月のリストを動的に生成
+        const completionMonths = new Set();
+        const startMonths = new Set();
+        
+        constructionState.data.projects.forEach(project => {
+            // 緯度・経度（エリア分析用）
+            if (project.latitude !== undefined) project.緯度 = project.latitude;
+            if (project.longitude !== undefined) project.経度 = project.longitude;
+            
+            // 延床面積（エリア分析用）
+            if (project.area) project.延床面積 = project.area;
+            
+            // 主要用途（エリア分析用）
+            if (project.usage) project.主要用途 = project.usage;
+            
+            // 工事種別（エリア分析用）
+            if (project.structure) project.工事種別 = project.structure;
+            
+            // 完成日から年月を抽出 (YYYY/MM/DD → YYYY/MM)
+            if (project.completion_date && project.completion_date !== 'nan') {
+                const match = project.completion_date.match(/(\d{4})\/(\d{2})/);
+                if (match) {
+                    project.完成年月 = `${match[1]}/${match[2]}`;
+                    completionMonths.add(project.完成年月);
+                }
+            }
+            // 着工日から年月を抽出 (YYYY/MM/DD → YYYY/MM)
+            if (project.start_date && project.start_date !== 'nan') {
+                const match = project.start_date.match(/(\d{4})\/(\d{2})/);
+                if (match) {
+                    project.着工年月 = `${match[1]}/${match[2]}`;
+                    startMonths.add(project.着工年月);
+                }
+            }
+        });
+        
+        constructionState.data.completion_months = Array.from(completionMonths).sort();
+        constructionState.data.start_months = Array.from(startMonths).sort();
+        
+        console.log(`✓ 建築計画データ読み込み完了`);
+        console.log(`  - プロジェクト件数: ${constructionState.data.projects.length}件`);
+        console.log(`  - 完成年月の種類: ${constructionState.data.completion_months.length}ヶ月`);
+        console.log(`  - 着工年月の種類: ${constructionState.data.start_months.length}ヶ月`);
+        console.log(`  - 完成年月リスト:`, constructionState.data.completion_months);
+        console.log(`  - 着工年月リスト:`, constructionState.data.start_months);
+        
+        // 完成年月・着工年月のプルダウンを初期化
+        initCompletionMonthSelect();
+        initStartMonthSelect();
+        initConstructionAsOfControls();
+        updateConstructionFilterCount();
+        
+        // 建築計画の集計指標を表示中なら読み込んだデータで集計
+        projectJoinState.cache.clear();
+        refreshProjectIndicators();
+    } catch (error) {
+        console.error('❌ 建築計画データ読み込みエラー:', error);
+        alert(`建築計画データの読み込みに失敗しました。\n\nエラー: ${error.message}\n\nサーバーが起動しているか確認してください。`);
+    } finally {
+        clearLoadProgress();
+        setLoadingVisible(false);
+    }
+}
+
+// 完成年月プルダウンを初期化
+function initCompletionMonthSelect() {
+    console.log('完成年月プルダウン初期化開始...');
+    const selectFrom = document.getElementById('completion-month-from');
+    const selectTo = document.getElementById('completion-month-to');
+    
+    if (!selectFrom || !selectTo) {
+        console.error('❌ completion-month-from または completion-month-to 要素が見つかりません');
+        return;
+    }
+    
+    if (!constructionState.data) {
+        console.error('❌ constructionState.dataが未定義です');
+        return;
+    }
+    
+    console.log(`  - セレクト要素: 見つかりました`);
+    console.log(`  - データ: ${constructionState.data.completion_months.length}ヶ月分`);
+    
+    // 既存のオプションをクリア（最初のオプションは残す）
+    while (selectFrom.options.length > 1) {
+        selectFrom.remove(1);
+    }
+    while (selectTo.options.length > 1) {
+        selectTo.remove(1);
+    }
+    
+    // 完成年月のオプションを両方のセレクトに追加
+    constructionState.data.completion_months.forEach((month, index) => {
+        const optionFrom = document.createElement('option');
+        optionFrom.value = month;
+        optionFrom.textContent = month;
+        selectFrom.appendChild(optionFrom);
+        
+        const optionTo = document.createElement('option');
+        optionTo.value = month;
+        optionTo.textContent = month;
+        selectTo.appendChild(optionTo);
+        
+        if (index < 5) {
+            console.log(`  - オプション追加: ${month}`);
+        }
+    });
+    
+    // デフォルト値を設定（最初の月～最後の月）
+    if (constructionState.data.completion_months.length > 0) {
+        selectFrom.value = constructionState.data.completion_months[0];
+        selectTo.value = constructionState.data.completion_months[constructionState.data.completion_months.length - 1];
+        console.log(`  - デフォルト期間設定: ${selectFrom.value} ～ ${selectTo.value}`);
+    }
+    
+    console.log(`✓ 完成年月プルダウン初期化完了: ${selectFrom.options.length - 1}個のオプション追加`);
+}
+
+// 着工年月プルダウンを初期化
+function initStartMonthSelect() {
+    console.log('着工年月プルダウン初期化開始...');
+    const selectFrom = document.getElementById('start-month-from');
+    const selectTo = document.getElementById('start-month-to');
+    
+    if (!selectFrom || !selectTo) {
+        console.error('❌ start-month-from または start-month-to 要素が見つかりません');
+        return;
+    }
+    
+    if (!constructionState.data) {
+        console.error('❌ constructionState.dataが未定義です');
+        return;
+    }
+    
+    if (!constructionState.data.start_months) {
+        console.error('❌ constructionState.data.start_monthsが未定義です');
+        return;
+    }
+    
+    console.log(`  - セレクト要素: 見つかりました`);
+    console.log(`  - データ: ${constructionState.data.start_months.length}ヶ月分`);
+    
+    // 既存のオプションをクリア（最初のオプションは残す）
+    while (selectFrom.options.length > 1) {
+        selectFrom.remove(1);
+    }
+    while (selectTo.options.length > 1) {
+        selectTo.remove(1);
+    }
+    
+    // 着工年月のオプションを両方のセレクトに追加
+    constructionState.data.start_months.forEach((month, index) => {
+        const optionFrom = document.createElement('option');
+        optionFrom.value = month;
+        optionFrom.textContent = month;
+        selectFrom.appendChild(optionFrom);
+        
+        const optionTo = document.createElement('option');
+        optionTo.value = month;
+        optionTo.textContent = month;
+        selectTo.appendChild(optionTo);
+        
+        if (index < 5) {
+            console.log(`  - オプション追加: ${month}`);
+        }
+    });
+    
+    // デフォルト値を設定（最初の月～最後の月）
+    if (constructionState.data.start_months.length > 0) {
+        selectFrom.value = constructionState.data.start_months[0];
+        selectTo.value = constructionState.data.start_months[constructionState.data.start_months.length - 1];
+        console.log(`  - デフォルト期間設定: ${selectFrom.value} ～ ${selectTo.value}`);
+    }
+    
+    console.log(`✓ 着工年月プルダウン初期化完了: ${selectFrom.options.length - 1}個のオプション追加`);
+}
+
+// 完成年月・着工年月の期間で建築計画を絞り込み（未指定の条件は絞り込まない）
+function filterProjectsByMonths(projects, filters) {
+    const { completionFrom, completionTo, startFrom, startTo } = filters;
+    
+    // 完成年月でフィルタ（期間指定）
+    if (completionFrom || completionTo) {
+        projects = projects.filter(p => {
+            const completionMonth = p.完成年月;
+            if (!completionMonth) return false;
+            
+            // 開始月が指定されている場合、それ以降であることを確認
+            if (completionFrom && completionMonth < completionFrom) {
+                return false;
+            }
+            
+            // 終了月が指定されている場合、それ以前であることを確認
+            if (completionTo && completionMonth > completionTo) {
+                return false;
+            }
+            
+            return true;
+        });
+    }
+    
+    // 着工年月でフィルタ（期間指定）
+    if (startFrom || startTo) {
+        projects = projects.filter(p => {
+            const startMonth = p.着工年月;
+            if (!startMonth) return false;
+            
+            // 開始月が指定されている場合、それ以降であることを確認
+            if (startFrom && startMonth < startFrom) {
+                return false;
+            }
+            
+            // 終了月が指定されている場合、それ以前であることを確認
+            if (startTo && startMonth > startTo) {
+                return false;
+            }
+            
+            return true;
+        });
+    }
+    
+    return projects;
+}
+
+// 地上階数を数値に変換（"5" "地上5階" → 5、不明は null）
+function parseFloors(floorsStr) {
+    if (!floorsStr || floorsStr === 'nan') return null;
+    const match = String(floorsStr).match(/\d+/);
+    return match ? Number(match[0]) : null;
+}
+
+// 工事種別の区分（CONFIG.PROJECT_STRUCTURE_TYPES のうち該当するもの）
+function getStructureTypes(structure) {
+    const text = structure && structure !== 'nan' ? structure : '';
+    const types = CONFIG.PROJECT_STRUCTURE_TYPES.filter(type => type !== 'その他' && text.includes(type));
+    return types.length > 0 ? types : ['その他'];
+}
+
+// 施工者の決定状況（'undecided': 未定、'decided': 決定済み、'unknown': 記載なし）
+function getConstructorStatus(project) {
+    const name = typeof project.constructor === 'string' ? project.constructor.trim() : '';
+    if (name === '未定') return 'undecided';
+    if (!name || name === 'nan') return 'unknown';
+    return 'decided';
+}
+
+// 数値入力欄の値（空欄・不正な値は null）
+function getNumberInputValue(id) {
+    const input = document.getElementById(id);
+    if (!input || input.value.trim() === '') return null;
+    const value = Number(input.value);
+    return isNaN(value) ? null : value;
+}
+
+// チェックボックス群の選択値
+function getCheckedValues(name) {
+    return Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+}
+
+// 建築計画の属性による絞り込み条件（サイドバーの入力値）
+function getConstructionAttributeFilters() {
+    const constructorSelect = document.getElementById('construction-constructor-filter');
+    return {
+        usageCategories: getCheckedValues('construction-usage-filter'),
+        structureTypes: getCheckedValues('construction-structure-filter'),
+        areaMin: getNumberInputValue('construction-area-min'),
+        areaMax: getNumberInputValue('construction-area-max'),
+        floorsMin: getNumberInputValue('construction-floors-min'),
+        floorsMax: getNumberInputValue('construction-floors-max'),
+        constructorStatus: constructorSelect ? constructorSelect.value : ''
+    };
+}
+
+// 属性で建築計画を絞り込み（すべて選択・空欄の条件は絞り込まない）
+function filterProjectsByAttributes(projects, filters) {
+    const allUsage = filters.usageCategories.length === Object.keys(CONFIG.PROJECT_USAGE_CATEGORIES).length;
+    const allStructure = filters.structureTypes.length === CONFIG.PROJECT_STRUCTURE_TYPES.length;
+    const hasAreaRange = filters.areaMin !== null || filters.areaMax !== null;
+    const hasFloorsRange = filters.floorsMin !== null || filters.floorsMax !== null;
+    
+    return projects.filter(p => {
+        // 用途区分
+        if (!allUsage && !filters.usageCategories.includes(getUsageCategoryKey(p.usage))) {
+            return false;
+        }
+        
+        // 工事種別（いずれかの区分が選択されていれば該当）
+        if (!allStructure && !getStructureTypes(p.structure).some(type => filters.structureTypes.includes(type))) {
+            return false;
+        }
+        
+        // 延床面積
+        if (hasAreaRange) {
+            const area = parseFloorArea(p.area);
+            if (filters.areaMin !== null && area < filters.areaMin) return false;
+            if (filters.areaMax !== null && area > filters.areaMax) return false;
+        }
+        
+        // 地上階数（階数が不明な建築計画は範囲指定時に除外）
+        if (hasFloorsRange) {
+            const floors = parseFloors(p.floors);
+            if (floors === null) return false;
+            if (filters.floorsMin !== null && floors < filters.floorsMin) return false;
+            if (filters.floorsMax !== null && floors > filters.floorsMax) return false;
+        }
+        
+        // 施工者の決定状況
+        if (filters.constructorStatus && getConstructorStatus(p) !== filters.constructorStatus) {
+            return false;
+        }
+        
+        return true;
+    });
+}
+
+// 属性の絞り込み条件の表示用テキスト（絞り込んでいない条件は省略）
+function describeConstructionAttributeFilters(filters) {
+    const texts = [];
+    const describeRange = (min, max, unit) => `${min !== null ? min.toLocaleString() : ''}～${max !== null ? max.toLocaleString() : ''}${unit}`;
+    
+    if (filters.usageCategories.length < Object.keys(CONFIG.PROJECT_USAGE_CATEGORIES).length) {
+        texts.push(`用途 ${filters.usageCategories.map(key => CONFIG.PROJECT_USAGE_CATEGORIES[key].label).join('・') || 'なし'}`);
+    }
+    if (filters.structureTypes.length < CONFIG.PROJECT_STRUCTURE_TYPES.length) {
+        texts.push(`種別 ${filters.structureTypes.join('・') || 'なし'}`);
+    }
+    if (filters.areaMin !== null || filters.areaMax !== null) {
+        texts.push(`延床 ${describeRange(filters.areaMin, filters.areaMax, '㎡')}`);
+    }
+    if (filters.floorsMin !== null || filters.floorsMax !== null) {
+        texts.push(`階数 ${describeRange(filters.floorsMin, filters.floorsMax, '階')}`);
+    }
+    if (filters.constructorStatus === 'undecided') {
+        texts.push('施工者未定のみ');
+    } else if (filters.constructorStatus === 'decided') {
+        texts.push('施工者決定済みのみ');
+    }
+    return texts;
+}
+
+// 建築計画マーカーを表示
+function showConstructionMarkers(completionMonthFrom, completionMonthTo, startMonthFrom, startMonthTo) {
+    // 既存のマーカーをクリア
+    clearConstructionMarkers();
+    
+    if (!constructionState.data) return;
+    
+    // 基準日モードでは年月の範囲を使わず、工事状況で色分けする
+    const asOfActive = isConstructionAsOfActive();
+    if (asOfActive) {
+        completionMonthFrom = completionMonthTo = startMonthFrom = startMonthTo = '';
+    } else if (!completionMonthFrom && !completionMonthTo && !startMonthFrom && !startMonthTo) {
+        return;
+    }
+    
+    // 指定された条件でプロジェクトをフィルタ（年月 → 属性 → 検索語）
+    const attributeFilters = getConstructionAttributeFilters();
+    const projects = filterProjectsBySearch(filterProjectsByAttributes(filterProjectsByMonths(constructionState.data.projects, {
+        completionFrom: completionMonthFrom,
+        completionTo: completionMonthTo,
+        startFrom: startMonthFrom,
+        startTo: startMonthTo
+    }), attributeFilters));
+    
+    const completionPeriodText = completionMonthFrom && completionMonthTo 
+        ? `${completionMonthFrom}～${completionMonthTo}` 
+        : completionMonthFrom 
+        ? `${completionMonthFrom}以降` 
+        : completionMonthTo 
+        ? `${completionMonthTo}以前` 
+        : 'すべて';
+    
+    const startPeriodText = startMonthFrom && startMonthTo 
+        ? `${startMonthFrom}～${startMonthTo}` 
+        : startMonthFrom 
+        ? `${startMonthFrom}以降` 
+        : startMonthTo 
+        ? `${startMonthTo}以前` 
+        : 'すべて';
+    
+    const attributeText = describeConstructionAttributeFilters(attributeFilters).map(text => `, ${text}`).join('')
+        + (projectSearchState.onlyMatches && projectSearchState.query ? `, 検索「${projectSearchState.query}」` : '');
+    const periodText = asOfActive
+        ? `基準日: ${constructionAsOfState.date}`
+        : `完成年月: ${completionPeriodText}, 着工年月: ${startPeriodText}`;
+    console.log(`${periodText}${attributeText}: ${projects.length}件の建築計画を表示`);
+    
+    // マーカーを作成（用途区分の色・延床面積の大きさ。小さいマーカーを上に重ねる）
+    projects.forEach(project => {
+        const marker = L.marker([project.latitude, project.longitude], {
+            icon: createConstructionMarkerIcon(project),
+            zIndexOffset: getConstructionMarkerZIndexOffset(project)
+        });
+        
+        // プロジェクトデータを保存
+        marker.project = project;
+        
+        marker.bindPopup(createConstructionPopupContent(project));
+        
+        // クリックで建築計画一覧の行を選択
+        marker.on('click', () => selectConstructionProject(project));
+        
+        constructionState.markers.push(marker);
+    });
+    
+    // クラスター表示ではまとめて追加（件数が多くてもDOM要素は表示中のクラスター分だけ）
+    const clusterGroup = getConstructionClusterGroup();
+    if (clusterGroup) {
+        clusterGroup.addLayers(constructionState.markers);
+        clusterGroup.addTo(state.map);
+    } else {
+        constructionState.markers.forEach(marker => marker.addTo(state.map));
+    }
+    
+    // ポリゴンレイヤーを最前面に移動
+    bringDrawnItemsToFront();
+}
+
+// 建築計画のポップアップ内容
+function createConstructionPopupContent(project) {
+    return `
+        <div class="construction-popup">
+            <h3>${project.name}</h3>
+            <table>
+                <tr><th>住所</th><td>${project.address || '-'}</td></tr>
+                <tr><th>用途</th><td>${project.usage || '-'}</td></tr>
+                <tr><th>工事種別</th><td>${project.structure || '-'}</td></tr>
+                <tr><th>地上階</th><td>${project.floors || '-'}</td></tr>
+                <tr><th>延床面積</th><td>${project.area || '-'}</td></tr>
+                <tr><th>建築主</th><td>${project.owner || '-'}</td></tr>
+                <tr><th>設計者</th><td>${project.designer || '-'}</td></tr>
+                <tr><th>施工者</th><td>${project.constructor || '-'}</td></tr>
+                <tr><th>着工日</th><td>${project.start_date || '-'}</td></tr>
+                <tr><th>完成日</th><td>${project.completion_date || '-'}</td></tr>
+            </table>
+        </div>
+    `;
+}
+
+// 建築計画マーカーをクリア
+function clearConstructionMarkers() {
+    if (constructionState.clusterGroup) {
+        constructionState.clusterGroup.clearLayers();
+        state.map.removeLayer(constructionState.clusterGroup);
+    }
+    constructionState.markers.forEach(marker => {
+        state.map.removeLayer(marker);
+    });
+    constructionState.markers = [];
+}
+
+// クラスター表示用のレイヤーグループ（クラスター表示がオフ・プラグイン未読み込みなら null）
+function getConstructionClusterGroup() {
+    if (!constructionState.useClustering) return null;
+    if (typeof L.markerClusterGroup !== 'function') {
+        console.warn('Leaflet.markercluster が読み込まれていないため、クラスターなしで表示します');
+        return null;
+    }
+    
+    if (!constructionState.clusterGroup) {
+        constructionState.clusterGroup = L.markerClusterGroup({
+            maxClusterRadius: CONFIG.CONSTRUCTION_CLUSTER.MAX_CLUSTER_RADIUS,
+            chunkedLoading: true,
+            showCoverageOnHover: false,
+            spiderfyOnMaxZoom: true,   // 同じ住所の建築計画は最大ズームで放射状に展開
+            iconCreateFunction: createConstructionClusterIcon
+        });
+    }
+    return constructionState.clusterGroup;
+}
+
+// クラスター内で最も多い区分（用途区分・基準日モードでは工事状況）のキー
+function getDominantColorCategory(markers) {
+    const counts = {};
+    markers.forEach(marker => {
+        const key = getConstructionColorCategoryKey(marker.project);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return Object.keys(counts).reduce((a, b) => counts[b] > counts[a] ? b : a);
+}
+
+// クラスターのアイコン（件数を表示し、最も多い用途区分・工事状況の色で塗る）
+function createConstructionClusterIcon(cluster) {
+    const count = cluster.getChildCount();
+    const category = getConstructionColorCategories()[getDominantColorCategory(cluster.getAllChildMarkers())];
+    const size = CONFIG.CONSTRUCTION_CLUSTER.SIZES.find(s => count >= s.minCount).size;
+    
+    return L.divIcon({
+        className: 'construction-cluster',
+        html: `<div class="construction-cluster-inner" style="background-color: ${category.color}" title="最多: ${category.label}">${count}</div>`,
+        iconSize: [size, size]
+    });
+}
+
+// マーカーの色分けの区分（基準日モードでは工事状況、それ以外は用途区分）
+function getConstructionColorCategories() {
+    return isConstructionAsOfActive() ? CONFIG.PROJECT_STATUSES : CONFIG.PROJECT_USAGE_CATEGORIES;
+}
+
+// 建築計画の色分けの区分キー
+function getConstructionColorCategoryKey(project) {
+    return isConstructionAsOfActive()
+        ? getProjectStatus(project, constructionAsOfState.date)
+        : getUsageCategoryKey(project.usage);
+}
+
+// マーカーの色（用途区分で色分けしない場合は一定。基準日モードでは常に工事状況の色）
+function getConstructionMarkerColor(project) {
+    if (!isConstructionAsOfActive() && constructionState.markerColorBy !== 'usage') return CONFIG.CONSTRUCTION_MARKER.DEFAULT_COLOR;
+    return getConstructionColorCategories()[getConstructionColorCategoryKey(project)].color;
+}
+
+// マーカーの直径（延床面積で変えない場合は一定）
+function getConstructionMarkerSize(project) {
+    if (constructionState.markerSizeBy !== 'area') return CONFIG.CONSTRUCTION_MARKER.DEFAULT_SIZE;
+    const area = parseFloorArea(project.area);
+    return CONFIG.CONSTRUCTION_MARKER.AREA_SIZES.find(s => area >= s.minArea).size;
+}
+
+// 大きいマーカーが小さいマーカーを隠さないよう、小さいものほど上に表示
+function getConstructionMarkerZIndexOffset(project) {
+    return -getConstructionMarkerSize(project) * 10;
+}
+
+// 建築計画マーカーのアイコン
+function createConstructionMarkerIcon(project) {
+    const size = getConstructionMarkerSize(project);
+    const half = size / 2;
+    
+    return L.divIcon({
+        className: 'construction-marker',
+        html: `<div class="construction-marker-inner" style="width: ${size}px; height: ${size}px; background-color: ${getConstructionMarkerColor(project)};"></div>`,
+        iconSize: [size, size],
+        iconAnchor: [half, half],
+        popupAnchor: [0, -half]
+    });
+}
+
+// マーカーの表示方法を変更（作成済みのマーカーはアイコンだけ差し替え）
+function setConstructionMarkerStyle(colorBy, sizeBy) {
+    constructionState.markerColorBy = colorBy;
+    constructionState.markerSizeBy = sizeBy;
+    resetMarkerHighlight();
+    updateConstructionMarkerLegend();
+    renderProjectTimeline();
+}
+
+// 地図の凡例の下に建築計画マーカーの凡例を表示（マーカー表示中のみ）
+function updateConstructionMarkerLegend() {
+    const container = document.getElementById('marker-legend');
+    const content = document.getElementById('marker-legend-content');
+    if (!container || !content) return;
+    
+    const markers = constructionState.markers;
+    const showColors = isConstructionAsOfActive() || constructionState.markerColorBy === 'usage';
+    const showSizes = constructionState.markerSizeBy === 'area';
+    content.innerHTML = '';
+    
+    if (markers.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = '';
+    
+    const appendItem = (color, size, label) => {
+        const item = document.createElement('div');
+        item.className = 'legend-item';
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'marker-legend-swatch';
+        const circle = document.createElement('span');
+        circle.className = 'marker-legend-circle';
+        circle.style.width = `${size}px`;
+        circle.style.height = `${size}px`;
+        circle.style.backgroundColor = color;
+        swatch.appendChild(circle);
+        
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'legend-label';
+        labelSpan.textContent = label;
+        
+        item.appendChild(swatch);
+        item.appendChild(labelSpan);
+        content.appendChild(item);
+    };
+    
+    const appendCaption = (text) => {
+        const caption = document.createElement('div');
+        caption.className = 'legend-caption';
+        caption.textContent = text;
+        content.appendChild(caption);
+    };
+    
+    // 用途区分・工事状況（表示中の件数つき）
+    if (showColors) {
+        const counts = {};
+        markers.forEach(marker => {
+            const key = getConstructionColorCategoryKey(marker.project);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        
+        appendCaption(isConstructionAsOfActive() ? `工事状況（${constructionAsOfState.date}時点）` : '用途');
+        Object.entries(getConstructionColorCategories()).forEach(([key, category]) => {
+            appendItem(category.color, CONFIG.CONSTRUCTION_MARKER.DEFAULT_SIZE, `${category.label}（${(counts[key] || 0).toLocaleString()}件）`);
+        });
+    }
+    
+    // 延床面積
+    if (showSizes) {
+        const color = showColors ? '#adb5bd' : CONFIG.CONSTRUCTION_MARKER.DEFAULT_COLOR;
+        appendCaption('延床面積');
+        CONFIG.CONSTRUCTION_MARKER.AREA_SIZES.forEach(s => appendItem(color, s.size, s.label));
+    }
+    
+    if (!showColors && !showSizes) {
+        appendItem(CONFIG.CONSTRUCTION_MARKER.DEFAULT_COLOR, CONFIG.CONSTRUCTION_MARKER.DEFAULT_SIZE, `建築計画（${markers.length.toLocaleString()}件）`);
+    }
+}
+
+// クラスター表示の切替（表示中のマーカーを作り直す）
+function setConstructionClustering(enabled) {
+    clearConstructionMarkers();
+    constructionState.useClustering = enabled;
+    toggleConstructionDisplay();
+}
+
+// 建築計画表示を切り替え
+function toggleConstructionDisplay() {
+    const checkbox = document.getElementById('show-construction-checkbox');
+    const completionMonthFrom = document.getElementById('completion-month-from');
+    const completionMonthTo = document.getElementById('completion-month-to');
+    const startMonthFrom = document.getElementById('start-month-from');
+    const startMonthTo = document.getElementById('start-month-to');
+    
+    console.log('建築計画表示切り替え:');
+    console.log(`  - チェックボックス: ${checkbox.checked}`);
+    console.log(`  - 選択された完成年月（開始）: ${completionMonthFrom.value}`);
+    console.log(`  - 選択された完成年月（終了）: ${completionMonthTo.value}`);
+    console.log(`  - 選択された着工年月（開始）: ${startMonthFrom.value}`);
+    console.log(`  - 選択された着工年月（終了）: ${startMonthTo.value}`);
+    
+    if (checkbox.checked && (isConstructionAsOfActive() || completionMonthFrom.value || completionMonthTo.value || startMonthFrom.value || startMonthTo.value)) {
+        showConstructionMarkers(completionMonthFrom.value, completionMonthTo.value, startMonthFrom.value, startMonthTo.value);
+        constructionState.isVisible = true;
+    } else {
+        clearConstructionMarkers();
+        constructionState.isVisible = false;
+    }
+    
+    updateConstructionMarkerLegend();
+    updateConstructionAsOfCounts();
+    refreshProjectTable();
+}
+
+// 建築計画機能のイベントリスナー設定
+function setupConstructionEventListeners() {
+    const checkbox = document.getElementById('show-construction-checkbox');
+    const completionMonthFrom = document.getElementById('completion-month-from');
+    const completionMonthTo = document.getElementById('completion-month-to');
+    const startMonthFrom = document.getElementById('start-month-from');
+    const startMonthTo = document.getElementById('start-month-to');
+    
+    if (checkbox) {
+        checkbox.addEventListener('change', toggleConstructionDisplay);
+    }
+    
+    const clusterCheckbox = document.getElementById('construction-cluster-checkbox');
+    if (clusterCheckbox) {
+        clusterCheckbox.checked = constructionState.useClustering;
+        clusterCheckbox.addEventListener('change', (e) => {
+            setConstructionClustering(e.target.checked);
+        });
+    }
+    
+    // マーカーの色分け・大きさ
+    const colorSelect = document.getElementById('construction-marker-color-select');
+    const sizeSelect = document.getElementById('construction-marker-size-select');
+    if (colorSelect && sizeSelect) {
+        colorSelect.value = constructionState.markerColorBy;
+        sizeSelect.value = constructionState.markerSizeBy;
+        const onMarkerStyleChange = () => setConstructionMarkerStyle(colorSelect.value, sizeSelect.value);
+        colorSelect.addEventListener('change', onMarkerStyleChange);
+        sizeSelect.addEventListener('change', onMarkerStyleChange);
+    }
+    
+    // 年月・属性の絞り込み条件（数値入力は確定時に反映）
+    const filterInputs = [
+        completionMonthFrom,
+        completionMonthTo,
+        startMonthFrom,
+        startMonthTo,
+        ...document.querySelectorAll('input[name="construction-usage-filter"], input[name="construction-structure-filter"]'),
+        ...['construction-area-min', 'construction-area-max', 'construction-floors-min', 'construction-floors-max', 'construction-constructor-filter']
+            .map(id => document.getElementById(id))
+    ];
+    filterInputs.forEach(input => {
+        if (input) {
+            input.addEventListener('change', onConstructionFilterChange);
+        }
+    });
+    
+    const resetBtn = document.getElementById('construction-filter-reset-btn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', resetConstructionAttributeFilters);
+    }
+}
+
+// 属性の絞り込み条件の選択肢を作成（用途区分・工事種別）
+function initConstructionAttributeFilters() {
+    const renderCheckboxes = (containerId, name, items) => {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        container.innerHTML = '';
+        items.forEach(item => {
+            const label = document.createElement('label');
+            label.className = 'filter-checkbox';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = name;
+            input.value = item.value;
+            input.checked = true;
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(item.label));
+            container.appendChild(label);
+        });
+    };
+    
+    renderCheckboxes('construction-usage-filters', 'construction-usage-filter',
+        Object.entries(CONFIG.PROJECT_USAGE_CATEGORIES).map(([key, category]) => ({ value: key, label: category.label })));
+    renderCheckboxes('construction-structure-filters', 'construction-structure-filter',
+        CONFIG.PROJECT_STRUCTURE_TYPES.map(type => ({ value: type, label: type })));
+}
+
+// 属性の絞り込み条件をクリア
+function resetConstructionAttributeFilters() {
+    document.querySelectorAll('input[name="construction-usage-filter"], input[name="construction-structure-filter"]').forEach(input => {
+        input.checked = true;
+    });
+    ['construction-area-min', 'construction-area-max', 'construction-floors-min', 'construction-floors-max'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('construction-constructor-filter').value = '';
+    onConstructionFilterChange();
+}
+
+// 絞り込み条件に一致する件数を表示
+function updateConstructionFilterCount() {
+    const countEl = document.getElementById('construction-filter-count');
+    if (!countEl || !constructionState.data) return;
+    
+    const count = filterProjectsByAttributes(
+        filterProjectsByMonths(constructionState.data.projects, getConstructionMonthFilters()),
+        getConstructionAttributeFilters()
+    ).length;
+    countEl.textContent = `条件に一致: ${count.toLocaleString()}件 / 全${constructionState.data.projects.length.toLocaleString()}件`;
+}
+
+// 絞り込み条件（年月・属性・検索語）に合う建築計画（基準日モードでは年月の範囲を使わない）
+function getFilteredConstructionProjects() {
+    if (!constructionState.data || !constructionState.data.projects) return [];
+    
+    const monthFilters = isConstructionAsOfActive() ? {} : getConstructionMonthFilters();
+    return filterProjectsBySearch(filterProjectsByAttributes(
+        filterProjectsByMonths(constructionState.data.projects, monthFilters),
+        getConstructionAttributeFilters()
+    ));
+}
+
+// 絞り込み条件の変更（マーカー・集計指標・表示中のエリア分析を更新）
+function onConstructionFilterChange() {
+    const checkbox = document.getElementById('show-construction-checkbox');
+    if (checkbox && checkbox.checked) {
+        toggleConstructionDisplay();
+    }
+    updateConstructionFilterCount();
+    
+    // 建築計画の集計指標も同じ条件で集計し直す
+    refreshProjectIndicators();
+    refreshAreaAnalysis();
+}
+
+// ============================================================================
+// 任意ポイント登録機能
+// ============================================================================
+
+const customPointsState = {
+    points: [], // 登録済みポイント配列 { id, name, address, category, salesPerson, craftsman, lat, lng, marker, isVisible }
+    nextId: 1,
+    isVisible: true,
+    editingId: null, // 編集中ID
+    clickModeActive: false, // 地図クリック追加モードが有効かどうか
+    tempMarker: null // 一時的なマーカー（クリック位置を示す）
+};
+
+/**
+ * 住所から座標を取得（国土地理院ジオコーディング）
+ */
+async function geocodeAddress(address) {
+    try {
+        // 国土地理院ジオコーディングAPI
+        const url = `https://msearch.gsi.go.jp/address-search/AddressSearch?q=${encodeURIComponent(address)}`;
+        const response = await fetch(url);
+        
+        if (!response.ok) {
+            throw new Error('ジオコーディングAPIエラー');
+        }
+        
+        const data = await response.json();
+        
+        if (!data || data.length === 0) {
+            throw new Error('住所が見つかりませんでした');
+        }
+        
+        // 最初の結果を使用
+        const result = data[0];
+        const lat = parseFloat(result.geometry.coordinates[1]);
+        const lng = parseFloat(result.geometry.coordinates[0]);
+        
+        return { lat, lng, fullAddress: result.properties.title };
+    } catch (error) {
+        console.error('ジオコーディングエラー:', error);
+        throw error;
+    }
+}
+
+/**
+ * 座標から住所を取得（逆ジオコーディング）
+ */
+async function reverseGeocode(lat, lng) {
+    try {
+        // 国土地理院の逆ジオコーディングAPIは公式にはないため、
+        // 近似的な住所を生成（緯度経度を表示）
+        // より正確な住所が必要な場合は、別のサービス（Google Maps APIなど）の利用を検討
+        return `緯度: ${lat.toFixed(6)}, 経度: ${lng.toFixed(6)}`;
+    } catch (error) {
+        console.error('逆ジオコーディングエラー:', error);
+        return `緯度: ${lat.toFixed(6)}, 経度: ${lng.toFixed(6)}`;
+    }
+}
+
+/**
+ * 任意ポイントマーカーを作成
+ */
+function createCustomPointMarker(point) {
+    const marker = L.marker([point.lat, point.lng], {
+        icon: L.divIcon({
+            className: 'custom-point-marker',
+            html: '<div class="custom-point-marker-inner"></div>',
+            iconSize: [14, 14],
+            iconAnchor: [7, 7]
+        })
+    });
+    
+    // ポップアップ内容
+    const title = point.name || '登録ポイント';
+    let popupContent = `
+        <div class="custom-point-popup">
+            <h3>${title}</h3>
+    `;
+    
+    if (point.category) {
+        popupContent += `<div class="popup-detail"><span class="popup-category">${point.category}</span></div>`;
+    }
+    
+    popupContent += `<div class="popup-detail"><span class="popup-label">住所:</span><br><span class="popup-value">${point.address}</span></div>`;
+    
+    if (point.salesPerson) {
+        popupContent += `<div class="popup-detail"><span class="popup-label">営業担当者:</span> <span class="popup-value">${point.salesPerson}</span></div>`;
+    }
+    
+    if (point.craftsman) {
+        popupContent += `<div class="popup-detail"><span class="popup-label">担当職人:</span> <span class="popup-value">${point.craftsman}</span></div>`;
+    }
+    
+    popupContent += `</div>`;
+    
+    marker.bindPopup(popupContent);
+    
+    return marker;
+}
+
+/**
+ * 任意ポイントを地図に追加
+ */
+function addCustomPointToMap(point) {
+    // 個別の表示設定も確認
+    if (point.isVisible === false) return;
+    
+    const marker = createCustomPointMarker(point);
+    marker.addTo(state.map);
+    point.marker = marker;
+}
+
+/**
+ * 任意ポイントを地図から削除
+ */
+function removeCustomPointFromMap(point) {
+    if (point.marker) {
+        state.map.removeLayer(point.marker);
+        point.marker = null;
+    }
+}
+
+/**
+ * すべての任意ポイントマーカーを表示/非表示
+ */
+function toggleCustomPointsVisibility() {
+    customPointsState.points.forEach(point => {
+        if (customPointsState.isVisible) {
+            if (!point.marker && point.isVisible !== false) {
+                addCustomPointToMap(point);
+            }
+        } else {
+            removeCustomPointFromMap(point);
+        }
+    });
+}
+
+/**
+ * 個別ポイントの表示/非表示を切り替え
+ */
+function togglePointVisibility(id) {
+    const point = customPointsState.points.find(p => p.id === id);
+    if (!point) return;
+    
+    point.isVisible = !point.isVisible;
+    
+    if (point.isVisible && customPointsState.isVisible) {
+        // 表示ONで全体も表示中の場合、マーカーを追加
+        if (!point.marker) {
+            addCustomPointToMap(point);
+        }
+    } else {
+        // 表示OFFの場合、マーカーを削除
+        removeCustomPointFromMap(point);
+    }
+    
+    // LocalStorageに保存
+    saveCustomPointsToStorage();
+    
+    // UI更新
+    updateCustomPointsList();
+}
+
+/**
+ * 任意ポイントを追加
+ */
+async function addCustomPoint(address) {
+    try {
+        console.log('ジオコーディング開始:', address);
+        
+        // 住所から座標を取得
+        const { lat, lng, fullAddress } = await geocodeAddress(address);
+        
+        console.log('座標取得成功:', lat, lng);
+        
+        // ポイントオブジェクト作成
+        const point = {
+            id: customPointsState.nextId++,
+            name: '',
+            address: fullAddress || address,
+            category: '',
+            salesPerson: '',
+            craftsman: '',
+            lat,
+            lng,
+            marker: null,
+            isVisible: true
+        };
+        
+        // 配列に追加
+        customPointsState.points.push(point);
+        
+        // 地図に表示
+        if (customPointsState.isVisible) {
+            addCustomPointToMap(point);
+        }
+        
+        // LocalStorageに保存
+        saveCustomPointsToStorage();
+        
+        // UI更新
+        updateCustomPointsList();
+        
+        // 地図をポイントに移動
+        state.map.setView([lat, lng], 15);
+        
+        // 属性編集モーダルを開く
+        openEditModal(point.id);
+        
+        return point;
+    } catch (error) {
+        console.error('ポイント追加エラー:', error);
+        alert(`ポイントの追加に失敗しました:\n${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * 任意ポイントを削除
+ */
+function deleteCustomPoint(id) {
+    const index = customPointsState.points.findIndex(p => p.id === id);
+    if (index === -1) return;
+    
+    const point = customPointsState.points[index];
+    
+    // 地図から削除
+    removeCustomPointFromMap(point);
+    
+    // 配列から削除
+    customPointsState.points.splice(index, 1);
+    
+    // LocalStorageに保存
+    saveCustomPointsToStorage();
+    
+    // UI更新
+    updateCustomPointsList();
+}
+
+/**
+ * 地図クリック追加モードを切り替え
+ */
+function toggleClickMode() {
+    customPointsState.clickModeActive = !customPointsState.clickModeActive;
+    
+    const button = document.getElementById('add-point-by-click-btn');
+    if (!button) return;
+    
+    if (customPointsState.clickModeActive) {
+        button.textContent = 'クリックモード終了';
+        button.classList.add('active');
+        state.map.getContainer().style.cursor = 'crosshair';
+        alert('地図上の任意の位置をクリックしてポイントを追加してください');
+    } else {
+        button.textContent = '地図クリックで追加';
+        button.classList.remove('active');
+        state.map.getContainer().style.cursor = '';
+        
+        // 一時マーカーを削除
+        if (customPointsState.tempMarker) {
+            state.map.removeLayer(customPointsState.tempMarker);
+            customPointsState.tempMarker = null;
+        }
+    }
+}
+
+/**
+ * 地図クリック時にポイントを追加
+ */
+async function handleMapClickForPoint(e) {
+    if (!customPointsState.clickModeActive) return;
+    
+    const lat = e.latlng.lat;
+    const lng = e.latlng.lng;
+    
+    try {
+        // 一時マーカーがあれば削除
+        if (customPointsState.tempMarker) {
+            state.map.removeLayer(customPointsState.tempMarker);
+        }
+        
+        // 逆ジオコーディングで住所を取得
+        const address = await reverseGeocode(lat, lng);
+        
+        // 新しいポイントを作成
+        const point = {
+            id: customPointsState.nextId++,
+            name: '',
+            address: address,
+            category: '',
+            salesPerson: '',
+            craftsman: '',
+            lat: lat,
+            lng: lng,
+            marker: null,
+            isVisible: true
+        };
+        
+        customPointsState.points.push(point);
+        
+        // 地図に表示
+        if (customPointsState.isVisible) {
+            addCustomPointToMap(point);
+        }
+        
+        // LocalStorageに保存
+        saveCustomPointsToStorage();
+        
+        // UI更新
+        updateCustomPointsList();
+        
+        // クリックモードを終了
+        toggleClickMode();
+        
+        // 属性編集モーダルを開く
+        openEditModal(point.id);
+        
+    } catch (error) {
+        console.error('地図クリックポイント追加エラー:', error);
+        alert(`ポイントの追加に失敗しました:\n${error.message}`);
+    }
+}
+
+/**
+ * 地図クリックイベントリスナーを設定
+ */
+function setupMapClickListener() {
+    if (state.map) {
+        state.map.on('click', handleMapClickForPoint);
+    }
+}
+
+/**
+ * ポイントに地図を移動
+ */
+function locateCustomPoint(id) {
+    const point = customPointsState.points.find(p => p.id === id);
+    if (!point) return;
+    
+    state.map.setView([point.lat, point.lng], 15);
+    
+    // マーカーが表示されていればポップアップを開く
+    if (point.marker) {
+        point.marker.openPopup();
+    }
+}
+
+/**
+ * LocalStorageに保存
+ */
+function saveCustomPointsToStorage() {
+    try {
+        const data = customPointsState.points.map(p => ({
+            id: p.id,
+            name: p.name,
+            address: p.address,
+            category: p.category,
+            salesPerson: p.salesPerson,
+            craftsman: p.craftsman,
+            lat: p.lat,
+            lng: p.lng
+        }));
+        
+        localStorage.setItem('customPoints', JSON.stringify(data));
+        localStorage.setItem('customPointsNextId', customPointsState.nextId.toString());
+    } catch (error) {
+        console.error('LocalStorage保存エラー:', error);
+    }
+}
+
+/**
+ * LocalStorageから読み込み
+ */
+function loadCustomPointsFromStorage() {
+    try {
+        const data = localStorage.getItem('customPoints');
+        const nextId = localStorage.getItem('customPointsNextId');
+        
+        if (data) {
+            const points = JSON.parse(data);
+            customPointsState.points = points.map(p => ({ ...p, marker: null }));
+            
+            // 地図に表示
+            if (customPointsState.isVisible) {
+                customPointsState.points.forEach(point => {
+                    addCustomPointToMap(point);
+                });
+            }
+        }
+        
+        if (nextId) {
+            customPointsState.nextId = parseInt(nextId, 10);
+        }
+        
+        // UI更新
+        updateCustomPointsList();
+    } catch (error) {
+        console.error('LocalStorage読み込みエラー:', error);
+    }
+}
+
+/**
+ * ポイント一覧UIを更新
+ */
+function updateCustomPointsList() {
+    const countElement = document.getElementById('custom-points-count');
+    const itemsElement = document.getElementById('custom-points-items');
+    
+    if (!countElement || !itemsElement) return;
+    
+    // 件数更新
+    countElement.textContent = customPointsState.points.length;
+    
+    // リストクリア
+    itemsElement.innerHTML = '';
+    
+    // ポイントがない場合
+    if (customPointsState.points.length === 0) {
+        itemsElement.innerHTML = '<p style="color: #999; font-size: 14px; padding: 10px;">登録されたポイントはありません</p>';
+        return;
+    }
+    
+    // 各ポイントのアイテムを作成
+    customPointsState.points.forEach(point => {
+        const item = document.createElement('div');
+        item.className = 'custom-point-item';
+        
+        const addressDiv = document.createElement('div');
+        addressDiv.className = 'custom-point-item-address';
+        
+        let displayText = point.name || point.address;
+        if (point.name && point.category) {
+            displayText = `${point.name} [${point.category}]`;
+        } else if (point.category) {
+            displayText = `${point.address} [${point.category}]`;
+        }
+        
+        addressDiv.textContent = displayText;
+        
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'custom-point-item-actions';
+        
+        // 編集ボタン
+        const editBtn = document.createElement('button');
+        editBtn.className = 'custom-point-item-btn custom-point-edit-btn';
+        editBtn.textContent = '編集';
+        editBtn.onclick = () => openEditModal(point.id);
+        
+        // 表示/非表示ボタン
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'custom-point-item-btn custom-point-locate-btn';
+        const isVisible = point.isVisible !== false;
+        toggleBtn.textContent = isVisible ? '非表示' : '表示';
+        toggleBtn.onclick = () => togglePointVisibility(point.id);
+        
+        // ズームボタン
+        const zoomBtn = document.createElement('button');
+        zoomBtn.className = 'custom-point-item-btn custom-point-edit-btn';
+        zoomBtn.textContent = 'ズーム';
+        zoomBtn.onclick = () => locateCustomPoint(point.id);
+        
+        // 削除ボタン
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'custom-point-item-btn custom-point-delete-btn';
+        deleteBtn.textContent = '削除';
+        deleteBtn.onclick = () => {
+            if (confirm(`このポイントを削除しますか?\n${point.name || point.address}`)) {
+                deleteCustomPoint(point.id);
+            }
+        };
+        
+        actionsDiv.appendChild(editBtn);
+        actionsDiv.appendChild(toggleBtn);
+        actionsDiv.appendChild(zoomBtn);
+        actionsDiv.appendChild(deleteBtn);
+        
+        item.appendChild(addressDiv);
+        item.appendChild(actionsDiv);
+        
+        itemsElement.appendChild(item);
+    });
+}
+
+/**
+ * ポイント属性編集モーダルを開く
+ */
+function openEditModal(pointId) {
+    const point = customPointsState.points.find(p => p.id === pointId);
+    if (!point) return;
+    
+    customPointsState.editingId = pointId;
+    
+    // フォームに現在の値を設定
+    document.getElementById('edit-point-name').value = point.name || '';
+    document.getElementById('edit-point-address').value = point.address || '';
+    document.getElementById('edit-point-category').value = point.category || '';
+    document.getElementById('edit-sales-person').value = point.salesPerson || '';
+    document.getElementById('edit-craftsman').value = point.craftsman || '';
+    
+    // モーダル表示
+    const modal = document.getElementById('point-edit-modal');
+    if (modal) {
+        modal.classList.add('show');
+    }
+}
+
+/**
+ * ポイント属性編集モーダルを閉じる
+ */
+function closeEditModal() {
+    const modal = document.getElementById('point-edit-modal');
+    if (modal) {
+        modal.classList.remove('show');
+    }
+    customPointsState.editingId = null;
+}
+
+/**
+ * ポイント属性を保存
+ */
+async function savePointAttributes() {
+    const pointId = customPointsState.editingId;
+    if (!pointId) return;
+    
+    const point = customPointsState.points.find(p => p.id === pointId);
+    if (!point) return;
+    
+    // フォームから値を取得
+    const name = document.getElementById('edit-point-name').value.trim();
+    const newAddress = document.getElementById('edit-point-address').value.trim();
+    const category = document.getElementById('edit-point-category').value;
+    const salesPerson = document.getElementById('edit-sales-person').value.trim();
+    const craftsman = document.getElementById('edit-craftsman').value.trim();
+    
+    // 必須項目チェック
+    if (!name) {
+        alert('ポイント名を入力してください');
+        return;
+    }
+    
+    if (!newAddress) {
+        alert('住所を入力してください');
+        return;
+    }
+    
+    // 住所が変更されている場合は再ジオコーディング
+    if (newAddress !== point.address) {
+        try {
+            const result = await geocodeAddress(newAddress);
+            point.lat = result.lat;
+            point.lng = result.lng;
+            point.address = result.fullAddress || newAddress;
+        } catch (error) {
+            alert(`住所のジオコーディングに失敗しました:\n${error.message}\n元の位置を保持します。`);
+            // エラーの場合は元の座標を保持して、住所だけ更新
+            point.address = newAddress;
+        }
+    }
+    
+    // 属性更新
+    point.name = name;
+    point.category = category;
+    point.salesPerson = salesPerson;
+    point.craftsman = craftsman;
+    
+    // マーカーを再作成
+    if (point.marker) {
+        removeCustomPointFromMap(point);
+        addCustomPointToMap(point);
+        
+        // 新しい位置に地図を移動
+        state.map.setView([point.lat, point.lng], state.map.getZoom());
+    }
+    
+    // LocalStorageに保存
+    saveCustomPointsToStorage();
+    
+    // UI更新
+    updateCustomPointsList();
+    
+    // モーダルを閉じる
+    closeEditModal();
+    
+    alert('ポイント属性を保存しました');
+}
+
+/**
+ * モーダルイベントリスナー設定
+ */
+function setupModalEventListeners() {
+    const modal = document.getElementById('point-edit-modal');
+    const closeBtn = document.getElementById('modal-close-btn');
+    const cancelBtn = document.getElementById('modal-cancel-btn');
+    const saveBtn = document.getElementById('modal-save-btn');
+    
+    if (!modal || !closeBtn || !cancelBtn || !saveBtn) return;
+    
+    // 閉じるボタン
+    closeBtn.addEventListener('click', closeEditModal);
+    cancelBtn.addEventListener('click', closeEditModal);
+    
+    // 保存ボタン
+    saveBtn.addEventListener('click', savePointAttributes);
+    
+    // 背景クリックで閉じる
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeEditModal();
+        }
+    });
+    
+    // ESCキーで閉じる
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.classList.contains('show')) {
+            closeEditModal();
+        }
+    });
+}
+
+// ============================================================================
+// CSV エクスポート・インポート機能
+// ============================================================================
+
+/**
+ * ポイントデータをCSV形式でエクスポート
+ */
+function exportPointsToCSV() {
+    if (customPointsState.points.length === 0) {
+        alert('エクスポートするポイントがありません');
+        return;
+    }
+    
+    try {
+        // CSVヘッダー
+        const headers = ['ID', 'ポイント名', '住所', 'カテゴリ', '営業担当者名', '担当職人名', '緯度', '経度'];
+        
+        // CSVデータ行を作成
+        const rows = customPointsState.points.map(point => [
+            point.id,
+            point.name || '',
+            point.address || '',
+            point.category || '',
+            point.salesPerson || '',
+            point.craftsman || '',
+            point.lat,
+            point.lng
+        ]);
+        
+        // ダウンロード実行（ファイル名は日時付き）
+        downloadCSV(`登録ポイント_${buildFileTimestamp()}.csv`, headers, rows);
+        
+        alert(`${customPointsState.points.length}件のポイントをエクスポートしました`);
+    } catch (error) {
+        console.error('CSVエクスポートエラー:', error);
+        alert(`エクスポートに失敗しました:\n${error.message}`);
+    }
+}
+
+/**
+ * CSV形式のテキストをパースしてポイント配列に変換
+ */
+function parseCSV(csvText) {
+    const lines = csvText.split('\n').filter(line => line.trim());
+    if (lines.length < 2) {
+        throw new Error('CSVデータが空です');
+    }
+    
+    // ヘッダー行をスキップ
+    const dataLines = lines.slice(1);
+    
+    const points = [];
+    let lineNumber = 2; // ヘッダーが1行目なのでデータは2行目から
+    
+    for (const line of dataLines) {
+        try {
+            // 簡易CSVパーサー（ダブルクォート対応）
+            const values = [];
+            let currentValue = '';
+            let insideQuotes = false;
+            
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                const nextChar = line[i + 1];
+                
+                if (char === '"') {
+                    if (insideQuotes && nextChar === '"') {
+                        // エスケープされたダブルクォート
+                        currentValue += '"';
+                        i++; // 次の文字をスキップ
+                    } else {
+                        // クォートの開始/終了
+                        insideQuotes = !insideQuotes;
+                    }
+                } else if (char === ',' && !insideQuotes) {
+                    // フィールド区切り
+                    values.push(currentValue.trim());
+                    currentValue = '';
+                } else {
+                    currentValue += char;
+                }
+            }
+            values.push(currentValue.trim()); // 最後のフィールド
+            
+            if (values.length < 8) {
+                console.warn(`${lineNumber}行目: フィールド数が不足しています（スキップ）`);
+                lineNumber++;
+                continue;
+            }
+            
+            const [id, name, address, category, salesPerson, craftsman, lat, lng] = values;
+            
+            // 必須項目チェック
+            if (!address) {
+                console.warn(`${lineNumber}行目: 住所が空です（スキップ）`);
+                lineNumber++;
+                continue;
+            }
+            
+            const latNum = parseFloat(lat);
+            const lngNum = parseFloat(lng);
+            
+            if (isNaN(latNum) || isNaN(lngNum)) {
+                console.warn(`${lineNumber}行目: 座標が不正です（スキップ）`);
+                lineNumber++;
+                continue;
+            }
+            
+            points.push({
+                id: parseInt(id, 10) || customPointsState.nextId++,
+                name: name || '',
+                address: address || '',
+                category: category || '',
+                salesPerson: salesPerson || '',
+                craftsman: craftsman || '',
+                lat: latNum,
+                lng: lngNum,
+                marker: null
+            });
+            
+            lineNumber++;
+        } catch (error) {
+            console.error(`${lineNumber}行目のパースエラー:`, error);
+            lineNumber++;
+        }
+    }
+    
+    return points;
+}
+
+/**
+ * CSVファイルからポイントデータをインポート
+ */
+function importPointsFromCSV(file) {
+    if (!file) {
+        alert('ファイルが選択されていません');
+        return;
+    }
+    
+    if (!file.name.endsWith('.csv')) {
+        alert('CSVファイルを選択してください');
+        return;
+    }
+    
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+        try {
+            const csvText = e.target.result;
+            const importedPoints = parseCSV(csvText);
+            
+            if (importedPoints.length === 0) {
+                alert('インポート可能なデータがありませんでした');
+                return;
+            }
+            
+            // 確認ダイアログ
+            const message = customPointsState.points.length > 0
+                ? `${importedPoints.length}件のポイントをインポートします。\n既存の${customPointsState.points.length}件のポイントは削除されます。\n\n続行しますか？`
+                : `${importedPoints.length}件のポイントをインポートします。\n\n続行しますか？`;
+            
+            if (!confirm(message)) {
+                return;
+            }
+            
+            // 既存のマーカーをすべて削除
+            customPointsState.points.forEach(point => {
+                removeCustomPointFromMap(point);
+            });
+            
+            // ポイントを置き換え
+            customPointsState.points = importedPoints;
+            
+            // nextIdを更新
+            const maxId = Math.max(...importedPoints.map(p => p.id), 0);
+            customPointsState.nextId = maxId + 1;
+            
+            // 地図に表示
+            if (customPointsState.isVisible) {
+                customPointsState.points.forEach(point => {
+                    addCustomPointToMap(point);
+                });
+            }
+            
+            // LocalStorageに保存
+            saveCustomPointsToStorage();
+            
+            // UI更新
+            updateCustomPointsList();
+            
+            alert(`${importedPoints.length}件のポイントをインポートしました`);
+            
+            // 最初のポイントに地図を移動
+            if (importedPoints.length > 0) {
+                const firstPoint = importedPoints[0];
+                state.map.setView([firstPoint.lat, firstPoint.lng], 12);
+            }
+            
+        } catch (error) {
+            console.error('CSVインポートエラー:', error);
+            alert(`インポートに失敗しました:\n${error.message}`);
+        }
+    };
+    
+    reader.onerror = () => {
+        alert('ファイルの読み込みに失敗しました');
+    };
+    
+    reader.readAsText(file, 'UTF-8');
+}
+
+/**
+ * CSV機能のイベントリスナー設定
+ */
+function setupCSVEventListeners() {
+    const exportBtn = document.getElementById('export-csv-btn');
+    const importBtn = document.getElementById('import-csv-btn');
+    const fileInput = document.getElementById('csv-file-input');
+    
+    if (!exportBtn || !importBtn || !fileInput) {
+        console.warn('CSV機能の要素が見つかりません');
+        return;
+    }
+    
+    // エクスポートボタン
+    exportBtn.addEventListener('click', exportPointsToCSV);
+    
+    // インポートボタン（ファイル選択ダイアログを開く）
+    importBtn.addEventListener('click', () => {
+        fileInput.click();
+    });
+    
+    // ファイル選択時
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importPointsFromCSV(file);
+        }
+        // 同じファイルを再度選択できるようにリセット
+        fileInput.value = '';
+    });
+}
+
+/**
+ * 任意ポイント機能のイベントリスナー設定
+ */
+function setupCustomPointsEventListeners() {
+    const addressInput = document.getElementById('custom-point-address');
+    const addButton = document.getElementById('add-custom-point-btn');
+    const addByClickButton = document.getElementById('add-point-by-click-btn');
+    const showCheckbox = document.getElementById('show-custom-points-checkbox');
+    
+    if (!addressInput || !addButton || !showCheckbox) {
+        console.warn('任意ポイント登録要素が見つかりません');
+        return;
+    }
+    
+    // 住所から追加ボタン
+    addButton.addEventListener('click', async () => {
+        const address = addressInput.value.trim();
+        
+        if (!address) {
+            alert('住所を入力してください');
+            return;
+        }
+        
+        try {
+            await addCustomPoint(address);
+            addressInput.value = ''; // 成功したらクリア
+        } catch (error) {
+            // エラーは addCustomPoint 内で処理済み
+        }
+    });
+    
+    // 地図クリックで追加ボタン
+    if (addByClickButton) {
+        addByClickButton.addEventListener('click', () => {
+            toggleClickMode();
+        });
+    }
+    
+    // Enterキーで追加
+    addressInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            addButton.click();
+        }
+    });
+    
+    // 表示切り替え
+    showCheckbox.addEventListener('change', () => {
+        customPointsState.isVisible = showCheckbox.checked;
+        toggleCustomPointsVisibility();
+    });
+}
+
+// ============================================================================
+// 折りたたみ機能
+// ============================================================================
+
+/**
+ * セクションの折りたたみ状態を管理
+ */
+const collapsibleState = {
+    stats: false,           // 統計データ
+    construction: false,    // 建築計画データ
+    customPoints: false,    // 任意ポイント登録
+    areaAnalysis: false,    // エリア分析
+    pointsList: false,      // 登録済みポイント一覧
+    polygonsList: false,    // 保存済みポリゴン一覧
+    joinDiagnostics: true,  // 結合診断（初期状態は折りたたみ）
+    compare: true           // 比較表示（初期状態は折りたたみ）
+};
+
+/**
+ * 折りたたみ状態をLocalStorageに保存
+ */
+function saveCollapsibleState() {
+    try {
+        localStorage.setItem('collapsibleState', JSON.stringify(collapsibleState));
+    } catch (error) {
+        console.error('折りたたみ状態の保存エラー:', error);
+    }
+}
+
+/**
+ * 折りたたみ状態をLocalStorageから読み込み
+ */
+function loadCollapsibleState() {
+    try {
+        const saved = localStorage.getItem('collapsibleState');
+        if (saved) {
+            const state = JSON.parse(saved);
+            Object.assign(collapsibleState, state);
+        }
+    } catch (error) {
+        console.error('折りたたみ状態の読み込みエラー:', error);
+    }
+}
+
+/**
+ * セクションを折りたたむ/展開する
+ */
+function toggleSection(sectionElement, sectionKey) {
+    if (!sectionElement) return;
+    
+    const isCollapsed = sectionElement.classList.contains('collapsed');
+    
+    if (isCollapsed) {
+        // 展開
+        sectionElement.classList.remove('collapsed');
+        collapsibleState[sectionKey] = false;
+    } else {
+        // 折りたたむ
+        sectionElement.classList.add('collapsed');
+        collapsibleState[sectionKey] = true;
+    }
+    
+    saveCollapsibleState();
+}
+
+/**
+ * 折りたたみ機能のイベントリスナー設定
+ */
+function setupCollapsibleListeners() {
+    // 各セクションのヘッダーにクリックイベントを設定
+    const sections = [
+        { selector: '[data-section="stats"]', key: 'stats' },
+        { selector: '[data-section="construction"]', key: 'construction' },
+        { selector: '[data-section="custom-points"]', key: 'customPoints' },
+        { selector: '[data-section="points-list"]', key: 'pointsList' },
+        { selector: '[data-section="area-analysis"]', key: 'areaAnalysis' },
+        { selector: '[data-section="polygons-list"]', key: 'polygonsList' },
+        { selector: '[data-section="join-diagnostics"]', key: 'joinDiagnostics' },
+        { selector: '[data-section="compare"]', key: 'compare' }
+    ];
+    
+    sections.forEach(({ selector, key }) => {
+        const section = document.querySelector(selector);
+        if (!section) return;
+        
+        const header = section.querySelector('.section-header');
+        if (!header) return;
+        
+        // 保存された状態を復元
+        if (collapsibleState[key]) {
+            section.classList.add('collapsed');
+        }
+        
+        // クリックイベント
+        header.addEventListener('click', (e) => {
+            // ボタン以外の場所をクリックした場合も動作
+            toggleSection(section, key);
+        });
+        
+        // ボタンのクリックイベント（伝播を止める必要はない）
+        const btn = header.querySelector('.collapse-btn');
+        if (btn) {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleSection(section, key);
+            });
+        }
+    });
+}
+
+// ============================================================================
+// サイドバー制御機能
+// ============================================================================
+
+/**
+ * サイドバーの状態管理
+ */
+const sidebarState = {
+    isOpen: true,
+    width: 320 // デフォルト幅（px）
+};
+
+/**
+ * サイドバーの状態をLocalStorageに保存
+ */
+function saveSidebarState() {
+    try {
+        localStorage.setItem('sidebarState', JSON.stringify(sidebarState));
+    } catch (error) {
+        console.error('サイドバー状態の保存エラー:', error);
+    }
+}
+
+/**
+ * サイドバーの状態をLocalStorageから読み込み
+ */
+function loadSidebarState() {
+    try {
+        const saved = localStorage.getItem('sidebarState');
+        if (saved) {
+            const state = JSON.parse(saved);
+            Object.assign(sidebarState, state);
+        }
+    } catch (error) {
+        console.error('サイドバー状態の読み込みエラー:', error);
+    }
+}
+
+/**
+ * サイドバーを開閉
+ */
+function toggleSidebar() {
+    const sidebar = document.getElementById('sidebar');
+    if (!sidebar) return;
+    
+    sidebarState.isOpen = !sidebarState.isOpen;
+    
+    if (sidebarState.isOpen) {
+        sidebar.classList.remove('collapsed');
+    } else {
+        sidebar.classList.add('collapsed');
+    }
+    
+    saveSidebarState();
+    
+    // 地図のサイズを更新
+    setTimeout(() => {
+        if (state.map) {
+            state.map.invalidateSize();
+        }
+    }, 300); // アニメーション完了後
+}
+
+/**
+ * サイドバーの幅を設定
+ */
+function setSidebarWidth(width) {
+    const sidebar = document.getElementById('sidebar');
+    if (!sidebar) return;
+    
+    // 幅の制限
+    const minWidth = 280;
+    const maxWidth = 500;
+    const constrainedWidth = Math.max(minWidth, Math.min(maxWidth, width));
+    
+    sidebar.style.width = `${constrainedWidth}px`;
+    sidebarState.width = constrainedWidth;
+    
+    saveSidebarState();
+    
+    // 地図のサイズを更新
+    if (state.map) {
+        state.map.invalidateSize();
+    }
+}
+
+/**
+ * サイドバーリサイザーの設定
+ */
+function setupSidebarResizer() {
+    const resizer = document.getElementById('sidebar-resizer');
+    const sidebar = document.getElementById('sidebar');
+    
+    if (!resizer || !sidebar) return;
+    
+    let isResizing = false;
+    let startX = 0;
+    let startWidth = 0;
+    
+    resizer.addEventListener('mousedown', (e) => {
+        isResizing = true;
+        startX = e.clientX;
+        startWidth = sidebar.offsetWidth;
+        
+        resizer.classList.add('resizing');
+        document.body.style.cursor = 'ew-resize';
+        document.body.style.userSelect = 'none';
+        
+        e.preventDefault();
+    });
+    
+    document.addEventListener('mousemove', (e) => {
+        if (!isResizing) return;
+        
+        const deltaX = e.clientX - startX;
+        const newWidth = startWidth + deltaX;
+        
+        setSidebarWidth(newWidth);
+    });
+    
+    document.addEventListener('mouseup', () => {
+        if (isResizing) {
+            isResizing = false;
+            resizer.classList.remove('resizing');
+            document.body.style.cursor = '';
+            document.body.style.userSelect = '';
+        }
+    });
+}
+
+// ============================================================================
+// エリア分析機能
+// ============================================================================
+
+/**
+ * ポリゴンレイヤーを最前面に移動するヘルパー関数
+ */
+function bringDrawnItemsToFront() {
+    if (areaAnalysisState.drawnItems) {
+        areaAnalysisState.drawnItems.bringToFront();
+    }
+}
+
+// エリア分析の状態管理
+const areaAnalysisState = {
+    drawnItems: null,          // Leaflet.draw レイヤーグループ
+    drawControl: null,         // 描画コントロール
+    currentPolygon: null,      // 現在描画中/編集中のポリゴン
+    projectsInPolygon: [],     // ポリゴン内のプロジェクト
+    savedPolygons: [],         // 保存済みポリゴン配列
+    nextId: 1,                 // 次のID
+    visiblePolygonIds: new Set(), // 表示中のポリゴンID
+    analyzedPolygon: null      // 集計を表示中のポリゴン（絞り込み条件の変更時に再集計）
+};
+
+/**
+ * 主要用途をカテゴリに分類
+ */
+function categorizeUsage(usage) {
+    if (!usage) return 'その他';
+    
+    const u = usage.toLowerCase();
+    
+    // 住宅系
+    if (u.includes('共同住宅') || u.includes('長屋') || u.includes('一戸建') || 
+        u.includes('寄宿舎') || u.includes('下宿') || u.includes('アパート') || 
+        u.includes('マンション')) {
+        return '住宅系';
+    }
+    
+    // 商業系
+    if (u.includes('店舗') || u.includes('ホテル') || u.includes('飲食') || 
+        u.includes('物販') || u.includes('百貨店') || u.includes('スーパー') ||
+        u.includes('旅館') || u.includes('料理店')) {
+        return '商業系';
+    }
+    
+    // 業務系
+    if (u.includes('事務所') || u.includes('銀行') || u.includes('オフィス')) {
+        return '業務系';
+    }
+    
+    // 工業系
+    if (u.includes('工場') || u.includes('倉庫') || u.includes('物流') || 
+        u.includes('作業所')) {
+        return '工業系';
+    }
+    
+    // 公共系
+    if (u.includes('学校') || u.includes('病院') || u.includes('診療所') || 
+        u.includes('福祉') || u.includes('保育') || u.includes('幼稚園') ||
+        u.includes('図書館') || u.includes('美術館') || u.includes('体育館') ||
+        u.includes('公民館') || u.includes('庁舎')) {
+        return '公共系';
+    }
+    
+    return 'その他';
+}
+
+/**
+ * 主要用途の区分キー（CONFIG.PROJECT_USAGE_CATEGORIES のキー）
+ */
+function getUsageCategoryKey(usage) {
+    const label = categorizeUsage(usage);
+    return Object.keys(CONFIG.PROJECT_USAGE_CATEGORIES)
+        .find(key => CONFIG.PROJECT_USAGE_CATEGORIES[key].label === label) || 'other';
+}
+
+/**
+ * Point-in-Polygon判定（Ray Casting Algorithm）
+ */
+function isPointInPolygon(lat, lng, polygon) {
+    const latlngs = polygon.getLatLngs()[0]; // 外側のリング
+    let inside = false;
+    
+    for (let i = 0, j = latlngs.length - 1; i < latlngs.length; j = i++) {
+        const xi = latlngs[i].lat, yi = latlngs[i].lng;
+        const xj = latlngs[j].lat, yj = latlngs[j].lng;
+        
+        const intersect = ((yi > lng) !== (yj > lng)) &&
+            (lat < (xj - xi) * (lng - yi) / (yj - yi) + xi);
+        
+        if (intersect) inside = !inside;
+    }
+    
+    return inside;
+}
+
+/**
+ * 延べ床面積を数値に変換（"1234.56 ㎡" → 1234.56）
+ */
+function parseFloorArea(areaStr) {
+    if (!areaStr) return 0;
+    const num = parseFloat(areaStr.toString().replace(/[^\d.]/g, ''));
+    return isNaN(num) ? 0 : num;
+}
+
+/**
+ * 保存済みポリゴンをLocalStorageに保存
+ */
+function savePolygonsToStorage() {
+    try {
+        const data = areaAnalysisState.savedPolygons.map(p => ({
+            id: p.id,
+            name: p.name,
+            latlngs: p.latlngs,
+            createdAt: p.createdAt
+        }));
+        
+        localStorage.setItem('savedPolygons', JSON.stringify(data));
+        localStorage.setItem('savedPolygonsNextId', areaAnalysisState.nextId.toString());
+        console.log(`✓ ポリゴンを保存しました (${data.length}件)`);
+    } catch (error) {
+        console.error('ポリゴン保存エラー:', error);
+    }
+}
+
+/**
+ * 保存済みポリゴンをLocalStorageから読み込み
+ */
+function loadPolygonsFromStorage() {
+    try {
+        const data = localStorage.getItem('savedPolygons');
+        const nextId = localStorage.getItem('savedPolygonsNextId');
+        
+        if (data) {
+            areaAnalysisState.savedPolygons = JSON.parse(data).map(p => ({ ...p, layer: null }));
+            
+            // 初期表示状態：全て表示
+            areaAnalysisState.savedPolygons.forEach(polygon => {
+                areaAnalysisState.visiblePolygonIds.add(polygon.id);
+                addPolygonToMap(polygon);
+            });
+            
+            console.log(`✓ 保存済みポリゴンを復元しました (${areaAnalysisState.savedPolygons.length}件)`);
+        }
+        
+        if (nextId) {
+            areaAnalysisState.nextId = parseInt(nextId, 10);
+        }
+        
+        // UI更新
+        updateSavedPolygonsList();
+    } catch (error) {
+        console.error('ポリゴン読み込みエラー:', error);
+    }
+}
+
+/**
+ * ポリゴンを地図に追加
+ */
+function addPolygonToMap(polygonData) {
+    if (!polygonData || !areaAnalysisState.drawnItems) return;
+    
+    // 既に追加済みの場合はスキップ
+    if (polygonData.layer) return;
+    
+    const latlngs = polygonData.latlngs.map(ll => [ll.lat, ll.lng]);
+    const polygon = L.polygon(latlngs, {
+        color: '#0078ff',
+        fillColor: '#0078ff',
+        fillOpacity: 0.2,
+        weight: 2
+    });
+    
+    // ポリゴンにデータを付与
+    polygon.polygonId = polygonData.id;
+    
+    // ポップアップを追加
+    polygon.bindPopup(`<b>${polygonData.name || 'ポリゴン #' + polygonData.id}</b><br>登録日: ${new Date(polygonData.createdAt).toLocaleString('ja-JP')}<br><small>クリックで集計表示</small>`);
+    
+    // クリックイベントを追加
+    polygon.on('click', function(e) {
+        // ポップアップを開く
+        polygon.openPopup();
+        
+        // 分析実行
+        const analysisData = analyzeProjectsInPolygon(polygon);
+        displayAnalysisResults(analysisData);
+        
+        // マーカー強調は行わない（保存済みポリゴンは常に通常表示）
+        resetMarkerHighlight();
+        
+        console.log(`✓ ポリゴン「${polygonData.name}」をクリック - 集計を表示しました`);
+        
+        // イベントの伝播を止める（地図のクリックイベントが発火しないように）
+        L.DomEvent.stopPropagation(e);
+    });
+    
+    // マウスオーバーで強調表示
+    polygon.on('mouseover', function(e) {
+        polygon.setStyle({
+            fillOpacity: 0.4,
+            weight: 3
+        });
+    });
+    
+    // マウスアウトで元に戻す
+    polygon.on('mouseout', function(e) {
+        polygon.setStyle({
+            fillOpacity: 0.2,
+            weight: 2
+        });
+    });
+    
+    areaAnalysisState.drawnItems.addLayer(polygon);
+    polygonData.layer = polygon;
+    
+    // 最前面に移動
+    bringDrawnItemsToFront();
+}
+
+/**
+ * ポリゴンを地図から削除
+ */
+function removePolygonFromMap(polygonData) {
+    if (!polygonData || !polygonData.layer) return;
+    
+    areaAnalysisState.drawnItems.removeLayer(polygonData.layer);
+    polygonData.layer = null;
+}
+
+/**
+ * 新しいポリゴンを保存
+ */
+function saveNewPolygon() {
+    if (!areaAnalysisState.currentPolygon) {
+        alert('保存するポリゴンがありません。まずポリゴンを描画してください。');
+        return;
+    }
+    
+    const nameInput = document.getElementById('polygon-name');
+    const name = nameInput.value.trim() || `エリア ${areaAnalysisState.nextId}`;
+    
+    const latlngs = areaAnalysisState.currentPolygon.getLatLngs()[0];
+    const polygonData = {
+        id: areaAnalysisState.nextId++,
+        name: name,
+        latlngs: latlngs.map(ll => ({ lat: ll.lat, lng: ll.lng })),
+        createdAt: new Date().toISOString(),
+        layer: null
+    };
+    
+    // 保存済みリストに追加
+    areaAnalysisState.savedPolygons.push(polygonData);
+    areaAnalysisState.visiblePolygonIds.add(polygonData.id);
+    
+    // 描画中のポリゴンを削除
+    areaAnalysisState.drawnItems.removeLayer(areaAnalysisState.currentPolygon);
+    areaAnalysisState.currentPolygon = null;
+    
+    // 地図に追加
+    addPolygonToMap(polygonData);
+    
+    // 保存
+    savePolygonsToStorage();
+    
+    // UI更新
+    updateSavedPolygonsList();
+    nameInput.value = '';
+    
+    // マーカーを元に戻す（保存後は通常表示）
+    resetMarkerHighlight();
+    
+    // ボタンを戻す
+    document.getElementById('save-polygon-btn').style.display = 'none';
+    document.getElementById('start-polygon-btn').style.display = 'inline-block';
+    
+    alert(`ポリゴン「${name}」を保存しました！`);
+}
+
+/**
+ * 保存済みポリゴンを削除
+ */
+function deleteSavedPolygon(id) {
+    const index = areaAnalysisState.savedPolygons.findIndex(p => p.id === id);
+    if (index === -1) return;
+    
+    const polygon = areaAnalysisState.savedPolygons[index];
+    
+    // 地図から削除
+    removePolygonFromMap(polygon);
+    
+    // 配列から削除
+    areaAnalysisState.savedPolygons.splice(index, 1);
+    areaAnalysisState.visiblePolygonIds.delete(id);
+    
+    // 保存
+    savePolygonsToStorage();
+    
+    // UI更新
+    updateSavedPolygonsList();
+}
+
+/**
+ * ポリゴンの表示/非表示を切り替え
+ */
+function togglePolygonVisibility(id) {
+    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
+    if (!polygon) return;
+    
+    if (areaAnalysisState.visiblePolygonIds.has(id)) {
+        // 非表示に
+        removePolygonFromMap(polygon);
+        areaAnalysisState.visiblePolygonIds.delete(id);
+    } else {
+        // 表示に
+        addPolygonToMap(polygon);
+        areaAnalysisState.visiblePolygonIds.add(id);
+    }
+    
+    // UI更新
+    updateSavedPolygonsList();
+}
+
+/**
+ * ポリゴンにズーム
+ */
+function zoomToPolygon(id) {
+    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
+    if (!polygon) return;
+    
+    // 表示されていない場合は表示
+    if (!areaAnalysisState.visiblePolygonIds.has(id)) {
+        addPolygonToMap(polygon);
+        areaAnalysisState.visiblePolygonIds.add(id);
+        updateSavedPolygonsList();
+    }
+    
+    if (polygon.layer) {
+        state.map.fitBounds(polygon.layer.getBounds());
+        polygon.layer.openPopup();
+        
+        // 分析実行
+        const analysisData = analyzeProjectsInPolygon(polygon.layer);
+        displayAnalysisResults(analysisData);
+    }
+}
+
+/**
+ * ポリゴン名編集モーダルを開く
+ */
+function openPolygonEditModal(id) {
+    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
+    if (!polygon) return;
+    
+    const modal = document.getElementById('polygon-edit-modal');
+    const nameInput = document.getElementById('edit-polygon-name');
+    
+    if (!modal || !nameInput) {
+        console.error('モーダル要素が見つかりません', { modal, nameInput });
+        return;
+    }
+    
+    // 現在の値を設定
+    nameInput.value = polygon.name;
+    nameInput.dataset.polygonId = id;
+    
+    // モーダルを表示
+    modal.style.display = 'block';
+    
+    // 少し遅延させてからフォーカス
+    setTimeout(() => {
+        nameInput.focus();
+        nameInput.select(); // テキストを選択状態にする
+        
+        // IMEを明示的に有効化（Chromeなど）
+        nameInput.style.imeMode = 'active';
+        nameInput.setAttribute('lang', 'ja');
+    }, 100);
+    
+    console.log('✓ ポリゴン編集モーダルを開きました', { id, name: polygon.name });
+}
+
+/**
+ * ポリゴン名編集モーダルを閉じる
+ */
+function closePolygonEditModal() {
+    const modal = document.getElementById('polygon-edit-modal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * ポリゴン名を保存
+ */
+function savePolygonName() {
+    const nameInput = document.getElementById('edit-polygon-name');
+    if (!nameInput) {
+        console.error('入力フィールドが見つかりません');
+        return;
+    }
+    
+    const id = parseInt(nameInput.dataset.polygonId, 10);
+    const newName = nameInput.value.trim();
+    
+    console.log('保存処理開始', { id, newName, rawValue: nameInput.value });
+    
+    if (!newName) {
+        alert('ポリゴン名を入力してください');
+        return;
+    }
+    
+    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
+    if (!polygon) {
+        console.error('ポリゴンが見つかりません', id);
+        return;
+    }
+    
+    // 名前を更新
+    polygon.name = newName;
+    
+    // レイヤーのポップアップも更新
+    if (polygon.layer) {
+        polygon.layer.setPopupContent(`<b>${polygon.name}</b><br>登録日: ${new Date(polygon.createdAt).toLocaleString('ja-JP')}`);
+    }
+    
+    // 保存
+    savePolygonsToStorage();
+    
+    // UI更新
+    updateSavedPolygonsList();
+    
+    // モーダルを閉じる
+    closePolygonEditModal();
+    
+    console.log('✓ ポリゴン名を保存しました', { id, newName });
+}
+
+/**
+ * ポリゴン名編集モーダルのイベントリスナー設定
+ */
+function setupPolygonEditModalListeners() {
+    const modal = document.getElementById('polygon-edit-modal');
+    const closeBtn = document.getElementById('polygon-modal-close-btn');
+    const cancelBtn = document.getElementById('polygon-modal-cancel-btn');
+    const saveBtn = document.getElementById('polygon-modal-save-btn');
+    const nameInput = document.getElementById('edit-polygon-name');
+    
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closePolygonEditModal);
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', closePolygonEditModal);
+    }
+    
+    if (saveBtn) {
+        saveBtn.addEventListener('click', savePolygonName);
+    }
+    
+    // モーダル外クリックで閉じる
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closePolygonEditModal();
+            }
+        });
+    }
+}
+
+/**
+ * ポリゴンにズーム
+ */
+function zoomToPolygonOld(id) {
+    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
+    if (!polygon) return;
+    
+    // 表示されていない場合は表示
+    if (!areaAnalysisState.visiblePolygonIds.has(id)) {
+        addPolygonToMap(polygon);
+        areaAnalysisState.visiblePolygonIds.add(id);
+        updateSavedPolygonsList();
+    }
+    
+    if (polygon.layer) {
+        state.map.fitBounds(polygon.layer.getBounds());
+        polygon.layer.openPopup();
+        
+        // 分析実行
+        const analysisData = analyzeProjectsInPolygon(polygon.layer);
+        displayAnalysisResults(analysisData);
+    }
+}
+
+/**
+ * 保存済みポリゴン一覧UIを更新
+ */
+function updateSavedPolygonsList() {
+    const countElement = document.getElementById('saved-polygons-count');
+    const itemsElement = document.getElementById('saved-polygons-items');
+    
+    if (!countElement || !itemsElement) return;
+    
+    // 件数更新
+    countElement.textContent = areaAnalysisState.savedPolygons.length;
+    
+    // リストクリア
+    itemsElement.innerHTML = '';
+    
+    // ポリゴンがない場合
+    if (areaAnalysisState.savedPolygons.length === 0) {
+        itemsElement.innerHTML = '<p style="color: #999; font-size: 14px; padding: 10px;">保存されたポリゴンはありません</p>';
+        return;
+    }
+    
+    // 各ポリゴンのアイテムを作成
+    areaAnalysisState.savedPolygons.forEach(polygon => {
+        const item = document.createElement('div');
+        item.className = 'custom-point-item'; // 同じスタイルを再利用
+        
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'custom-point-item-address';
+        nameDiv.textContent = polygon.name;
+        
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'custom-point-item-actions';
+        
+        // 編集ボタン
+        const editBtn = document.createElement('button');
+        editBtn.className = 'custom-point-item-btn custom-point-edit-btn';
+        editBtn.textContent = '編集';
+        editBtn.onclick = () => openPolygonEditModal(polygon.id);
+        
+        // 表示/非表示ボタン
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'custom-point-item-btn custom-point-locate-btn';
+        const isVisible = areaAnalysisState.visiblePolygonIds.has(polygon.id);
+        toggleBtn.textContent = isVisible ? '非表示' : '表示';
+        toggleBtn.onclick = () => togglePolygonVisibility(polygon.id);
+        
+        // ズームボタン
+        const zoomBtn = document.createElement('button');
+        zoomBtn.className = 'custom-point-item-btn custom-point-edit-btn';
+        zoomBtn.textContent = 'ズーム';
+        zoomBtn.onclick = () => zoomToPolygon(polygon.id);
+        
+        // 削除ボタン
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'custom-point-item-btn custom-point-delete-btn';
+        deleteBtn.textContent = '削除';
+        deleteBtn.onclick = () => {
+            if (confirm(`ポリゴン「${polygon.name}」を削除しますか？`)) {
+                deleteSavedPolygon(polygon.id);
+            }
+        };
+        
+        actionsDiv.appendChild(editBtn);
+        actionsDiv.appendChild(toggleBtn);
+        actionsDiv.appendChild(zoomBtn);
+        actionsDiv.appendChild(deleteBtn);
+        
+        item.appendChild(nameDiv);
+        item.appendChild(actionsDiv);
+        
+        itemsElement.appendChild(item);
+    });
+}
+
+/**
+ * ポリゴンをLocalStorageに保存（旧版、下位互換用に残す）
+ */
+function savePolygonToStorage() {
+    // 何もしない（新しいsavePolygonsToStorageを使用）
+}
+
+/**
+ * ポリゴンをLocalStorageから読み込み（旧版、下位互換用に残す）
+ */
+function loadPolygonFromStorage() {
+    // 何もしない（新しいloadPolygonsFromStorageを使用）
+}
+
+/**
+ * ポリゴン内のプロジェクトを分析
+ */
+function analyzeProjectsInPolygon(polygon) {
+    areaAnalysisState.analyzedPolygon = polygon;
+    
+    // 絞り込み条件（年月・属性・検索語）に合う建築計画を対象に集計
+    // （マーカーの有無で判断すると、条件に合うものが0件のときに全件で集計してしまうため）
+    const projects = getFilteredConstructionProjects();
+    const projectsInside = projects.filter(project =>
+        project.緯度 && project.経度 && isPointInPolygon(project.緯度, project.経度, polygon)
+    );
+    
+    console.log(`ポリゴン内分析: 条件に一致する${projects.length}件のうち${projectsInside.length}件がポリゴン内`);
+    
+    return analyzeProjects(projectsInside);
+}
+
+/**
+ * プロジェクトデータを集計
+ */
+function analyzeProjects(projectsInside) {
+    const totalCount = projectsInside.length;
+    
+    if (totalCount === 0) {
+        return {
+            count: 0,
+            totalArea: 0,
+            avgArea: 0,
+            usageBreakdown: {},
+            constructionTypeBreakdown: {}
+        };
+    }
+    
+    // 延べ床面積の集計
+    const areas = projectsInside.map(p => parseFloorArea(p.延床面積));
+    const totalArea = areas.reduce((sum, a) => sum + a, 0);
+    const avgArea = totalArea / totalCount;
+    
+    // 用途別集計（カテゴリ分類）
+    const usageBreakdown = {};
+    projectsInside.forEach(p => {
+        const category = categorizeUsage(p.主要用途);
+        usageBreakdown[category] = (usageBreakdown[category] || 0) + 1;
+    });
+    
+    // 工事種別集計
+    const constructionTypeBreakdown = {};
+    projectsInside.forEach(p => {
+        const type = p.工事種別 || 'その他';
+        constructionTypeBreakdown[type] = (constructionTypeBreakdown[type] || 0) + 1;
+    });
+    
+    return {
+        count: totalCount,
+        totalArea,
+        avgArea,
+        usageBreakdown,
+        constructionTypeBreakdown,
+        projects: projectsInside
+    };
+}
+
+/**
+ * 分析結果をUIに表示
+ */
+function displayAnalysisResults(analysisData) {
+    const resultsDiv = document.getElementById('analysis-results');
+    
+    if (!analysisData || analysisData.count === 0) {
+        // データがない場合でも表示は保持し、「-」を表示
+        document.getElementById('total-count').textContent = '-';
+        document.getElementById('total-area').textContent = '-';
+        document.getElementById('avg-area').textContent = '-';
+        document.getElementById('usage-breakdown').textContent = '-';
+        document.getElementById('construction-type-breakdown').textContent = '-';
+        areaAnalysisState.projectsInPolygon = [];
+        return;
+    }
+    
+    // 基本情報
+    document.getElementById('total-count').textContent = `${analysisData.count.toLocaleString()}件`;
+    document.getElementById('total-area').textContent = `${analysisData.totalArea.toLocaleString()}㎡`;
+    document.getElementById('avg-area').textContent = `${analysisData.avgArea.toFixed(1)}㎡`;
+    
+    // 用途別内訳
+    const usageDiv = document.getElementById('usage-breakdown');
+    const sortedUsage = Object.entries(analysisData.usageBreakdown)
+        .sort((a, b) => b[1] - a[1]);
+    
+    usageDiv.innerHTML = sortedUsage.map(([category, count]) => {
+        const percentage = (count / analysisData.count * 100).toFixed(1);
+        return `
+            <div class="breakdown-item">
+                <span class="breakdown-label">${category}</span>
+                <span class="breakdown-value">${count}件 (${percentage}%)</span>
+            </div>
+        `;
+    }).join('');
+    
+    // 工事種別
+    const ctDiv = document.getElementById('construction-type-breakdown');
+    const sortedCT = Object.entries(analysisData.constructionTypeBreakdown)
+        .sort((a, b) => b[1] - a[1]);
+    
+    ctDiv.innerHTML = sortedCT.map(([type, count]) => {
+        const percentage = (count / analysisData.count * 100).toFixed(1);
+        return `
+            <div class="breakdown-item">
+                <span class="breakdown-label">${type}</span>
+                <span class="breakdown-value">${count}件 (${percentage}%)</span>
+            </div>
+        `;
+    }).join('');
+    
+    // ポリゴン内プロジェクトを保存
+    areaAnalysisState.projectsInPolygon = analysisData.projects;
+}
+
+/**
+ * 集計を表示中のエリア分析を、現在表示中のマーカーで集計し直す
+ */
+function refreshAreaAnalysis() {
+    const polygon = areaAnalysisState.analyzedPolygon;
+    const resultsDiv = document.getElementById('analysis-results');
+    if (!polygon || !state.map.hasLayer(polygon) || !resultsDiv || resultsDiv.style.display === 'none') return;
+    
+    displayAnalysisResults(analyzeProjectsInPolygon(polygon));
+}
+
+/**
+ * ポリゴン描画時のイベントハンドラ
+ */
+function onPolygonCreated(e) {
+    const layer = e.layer;
+    
+    // 既存の描画中ポリゴンを削除
+    if (areaAnalysisState.currentPolygon) {
+        areaAnalysisState.drawnItems.removeLayer(areaAnalysisState.currentPolygon);
+    }
+    
+    // 新しいポリゴンを追加
+    areaAnalysisState.drawnItems.addLayer(layer);
+    areaAnalysisState.currentPolygon = layer;
+    
+    // ポリゴンレイヤーを最前面に持ってくる
+    areaAnalysisState.drawnItems.bringToFront();
+    
+    // 分析実行
+    const analysisData = analyzeProjectsInPolygon(layer);
+    displayAnalysisResults(analysisData);
+    
+    // 保存ボタンを表示
+    const startBtn = document.getElementById('start-polygon-btn');
+    const saveBtn = document.getElementById('save-polygon-btn');
+    if (startBtn) startBtn.style.display = 'none';
+    if (saveBtn) saveBtn.style.display = '';
+    
+    console.log('✓ ポリゴン描画完了 - 保存ボタンを表示しました');
+}
+
+/**
+ * ポリゴン編集時のイベントハンドラ
+ */
+function onPolygonEdited(e) {
+    if (areaAnalysisState.currentPolygon) {
+        const analysisData = analyzeProjectsInPolygon(areaAnalysisState.currentPolygon);
+        displayAnalysisResults(analysisData);
+    }
+}
+
+/**
+ * ポリゴン削除時のイベントハンドラ
+ */
+function onPolygonDeleted(e) {
+    areaAnalysisState.currentPolygon = null;
+    areaAnalysisState.projectsInPolygon = [];
+    document.getElementById('analysis-results').style.display = 'none';
+    
+    // マーカー強調を解除
+    resetMarkerHighlight();
+    
+    // ボタンを戻す
+    const saveBtn = document.getElementById('save-polygon-btn');
+    const startBtn = document.getElementById('start-polygon-btn');
+    if (saveBtn) saveBtn.style.display = 'none';
+    if (startBtn) startBtn.style.display = '';
+}
+
+/**
+ * 範囲内マーカーを強調表示
+ */
+/**
+ * マーカー強調をリセット
+ */
+function resetMarkerHighlight() {
+    if (!constructionState.markers || constructionState.markers.length === 0) {
+        return;
+    }
+    
+    constructionState.markers.forEach(marker => {
+        marker.setOpacity(1.0);
+        // 用途・延床面積による元のマーカーに戻す
+        marker.setIcon(createConstructionMarkerIcon(marker.project));
+        marker.setZIndexOffset(getConstructionMarkerZIndexOffset(marker.project));
+    });
+}
+
+/**
+ * エリア分析機能のセットアップ
+ */
+function setupAreaAnalysis() {
+    // Leaflet.drawレイヤーグループを作成
+    areaAnalysisState.drawnItems = new L.FeatureGroup();
+    state.map.addLayer(areaAnalysisState.drawnItems);
+    
+    // ポリゴンレイヤーを常に最前面に表示
+    areaAnalysisState.drawnItems.bringToFront();
+    
+    // 描画コントロールを初期化（デフォルトは非表示）
+    areaAnalysisState.drawControl = new L.Control.Draw({
+        draw: {
+            polygon: {
+                allowIntersection: false,
+                shapeOptions: {
+                    color: '#0078ff',
+                    fillColor: '#0078ff',
+                    fillOpacity: 0.2,
+                    weight: 2
+                }
+            },
+            polyline: false,
+            rectangle: false,
+            circle: false,
+            marker: false,
+            circlemarker: false
+        },
+        edit: {
+            featureGroup: areaAnalysisState.drawnItems,
+            remove: true
+        }
+    });
+    
+    // イベントリスナー
+    state.map.on(L.Draw.Event.CREATED, onPolygonCreated);
+    state.map.on(L.Draw.Event.EDITED, onPolygonEdited);
+    state.map.on(L.Draw.Event.DELETED, onPolygonDeleted);
+    
+    // 地図操作後にポリゴンレイヤーを最前面に保つ
+    state.map.on('zoomend moveend', bringDrawnItemsToFront);
+    
+    // 保存されたポリゴンを復元
+    loadPolygonsFromStorage();
+    
+    // ボタンイベント
+    const startBtn = document.getElementById('start-polygon-btn');
+    const saveBtn = document.getElementById('save-polygon-btn');
+    
+    let controlAdded = false; // コントロール追加フラグ
+    
+    if (startBtn) {
+        startBtn.addEventListener('click', () => {
+            // 描画コントロールを地図に追加（初回のみ）
+            if (!controlAdded) {
+                state.map.addControl(areaAnalysisState.drawControl);
+                controlAdded = true;
+            }
+            
+            // 統計レイヤーを一時的に非表示（描画を邪魔しないように）
+            const statsCheckbox = document.getElementById('show-stats-layer-checkbox');
+            if (statsCheckbox && statsCheckbox.checked) {
+                statsCheckbox.checked = false;
+                toggleStatsLayer(false);
+                
+                // ヒント表示
+                console.log('ℹ️ ポリゴン描画のため統計レイヤーを一時的に非表示にしました');
+            }
+            
+            // ポリゴン描画を開始
+            new L.Draw.Polygon(state.map, areaAnalysisState.drawControl.options.draw.polygon).enable();
+            
+            startBtn.textContent = '🖊️ 描画中...';
+            startBtn.disabled = true;
+            
+            // 描画完了またはキャンセル後にボタンを戻す
+            const resetButton = () => {
+                startBtn.textContent = '🖊️ ポリゴン描画開始';
+                startBtn.disabled = false;
+            };
+            
+            state.map.once(L.Draw.Event.CREATED, resetButton);
+            state.map.once(L.Draw.Event.DRAWSTOP, resetButton);
+        });
+    }
+    
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveNewPolygon);
+    }
+}
+
+/**
+ * サイドバー制御のセットアップ
+ */
+function setupSidebarControls() {
+    // 状態を読み込み
+    loadSidebarState();
+    
+    // サイドバーの初期状態を設定
+    const sidebar = document.getElementById('sidebar');
+    if (sidebar) {
+        setSidebarWidth(sidebarState.width);
+        
+        if (!sidebarState.isOpen) {
+            sidebar.classList.add('collapsed');
+        }
+    }
+    
+    // 切替ボタン
+    const toggleBtn = document.getElementById('sidebar-toggle-btn');
+    if (toggleBtn) {
+        toggleBtn.addEventListener('click', toggleSidebar);
+    }
+    
+    // リサイザー
+    setupSidebarResizer();
+}
+
+// ============================================================================
+// 工事単価設定機能
+// ============================================================================
+
+/**
+ * 工事単価をLocalStorageに保存
+ */
+function savePrefUnitCostToStorage() {
+    try {
+        const data = Array.from(state.prefUnitCostMap.values());
+        localStorage.setItem('prefUnitCosts', JSON.stringify(data));
     } catch (error) {
-        console.error('初期化エラー:', error);
-        alert(`データの読み込みに失敗しました。\n\n${error.message}\n\nサーバーが起動しているか、ファイルパスが正しいか確認してください。`);
-    } finally {
-        setLoadingVisible(false);
+        console.error('工事単価の保存エラー:', error);
+    }
+}
+
+/**
+ * 工事単価をLocalStorageから読み込み（保存データがなければ false）
+ */
+function loadPrefUnitCostFromStorage() {
+    try {
+        const saved = localStorage.getItem('prefUnitCosts');
+        if (!saved) return false;
+        
+        state.prefUnitCostMap = new Map();
+        JSON.parse(saved).forEach(entry => {
+            state.prefUnitCostMap.set(normalizeName(entry.prefName), entry);
+        });
+        return true;
+    } catch (error) {
+        console.error('工事単価の読み込みエラー:', error);
+        return false;
     }
 }
 
-// ============================================================================
-// 建築計画データ機能
-// ============================================================================
+/**
+ * 統計データに含まれる都道府県名の一覧
+ */
+function getStatsPrefNames() {
+    const prefNames = new Set();
+    state.municipalityStatsMap.forEach(stats => {
+        if (stats.customOnly) return;
+        prefNames.add(normalizeName(stats.prefName));
+    });
+    return Array.from(prefNames);
+}
 
-// 建築計画データの状態
-const constructionState = {
-    data: null,
-    markers: [],
-    currentMonth: null,
-    isVisible: false
-};
+/**
+ * 工事単価が1つも設定されていない都道府県（統計データにあるもの）
+ */
+function getPrefsWithoutUnitCost() {
+    return getStatsPrefNames().filter(prefName => {
+        const rates = state.prefUnitCostMap.get(prefName);
+        if (!rates) return true;
+        return Object.keys(CONFIG.BUILDING_USES).every(useKey =>
+            rates[useKey] === null || rates[useKey] === undefined
+        );
+    });
+}
 
-// 建築計画データを読み込む
-async function loadConstructionData() {
-    console.log('建築計画データ読み込み開始...');
-    try {
-        // 全件座標付きデータを使用（2025年1月～12月完全版）
-        const response = await fetch('data/construction_projects.json');
-        console.log('Response status:', response.status);
+/**
+ * 見込み工事額を再計算して地図を更新
+ */
+function recomputeEstimatedAmounts() {
+    state.municipalityStatsMap.forEach(stats => {
+        if (stats.customOnly) return;
+        stats.estimatedAmount = calculateEstimatedAmount(stats);
+        stats.unitCostMissing = stats.estimatedAmount === null;
+    });
+    clearLevelStatsCache();
+    
+    updateUnitCostWarning();
+    updateMapLayer();
+}
+
+/**
+ * 単価変更を反映（保存・再計算・再描画）
+ */
+function applyUnitCostChange() {
+    savePrefUnitCostToStorage();
+    renderUnitCostTable();
+    recomputeEstimatedAmounts();
+}
+
+/**
+ * 統計データセクションの単価未設定警告を更新
+ */
+function updateUnitCostWarning() {
+    const warning = document.getElementById('unit-cost-warning');
+    if (!warning) return;
+    
+    const missing = getPrefsWithoutUnitCost();
+    warning.textContent = missing.length > 0 ? `⚠ 工事単価未設定: ${missing.join('、')}` : '';
+    warning.style.display = missing.length > 0 ? '' : 'none';
+}
+
+/**
+ * 単価編集テーブルを描画
+ */
+function renderUnitCostTable() {
+    const tbody = document.getElementById('unit-cost-table-body');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    // 単価設定済みの都道府県 + 統計データにある都道府県
+    const prefNames = new Set([...state.prefUnitCostMap.keys(), ...getStatsPrefNames()]);
+    const missing = new Set(getPrefsWithoutUnitCost());
+    
+    Array.from(prefNames).sort().forEach(prefName => {
+        const rates = state.prefUnitCostMap.get(prefName) || { prefName };
         
-        if (!response.ok) {
-            throw new Error(`建築計画データの読み込みに失敗しました: ${response.status}`);
+        const row = document.createElement('tr');
+        if (missing.has(prefName)) {
+            row.classList.add('unit-cost-missing');
         }
         
-        constructionState.data = await response.json();
+        const nameCell = document.createElement('td');
+        nameCell.textContent = missing.has(prefName) ? `${prefName}（未設定）` : prefName;
+        row.appendChild(nameCell);
         
-        // プロジェクトデータから完成年月・着工年月のリストを動的に生成
-        const completionMonths = new Set();
-        const startMonths = new Set();
+        // 用途別の単価入力
+        Object.keys(CONFIG.BUILDING_USES).forEach(useKey => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '1000';
+            input.placeholder = '未設定';
+            input.value = rates[useKey] !== null && rates[useKey] !== undefined ? rates[useKey] : '';
+            input.addEventListener('change', () => {
+                const entry = state.prefUnitCostMap.get(prefName) || { prefName };
+                entry[useKey] = parseUnitCostValue(input.value);
+                state.prefUnitCostMap.set(prefName, entry);
+                applyUnitCostChange();
+            });
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
         
-        constructionState.data.projects.forEach(project => {
-            // 緯度・経度（エリア分析用）
-            if (project.latitude !== undefined) project.緯度 = project.latitude;
-            if (project.longitude !== undefined) project.経度 = project.longitude;
+        // 削除ボタン
+        const actionCell = document.createElement('td');
+        if (state.prefUnitCostMap.has(prefName)) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'custom-point-item-btn custom-point-delete-btn';
+            deleteBtn.textContent = '削除';
+            deleteBtn.onclick = () => {
+                if (confirm(`${prefName}の工事単価を削除しますか?`)) {
+                    state.prefUnitCostMap.delete(prefName);
+                    applyUnitCostChange();
+                }
+            };
+            actionCell.appendChild(deleteBtn);
+        }
+        row.appendChild(actionCell);
+        
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * 工事単価設定モーダルを開く
+ */
+function openUnitCostModal() {
+    renderUnitCostTable();
+    
+    const modal = document.getElementById('unit-cost-modal');
+    if (modal) {
+        modal.classList.add('show');
+    }
+}
+
+/**
+ * 工事単価設定モーダルを閉じる
+ */
+function closeUnitCostModal() {
+    const modal = document.getElementById('unit-cost-modal');
+    if (modal) {
+        modal.classList.remove('show');
+    }
+}
+
+/**
+ * 都道府県を追加
+ */
+function addUnitCostPref() {
+    const input = document.getElementById('unit-cost-new-pref');
+    const prefName = normalizeName(input.value);
+    
+    if (!prefName) {
+        alert('都道府県名を入力してください');
+        return;
+    }
+    
+    if (!state.prefUnitCostMap.has(prefName)) {
+        const entry = { prefName };
+        Object.keys(CONFIG.BUILDING_USES).forEach(useKey => {
+            entry[useKey] = null;
+        });
+        state.prefUnitCostMap.set(prefName, entry);
+        savePrefUnitCostToStorage();
+    }
+    
+    input.value = '';
+    renderUnitCostTable();
+}
+
+/**
+ * 工事単価をCSVでエクスポート
+ */
+function exportUnitCostCSV() {
+    const uses = Object.values(CONFIG.BUILDING_USES);
+    const headers = ['pref_name', ...uses.map(use => use.csvColumn)];
+    
+    const rows = Array.from(state.prefUnitCostMap.values()).map(entry => [
+        entry.prefName,
+        ...Object.keys(CONFIG.BUILDING_USES).map(useKey => entry[useKey])
+    ]);
+    
+    downloadCSV(`工事単価_${buildFileTimestamp()}.csv`, headers, rows);
+}
+
+/**
+ * 工事単価をCSVからインポート（既存の単価は置き換え）
+ */
+function importUnitCostCSV(file) {
+    if (!file) return;
+    
+    const reader = new FileReader();
+    
+    reader.onload = async (e) => {
+        try {
+            const unitCostMap = await parseUnitCostCSV(e.target.result);
             
-            // 延床面積（エリア分析用）
-            if (project.area) project.延床面積 = project.area;
+            if (unitCostMap.size === 0) {
+                alert('インポート可能なデータがありませんでした（pref_name 列が必要です）');
+                return;
+            }
             
-            // 主要用途（エリア分析用）
-            if (project.usage) project.主要用途 = project.usage;
+            if (!confirm(`${unitCostMap.size}件の都道府県の工事単価をインポートします。\n現在の単価は置き換えられます。\n\n続行しますか？`)) {
+                return;
+            }
             
-            // 工事種別（エリア分析用）
-            if (project.structure) project.工事種別 = project.structure;
+            state.prefUnitCostMap = unitCostMap;
+            applyUnitCostChange();
             
-            // 完成日から年月を抽出 (YYYY/MM/DD → YYYY/MM)
-            if (project.completion_date && project.completion_date !== 'nan') {
-                const match = project.completion_date.match(/(\d{4})\/(\d{2})/);
-                if (match) {
-                    project.完成年月 = `${match[1]}/${match[2]}`;
-                    completionMonths.add(project.完成年月);
-                }
-            }
-            // 着工日から年月を抽出 (YYYY/MM/DD → YYYY/MM)
-            if (project.start_date && project.start_date !== 'nan') {
-                const match = project.start_date.match(/(\d{4})\/(\d{2})/);
-                if (match) {
-                    project.着工年月 = `${match[1]}/${match[2]}`;
-                    startMonths.add(project.着工年月);
-                }
+            alert(`${unitCostMap.size}件の工事単価をインポートしました`);
+        } catch (error) {
+            console.error('工事単価インポートエラー:', error);
+            alert(`インポートに失敗しました:\n${error.message}`);
+        }
+    };
+    
+    reader.onerror = () => {
+        alert('ファイルの読み込みに失敗しました');
+    };
+    
+    reader.readAsText(file, 'UTF-8');
+}
+
+/**
+ * 工事単価を初期値に戻す
+ */
+async function resetUnitCost() {
+    if (!confirm('工事単価を初期値に戻しますか？\n編集した単価はすべて失われます。')) {
+        return;
+    }
+    
+    localStorage.removeItem('prefUnitCosts');
+    state.prefUnitCostMap = await parseUnitCostCSV(PREF_UNIT_COST_DATA);
+    
+    renderUnitCostTable();
+    recomputeEstimatedAmounts();
+}
+
+/**
+ * 工事単価設定のイベントリスナー設定
+ */
+function setupUnitCostEventListeners() {
+    const openBtn = document.getElementById('unit-cost-btn');
+    const modal = document.getElementById('unit-cost-modal');
+    const fileInput = document.getElementById('unit-cost-file-input');
+    
+    if (!openBtn || !modal || !fileInput) {
+        console.warn('工事単価設定の要素が見つかりません');
+        return;
+    }
+    
+    openBtn.addEventListener('click', openUnitCostModal);
+    document.getElementById('unit-cost-close-btn').addEventListener('click', closeUnitCostModal);
+    document.getElementById('unit-cost-done-btn').addEventListener('click', closeUnitCostModal);
+    document.getElementById('unit-cost-add-btn').addEventListener('click', addUnitCostPref);
+    document.getElementById('unit-cost-export-btn').addEventListener('click', exportUnitCostCSV);
+    document.getElementById('unit-cost-reset-btn').addEventListener('click', resetUnitCost);
+    
+    // インポート（ファイル選択ダイアログを開く）
+    document.getElementById('unit-cost-import-btn').addEventListener('click', () => {
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', (e) => {
+        importUnitCostCSV(e.target.files[0]);
+        fileInput.value = '';
+    });
+    
+    // 背景クリックで閉じる
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeUnitCostModal();
+        }
+    });
+    
+    updateUnitCostWarning();
+}
+
+// ============================================================================
+// 結合診断機能
+// ============================================================================
+
+// 結合診断の状態（結合は名称・コードで決まるため、表示単位・統計データが変わったときだけ診断し直す）
+const joinDiagnosticsState = {
+    result: null,
+    geojson: null   // 診断した表示単位のフィーチャー（null なら再診断）
+};
+
+/**
+ * 2つの文字列の編集距離（レーベンシュタイン距離）
+ */
+function calculateLevenshteinDistance(a, b) {
+    const previous = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) previous[j] = j;
+    
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = previous[j];
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + cost);
+            diagonal = temp;
+        }
+    }
+    
+    return previous[b.length];
+}
+
+/**
+ * 市区町村名の類似度（0～1）
+ */
+function calculateNameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    
+    // 一方が他方を含む場合（郡名の有無など）は高めに評価
+    if (a.includes(b) || b.includes(a)) {
+        return 0.8;
+    }
+    
+    const distance = calculateLevenshteinDistance(a, b);
+    return 1 - distance / Math.max(a.length, b.length);
+}
+
+/**
+ * 同じ都道府県内の候補から類似する名称を提案
+ */
+function suggestSimilarNames(prefName, cityName, candidates) {
+    const { SUGGESTION_MIN_SIMILARITY, SUGGESTION_LIMIT } = CONFIG.JOIN_DIAGNOSTICS;
+    
+    return candidates
+        .filter(candidate => candidate.prefName === prefName)
+        .map(candidate => ({
+            ...candidate,
+            similarity: calculateNameSimilarity(cityName, candidate.cityName)
+        }))
+        .filter(candidate => candidate.similarity >= SUGGESTION_MIN_SIMILARITY)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, SUGGESTION_LIMIT);
+}
+
+/**
+ * 統計データの行の所在地キー（年月を含まない。全期間を通して同じ市区町村・行政区の行をまとめる）
+ */
+function buildStatsLocationKey(stats) {
+    const identity = getStatsRowIdentity(stats);
+    return buildUnitKey('ward', identity.prefName, identity.cityName, identity.wardName);
+}
+
+/**
+ * 現在の表示単位について統計データとGeoJSONの結合状況を診断（全期間の行が対象）
+ */
+function runJoinDiagnostics() {
+    if (!state.displayGeoJSON) return null;
+    
+    const featureUnitKeys = new Set(state.displayGeoJSON.features.map(feature => feature.properties.unit_key));
+    const matchedUnitKeys = new Set();
+    const matchedStats = new Set();
+    const statsRows = new Map();    // 所在地キー → 最新の行（表示単位の集計で使わない合計行は除く）
+    const excludedStats = new Set();
+    
+    state.availablePeriods.forEach(({ year, month }) => {
+        const levelStats = getLevelStats(state.currentLevel, year, month);
+        levelStats.units.forEach((unitStats, unitKey) => {
+            if (!featureUnitKeys.has(unitKey)) return;
+            matchedUnitKeys.add(unitKey);
+            unitStats.sourceRows.forEach(row => matchedStats.add(buildStatsLocationKey(row)));
+        });
+        levelStats.rows.forEach(row => {
+            const locationKey = buildStatsLocationKey(row);
+            if (levelStats.excludedRows.has(row)) {
+                excludedStats.add(locationKey);
+            } else {
+                statsRows.set(locationKey, row);
             }
         });
-        
-        constructionState.data.completion_months = Array.from(completionMonths).sort();
-        constructionState.data.start_months = Array.from(startMonths).sort();
-        
-        console.log(`✓ 建築計画データ読み込み完了`);
-        console.log(`  - プロジェクト件数: ${constructionState.data.projects.length}件`);
-        console.log(`  - 完成年月の種類: ${constructionState.data.completion_months.length}ヶ月`);
-        console.log(`  - 着工年月の種類: ${constructionState.data.start_months.length}ヶ月`);
-        console.log(`  - 完成年月リスト:`, constructionState.data.completion_months);
-        console.log(`  - 着工年月リスト:`, constructionState.data.start_months);
-        
-        // 完成年月・着工年月のプルダウンを初期化
-        initCompletionMonthSelect();
-        initStartMonthSelect();
-    } catch (error) {
-        console.error('❌ 建築計画データ読み込みエラー:', error);
-        alert(`建築計画データの読み込みに失敗しました。\n\nエラー: ${error.message}\n\nサーバーが起動しているか確認してください。`);
+    });
+    
+    // フィーチャー側: 表示単位ごと
+    const featureUnits = state.displayGeoJSON.features.map(feature => {
+        const props = feature.properties;
+        return {
+            unitKey: props.unit_key,
+            prefName: normalizeName(props.pref_name),
+            cityName: normalizeName(`${props.city_name}${props.ward_name}`),
+            cityCode: props.city_code,
+            featureCount: props.source_feature_count,
+            hasGeometry: !!feature.geometry,
+            matched: matchedUnitKeys.has(props.unit_key)
+        };
+    });
+    
+    const unmatchedFeatures = featureUnits.filter(unit => !unit.matched);
+    const unmatchedStats = Array.from(statsRows.entries())
+        .filter(([locationKey]) => !matchedStats.has(locationKey))
+        .map(([, stats]) => ({
+            prefName: normalizeName(stats.prefName),
+            cityName: normalizeName(stats.parentCityName + stats.cityName),
+            cityCode: stats.cityCode,
+            stats
+        }));
+    
+    // 未結合同士で名称の近いものを候補として提示
+    unmatchedStats.forEach(row => {
+        row.suggestions = suggestSimilarNames(row.prefName, row.cityName, unmatchedFeatures);
+    });
+    unmatchedFeatures.forEach(unit => {
+        unit.suggestions = suggestSimilarNames(unit.prefName, unit.cityName, unmatchedStats);
+    });
+    
+    return {
+        joinByCode: state.statsHasCityCode,
+        periodCount: state.availablePeriods.length,
+        matchedStatsCount: statsRows.size - unmatchedStats.length,
+        statsCount: statsRows.size,
+        excludedStatsCount: excludedStats.size,
+        matchedFeatureUnitCount: featureUnits.length - unmatchedFeatures.length,
+        featureUnitCount: featureUnits.length,
+        unmatchedStats,
+        unmatchedFeatures
+    };
+}
+
+/**
+ * 診断結果のリスト項目を生成
+ */
+function createDiagnosticsItem(title, detail, suggestions, onClick) {
+    const item = document.createElement('div');
+    item.className = 'diagnostics-item';
+    
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'diagnostics-item-title';
+    titleDiv.textContent = title;
+    item.appendChild(titleDiv);
+    
+    if (detail) {
+        const detailDiv = document.createElement('div');
+        detailDiv.className = 'diagnostics-item-detail';
+        detailDiv.textContent = detail;
+        item.appendChild(detailDiv);
+    }
+    
+    if (suggestions.length > 0) {
+        const suggestionDiv = document.createElement('div');
+        suggestionDiv.className = 'diagnostics-item-suggestion';
+        suggestionDiv.textContent = '候補: ' + suggestions
+            .map(s => `${s.cityName}${s.cityCode ? ` [${s.cityCode}]` : ''}（${Math.round(s.similarity * 100)}%）`)
+            .join('、');
+        item.appendChild(suggestionDiv);
+    }
+    
+    if (onClick) {
+        item.classList.add('clickable');
+        item.addEventListener('click', onClick);
+    }
+    
+    return item;
+}
+
+/**
+ * 未結合フィーチャーにズーム
+ */
+function zoomToFeatureUnit(unit) {
+    const layer = findLayerByUnitKey(unit.unitKey);
+    if (layer) {
+        state.map.fitBounds(layer.getBounds());
     }
 }
 
-// 完成年月プルダウンを初期化
-function initCompletionMonthSelect() {
-    console.log('完成年月プルダウン初期化開始...');
-    const selectFrom = document.getElementById('completion-month-from');
-    const selectTo = document.getElementById('completion-month-to');
+/**
+ * 結合診断パネルの表示を更新（表示単位・統計データが前回の診断から変わった場合のみ）
+ */
+function updateJoinDiagnostics() {
+    const summary = document.getElementById('join-diagnostics-summary');
+    const statsList = document.getElementById('join-unmatched-stats');
+    const featureList = document.getElementById('join-unmatched-features');
+    if (!summary || !statsList || !featureList) return;
+    if (joinDiagnosticsState.geojson === state.displayGeoJSON) return;
+    
+    const result = runJoinDiagnostics();
+    joinDiagnosticsState.result = result;
+    joinDiagnosticsState.geojson = state.displayGeoJSON;
+    if (!result) return;
+    
+    summary.innerHTML = `
+        <div class="breakdown-item">
+            <span class="breakdown-label">結合キー</span>
+            <span class="breakdown-value">${result.joinByCode ? 'city_code（なければ名称）' : '都道府県名＋市区町村名'}</span>
+        </div>
+        <div class="breakdown-item">
+            <span class="breakdown-label">CSVの市区町村（全${result.periodCount}期間）</span>
+            <span class="breakdown-value">${result.matchedStatsCount} / ${result.statsCount} 件結合</span>
+        </div>
+        <div class="breakdown-item">
+            <span class="breakdown-label">地図の${CONFIG.ADMIN_LEVELS[state.currentLevel].label}</span>
+            <span class="breakdown-value">${result.matchedFeatureUnitCount} / ${result.featureUnitCount} 件結合</span>
+        </div>
+        ${result.excludedStatsCount > 0 ? `
+        <div class="breakdown-item">
+            <span class="breakdown-label">重複回避で除外した合計行</span>
+            <span class="breakdown-value">${result.excludedStatsCount} 件（政令市・郡）</span>
+        </div>` : ''}
+    `;
+    
+    // CSVにあって地図にない行
+    document.getElementById('join-unmatched-stats-count').textContent = result.unmatchedStats.length;
+    statsList.innerHTML = '';
+    result.unmatchedStats.forEach(row => {
+        statsList.appendChild(createDiagnosticsItem(
+            `${row.prefName} ${row.cityName}${row.cityCode ? ` [${row.cityCode}]` : ''}`,
+            `${row.stats.year}年${row.stats.month}月 着工件数 ${formatNumber(row.stats.buildingCount)} 棟`,
+            row.suggestions
+        ));
+    });
+    
+    // 地図にあってCSVにない市区町村（グレー表示の原因）
+    document.getElementById('join-unmatched-features-count').textContent = result.unmatchedFeatures.length;
+    featureList.innerHTML = '';
+    result.unmatchedFeatures.forEach(unit => {
+        featureList.appendChild(createDiagnosticsItem(
+            `${unit.prefName} ${unit.cityName}${unit.cityCode ? ` [${unit.cityCode}]` : ''}`,
+            unit.hasGeometry ? `${unit.featureCount}ポリゴン` : '形状なし',
+            unit.suggestions,
+            unit.hasGeometry ? () => zoomToFeatureUnit(unit) : null
+        ));
+    });
+}
+
+// ============================================================================
+// 市区町村詳細パネル
+// ============================================================================
+
+// 詳細パネルの状態
+const detailPanelState = {
+    unitKey: null    // 表示中の表示単位（unit_key）
+};
+
+// 建築計画の所在地（建築計画データ・行政区域データごとに初回のみ判定）
+const projectLocationState = {
+    data: null,             // 判定に使った constructionState.data
+    geojson: null,          // 判定に使った state.municipalitiesGeoJSON
+    locations: new Map(),   // 建築計画 → { prefName, cityName, wardName }（境界外の建築計画は含まない）
+    byUnit: {}              // 表示単位 → (unit_key → 建築計画の配列)
+};
+
+/**
+ * フィーチャーの外接矩形（[minLng, minLat, maxLng, maxLat]、初回のみ計算）
+ */
+function getFeatureBBox(feature) {
+    if (feature.bbox) return feature.bbox;
+    if (!feature.geometry) return null;
+    
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    getGeometryRings(feature.geometry).forEach(ring => {
+        ring.forEach(point => {
+            bbox[0] = Math.min(bbox[0], point[0]);
+            bbox[1] = Math.min(bbox[1], point[1]);
+            bbox[2] = Math.max(bbox[2], point[0]);
+            bbox[3] = Math.max(bbox[3], point[1]);
+        });
+    });
+    feature.bbox = bbox;
+    return bbox;
+}
+
+/**
+ * リングの外接矩形（[minLng, minLat, maxLng, maxLat]）
+ */
+function getRingBBox(ring) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    ring.forEach(point => {
+        bbox[0] = Math.min(bbox[0], point[0]);
+        bbox[1] = Math.min(bbox[1], point[1]);
+        bbox[2] = Math.max(bbox[2], point[0]);
+        bbox[3] = Math.max(bbox[3], point[1]);
+    });
+    return bbox;
+}
+
+/**
+ * フィーチャーのポリゴン一覧（リングごとの外接矩形と面積付き、初回のみ計算）
+ * 
+ * 表示単位に集約したフィーチャーは融合前の元のポリゴンを使う。
+ * 融合後の外周リングは頂点が多く、穴や飛び地のリングもそれぞれ1つのポリゴンになるため
+ */
+function getFeaturePolygons(feature) {
+    if (feature.polygons) return feature.polygons;
+    if (!feature.geometry) return [];
+    
+    const polygons = [];
+    (feature.sourceGeometries || [feature.geometry]).forEach(geometry => {
+        if (geometry.type === 'Polygon') polygons.push(geometry.coordinates);
+        if (geometry.type === 'MultiPolygon') polygons.push(...geometry.coordinates);
+    });
     
-    if (!selectFrom || !selectTo) {
-        console.error('❌ completion-month-from または completion-month-to 要素が見つかりません');
-        return;
+    feature.polygons = polygons.filter(rings => rings.length > 0).map(rings => {
+        const indexedRings = rings.map(ring => ({ ring, bbox: getRingBBox(ring) }));
+        // 外周の面積から穴の面積を引く
+        const area = indexedRings.reduce((sum, item, index) => {
+            const ringArea = Math.abs(calculateRingCentroid(item.ring).area);
+            return index === 0 ? sum + ringArea : sum - ringArea;
+        }, 0);
+        return { rings: indexedRings, bbox: indexedRings[0].bbox, area: Math.max(area, 0) };
+    });
+    return feature.polygons;
+}
+
+/**
+ * 点がリング群の内側にあるか（Ray Casting、evenodd。外接矩形の外のリングは判定しない）
+ */
+function isPointInRings(lat, lng, rings) {
+    let inside = false;
+    rings.forEach(({ ring, bbox }) => {
+        if (lng < bbox[0] || lat < bbox[1] || lng > bbox[2] || lat > bbox[3]) return;
+        
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i][0], yi = ring[i][1];
+            const xj = ring[j][0], yj = ring[j][1];
+            
+            const intersect = ((yi > lat) !== (yj > lat)) &&
+                (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+            
+            if (intersect) inside = !inside;
+        }
+    });
+    return inside;
+}
+
+/**
+ * 点がGeoJSONフィーチャーの内側にあるか（全リングを evenodd で判定）
+ * 
+ * 穴のリングや集約で MultiPolygon にまとめたリングもそのまま扱える
+ */
+function isPointInFeature(lat, lng, feature) {
+    const bbox = getFeatureBBox(feature);
+    if (!bbox || lng < bbox[0] || lat < bbox[1] || lng > bbox[2] || lat > bbox[3]) {
+        return false;
     }
     
-    if (!constructionState.data) {
-        console.error('❌ constructionState.dataが未定義です');
-        return;
+    return getFeaturePolygons(feature).reduce(
+        (inside, polygon) => isPointInRings(lat, lng, polygon.rings) ? !inside : inside,
+        false
+    );
+}
+
+/**
+ * 建築計画ごとの所在地（政令市は行政区まで）を取得
+ * 
+ * 融合した都道府県の形状で判定すると頂点・リングが多く遅いため、元の行政区域ポリゴンで1回だけ判定し、
+ * 市区町村・都道府県へは表示単位キーで集約する
+ */
+function getProjectLocations() {
+    if (!constructionState.data || !state.municipalitiesGeoJSON) return new Map();
+    if (projectLocationState.data === constructionState.data &&
+        projectLocationState.geojson === state.municipalitiesGeoJSON) {
+        return projectLocationState.locations;
     }
     
-    console.log(`  - セレクト要素: 見つかりました`);
-    console.log(`  - データ: ${constructionState.data.completion_months.length}ヶ月分`);
+    const features = state.municipalitiesGeoJSON.features.filter(feature =>
+        feature.geometry && feature.properties.pref_name && feature.properties.city_name
+    );
+    const locations = new Map();
+    constructionState.data.projects.forEach(project => {
+        if (!project.緯度 || !project.経度) return;
+        
+        const feature = features.find(f => isPointInFeature(project.緯度, project.経度, f));
+        if (!feature) return;
+        
+        const props = feature.properties;
+        const cityCode = normalizeCityCode(props.city_code);
+        const indexed = cityCode ? state.cityCodeIndex.get(cityCode) : null;
+        locations.set(project, {
+            prefName: props.pref_name,
+            cityName: props.city_name,
+            wardName: indexed ? indexed.wardName : ''
+        });
+    });
     
-    // 既存のオプションをクリア（最初のオプションは残す）
-    while (selectFrom.options.length > 1) {
-        selectFrom.remove(1);
-    }
-    while (selectTo.options.length > 1) {
-        selectTo.remove(1);
+    projectLocationState.data = constructionState.data;
+    projectLocationState.geojson = state.municipalitiesGeoJSON;
+    projectLocationState.locations = locations;
+    projectLocationState.byUnit = {};
+    console.log(`✓ 建築計画の所在地を判定: ${locations.size}件 / ${constructionState.data.projects.length}件`);
+    return locations;
+}
+
+/**
+ * 建築計画が所在する表示単位のキー（境界外は null）
+ */
+function getProjectUnitKey(project, level) {
+    const location = getProjectLocations().get(project);
+    return location ? buildUnitKey(level, location.prefName, location.cityName, location.wardName) : null;
+}
+
+/**
+ * 表示単位ごとの建築計画（unit_key → 建築計画の配列、表示単位ごとに初回のみ作成）
+ */
+function getProjectsByUnit(level) {
+    getProjectLocations();
+    if (projectLocationState.byUnit[level]) return projectLocationState.byUnit[level];
+    
+    const byUnit = new Map();
+    projectLocationState.locations.forEach((location, project) => {
+        const unitKey = buildUnitKey(level, location.prefName, location.cityName, location.wardName);
+        if (!byUnit.has(unitKey)) byUnit.set(unitKey, []);
+        byUnit.get(unitKey).push(project);
+    });
+    projectLocationState.byUnit[level] = byUnit;
+    return byUnit;
+}
+
+/**
+ * 表示単位のキーから現在のフィーチャーを取得
+ */
+function findDisplayFeature(unitKey) {
+    if (!state.displayGeoJSON) return null;
+    return state.displayGeoJSON.features.find(feature => feature.properties.unit_key === unitKey) || null;
+}
+
+/**
+ * 指標の推移（読み込み済みの全期間）
+ */
+function getIndicatorTrend(feature, indicatorKey) {
+    const field = CONFIG.INDICATORS[indicatorKey].field;
+    return state.availablePeriods.map(period => {
+        const stats = getStatsForFeature(feature, period.year, period.month);
+        const value = stats ? stats[field] : null;
+        return {
+            year: period.year,
+            month: period.month,
+            value: value === null || value === undefined || isNaN(value) ? null : value
+        };
+    });
+}
+
+/**
+ * 推移グラフ（SVG折れ線）の生成
+ */
+function createTrendChartSVG(trend) {
+    const { CHART_WIDTH: width, CHART_HEIGHT: height, CHART_PADDING: padding } = CONFIG.DETAIL_PANEL;
+    const values = trend.filter(point => point.value !== null).map(point => point.value);
+    if (values.length === 0) {
+        return '<div class="detail-chart-empty">データなし</div>';
     }
     
-    // 完成年月のオプションを両方のセレクトに追加
-    constructionState.data.completion_months.forEach((month, index) => {
-        const optionFrom = document.createElement('option');
-        optionFrom.value = month;
-        optionFrom.textContent = month;
-        selectFrom.appendChild(optionFrom);
-        
-        const optionTo = document.createElement('option');
-        optionTo.value = month;
-        optionTo.textContent = month;
-        selectTo.appendChild(optionTo);
+    const min = Math.min(0, ...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const stepX = trend.length > 1 ? (width - padding * 2) / (trend.length - 1) : 0;
+    const toX = index => trend.length > 1 ? padding + stepX * index : width / 2;
+    const toY = value => height - padding - (value - min) / range * (height - padding * 2);
+    
+    // 欠損月で線を途切れさせる
+    let path = '';
+    let drawing = false;
+    trend.forEach((point, index) => {
+        if (point.value === null) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${toX(index).toFixed(1)},${toY(point.value).toFixed(1)} `;
+        drawing = true;
+    });
+    
+    const points = trend.map((point, index) => {
+        if (point.value === null) return '';
+        const isCurrent = point.year === state.currentYear && point.month === state.currentMonth;
+        return `<circle cx="${toX(index).toFixed(1)}" cy="${toY(point.value).toFixed(1)}" r="${isCurrent ? 4 : 2.5}" class="${isCurrent ? 'detail-chart-current' : 'detail-chart-point'}"><title>${point.year}年${point.month}月: ${point.value.toLocaleString()}</title></circle>`;
+    }).join('');
+    
+    const first = trend[0];
+    const last = trend[trend.length - 1];
+    
+    return `
+        <svg class="detail-chart" viewBox="0 0 ${width} ${height + 14}" width="100%">
+            <line x1="${padding}" y1="${toY(min).toFixed(1)}" x2="${width - padding}" y2="${toY(min).toFixed(1)}" class="detail-chart-axis" />
+            <path d="${path}" class="detail-chart-line" />
+            ${points}
+            <text x="${padding}" y="${height + 10}" class="detail-chart-label">${first.year}/${first.month}</text>
+            <text x="${width - padding}" y="${height + 10}" class="detail-chart-label" text-anchor="end">${last.year}/${last.month}</text>
+            <text x="${width - padding}" y="${padding}" class="detail-chart-label" text-anchor="end">${formatNumber(max)}</text>
+        </svg>
+    `;
+}
+
+/**
+ * 指標の順位（全体・都道府県内）と都道府県内シェア
+ */
+function calculateIndicatorRanking(feature, indicatorKey) {
+    const value = feature.properties[indicatorKey];
+    if (value === null || value === undefined || isNaN(value)) return null;
+    
+    const prefName = normalizeName(feature.properties.pref_name);
+    let overallRank = 1;
+    let overallCount = 0;
+    let prefRank = 1;
+    let prefCount = 0;
+    
+    state.displayGeoJSON.features.forEach(other => {
+        const otherValue = other.properties[indicatorKey];
+        if (otherValue === null || otherValue === undefined || isNaN(otherValue)) return;
         
-        if (index < 5) {
-            console.log(`  - オプション追加: ${month}`);
+        const samePref = normalizeName(other.properties.pref_name) === prefName;
+        overallCount++;
+        if (samePref) prefCount++;
+        if (otherValue > value) {
+            overallRank++;
+            if (samePref) prefRank++;
         }
     });
     
-    // デフォルト値を設定（最初の月～最後の月）
-    if (constructionState.data.completion_months.length > 0) {
-        selectFrom.value = constructionState.data.completion_months[0];
-        selectTo.value = constructionState.data.completion_months[constructionState.data.completion_months.length - 1];
-        console.log(`  - デフォルト期間設定: ${selectFrom.value} ～ ${selectTo.value}`);
+    // 都道府県合計は二重計上を避けた都道府県単位の集計を使う
+    let share = null;
+    if (feature.properties.level !== 'prefecture') {
+        const prefStats = getLevelStats('prefecture', state.currentYear, state.currentMonth).units.get(prefName);
+        const prefTotal = prefStats ? prefStats[CONFIG.INDICATORS[indicatorKey].field] : null;
+        if (prefTotal) {
+            share = value / prefTotal * 100;
+        }
     }
     
-    console.log(`✓ 完成年月プルダウン初期化完了: ${selectFrom.options.length - 1}個のオプション追加`);
+    return { value, overallRank, overallCount, prefRank, prefCount, share };
 }
 
-// 着工年月プルダウンを初期化
-function initStartMonthSelect() {
-    console.log('着工年月プルダウン初期化開始...');
-    const selectFrom = document.getElementById('start-month-from');
-    const selectTo = document.getElementById('start-month-to');
+/**
+ * 表示単位の境界内にある建築計画（所在地の判定結果を表示単位ごとにまとめたもの）
+ */
+function findProjectsInFeature(feature) {
+    if (!constructionState.data || !constructionState.data.projects || !feature.geometry) return [];
     
-    if (!selectFrom || !selectTo) {
-        console.error('❌ start-month-from または start-month-to 要素が見つかりません');
-        return;
-    }
+    const props = feature.properties;
+    return getProjectsByUnit(props.level).get(props.unit_key) || [];
+}
+
+/**
+ * 詳細パネルの推移グラフ欄を描画
+ */
+function renderDetailTrends(feature) {
+    const container = document.getElementById('detail-trends');
+    container.innerHTML = getBaseIndicatorKeys().map(indicatorKey => {
+        const indicator = CONFIG.INDICATORS[indicatorKey];
+        return `
+            <div class="detail-chart-block">
+                <div class="detail-chart-title">${escapeHTML(indicator.label)}（${escapeHTML(indicator.unit)}）</div>
+                ${createTrendChartSVG(getIndicatorTrend(feature, indicatorKey))}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * 詳細パネルの順位・シェア欄を描画
+ */
+function renderDetailRankings(feature) {
+    const container = document.getElementById('detail-rankings');
+    const isPrefecture = feature.properties.level === 'prefecture';
+    
+    container.innerHTML = getBaseIndicatorKeys().map(indicatorKey => {
+        const indicator = CONFIG.INDICATORS[indicatorKey];
+        const ranking = calculateIndicatorRanking(feature, indicatorKey);
+        if (!ranking) {
+            return `
+                <div class="detail-rank-item">
+                    <div class="detail-rank-title">${escapeHTML(indicator.label)}</div>
+                    <div class="detail-rank-row">データなし</div>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="detail-rank-item">
+                <div class="detail-rank-title">${escapeHTML(indicator.label)}: ${Math.round(ranking.value).toLocaleString()} ${escapeHTML(indicator.unit)}</div>
+                <div class="detail-rank-row">
+                    <span>全体 ${ranking.overallRank} / ${ranking.overallCount}位</span>
+                    ${isPrefecture ? '' : `<span>${feature.properties.pref_name}内 ${ranking.prefRank} / ${ranking.prefCount}位</span>`}
+                </div>
+                ${ranking.share !== null ? `
+                <div class="detail-share-bar"><div class="detail-share-fill" style="width: ${Math.min(ranking.share, 100).toFixed(1)}%"></div></div>
+                <div class="detail-rank-row">${feature.properties.pref_name}に占める割合 ${ranking.share.toFixed(1)}%</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * 詳細パネルの建築計画欄を描画
+ */
+function renderDetailProjects(feature) {
+    const summary = document.getElementById('detail-projects-summary');
+    const list = document.getElementById('detail-projects-list');
+    list.innerHTML = '';
     
     if (!constructionState.data) {
-        console.error('❌ constructionState.dataが未定義です');
+        summary.textContent = '建築計画データが読み込まれていません';
         return;
     }
     
-    if (!constructionState.data.start_months) {
-        console.error('❌ constructionState.data.start_monthsが未定義です');
+    const projects = findProjectsInFeature(feature);
+    const analysis = analyzeProjects(projects);
+    document.getElementById('detail-projects-count').textContent = analysis.count;
+    
+    if (analysis.count === 0) {
+        summary.textContent = '境界内の建築計画はありません';
         return;
     }
     
-    console.log(`  - セレクト要素: 見つかりました`);
-    console.log(`  - データ: ${constructionState.data.start_months.length}ヶ月分`);
+    const usageText = Object.entries(analysis.usageBreakdown)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category, count]) => `${category} ${count}件`)
+        .join('、');
+    summary.textContent = `延床面積 計${Math.round(analysis.totalArea).toLocaleString()}㎡（${usageText}）`;
     
-    // 既存のオプションをクリア（最初のオプションは残す）
-    while (selectFrom.options.length > 1) {
-        selectFrom.remove(1);
-    }
-    while (selectTo.options.length > 1) {
-        selectTo.remove(1);
+    const limit = CONFIG.DETAIL_PANEL.PROJECT_LIST_LIMIT;
+    projects.slice(0, limit).forEach(project => {
+        const item = document.createElement('div');
+        item.className = 'detail-project-item';
+        item.innerHTML = `
+            <div class="detail-project-name">${escapeHTML(project.name)}</div>
+            <div class="detail-project-meta">${escapeHTML(project.usage || '-')} / ${escapeHTML(project.area || '-')} / 着工 ${escapeHTML(project.start_date || '-')}</div>
+        `;
+        item.addEventListener('click', () => {
+            state.map.setView([project.緯度, project.経度], 16);
+            L.popup()
+                .setLatLng([project.緯度, project.経度])
+                .setContent(`<div class="popup-title">${escapeHTML(project.name)}</div><div>${escapeHTML(project.address || '')}</div>`)
+                .openOn(state.map);
+        });
+        list.appendChild(item);
+    });
+    
+    if (projects.length > limit) {
+        const more = document.createElement('div');
+        more.className = 'detail-project-more';
+        more.textContent = `ほか ${projects.length - limit}件`;
+        list.appendChild(more);
     }
+}
+
+/**
+ * 詳細パネルを開く
+ */
+function openDetailPanel(feature) {
+    detailPanelState.unitKey = feature.properties.unit_key;
     
-    // 着工年月のオプションを両方のセレクトに追加
-    constructionState.data.start_months.forEach((month, index) => {
-        const optionFrom = document.createElement('option');
-        optionFrom.value = month;
-        optionFrom.textContent = month;
-        selectFrom.appendChild(optionFrom);
+    document.getElementById('detail-title').textContent = getFeatureDisplayName(feature.properties);
+    document.getElementById('detail-period').textContent =
+        `${state.currentYear}年${state.currentMonth}月時点・${CONFIG.ADMIN_LEVELS[feature.properties.level].label}`;
+    
+    renderDetailTrends(feature);
+    renderDetailRankings(feature);
+    renderDetailProjects(feature);
+    
+    document.getElementById('detail-panel').classList.add('show');
+}
+
+/**
+ * 詳細パネルを閉じる
+ */
+function closeDetailPanel() {
+    detailPanelState.unitKey = null;
+    document.getElementById('detail-panel').classList.remove('show');
+}
+
+/**
+ * 地図更新後に詳細パネルを再描画（表示単位が変わって該当がなくなった場合は閉じる）
+ */
+function refreshDetailPanel() {
+    if (!detailPanelState.unitKey) return;
+    
+    const feature = findDisplayFeature(detailPanelState.unitKey);
+    if (feature) {
+        openDetailPanel(feature);
+    } else {
+        closeDetailPanel();
+    }
+}
+
+/**
+ * 詳細パネルのイベントリスナー設定
+ */
+function setupDetailPanelEventListeners() {
+    document.getElementById('detail-close-btn').addEventListener('click', closeDetailPanel);
+}
+
+// ============================================================================
+// 市区町村検索
+// ============================================================================
+
+// 検索の状態
+const searchState = {
+    index: [],          // [{ unitKey, label, prefName, keys: [正規化した検索文字列] }]
+    indexGeoJSON: null, // 索引を作成した表示単位のフィーチャー
+    suggestions: [],    // 表示中の候補
+    activeIndex: -1     // キーボードで選択中の候補
+};
+
+// ローマ字 → ひらがな変換表（ヘボン式・訓令式の主なつづり）
+const ROMAJI_TABLE = {
+    a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+    ka: 'か', ki: 'き', ku: 'く', ke: 'け', ko: 'こ',
+    sa: 'さ', si: 'し', shi: 'し', su: 'す', se: 'せ', so: 'そ',
+    ta: 'た', ti: 'ち', chi: 'ち', tu: 'つ', tsu: 'つ', te: 'て', to: 'と',
+    na: 'な', ni: 'に', nu: 'ぬ', ne: 'ね', no: 'の',
+    ha: 'は', hi: 'ひ', hu: 'ふ', fu: 'ふ', he: 'へ', ho: 'ほ',
+    ma: 'ま', mi: 'み', mu: 'む', me: 'め', mo: 'も',
+    ya: 'や', yu: 'ゆ', yo: 'よ',
+    ra: 'ら', ri: 'り', ru: 'る', re: 'れ', ro: 'ろ',
+    wa: 'わ', wo: 'を',
+    ga: 'が', gi: 'ぎ', gu: 'ぐ', ge: 'げ', go: 'ご',
+    za: 'ざ', zi: 'じ', ji: 'じ', zu: 'ず', ze: 'ぜ', zo: 'ぞ',
+    da: 'だ', di: 'ぢ', du: 'づ', de: 'で', do: 'ど',
+    ba: 'ば', bi: 'び', bu: 'ぶ', be: 'べ', bo: 'ぼ',
+    pa: 'ぱ', pi: 'ぴ', pu: 'ぷ', pe: 'ぺ', po: 'ぽ',
+    kya: 'きゃ', kyu: 'きゅ', kyo: 'きょ',
+    sha: 'しゃ', shu: 'しゅ', sho: 'しょ', sya: 'しゃ', syu: 'しゅ', syo: 'しょ',
+    cha: 'ちゃ', chu: 'ちゅ', cho: 'ちょ', tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+    nya: 'にゃ', nyu: 'にゅ', nyo: 'にょ',
+    hya: 'ひゃ', hyu: 'ひゅ', hyo: 'ひょ',
+    mya: 'みゃ', myu: 'みゅ', myo: 'みょ',
+    rya: 'りゃ', ryu: 'りゅ', ryo: 'りょ',
+    gya: 'ぎゃ', gyu: 'ぎゅ', gyo: 'ぎょ',
+    ja: 'じゃ', ju: 'じゅ', jo: 'じょ', zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ',
+    bya: 'びゃ', byu: 'びゅ', byo: 'びょ',
+    pya: 'ぴゃ', pyu: 'ぴゅ', pyo: 'ぴょ'
+};
+
+// 都道府県・市区町村・行政区の読み（同梱データの東京都・千葉県・埼玉県。読みのない名称は表記でのみ検索できる）
+const MUNICIPALITY_READINGS = {
+    // 東京都
+    '東京都': 'とうきょうと',
+    '千代田区': 'ちよだく', '中央区': 'ちゅうおうく', '港区': 'みなとく', '新宿区': 'しんじゅくく', '文京区': 'ぶんきょうく',
+    '台東区': 'たいとうく', '墨田区': 'すみだく', '江東区': 'こうとうく', '品川区': 'しながわく', '目黒区': 'めぐろく',
+    '大田区': 'おおたく', '世田谷区': 'せたがやく', '渋谷区': 'しぶやく', '中野区': 'なかのく', '杉並区': 'すぎなみく',
+    '豊島区': 'としまく', '北区': 'きたく', '荒川区': 'あらかわく', '板橋区': 'いたばしく', '練馬区': 'ねりまく',
+    '足立区': 'あだちく', '葛飾区': 'かつしかく', '江戸川区': 'えどがわく',
+    '八王子市': 'はちおうじし', '立川市': 'たちかわし', '武蔵野市': 'むさしのし', '三鷹市': 'みたかし', '青梅市': 'おうめし',
+    '府中市': 'ふちゅうし', '昭島市': 'あきしまし', '調布市': 'ちょうふし', '町田市': 'まちだし', '小金井市': 'こがねいし',
+    '小平市': 'こだいらし', '日野市': 'ひのし', '東村山市': 'ひがしむらやまし', '国分寺市': 'こくぶんじし', '国立市': 'くにたちし',
+    '福生市': 'ふっさし', '狛江市': 'こまえし', '東大和市': 'ひがしやまとし', '清瀬市': 'きよせし', '東久留米市': 'ひがしくるめし',
+    '武蔵村山市': 'むさしむらやまし', '多摩市': 'たまし', '稲城市': 'いなぎし', '羽村市': 'はむらし', 'あきる野市': 'あきるのし',
+    '西東京市': 'にしとうきょうし', '瑞穂町': 'みずほまち', '日の出町': 'ひのでまち', '檜原村': 'ひのはらむら', '奥多摩町': 'おくたままち',
+    '大島町': 'おおしままち', '利島村': 'としまむら', '新島村': 'にいじまむら', '神津島村': 'こうづしまむら', '三宅村': 'みやけむら',
+    '御蔵島村': 'みくらじまむら', '八丈町': 'はちじょうまち', '青ヶ島村': 'あおがしまむら', '小笠原村': 'おがさわらむら',
+    // 千葉県
+    '千葉県': 'ちばけん',
+    '千葉市': 'ちばし', '花見川区': 'はなみがわく', '稲毛区': 'いなげく', '若葉区': 'わかばく', '緑区': 'みどりく', '美浜区': 'みはまく',
+    '銚子市': 'ちょうしし', '市川市': 'いちかわし', '船橋市': 'ふなばしし', '館山市': 'たてやまし', '木更津市': 'きさらづし',
+    '松戸市': 'まつどし', '野田市': 'のだし', '茂原市': 'もばらし', '成田市': 'なりたし', '佐倉市': 'さくらし',
+    '東金市': 'とうがねし', '旭市': 'あさひし', '習志野市': 'ならしのし', '柏市': 'かしわし', '勝浦市': 'かつうらし',
+    '市原市': 'いちはらし', '流山市': 'ながれやまし', '八千代市': 'やちよし', '我孫子市': 'あびこし', '鴨川市': 'かもがわし',
+    '鎌ケ谷市': 'かまがやし', '君津市': 'きみつし', '富津市': 'ふっつし', '浦安市': 'うらやすし', '四街道市': 'よつかいどうし',
+    '袖ケ浦市': 'そでがうらし', '八街市': 'やちまたし', '印西市': 'いんざいし', '白井市': 'しろいし', '富里市': 'とみさとし',
+    '南房総市': 'みなみぼうそうし', '匝瑳市': 'そうさし', '香取市': 'かとりし', '山武市': 'さんむし', 'いすみ市': 'いすみし',
+    '大網白里市': 'おおあみしらさとし', '酒々井町': 'しすいまち', '栄町': 'さかえまち', '神崎町': 'こうざきまち', '多古町': 'たこまち',
+    '東庄町': 'とうのしょうまち', '九十九里町': 'くじゅうくりまち', '芝山町': 'しばやままち', '横芝光町': 'よこしばひかりまち',
+    '一宮町': 'いちのみやまち', '睦沢町': 'むつざわまち', '長生村': 'ちょうせいむら', '白子町': 'しらこまち', '長柄町': 'ながらまち',
+    '長南町': 'ちょうなんまち', '大多喜町': 'おおたきまち', '御宿町': 'おんじゅくまち', '鋸南町': 'きょなんまち',
+    // 埼玉県
+    '埼玉県': 'さいたまけん',
+    'さいたま市': 'さいたまし', '西区': 'にしく', '大宮区': 'おおみやく', '見沼区': 'みぬまく', '桜区': 'さくらく',
+    '浦和区': 'うらわく', '南区': 'みなみく', '岩槻区': 'いわつきく',
+    '川越市': 'かわごえし', '熊谷市': 'くまがやし', '川口市': 'かわぐちし', '行田市': 'ぎょうだし', '秩父市': 'ちちぶし',
+    '所沢市': 'ところざわし', '飯能市': 'はんのうし', '加須市': 'かぞし', '本庄市': 'ほんじょうし', '東松山市': 'ひがしまつやまし',
+    '春日部市': 'かすかべし', '狭山市': 'さやまし', '羽生市': 'はにゅうし', '鴻巣市': 'こうのすし', '深谷市': 'ふかやし',
+    '上尾市': 'あげおし', '草加市': 'そうかし', '越谷市': 'こしがやし', '蕨市': 'わらびし', '戸田市': 'とだし',
+    '入間市': 'いるまし', '朝霞市': 'あさかし', '志木市': 'しきし', '和光市': 'わこうし', '新座市': 'にいざし',
+    '桶川市': 'おけがわし', '久喜市': 'くきし', '北本市': 'きたもとし', '八潮市': 'やしおし', '富士見市': 'ふじみし',
+    '三郷市': 'みさとし', '蓮田市': 'はすだし', '坂戸市': 'さかどし', '幸手市': 'さってし', '鶴ヶ島市': 'つるがしまし',
+    '日高市': 'ひだかし', '吉川市': 'よしかわし', 'ふじみ野市': 'ふじみのし', '白岡市': 'しらおかし',
+    '伊奈町': 'いなまち', '三芳町': 'みよしまち', '毛呂山町': 'もろやままち', '越生町': 'おごせまち', '滑川町': 'なめがわまち',
+    '嵐山町': 'らんざんまち', '小川町': 'おがわまち', '川島町': 'かわじままち', '吉見町': 'よしみまち', '鳩山町': 'はとやままち',
+    'ときがわ町': 'ときがわまち', '横瀬町': 'よこぜまち', '皆野町': 'みなのまち', '長瀞町': 'ながとろまち', '小鹿野町': 'おがのまち',
+    '東秩父村': 'ひがしちちぶむら', '美里町': 'みさとまち', '神川町': 'かみかわまち', '上里町': 'かみさとまち', '寄居町': 'よりいまち',
+    '宮代町': 'みやしろまち', '杉戸町': 'すぎとまち', '松伏町': 'まつぶしまち'
+};
+
+/**
+ * 名称の読み（市区町村名と行政区名などを連結した名称も可。読みのない名称を含む場合は空文字）
+ */
+function getNameReading(...names) {
+    const parts = names.filter(Boolean);
+    if (parts.length === 0 || parts.some(name => !MUNICIPALITY_READINGS[name])) return '';
+    return parts.map(name => MUNICIPALITY_READINGS[name]).join('');
+}
+
+/**
+ * ローマ字をひらがなに変換（変換できない文字はそのまま残す）
+ */
+function romajiToHiragana(text) {
+    const str = text.toLowerCase();
+    let result = '';
+    let i = 0;
+    
+    while (i < str.length) {
+        const char = str[i];
+        const next = str[i + 1];
         
-        const optionTo = document.createElement('option');
-        optionTo.value = month;
-        optionTo.textContent = month;
-        selectTo.appendChild(optionTo);
+        // 促音（同じ子音の連続。nn は撥音）
+        if (/[bcdfghjkmprstvwyz]/.test(char) && char === next) {
+            result += 'っ';
+            i++;
+            continue;
+        }
         
-        if (index < 5) {
-            console.log(`  - オプション追加: ${month}`);
+        // 撥音（n の後が母音・y 以外。nn の後に母音が続く場合は次の n をな行に使う）
+        if (char === 'n' && (next === undefined || !/[aiueoy]/.test(next))) {
+            result += 'ん';
+            i += next === 'n' && !/[aiueoy]/.test(str[i + 2] || '') ? 2 : 1;
+            continue;
+        }
+        
+        let matched = false;
+        for (let length = 3; length >= 1; length--) {
+            const kana = ROMAJI_TABLE[str.substr(i, length)];
+            if (kana) {
+                result += kana;
+                i += length;
+                matched = true;
+                break;
+            }
         }
+        
+        if (!matched) {
+            result += char;
+            i++;
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * 検索用の文字列正規化（全角半角・カタカナひらがな・ヶケ・長音・づずの表記ゆれを吸収）
+ * 
+ * ローマ字は長音を省いて書かれることが多い（Ome、Chuo）ため、かなの長音も省いて比べる
+ */
+function normalizeSearchText(text) {
+    if (!text) return '';
+    
+    let normalized = String(text).normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+    
+    // ローマ字入力はひらがなに変換（入力途中の末尾の子音は無視）
+    if (/[a-z]/.test(normalized)) {
+        const converted = romajiToHiragana(normalized);
+        normalized = converted.replace(/[a-z]+$/, '') || converted;
+    }
+    
+    return normalized
+        .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+        .replace(/[ヶヵゖ]/g, 'け')
+        .replace(/づ/g, 'ず')
+        .replace(/ぢ/g, 'じ')
+        .replace(/([おこごそぞとどのほぼぽもよょろ])[うお]/g, '$1')
+        .replace(/([うくぐすずつぬふぶぷむゆゅる])う/g, '$1');
+}
+
+/**
+ * 検索対象の索引を作成（現在の表示単位のフィーチャー。表示単位が変わった場合のみ）
+ */
+function buildSearchIndex() {
+    if (!state.displayGeoJSON || searchState.indexGeoJSON === state.displayGeoJSON) return;
+    
+    searchState.indexGeoJSON = state.displayGeoJSON;
+    searchState.index = state.displayGeoJSON.features
+        .filter(feature => feature.geometry)
+        .map(feature => {
+            const props = feature.properties;
+            const localName = `${props.city_name || ''}${props.ward_name || ''}`;
+            const localReading = getNameReading(props.city_name, props.ward_name);
+            return {
+                unitKey: props.unit_key,
+                label: localName || props.pref_name,
+                prefName: props.pref_name,
+                keys: [
+                    normalizeSearchText(localName),
+                    normalizeSearchText(props.ward_name),
+                    normalizeSearchText(`${props.pref_name}${localName}`),
+                    // 漢字の名称もかな・ローマ字で検索できるよう読みを加える（都道府県の読みは都道府県単位のみ）
+                    normalizeSearchText(localReading),
+                    normalizeSearchText(getNameReading(props.ward_name)),
+                    normalizeSearchText(props.city_name ? '' : getNameReading(props.pref_name))
+                ].filter(Boolean)
+            };
+        });
+}
+
+/**
+ * 入力に一致する候補を検索（名称の先頭一致を優先）
+ */
+function searchMunicipalities(query) {
+    const normalizedQuery = normalizeSearchText(query);
+    if (!normalizedQuery) return [];
+    
+    const matches = [];
+    searchState.index.forEach(entry => {
+        let score = null;
+        entry.keys.forEach(key => {
+            if (key.startsWith(normalizedQuery)) {
+                score = 0;
+            } else if (score === null && key.includes(normalizedQuery)) {
+                score = 1;
+            }
+        });
+        if (score !== null) {
+            matches.push({ entry, score });
+        }
+    });
+    
+    return matches
+        .sort((a, b) => a.score - b.score || a.entry.label.length - b.entry.label.length)
+        .slice(0, CONFIG.SEARCH.MAX_SUGGESTIONS)
+        .map(match => match.entry);
+}
+
+/**
+ * 候補リストの描画
+ */
+function renderSearchSuggestions() {
+    const list = document.getElementById('municipality-search-suggestions');
+    list.innerHTML = '';
+    
+    searchState.suggestions.forEach((entry, index) => {
+        const item = document.createElement('div');
+        item.className = 'search-suggestion' + (index === searchState.activeIndex ? ' active' : '');
+        item.innerHTML = `<span class="search-suggestion-name">${escapeHTML(entry.label)}</span><span class="search-suggestion-pref">${escapeHTML(entry.prefName)}</span>`;
+        // blurより先に選択させる
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            selectSearchSuggestion(entry);
+        });
+        list.appendChild(item);
     });
     
-    // デフォルト値を設定（最初の月～最後の月）
-    if (constructionState.data.start_months.length > 0) {
-        selectFrom.value = constructionState.data.start_months[0];
-        selectTo.value = constructionState.data.start_months[constructionState.data.start_months.length - 1];
-        console.log(`  - デフォルト期間設定: ${selectFrom.value} ～ ${selectTo.value}`);
-    }
+    list.classList.toggle('show', searchState.suggestions.length > 0);
+}
+
+/**
+ * 候補リストを閉じる
+ */
+function closeSearchSuggestions() {
+    searchState.suggestions = [];
+    searchState.activeIndex = -1;
+    renderSearchSuggestions();
+}
+
+/**
+ * 候補を選択（ズーム・ハイライト・詳細表示）
+ */
+function selectSearchSuggestion(entry) {
+    document.getElementById('municipality-search-input').value = entry.label;
+    closeSearchSuggestions();
     
-    console.log(`✓ 着工年月プルダウン初期化完了: ${selectFrom.options.length - 1}個のオプション追加`);
+    const layer = findLayerByUnitKey(entry.unitKey);
+    if (!layer) return;
+    
+    state.map.fitBounds(layer.getBounds());
+    highlightLayer(layer);
+    onFeatureClick({ target: layer });
 }
 
-// 建築計画マーカーを表示
-function showConstructionMarkers(completionMonthFrom, completionMonthTo, startMonthFrom, startMonthTo) {
-    // 既存のマーカーをクリア
-    clearConstructionMarkers();
+/**
+ * 検索ボックスのイベントリスナー設定
+ */
+function setupSearchEventListeners() {
+    const input = document.getElementById('municipality-search-input');
     
-    if (!constructionState.data) return;
-    if (!completionMonthFrom && !completionMonthTo && !startMonthFrom && !startMonthTo) return;
+    input.addEventListener('input', () => {
+        searchState.suggestions = searchMunicipalities(input.value);
+        searchState.activeIndex = searchState.suggestions.length > 0 ? 0 : -1;
+        renderSearchSuggestions();
+    });
     
-    // 指定された条件でプロジェクトをフィルタ
-    let projects = constructionState.data.projects;
+    input.addEventListener('keydown', (e) => {
+        const count = searchState.suggestions.length;
+        if (e.key === 'ArrowDown' && count > 0) {
+            e.preventDefault();
+            searchState.activeIndex = (searchState.activeIndex + 1) % count;
+            renderSearchSuggestions();
+        } else if (e.key === 'ArrowUp' && count > 0) {
+            e.preventDefault();
+            searchState.activeIndex = (searchState.activeIndex - 1 + count) % count;
+            renderSearchSuggestions();
+        } else if (e.key === 'Enter' && searchState.activeIndex >= 0) {
+            e.preventDefault();
+            selectSearchSuggestion(searchState.suggestions[searchState.activeIndex]);
+        } else if (e.key === 'Escape') {
+            closeSearchSuggestions();
+        }
+    });
     
-    // 完成年月でフィルタ（期間指定）
-    if (completionMonthFrom || completionMonthTo) {
-        projects = projects.filter(p => {
-            const completionMonth = p.完成年月;
-            if (!completionMonth) return false;
-            
-            // 開始月が指定されている場合、それ以降であることを確認
-            if (completionMonthFrom && completionMonth < completionMonthFrom) {
-                return false;
-            }
-            
-            // 終了月が指定されている場合、それ以前であることを確認
-            if (completionMonthTo && completionMonth > completionMonthTo) {
-                return false;
-            }
-            
-            return true;
-        });
+    input.addEventListener('blur', closeSearchSuggestions);
+    
+    // 地図操作が検索ボックスに伝わらないようにする
+    L.DomEvent.disableClickPropagation(document.getElementById('municipality-search'));
+}
+
+// ============================================================================
+// 市区町村ランキング表
+// ============================================================================
+
+// ランキング表の状態
+const rankingTableState = {
+    isOpen: false,
+    sortKey: 'buildingCount',
+    sortAscending: false,
+    prefFilter: '',
+    page: 0,
+    selectedUnitKey: null
+};
+
+// データパネルの状態（表示中のタブ: 'ranking' | 'projects' | 'timeline'）
+const dataPanelState = {
+    activeTab: 'ranking'
+};
+
+/**
+ * ランキング表の列（名称 + 実数指標。取り込んだ独自指標も含む）
+ */
+function getRankingTableColumns() {
+    return [
+        { key: 'pref_name', label: '都道府県', numeric: false },
+        { key: 'name', label: '市区町村', numeric: false },
+        ...getBaseIndicatorKeys().map(key => ({
+            key,
+            label: CONFIG.INDICATORS[key].label,
+            unit: CONFIG.INDICATORS[key].unit,
+            numeric: true
+        }))
+    ];
+}
+
+/**
+ * 順位を付ける指標（並べ替え中の実数指標。名称で並べ替え中は地図の指標）
+ */
+function getRankingIndicatorKey() {
+    const baseKeys = getBaseIndicatorKeys();
+    if (baseKeys.includes(rankingTableState.sortKey)) return rankingTableState.sortKey;
+    return baseKeys.includes(state.currentIndicator) ? state.currentIndicator : 'buildingCount';
+}
+
+/**
+ * ランキング表の行データ（現在の表示単位・年月、並べ替え・絞り込み済み）
+ * 
+ * 順位は並び順によらず、順位を付ける指標の値が大きい順（同値は同順位、データなしは順位なし）
+ */
+function getRankingTableRows() {
+    if (!state.displayGeoJSON) return [];
+    
+    // 並べ替え中の独自指標が削除された場合は着工件数に戻す
+    const columns = getRankingTableColumns();
+    if (!columns.some(col => col.key === rankingTableState.sortKey)) {
+        rankingTableState.sortKey = 'buildingCount';
+        rankingTableState.sortAscending = false;
     }
     
-    // 着工年月でフィルタ（期間指定）
-    if (startMonthFrom || startMonthTo) {
-        projects = projects.filter(p => {
-            const startMonth = p.着工年月;
-            if (!startMonth) return false;
-            
-            // 開始月が指定されている場合、それ以降であることを確認
-            if (startMonthFrom && startMonth < startMonthFrom) {
-                return false;
-            }
-            
-            // 終了月が指定されている場合、それ以前であることを確認
-            if (startMonthTo && startMonth > startMonthTo) {
-                return false;
+    const { sortKey, sortAscending, prefFilter } = rankingTableState;
+    const baseKeys = getBaseIndicatorKeys();
+    const rows = state.displayGeoJSON.features
+        .filter(feature => !prefFilter || feature.properties.pref_name === prefFilter)
+        .map(feature => {
+            const props = feature.properties;
+            const row = {
+                unitKey: props.unit_key,
+                pref_name: props.pref_name,
+                name: `${props.city_name || ''}${props.ward_name || ''}` || props.pref_name,
+                cityCode: props.city_code,
+                unitCostMissing: props.unitCostMissing
+            };
+            baseKeys.forEach(key => {
+                row[key] = props[CONFIG.INDICATORS[key].field];
+            });
+            if (props.unitCostMissing) {
+                row.estimatedAmount = null;
             }
-            
-            return true;
+            return row;
         });
-    }
     
-    const completionPeriodText = completionMonthFrom && completionMonthTo 
-        ? `${completionMonthFrom}～${completionMonthTo}` 
-        : completionMonthFrom 
-        ? `${completionMonthFrom}以降` 
-        : completionMonthTo 
-        ? `${completionMonthTo}以前` 
-        : 'すべて';
+    const rankingKey = getRankingIndicatorKey();
+    const rankedValues = rows
+        .map(row => row[rankingKey])
+        .filter(value => value !== null && value !== undefined && !isNaN(value))
+        .sort((a, b) => b - a);
+    const ranks = new Map();
+    rankedValues.forEach((value, index) => {
+        if (!ranks.has(value)) ranks.set(value, index + 1);
+    });
+    rows.forEach(row => {
+        row.rank = ranks.has(row[rankingKey]) ? ranks.get(row[rankingKey]) : null;
+    });
     
-    const startPeriodText = startMonthFrom && startMonthTo 
-        ? `${startMonthFrom}～${startMonthTo}` 
-        : startMonthFrom 
-        ? `${startMonthFrom}以降` 
-        : startMonthTo 
-        ? `${startMonthTo}以前` 
-        : 'すべて';
+    // データなしは並び順に関係なく末尾
+    const column = columns.find(col => col.key === sortKey);
+    rows.sort((a, b) => {
+        const valueA = a[sortKey];
+        const valueB = b[sortKey];
+        const missingA = valueA === null || valueA === undefined;
+        const missingB = valueB === null || valueB === undefined;
+        if (missingA || missingB) return missingA - missingB;
+        
+        const result = column.numeric ? valueA - valueB : String(valueA).localeCompare(String(valueB), 'ja');
+        return sortAscending ? result : -result;
+    });
     
-    console.log(`完成年月: ${completionPeriodText}, 着工年月: ${startPeriodText}: ${projects.length}件の建築計画を表示`);
+    return rows;
+}
+
+/**
+ * 都道府県の絞り込みセレクトを更新
+ */
+function updateRankingPrefFilter() {
+    const select = document.getElementById('ranking-pref-filter');
+    const prefNames = Array.from(new Set(state.displayGeoJSON.features.map(f => f.properties.pref_name)));
     
-    // マーカーを作成
-    projects.forEach(project => {
-        // カスタムアイコン
-        const icon = L.divIcon({
-            className: 'construction-marker',
-            html: '<div class="construction-marker-inner"></div>',
-            iconSize: [12, 12],
-            iconAnchor: [6, 6],
-            popupAnchor: [0, -6]
-        });
-        
-        // マーカー作成
-        const marker = L.marker([project.latitude, project.longitude], { icon: icon });
-        
-        // プロジェクトデータを保存
-        marker.project = project;
+    if (rankingTableState.prefFilter && !prefNames.includes(rankingTableState.prefFilter)) {
+        rankingTableState.prefFilter = '';
+    }
+    
+    select.innerHTML = '<option value="">すべての都道府県</option>' +
+        prefNames.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('');
+    select.value = rankingTableState.prefFilter;
+}
+
+/**
+ * ランキング表の描画
+ */
+function renderRankingTable() {
+    if (!rankingTableState.isOpen || !state.displayGeoJSON) return;
+    
+    const rows = getRankingTableRows();
+    const columns = getRankingTableColumns();
+    const pageSize = CONFIG.RANKING_TABLE.PAGE_SIZE;
+    const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+    rankingTableState.page = Math.min(rankingTableState.page, pageCount - 1);
+    
+    // ヘッダー（クリックで並べ替え）
+    const headRow = document.getElementById('ranking-table-head');
+    const rankingLabel = escapeHTML(CONFIG.INDICATORS[getRankingIndicatorKey()].label);
+    headRow.innerHTML = `<th class="numeric" title="${rankingLabel}の大きい順">順位</th>` + columns.map(col => {
+        const arrow = col.key === rankingTableState.sortKey ? (rankingTableState.sortAscending ? ' ▲' : ' ▼') : '';
+        return `<th class="sortable${col.numeric ? ' numeric' : ''}" data-key="${col.key}">${escapeHTML(col.label)}${col.unit ? `（${escapeHTML(col.unit)}）` : ''}${arrow}</th>`;
+    }).join('');
+    
+    // 本体（現在のページ）
+    const body = document.getElementById('ranking-table-body');
+    body.innerHTML = '';
+    const start = rankingTableState.page * pageSize;
+    rows.slice(start, start + pageSize).forEach(row => {
+        const tr = document.createElement('tr');
+        tr.dataset.unitKey = row.unitKey;
+        if (row.unitKey === rankingTableState.selectedUnitKey) {
+            tr.classList.add('selected');
+        }
         
-        // ポップアップ内容
-        const popupContent = `
-            <div class="construction-popup">
-                <h3>${project.name}</h3>
-                <table>
-                    <tr><th>住所</th><td>${project.address || '-'}</td></tr>
-                    <tr><th>用途</th><td>${project.usage || '-'}</td></tr>
-                    <tr><th>工事種別</th><td>${project.structure || '-'}</td></tr>
-                    <tr><th>地上階</th><td>${project.floors || '-'}</td></tr>
-                    <tr><th>延床面積</th><td>${project.area || '-'}</td></tr>
-                    <tr><th>建築主</th><td>${project.owner || '-'}</td></tr>
-                    <tr><th>設計者</th><td>${project.designer || '-'}</td></tr>
-                    <tr><th>施工者</th><td>${project.constructor || '-'}</td></tr>
-                    <tr><th>着工日</th><td>${project.start_date || '-'}</td></tr>
-                    <tr><th>完成日</th><td>${project.completion_date || '-'}</td></tr>
-                </table>
-            </div>
-        `;
+        tr.innerHTML = `<td class="numeric">${row.rank === null ? '-' : row.rank}</td>` + columns.map(col => {
+            const value = row[col.key];
+            if (!col.numeric) return `<td>${escapeHTML(value || '')}</td>`;
+            if (col.key === 'estimatedAmount' && row.unitCostMissing) return '<td class="numeric muted">単価未設定</td>';
+            return `<td class="numeric">${value === null || value === undefined ? '-' : Math.round(value).toLocaleString()}</td>`;
+        }).join('');
         
-        marker.bindPopup(popupContent);
-        marker.addTo(state.map);
+        tr.addEventListener('mouseenter', () => {
+            const layer = findLayerByUnitKey(row.unitKey);
+            if (layer) highlightLayer(layer);
+        });
+        tr.addEventListener('mouseleave', () => {
+            const layer = findLayerByUnitKey(row.unitKey);
+            if (layer) state.geoJSONLayer.resetStyle(layer);
+        });
+        tr.addEventListener('click', () => {
+            rankingTableState.selectedUnitKey = row.unitKey;
+            body.querySelectorAll('tr.selected').forEach(el => el.classList.remove('selected'));
+            tr.classList.add('selected');
+            
+            const layer = findLayerByUnitKey(row.unitKey);
+            if (layer) {
+                state.map.fitBounds(layer.getBounds());
+                highlightLayer(layer);
+            }
+        });
         
-        constructionState.markers.push(marker);
+        body.appendChild(tr);
     });
     
-    // ポリゴンレイヤーを最前面に移動
-    bringDrawnItemsToFront();
+    document.getElementById('ranking-page-info').textContent =
+        `${rows.length}件中 ${rows.length === 0 ? 0 : start + 1}–${Math.min(start + pageSize, rows.length)}件（${rankingTableState.page + 1} / ${pageCount}ページ）`;
+    document.getElementById('ranking-prev-btn').disabled = rankingTableState.page === 0;
+    document.getElementById('ranking-next-btn').disabled = rankingTableState.page >= pageCount - 1;
+    document.getElementById('ranking-period').textContent =
+        `${state.currentYear}年${state.currentMonth}月・${CONFIG.ADMIN_LEVELS[state.currentLevel].label}`;
 }
 
-// 建築計画マーカーをクリア
-function clearConstructionMarkers() {
-    constructionState.markers.forEach(marker => {
-        state.map.removeLayer(marker);
-    });
-    constructionState.markers = [];
+/**
+ * 地図更新後にランキング表を更新
+ */
+function refreshRankingTable() {
+    if (!rankingTableState.isOpen || dataPanelState.activeTab !== 'ranking') return;
+    updateRankingPrefFilter();
+    renderRankingTable();
 }
 
-// 建築計画表示を切り替え
-function toggleConstructionDisplay() {
-    const checkbox = document.getElementById('show-construction-checkbox');
-    const completionMonthFrom = document.getElementById('completion-month-from');
-    const completionMonthTo = document.getElementById('completion-month-to');
-    const startMonthFrom = document.getElementById('start-month-from');
-    const startMonthTo = document.getElementById('start-month-to');
+/**
+ * 地図でクリックされた市区町村の行を表示して選択
+ */
+function scrollToRankingRow(unitKey) {
+    rankingTableState.selectedUnitKey = unitKey;
+    if (!rankingTableState.isOpen) return;
+    
+    let rows = getRankingTableRows();
+    let index = rows.findIndex(row => row.unitKey === unitKey);
+    
+    // 絞り込みで非表示の場合は絞り込みを解除
+    if (index < 0 && rankingTableState.prefFilter) {
+        rankingTableState.prefFilter = '';
+        document.getElementById('ranking-pref-filter').value = '';
+        rows = getRankingTableRows();
+        index = rows.findIndex(row => row.unitKey === unitKey);
+    }
+    if (index < 0) return;
     
-    console.log('建築計画表示切り替え:');
-    console.log(`  - チェックボックス: ${checkbox.checked}`);
-    console.log(`  - 選択された完成年月（開始）: ${completionMonthFrom.value}`);
-    console.log(`  - 選択された完成年月（終了）: ${completionMonthTo.value}`);
-    console.log(`  - 選択された着工年月（開始）: ${startMonthFrom.value}`);
-    console.log(`  - 選択された着工年月（終了）: ${startMonthTo.value}`);
+    rankingTableState.page = Math.floor(index / CONFIG.RANKING_TABLE.PAGE_SIZE);
+    renderRankingTable();
     
-    if (checkbox.checked && (completionMonthFrom.value || completionMonthTo.value || startMonthFrom.value || startMonthTo.value)) {
-        showConstructionMarkers(completionMonthFrom.value, completionMonthTo.value, startMonthFrom.value, startMonthTo.value);
-        constructionState.isVisible = true;
-    } else {
-        clearConstructionMarkers();
-        constructionState.isVisible = false;
+    const tr = Array.from(document.querySelectorAll('#ranking-table-body tr')).find(el => el.dataset.unitKey === unitKey);
+    if (tr) {
+        tr.scrollIntoView({ block: 'nearest' });
     }
 }
 
-// 建築計画機能のイベントリスナー設定
-function setupConstructionEventListeners() {
-    const checkbox = document.getElementById('show-construction-checkbox');
-    const completionMonthFrom = document.getElementById('completion-month-from');
-    const completionMonthTo = document.getElementById('completion-month-to');
-    const startMonthFrom = document.getElementById('start-month-from');
-    const startMonthTo = document.getElementById('start-month-to');
-    
-    if (checkbox) {
-        checkbox.addEventListener('change', toggleConstructionDisplay);
-    }
-    
-    if (completionMonthFrom) {
-        completionMonthFrom.addEventListener('change', () => {
-            if (checkbox.checked) {
-                toggleConstructionDisplay();
-            }
-        });
-    }
+/**
+ * ランキング表の表示切替（地図の高さを調整）
+ */
+function toggleRankingTable(show) {
+    rankingTableState.isOpen = show;
+    document.getElementById('map-container').classList.toggle('data-panel-open', show);
+    state.map.invalidateSize();
     
-    if (completionMonthTo) {
-        completionMonthTo.addEventListener('change', () => {
-            if (checkbox.checked) {
-                toggleConstructionDisplay();
-            }
-        });
+    if (show) {
+        refreshRankingTable();
+        renderProjectTable();
+        renderProjectTimeline();
     }
+}
+
+/**
+ * データパネルのタブ切替（タブ固有の要素だけを表示）
+ */
+function setDataPanelTab(tab) {
+    dataPanelState.activeTab = tab;
     
-    if (startMonthFrom) {
-        startMonthFrom.addEventListener('change', () => {
-            if (checkbox.checked) {
-                toggleConstructionDisplay();
-            }
-        });
-    }
+    document.querySelectorAll('#data-panel .data-panel-tab').forEach(el => {
+        el.classList.toggle('active', el.dataset.tab === tab);
+    });
+    document.querySelectorAll('#data-panel [data-tab-content]').forEach(el => {
+        el.style.display = el.dataset.tabContent === tab ? '' : 'none';
+    });
     
-    if (startMonthTo) {
-        startMonthTo.addEventListener('change', () => {
-            if (checkbox.checked) {
-                toggleConstructionDisplay();
-            }
-        });
+    if (rankingTableState.isOpen) {
+        refreshRankingTable();
+        renderProjectTable();
+        renderProjectTimeline();
     }
 }
 
-// ============================================================================
-// 任意ポイント登録機能
-// ============================================================================
+/**
+ * データパネルを指定のタブで開く（同じタブを表示中なら閉じる）
+ */
+function toggleDataPanelTab(tab) {
+    if (rankingTableState.isOpen && dataPanelState.activeTab === tab) {
+        toggleRankingTable(false);
+        return;
+    }
+    setDataPanelTab(tab);
+    toggleRankingTable(true);
+}
 
-const customPointsState = {
-    points: [], // 登録済みポイント配列 { id, name, address, category, salesPerson, craftsman, lat, lng, marker, isVisible }
-    nextId: 1,
-    isVisible: true,
-    editingId: null, // 編集中ID
-    clickModeActive: false, // 地図クリック追加モードが有効かどうか
-    tempMarker: null // 一時的なマーカー（クリック位置を示す）
-};
+/**
+ * ランキング表をCSVエクスポート（絞り込み・並べ替えを反映した全ページ）
+ */
+function exportRankingTableCSV() {
+    const rows = getRankingTableRows();
+    if (rows.length === 0) {
+        alert('エクスポートするデータがありません');
+        return;
+    }
+    
+    const columns = getRankingTableColumns();
+    const headers = [
+        `順位（${CONFIG.INDICATORS[getRankingIndicatorKey()].label}）`,
+        '市区町村コード',
+        ...columns.map(col => col.unit ? `${col.label}（${col.unit}）` : col.label)
+    ];
+    const csvRows = rows.map(row => [
+        row.rank === null ? '' : row.rank,
+        row.cityCode || '',
+        ...columns.map(col => {
+            const value = row[col.key];
+            if (col.key === 'estimatedAmount' && row.unitCostMissing) return '単価未設定';
+            return value === null || value === undefined ? '' : value;
+        })
+    ]);
+    
+    downloadCSV(`市区町村ランキング_${state.currentYear}年${state.currentMonth}月_${buildFileTimestamp()}.csv`, headers, csvRows);
+}
 
 /**
- * 住所から座標を取得（国土地理院ジオコーディング）
+ * ランキング表のイベントリスナー設定
  */
-async function geocodeAddress(address) {
-    try {
-        // 国土地理院ジオコーディングAPI
-        const url = `https://msearch.gsi.go.jp/address-search/AddressSearch?q=${encodeURIComponent(address)}`;
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error('ジオコーディングAPIエラー');
-        }
-        
-        const data = await response.json();
+function setupRankingTableEventListeners() {
+    document.getElementById('ranking-table-btn').addEventListener('click', () => {
+        toggleDataPanelTab('ranking');
+    });
+    
+    // タブクリックで切替
+    document.querySelectorAll('#data-panel .data-panel-tab').forEach(el => {
+        el.addEventListener('click', () => setDataPanelTab(el.dataset.tab));
+    });
+    document.getElementById('data-panel-close-btn').addEventListener('click', () => {
+        toggleRankingTable(false);
+    });
+    
+    // ヘッダークリックで並べ替え（同じ列は昇順・降順を切替）
+    document.getElementById('ranking-table-head').addEventListener('click', (e) => {
+        const th = e.target.closest('th.sortable');
+        if (!th) return;
         
-        if (!data || data.length === 0) {
-            throw new Error('住所が見つかりませんでした');
+        const key = th.dataset.key;
+        if (rankingTableState.sortKey === key) {
+            rankingTableState.sortAscending = !rankingTableState.sortAscending;
+        } else {
+            rankingTableState.sortKey = key;
+            rankingTableState.sortAscending = !getRankingTableColumns().find(col => col.key === key).numeric;
         }
-        
-        // 最初の結果を使用
-        const result = data[0];
-        const lat = parseFloat(result.geometry.coordinates[1]);
-        const lng = parseFloat(result.geometry.coordinates[0]);
-        
-        return { lat, lng, fullAddress: result.properties.title };
-    } catch (error) {
-        console.error('ジオコーディングエラー:', error);
-        throw error;
+        rankingTableState.page = 0;
+        renderRankingTable();
+    });
+    
+    document.getElementById('ranking-pref-filter').addEventListener('change', (e) => {
+        rankingTableState.prefFilter = e.target.value;
+        rankingTableState.page = 0;
+        renderRankingTable();
+    });
+    
+    document.getElementById('ranking-prev-btn').addEventListener('click', () => {
+        rankingTableState.page--;
+        renderRankingTable();
+    });
+    document.getElementById('ranking-next-btn').addEventListener('click', () => {
+        rankingTableState.page++;
+        renderRankingTable();
+    });
+    
+    document.getElementById('ranking-export-btn').addEventListener('click', exportRankingTableCSV);
+}
+
+// ============================================================================
+// シンボル表示（比例シンボル・ドット密度）
+// ============================================================================
+
+// シンボル表示の状態
+const symbolState = {
+    layer: null,            // 円・ドットのレイヤーグループ
+    renderer: null,         // Canvasレンダラー（マウス操作は下のポリゴンに通す）
+    dotPositions: new Map(), // 表示単位 → 配置済みのドット座標（再生時に位置が動かないよう保持）
+    legendInfo: null        // 凡例用の情報
+};
+
+/**
+ * シンボル表示（比例シンボル・ドット密度）のモードか
+ */
+function isSymbolMode() {
+    return state.displayMode === 'proportional' || state.displayMode === 'dotDensity';
+}
+
+/**
+ * シンボル描画用のCanvasレンダラー（専用ペインでポインターイベントを無効化）
+ */
+function getSymbolRenderer() {
+    if (!symbolState.renderer) {
+        const pane = state.map.createPane('symbolPane');
+        pane.style.zIndex = 450;
+        pane.style.pointerEvents = 'none';
+        symbolState.renderer = L.canvas({ pane: 'symbolPane' });
     }
+    return symbolState.renderer;
 }
 
 /**
- * 座標から住所を取得（逆ジオコーディング）
+ * 境界の下地スタイル（シンボル表示時のポリゴン）
  */
-async function reverseGeocode(lat, lng) {
-    try {
-        // 国土地理院の逆ジオコーディングAPIは公式にはないため、
-        // 近似的な住所を生成（緯度経度を表示）
-        // より正確な住所が必要な場合は、別のサービス（Google Maps APIなど）の利用を検討
-        return `緯度: ${lat.toFixed(6)}, 経度: ${lng.toFixed(6)}`;
-    } catch (error) {
-        console.error('逆ジオコーディングエラー:', error);
-        return `緯度: ${lat.toFixed(6)}, 経度: ${lng.toFixed(6)}`;
+function getUnderlayStyle() {
+    return {
+        fillColor: CONFIG.COLORS.NO_DATA,
+        weight: CONFIG.STYLE.UNDERLAY_WEIGHT,
+        opacity: CONFIG.STYLE.DEFAULT_OPACITY,
+        color: CONFIG.COLORS.UNDERLAY_BORDER,
+        fillOpacity: CONFIG.STYLE.UNDERLAY_FILL_OPACITY
+    };
+}
+
+/**
+ * リングの面積（符号付き、経緯度のまま）と重心
+ */
+function calculateRingCentroid(ring) {
+    let area = 0;
+    let x = 0;
+    let y = 0;
+    
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+        area += cross;
+        x += (ring[j][0] + ring[i][0]) * cross;
+        y += (ring[j][1] + ring[i][1]) * cross;
+    }
+    
+    area /= 2;
+    if (area === 0) {
+        return { area: 0, lng: ring[0][0], lat: ring[0][1] };
     }
+    return { area, lng: x / (6 * area), lat: y / (6 * area) };
 }
 
 /**
- * 任意ポイントマーカーを作成
+ * フィーチャーの代表点（最大のリングの重心、初回のみ計算）
+ * 
+ * 飛び地や離島を含む自治体でも本体の位置に置くため、全体の重心ではなく最大リングを使う
  */
-function createCustomPointMarker(point) {
-    const marker = L.marker([point.lat, point.lng], {
-        icon: L.divIcon({
-            className: 'custom-point-marker',
-            html: '<div class="custom-point-marker-inner"></div>',
-            iconSize: [14, 14],
-            iconAnchor: [7, 7]
-        })
+function getFeatureCentroid(feature) {
+    if (feature.centroid) return feature.centroid;
+    if (!feature.geometry) return null;
+    
+    let largest = null;
+    getGeometryRings(feature.geometry).forEach(ring => {
+        const centroid = calculateRingCentroid(ring);
+        if (!largest || Math.abs(centroid.area) > Math.abs(largest.area)) {
+            largest = centroid;
+        }
     });
     
-    // ポップアップ内容
-    const title = point.name || '登録ポイント';
-    let popupContent = `
-        <div class="custom-point-popup">
-            <h3>${title}</h3>
-    `;
-    
-    if (point.category) {
-        popupContent += `<div class="popup-detail"><span class="popup-category">${point.category}</span></div>`;
+    feature.centroid = largest ? L.latLng(largest.lat, largest.lng) : null;
+    return feature.centroid;
+}
+
+/**
+ * 文字列から乱数の種を作成
+ */
+function hashString(str) {
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
     }
-    
-    popupContent += `<div class="popup-detail"><span class="popup-label">住所:</span><br><span class="popup-value">${point.address}</span></div>`;
-    
-    if (point.salesPerson) {
-        popupContent += `<div class="popup-detail"><span class="popup-label">営業担当者:</span> <span class="popup-value">${point.salesPerson}</span></div>`;
+    return hash >>> 0;
+}
+
+/**
+ * 種付き乱数生成器（mulberry32）
+ */
+function createSeededRandom(seed) {
+    let a = seed;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 表示単位内のランダムなドット座標（必要数まで追加で生成し、以前の点は保持）
+ * 
+ * 離島を含む都道府県などは全体の外接矩形がほとんど海になるため、
+ * ポリゴンを面積に比例して選び、そのポリゴンの外接矩形の中で試す
+ */
+function getDotPositions(feature, count) {
+    const unitKey = feature.properties.unit_key;
+    let entry = symbolState.dotPositions.get(unitKey);
+    if (!entry) {
+        entry = { points: [], random: createSeededRandom(hashString(unitKey)) };
+        symbolState.dotPositions.set(unitKey, entry);
     }
     
-    if (point.craftsman) {
-        popupContent += `<div class="popup-detail"><span class="popup-label">担当職人:</span> <span class="popup-value">${point.craftsman}</span></div>`;
+    const polygons = getFeaturePolygons(feature).filter(polygon => polygon.area > 0);
+    if (polygons.length === 0) return entry.points.slice(0, count);
+    
+    // 面積の累積（乱数からポリゴンを二分探索で選ぶ）
+    const cumulativeAreas = [];
+    polygons.reduce((sum, polygon) => {
+        cumulativeAreas.push(sum + polygon.area);
+        return sum + polygon.area;
+    }, 0);
+    const totalArea = cumulativeAreas[cumulativeAreas.length - 1];
+    
+    let remainingAttempts = (count - entry.points.length) * CONFIG.SYMBOLS.DOT_MAX_ATTEMPTS;
+    while (entry.points.length < count && remainingAttempts > 0) {
+        const pick = entry.random() * totalArea;
+        let low = 0;
+        let high = cumulativeAreas.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (cumulativeAreas[mid] > pick) high = mid; else low = mid + 1;
+        }
+        const polygon = polygons[low];
+        const [minLng, minLat, maxLng, maxLat] = polygon.bbox;
+        
+        // 選んだポリゴンに入るまで試す（ポリゴン内で一様に分布させるため。穴はポリゴンのリングで除かれる）
+        while (remainingAttempts > 0) {
+            remainingAttempts--;
+            const lng = minLng + (maxLng - minLng) * entry.random();
+            const lat = minLat + (maxLat - minLat) * entry.random();
+            if (isPointInRings(lat, lng, polygon.rings)) {
+                entry.points.push([lat, lng]);
+                break;
+            }
+        }
     }
     
-    popupContent += `</div>`;
-    
-    marker.bindPopup(popupContent);
-    
-    return marker;
+    return entry.points.slice(0, count);
 }
 
 /**
- * 任意ポイントを地図に追加
+ * 切りのよい数値に丸める（1, 2, 5 × 10^n）
  */
-function addCustomPointToMap(point) {
-    // 個別の表示設定も確認
-    if (point.isVisible === false) return;
-    
-    const marker = createCustomPointMarker(point);
-    marker.addTo(state.map);
-    point.marker = marker;
+function roundToNiceNumber(value) {
+    if (value <= 0) return 1;
+    const exponent = Math.floor(Math.log10(value));
+    const base = Math.pow(10, exponent);
+    const fraction = value / base;
+    const nice = fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10;
+    return nice * base;
 }
 
 /**
- * 任意ポイントを地図から削除
+ * 値以下で切りのよい数値に丸める（1, 2, 5 × 10^n）
  */
-function removeCustomPointFromMap(point) {
-    if (point.marker) {
-        state.map.removeLayer(point.marker);
-        point.marker = null;
-    }
+function floorToNiceNumber(value) {
+    if (value <= 0) return 0;
+    const exponent = Math.floor(Math.log10(value));
+    const base = Math.pow(10, exponent);
+    const fraction = value / base;
+    const nice = fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1;
+    return nice * base;
 }
 
 /**
- * すべての任意ポイントマーカーを表示/非表示
+ * 比例シンボルの半径（面積が値に比例）
  */
-function toggleCustomPointsVisibility() {
-    customPointsState.points.forEach(point => {
-        if (customPointsState.isVisible) {
-            if (!point.marker && point.isVisible !== false) {
-                addCustomPointToMap(point);
-            }
-        } else {
-            removeCustomPointFromMap(point);
+function getProportionalRadius(value, maxValue) {
+    if (!maxValue) return 0;
+    return CONFIG.SYMBOLS.MAX_RADIUS * Math.sqrt(Math.abs(value) / maxValue);
+}
+
+/**
+ * 比例シンボル（表示単位の代表点に円）を描画
+ */
+function drawProportionalSymbols(layerGroup) {
+    const indicatorKey = state.currentIndicator;
+    const indicator = CONFIG.INDICATORS[indicatorKey];
+    
+    const items = state.displayGeoJSON.features
+        .map(feature => ({ feature, value: feature.properties[indicatorKey], center: getFeatureCentroid(feature) }))
+        .filter(item => item.center && item.value !== null && item.value !== undefined && !isNaN(item.value) && item.value !== 0);
+    const maxValue = Math.max(0, ...items.map(item => Math.abs(item.value)));
+    
+    // 小さい円が大きい円に隠れないよう、大きい順に描画
+    items.sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+    items.forEach(item => {
+        let fillColor = CONFIG.SYMBOLS.FILL;
+        if (indicator.diverging) {
+            fillColor = item.value > 0 ? CONFIG.SYMBOLS.INCREASE : CONFIG.SYMBOLS.DECREASE;
         }
+        
+        L.circleMarker(item.center, {
+            renderer: getSymbolRenderer(),
+            interactive: false,
+            radius: Math.max(getProportionalRadius(item.value, maxValue), CONFIG.SYMBOLS.MIN_RADIUS),
+            fillColor,
+            fillOpacity: CONFIG.SYMBOLS.FILL_OPACITY,
+            color: CONFIG.COLORS.BORDER,
+            weight: 1
+        }).addTo(layerGroup);
     });
+    
+    symbolState.legendInfo = { mode: 'proportional', indicatorKey, maxValue };
 }
 
 /**
- * 個別ポイントの表示/非表示を切り替え
+ * ドット密度（表示単位の内側に着工件数に比例した数の点）を描画
+ * 
+ * 選択中の指標にかかわらず、点の数は着工件数で決める
  */
-function togglePointVisibility(id) {
-    const point = customPointsState.points.find(p => p.id === id);
-    if (!point) return;
+function drawDotDensity(layerGroup) {
+    const indicatorKey = 'buildingCount';
+    
+    const items = state.displayGeoJSON.features
+        .filter(feature => feature.geometry)
+        .map(feature => ({ feature, value: feature.properties[indicatorKey] }))
+        .filter(item => item.value !== null && item.value !== undefined && !isNaN(item.value) && item.value > 0);
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    
+    // 全体の点の数が目安に収まるよう1点あたりの値を決める
+    const dotValue = roundToNiceNumber(total / CONFIG.SYMBOLS.DOT_TARGET_COUNT);
+    let dotCount = 0;
+    
+    items.forEach(item => {
+        const count = Math.round(item.value / dotValue);
+        if (count === 0) return;
+        
+        getDotPositions(item.feature, count).forEach(position => {
+            L.circleMarker(position, {
+                renderer: getSymbolRenderer(),
+                interactive: false,
+                radius: CONFIG.SYMBOLS.DOT_RADIUS,
+                fillColor: CONFIG.SYMBOLS.DOT_COLOR,
+                fillOpacity: 0.8,
+                stroke: false
+            }).addTo(layerGroup);
+            dotCount++;
+        });
+    });
     
-    point.isVisible = !point.isVisible;
+    symbolState.legendInfo = { mode: 'dotDensity', indicatorKey, dotValue, dotCount };
+}
+
+/**
+ * シンボルレイヤーの更新（シンボル表示以外では削除）
+ */
+function updateSymbolLayer() {
+    if (symbolState.layer) {
+        state.map.removeLayer(symbolState.layer);
+        symbolState.layer = null;
+    }
+    symbolState.legendInfo = null;
+    if (!isSymbolMode()) return;
     
-    if (point.isVisible && customPointsState.isVisible) {
-        // 表示ONで全体も表示中の場合、マーカーを追加
-        if (!point.marker) {
-            addCustomPointToMap(point);
-        }
+    symbolState.layer = L.layerGroup();
+    if (state.displayMode === 'proportional') {
+        drawProportionalSymbols(symbolState.layer);
     } else {
-        // 表示OFFの場合、マーカーを削除
-        removeCustomPointFromMap(point);
+        drawDotDensity(symbolState.layer);
     }
     
-    // LocalStorageに保存
-    saveCustomPointsToStorage();
-    
-    // UI更新
-    updateCustomPointsList();
+    const statsLayerCheckbox = document.getElementById('show-stats-layer-checkbox');
+    if (!statsLayerCheckbox || statsLayerCheckbox.checked) {
+        symbolState.layer.addTo(state.map);
+    }
 }
 
 /**
- * 任意ポイントを追加
+ * シンボル表示の凡例（比例シンボルは大きさの目安、ドット密度は1点あたりの値）
  */
-async function addCustomPoint(address) {
-    try {
-        console.log('ジオコーディング開始:', address);
-        
-        // 住所から座標を取得
-        const { lat, lng, fullAddress } = await geocodeAddress(address);
-        
-        console.log('座標取得成功:', lat, lng);
-        
-        // ポイントオブジェクト作成
-        const point = {
-            id: customPointsState.nextId++,
-            name: '',
-            address: fullAddress || address,
-            category: '',
-            salesPerson: '',
-            craftsman: '',
-            lat,
-            lng,
-            marker: null,
-            isVisible: true
-        };
-        
-        // 配列に追加
-        customPointsState.points.push(point);
-        
-        // 地図に表示
-        if (customPointsState.isVisible) {
-            addCustomPointToMap(point);
+function updateSymbolLegend(legendContent) {
+    const info = symbolState.legendInfo;
+    if (!info) return;
+    
+    const indicator = CONFIG.INDICATORS[info.indicatorKey];
+    const caption = document.createElement('div');
+    caption.className = 'legend-caption';
+    caption.textContent = indicator.label;
+    legendContent.appendChild(caption);
+    
+    if (info.mode === 'proportional') {
+        legendContent.appendChild(createProportionalLegend(info.maxValue, indicator));
+        if (indicator.diverging) {
+            legendContent.appendChild(createLegendItem(CONFIG.SYMBOLS.INCREASE, '増加'));
+            legendContent.appendChild(createLegendItem(CONFIG.SYMBOLS.DECREASE, '減少'));
         }
+    } else {
+        const item = createLegendItem(CONFIG.SYMBOLS.DOT_COLOR, `1点 = ${info.dotValue.toLocaleString()} ${indicator.unit}`);
+        item.querySelector('.legend-color').classList.add('legend-dot');
+        legendContent.appendChild(item);
         
-        // LocalStorageに保存
-        saveCustomPointsToStorage();
-        
-        // UI更新
-        updateCustomPointsList();
-        
-        // 地図をポイントに移動
-        state.map.setView([lat, lng], 15);
-        
-        // 属性編集モーダルを開く
-        openEditModal(point.id);
-        
-        return point;
-    } catch (error) {
-        console.error('ポイント追加エラー:', error);
-        alert(`ポイントの追加に失敗しました:\n${error.message}`);
-        throw error;
+        const note = document.createElement('div');
+        note.className = 'legend-note';
+        note.textContent = `計 ${info.dotCount.toLocaleString()}点（位置は地域内でランダム）`;
+        legendContent.appendChild(note);
     }
+    
+    const underlay = createLegendItem(CONFIG.COLORS.NO_DATA, '市区町村境界');
+    underlay.querySelector('.legend-color').style.opacity = 0.4;
+    legendContent.appendChild(underlay);
 }
 
 /**
- * 任意ポイントを削除
+ * 比例シンボルの大きさの凡例（入れ子の円）
  */
-function deleteCustomPoint(id) {
-    const index = customPointsState.points.findIndex(p => p.id === id);
-    if (index === -1) return;
-    
-    const point = customPointsState.points[index];
+function createProportionalLegend(maxValue, indicator) {
+    const container = document.createElement('div');
+    container.className = 'proportional-legend';
+    if (!maxValue) {
+        container.textContent = 'データなし';
+        return container;
+    }
     
-    // 地図から削除
-    removeCustomPointFromMap(point);
+    const maxRadius = CONFIG.SYMBOLS.MAX_RADIUS;
+    const size = maxRadius * 2 + 2;
+    const references = Array.from(new Set([maxValue, maxValue / 4, maxValue / 16].map(floorToNiceNumber)))
+        .filter(value => value > 0);
+    const formatValue = value => indicator.diverging ? `±${formatNumber(value, indicator.decimals)}` : formatNumber(value, indicator.decimals);
     
-    // 配列から削除
-    customPointsState.points.splice(index, 1);
+    const circles = references.map(value => {
+        const radius = getProportionalRadius(value, maxValue);
+        const cy = size - 1 - radius;
+        return `
+            <circle cx="${maxRadius + 1}" cy="${cy.toFixed(1)}" r="${radius.toFixed(1)}" class="proportional-legend-circle" />
+            <line x1="${maxRadius + 1}" y1="${(cy - radius).toFixed(1)}" x2="${size + 8}" y2="${(cy - radius).toFixed(1)}" class="proportional-legend-line" />
+            <text x="${size + 10}" y="${(cy - radius + 4).toFixed(1)}" class="proportional-legend-label">${formatValue(value)} ${escapeHTML(indicator.unit)}</text>
+        `;
+    }).join('');
     
-    // LocalStorageに保存
-    saveCustomPointsToStorage();
+    container.innerHTML = `<svg width="${size + 90}" height="${size + 6}">${circles}</svg>`;
+    return container;
+}
+
+// ============================================================================
+// 描画の高速化（Canvas描画・ズーム別の簡略化）
+// ============================================================================
+
+// 描画の状態
+const renderState = {
+    useCanvas: false,       // ポリゴンをCanvasで描画するか
+    canvasRenderers: {},    // ペインごとのCanvasレンダラー
+    layerBuildKey: null,    // 作成済みレイヤーの表示単位・レンダラー（変わったら作り直す）
+    simplifyZoom: null      // 現在のジオメトリの簡略化段階（null は元の形状）
+};
+
+/**
+ * Douglas-Peucker法で座標列を簡略化（始点・終点は保持）
+ */
+function simplifyPoints(points, tolerance) {
+    if (points.length <= 2) return points;
+    
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    const toleranceSq = tolerance * tolerance;
+    
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = points[first];
+        const [bx, by] = points[last];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        
+        let maxDistSq = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = points[i];
+            let t = lengthSq === 0 ? 0 : ((px - ax) * dx + (py - ay) * dy) / lengthSq;
+            t = Math.max(0, Math.min(1, t));
+            const ex = px - (ax + t * dx);
+            const ey = py - (ay + t * dy);
+            const distSq = ex * ex + ey * ey;
+            if (distSq > maxDistSq) {
+                maxDistSq = distSq;
+                index = i;
+            }
+        }
+        
+        if (index >= 0 && maxDistSq > toleranceSq) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
     
-    // UI更新
-    updateCustomPointsList();
+    return points.filter((point, i) => keep[i]);
 }
 
 /**
- * 地図クリック追加モードを切り替え
+ * リングを簡略化（三角形未満につぶれた場合は null）
  */
-function toggleClickMode() {
-    customPointsState.clickModeActive = !customPointsState.clickModeActive;
+function simplifyRing(ring, tolerance) {
+    const simplified = simplifyPoints(ring, tolerance);
+    return simplified.length >= 4 ? simplified : null;
+}
+
+/**
+ * ポリゴン（外周 + 穴）を簡略化。外周がつぶれる場合は元の形状を残す
+ */
+function simplifyPolygonCoords(polygon, tolerance, keepOuter) {
+    const outer = simplifyRing(polygon[0], tolerance);
+    if (!outer && !keepOuter) return null;
+    
+    const holes = polygon.slice(1)
+        .map(ring => simplifyRing(ring, tolerance))
+        .filter(Boolean);
+    return [outer || polygon[0], ...holes];
+}
+
+/**
+ * ズーム段階に応じた簡略化ジオメトリ（フィーチャーごとに段階別にキャッシュ）
+ * 
+ * 許容誤差はそのズームでの約 SIMPLIFY_TOLERANCE_PX ピクセル分。小さな島などは低ズームで省略する
+ */
+function getSimplifiedGeometry(feature, simplifyZoom) {
+    const geometry = feature.geometry;
+    if (simplifyZoom === null || !geometry) return geometry;
     
-    const button = document.getElementById('add-point-by-click-btn');
-    if (!button) return;
+    if (!feature.simplifiedGeometries) {
+        feature.simplifiedGeometries = {};
+    }
+    if (feature.simplifiedGeometries[simplifyZoom]) {
+        return feature.simplifiedGeometries[simplifyZoom];
+    }
     
-    if (customPointsState.clickModeActive) {
-        button.textContent = 'クリックモード終了';
-        button.classList.add('active');
-        state.map.getContainer().style.cursor = 'crosshair';
-        alert('地図上の任意の位置をクリックしてポイントを追加してください');
+    const tolerance = CONFIG.RENDERING.SIMPLIFY_TOLERANCE_PX * 360 / (256 * Math.pow(2, simplifyZoom));
+    let simplified;
+    if (geometry.type === 'Polygon') {
+        simplified = { type: 'Polygon', coordinates: simplifyPolygonCoords(geometry.coordinates, tolerance, true) };
     } else {
-        button.textContent = '地図クリックで追加';
-        button.classList.remove('active');
-        state.map.getContainer().style.cursor = '';
+        let polygons = geometry.coordinates
+            .map(polygon => simplifyPolygonCoords(polygon, tolerance, false))
+            .filter(Boolean);
         
-        // 一時マーカーを削除
-        if (customPointsState.tempMarker) {
-            state.map.removeLayer(customPointsState.tempMarker);
-            customPointsState.tempMarker = null;
+        // すべてつぶれた場合は最大のポリゴンだけ残す
+        if (polygons.length === 0) {
+            const largest = geometry.coordinates.reduce((a, b) =>
+                Math.abs(calculateRingCentroid(b[0]).area) > Math.abs(calculateRingCentroid(a[0]).area) ? b : a
+            );
+            polygons = [largest];
         }
+        simplified = { type: 'MultiPolygon', coordinates: polygons };
+    }
+    
+    feature.simplifiedGeometries[simplifyZoom] = simplified;
+    return simplified;
+}
+
+/**
+ * 現在のズームに対応する簡略化段階（これより拡大した場合は元の形状）
+ */
+function getSimplifyZoom(zoom) {
+    const level = CONFIG.RENDERING.SIMPLIFY_ZOOM_LEVELS.find(levelZoom => zoom <= levelZoom);
+    return level === undefined ? null : level;
+}
+
+/**
+ * ジオメトリをLeafletの座標配列に変換
+ */
+function geometryToLatLngs(geometry) {
+    return L.GeoJSON.coordsToLatLngs(geometry.coordinates, geometry.type === 'Polygon' ? 1 : 2);
+}
+
+/**
+ * ポリゴン用のレンダラー（Canvas描画がオフなら既定のSVG、Canvasはペインごとに1つ）
+ */
+function getPolygonRenderer(pane = 'statsPane') {
+    if (!renderState.useCanvas) return undefined;
+    if (!renderState.canvasRenderers[pane]) {
+        renderState.canvasRenderers[pane] = L.canvas({ padding: 0.5, pane });
     }
+    return renderState.canvasRenderers[pane];
 }
 
 /**
- * 地図クリック時にポイントを追加
+ * フィーチャーからGeoJSONレイヤーを作成（ジオメトリは現在のズームに応じて簡略化）
  */
-async function handleMapClickForPoint(e) {
-    if (!customPointsState.clickModeActive) return;
+function createFeatureLayer(features, options) {
+    renderState.simplifyZoom = getSimplifyZoom(state.map.getZoom());
+    const group = L.geoJSON(null, options);
     
-    const lat = e.latlng.lat;
-    const lng = e.latlng.lng;
-    
-    try {
-        // 一時マーカーがあれば削除
-        if (customPointsState.tempMarker) {
-            state.map.removeLayer(customPointsState.tempMarker);
-        }
-        
-        // 逆ジオコーディングで住所を取得
-        const address = await reverseGeocode(lat, lng);
-        
-        // 新しいポイントを作成
-        const point = {
-            id: customPointsState.nextId++,
-            name: '',
-            address: address,
-            category: '',
-            salesPerson: '',
-            craftsman: '',
-            lat: lat,
-            lng: lng,
-            marker: null,
-            isVisible: true
-        };
-        
-        customPointsState.points.push(point);
-        
-        // 地図に表示
-        if (customPointsState.isVisible) {
-            addCustomPointToMap(point);
-        }
-        
-        // LocalStorageに保存
-        saveCustomPointsToStorage();
-        
-        // UI更新
-        updateCustomPointsList();
-        
-        // クリックモードを終了
-        toggleClickMode();
+    // L.GeoJSON.addData と同じ手順で、ジオメトリだけ簡略化したものを使う
+    features.forEach(feature => {
+        if (!feature.geometry) return;
         
-        // 属性編集モーダルを開く
-        openEditModal(point.id);
+        const layer = L.GeoJSON.geometryToLayer({
+            type: 'Feature',
+            properties: feature.properties,
+            geometry: getSimplifiedGeometry(feature, renderState.simplifyZoom)
+        }, group.options);
+        layer.feature = feature;
+        layer.defaultOptions = layer.options;
         
-    } catch (error) {
-        console.error('地図クリックポイント追加エラー:', error);
-        alert(`ポイントの追加に失敗しました:\n${error.message}`);
-    }
+        group.resetStyle(layer);
+        group.addLayer(layer);
+    });
+    
+    return group;
 }
 
 /**
- * 地図クリックイベントリスナーを設定
+ * 表示単位のGeoJSONレイヤーを作成（イベント登録はここで1回だけ行う）
  */
-function setupMapClickListener() {
-    if (state.map) {
-        state.map.on('click', handleMapClickForPoint);
+function buildGeoJSONLayer() {
+    if (state.geoJSONLayer) {
+        state.map.removeLayer(state.geoJSONLayer);
+    }
+    
+    state.geoJSONLayer = createFeatureLayer(state.displayGeoJSON.features, {
+        style: getFeatureStyle,
+        pane: 'statsPane',
+        renderer: getPolygonRenderer('statsPane')
+    });
+    state.geoJSONLayer.eachLayer(layer => {
+        layer.on({
+            mouseover: onFeatureMouseOver,
+            mouseout: onFeatureMouseOut,
+            click: onFeatureClick
+        });
+    });
+    
+    const statsLayerCheckbox = document.getElementById('show-stats-layer-checkbox');
+    if (!statsLayerCheckbox || statsLayerCheckbox.checked) {
+        state.geoJSONLayer.addTo(state.map);
     }
+    
+    renderState.layerBuildKey = `${state.currentLevel}__${renderState.useCanvas ? 'canvas' : 'svg'}`;
 }
 
 /**
- * ポイントに地図を移動
+ * ズーム変更時に簡略化段階が変わったらジオメトリを差し替え
  */
-function locateCustomPoint(id) {
-    const point = customPointsState.points.find(p => p.id === id);
-    if (!point) return;
+function onMapZoomEnd() {
+    if (!state.geoJSONLayer) return;
     
-    state.map.setView([point.lat, point.lng], 15);
+    const simplifyZoom = getSimplifyZoom(state.map.getZoom());
+    if (simplifyZoom === renderState.simplifyZoom) return;
     
-    // マーカーが表示されていればポップアップを開く
-    if (point.marker) {
-        point.marker.openPopup();
-    }
+    renderState.simplifyZoom = simplifyZoom;
+    [state.geoJSONLayer, compareState.layer].forEach(group => {
+        if (!group) return;
+        group.eachLayer(layer => {
+            layer.setLatLngs(geometryToLatLngs(getSimplifiedGeometry(layer.feature, simplifyZoom)));
+        });
+    });
 }
 
 /**
- * LocalStorageに保存
+ * Canvas描画の切替（レイヤーを作り直す）
  */
-function saveCustomPointsToStorage() {
+function setCanvasRendering(enabled) {
+    renderState.useCanvas = enabled;
+    updateMapLayer();
+}
+
+/**
+ * 描画設定のイベントリスナー設定
+ */
+function setupRenderingEventListeners() {
+    state.map.on('zoomend', onMapZoomEnd);
+    
+    document.getElementById('canvas-renderer-checkbox').addEventListener('change', (e) => {
+        setCanvasRendering(e.target.checked);
+    });
+}
+
+// ============================================================================
+// 独自指標（任意の市区町村別CSVの取り込み）
+// ============================================================================
+
+// 列の対応付けの項目（値の列は別に指定）
+const CUSTOM_CSV_FIELDS = [
+    { key: 'pref', label: '都道府県名', required: true, candidates: ['pref_name', '都道府県', '都道府県名'] },
+    { key: 'city', label: '市区町村名', required: true, candidates: ['city_name', '市区町村', '市区町村名', '地域'] },
+    { key: 'code', label: '市区町村コード', required: false, candidates: ['city_code', '市区町村コード', '地域コード', '団体コード'] },
+    { key: 'year', label: '年', required: true, candidates: ['year', '年', '年次', '時間軸'] },
+    { key: 'month', label: '月', required: false, candidates: ['month', '月'] }
+];
+
+// 独自指標の状態
+const customIndicatorState = {
+    datasets: [],   // 登録済みデータ { id, name, fileName, indicators: [{ key, label, unit, aggregation }], rows: [[都道府県, 市区町村, コード, 年, 月, 値...]] }
+    wizard: null    // 取り込み中のCSV { fileName, headers, rows }
+};
+
+// 独自指標の集計方法（上位の表示単位にまとめるとき）
+const CUSTOM_AGGREGATIONS = {
+    sum: '合算する',
+    none: '合算しない'
+};
+
+/**
+ * 独自指標の指標キー
+ */
+function buildCustomIndicatorKey(datasetId, index) {
+    return `custom_${datasetId}_${index}`;
+}
+
+/**
+ * 登録済みデータをLocalStorageに保存（容量超過などで失敗したら false）
+ */
+function saveCustomDatasetsToStorage() {
     try {
-        const data = customPointsState.points.map(p => ({
-            id: p.id,
-            name: p.name,
-            address: p.address,
-            category: p.category,
-            salesPerson: p.salesPerson,
-            craftsman: p.craftsman,
-            lat: p.lat,
-            lng: p.lng
-        }));
-        
-        localStorage.setItem('customPoints', JSON.stringify(data));
-        localStorage.setItem('customPointsNextId', customPointsState.nextId.toString());
+        localStorage.setItem('customIndicatorDatasets', JSON.stringify(customIndicatorState.datasets));
+        return true;
     } catch (error) {
-        console.error('LocalStorage保存エラー:', error);
+        console.error('独自指標の保存エラー:', error);
+        return false;
     }
 }
 
 /**
- * LocalStorageから読み込み
+ * 登録済みデータをLocalStorageから読み込み
  */
-function loadCustomPointsFromStorage() {
+function loadCustomDatasetsFromStorage() {
     try {
-        const data = localStorage.getItem('customPoints');
-        const nextId = localStorage.getItem('customPointsNextId');
-        
-        if (data) {
-            const points = JSON.parse(data);
-            customPointsState.points = points.map(p => ({ ...p, marker: null }));
-            
-            // 地図に表示
-            if (customPointsState.isVisible) {
-                customPointsState.points.forEach(point => {
-                    addCustomPointToMap(point);
-                });
-            }
-        }
-        
-        if (nextId) {
-            customPointsState.nextId = parseInt(nextId, 10);
-        }
-        
-        // UI更新
-        updateCustomPointsList();
+        const saved = localStorage.getItem('customIndicatorDatasets');
+        customIndicatorState.datasets = saved ? JSON.parse(saved) : [];
     } catch (error) {
-        console.error('LocalStorage読み込みエラー:', error);
+        console.error('独自指標の読み込みエラー:', error);
+        customIndicatorState.datasets = [];
     }
 }
 
 /**
- * ポイント一覧UIを更新
+ * 独自指標を指標定義に登録（前月・前年同月との増減指標も作成）
  */
-function updateCustomPointsList() {
-    const countElement = document.getElementById('custom-points-count');
-    const itemsElement = document.getElementById('custom-points-items');
-    
-    if (!countElement || !itemsElement) return;
-    
-    // 件数更新
-    countElement.textContent = customPointsState.points.length;
-    
-    // リストクリア
-    itemsElement.innerHTML = '';
+function registerCustomIndicators(dataset) {
+    dataset.indicators.forEach(indicator => {
+        CONFIG.INDICATORS[indicator.key] = {
+            field: indicator.key,
+            label: indicator.label,
+            unit: indicator.unit,
+            // 集計方法の記録がない以前のデータは合算する
+            aggregation: indicator.aggregation || 'sum',
+            customDatasetId: dataset.id
+        };
+    });
+    registerChangeIndicators(dataset.indicators.map(indicator => indicator.key));
+}
+
+/**
+ * 独自指標を指標定義から削除
+ */
+function unregisterCustomIndicators(dataset) {
+    const baseKeys = dataset.indicators.map(indicator => indicator.key);
+    Object.keys(CONFIG.INDICATORS).forEach(key => {
+        if (baseKeys.includes(key) || baseKeys.includes(CONFIG.INDICATORS[key].baseIndicator)) {
+            delete CONFIG.INDICATORS[key];
+        }
+    });
+}
+
+/**
+ * 統計データの行の結合キー（表示単位上の位置 + 年月）
+ */
+function buildStatsIdentityKey(stats) {
+    return `${buildStatsLocationKey(stats)}__${buildPeriodKey(stats.year, stats.month)}`;
+}
+
+/**
+ * 登録済みの独自指標の値を統計データに反映
+ * 
+ * 既存の行とは市区町村コードまたは名称で結合し、既存の行がない市区町村・年月は独自指標だけの行を追加する
+ */
+function applyCustomDatasets() {
+    // 以前の反映分を取り除く
+    Array.from(state.municipalityStatsMap.entries()).forEach(([key, stats]) => {
+        if (stats.customOnly) {
+            state.municipalityStatsMap.delete(key);
+            return;
+        }
+        Object.keys(stats).forEach(field => {
+            if (field.startsWith('custom_')) delete stats[field];
+        });
+    });
     
-    // ポイントがない場合
-    if (customPointsState.points.length === 0) {
-        itemsElement.innerHTML = '<p style="color: #999; font-size: 14px; padding: 10px;">登録されたポイントはありません</p>';
-        return;
-    }
+    const identityIndex = new Map();
+    state.municipalityStatsMap.forEach(stats => {
+        identityIndex.set(buildStatsIdentityKey(stats), stats);
+    });
     
-    // 各ポイントのアイテムを作成
-    customPointsState.points.forEach(point => {
-        const item = document.createElement('div');
-        item.className = 'custom-point-item';
-        
-        const addressDiv = document.createElement('div');
-        addressDiv.className = 'custom-point-item-address';
-        
-        let displayText = point.name || point.address;
-        if (point.name && point.category) {
-            displayText = `${point.name} [${point.category}]`;
-        } else if (point.category) {
-            displayText = `${point.address} [${point.category}]`;
-        }
-        
-        addressDiv.textContent = displayText;
-        
-        const actionsDiv = document.createElement('div');
-        actionsDiv.className = 'custom-point-item-actions';
-        
-        // 編集ボタン
-        const editBtn = document.createElement('button');
-        editBtn.className = 'custom-point-item-btn custom-point-edit-btn';
-        editBtn.textContent = '編集';
-        editBtn.onclick = () => openEditModal(point.id);
-        
-        // 表示/非表示ボタン
-        const toggleBtn = document.createElement('button');
-        toggleBtn.className = 'custom-point-item-btn custom-point-locate-btn';
-        const isVisible = point.isVisible !== false;
-        toggleBtn.textContent = isVisible ? '非表示' : '表示';
-        toggleBtn.onclick = () => togglePointVisibility(point.id);
+    customIndicatorState.datasets.forEach(dataset => {
+        // 統計データにない政令指定都市も行政区の行から収集
+        collectDesignatedCitiesFromRows(dataset.rows.map(([prefName, cityName, cityCode]) => ({ prefName, cityName, cityCode })));
         
-        // ズームボタン
-        const zoomBtn = document.createElement('button');
-        zoomBtn.className = 'custom-point-item-btn custom-point-edit-btn';
-        zoomBtn.textContent = 'ズーム';
-        zoomBtn.onclick = () => locateCustomPoint(point.id);
+        let designatedContext = null;
         
-        // 削除ボタン
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'custom-point-item-btn custom-point-delete-btn';
-        deleteBtn.textContent = '削除';
-        deleteBtn.onclick = () => {
-            if (confirm(`このポイントを削除しますか?\n${point.name || point.address}`)) {
-                deleteCustomPoint(point.id);
+        dataset.rows.forEach(([prefName, cityName, cityCode, year, month, ...values]) => {
+            const rowInfo = classifyStatsRow(prefName, cityName, cityCode, designatedContext);
+            if (rowInfo.rowType === 'designatedCity') {
+                designatedContext = rowInfo.designatedCity;
+            } else if (rowInfo.rowType !== 'ward') {
+                designatedContext = null;
             }
-        };
-        
-        actionsDiv.appendChild(editBtn);
-        actionsDiv.appendChild(toggleBtn);
-        actionsDiv.appendChild(zoomBtn);
-        actionsDiv.appendChild(deleteBtn);
-        
-        item.appendChild(addressDiv);
-        item.appendChild(actionsDiv);
-        
-        itemsElement.appendChild(item);
+            
+            const candidate = {
+                prefName,
+                cityName,
+                cityCode,
+                rowType: rowInfo.rowType,
+                parentCityName: rowInfo.parentCityName,
+                year,
+                month
+            };
+            const identityKey = buildStatsIdentityKey(candidate);
+            
+            let stats = identityIndex.get(identityKey);
+            if (!stats) {
+                // 既存の統計データにない市区町村・年月（基本指標の項目は持たない）
+                stats = { ...candidate, estimatedAmount: null, unitCostMissing: false, customOnly: true };
+                identityIndex.set(identityKey, stats);
+                state.municipalityStatsMap.set(
+                    `custom__${buildMunicipalityKey(prefName, rowInfo.parentCityName + cityName, year, month)}`,
+                    stats
+                );
+            }
+            
+            dataset.indicators.forEach((indicator, i) => {
+                stats[indicator.key] = values[i];
+            });
+        });
     });
+    
+    rebuildAvailablePeriods();
+    clearLevelStatsCache();
+}
+
+/**
+ * 統計データ（独自指標を含む）にある年月の一覧を作り直す
+ */
+function rebuildAvailablePeriods() {
+    const periods = new Map();
+    state.municipalityStatsMap.forEach(stats => {
+        periods.set(buildPeriodKey(stats.year, stats.month), { year: stats.year, month: stats.month });
+    });
+    
+    state.availablePeriods = Array.from(periods.values()).sort((a, b) =>
+        (Number(a.year) * 100 + Number(a.month)) - (Number(b.year) * 100 + Number(b.month))
+    );
 }
 
 /**
- * ポイント属性編集モーダルを開く
+ * 保存済みの独自指標を読み込んで登録（起動時）
  */
-function openEditModal(pointId) {
-    const point = customPointsState.points.find(p => p.id === pointId);
-    if (!point) return;
+function initCustomIndicators() {
+    loadCustomDatasetsFromStorage();
+    if (customIndicatorState.datasets.length === 0) return;
     
-    customPointsState.editingId = pointId;
-    
-    // フォームに現在の値を設定
-    document.getElementById('edit-point-name').value = point.name || '';
-    document.getElementById('edit-point-address').value = point.address || '';
-    document.getElementById('edit-point-category').value = point.category || '';
-    document.getElementById('edit-sales-person').value = point.salesPerson || '';
-    document.getElementById('edit-craftsman').value = point.craftsman || '';
+    customIndicatorState.datasets.forEach(registerCustomIndicators);
+    applyCustomDatasets();
+    initIndicatorSelect();
     
-    // モーダル表示
-    const modal = document.getElementById('point-edit-modal');
-    if (modal) {
-        modal.classList.add('show');
-    }
+    console.log(`✓ 独自指標読み込み完了: ${customIndicatorState.datasets.length}データ`);
 }
 
 /**
- * ポイント属性編集モーダルを閉じる
+ * 独自指標の追加・削除を画面に反映
  */
-function closeEditModal() {
-    const modal = document.getElementById('point-edit-modal');
-    if (modal) {
-        modal.classList.remove('show');
+function refreshAfterCustomIndicatorChange() {
+    // 削除された指標を選択していた場合は既定の指標に戻す
+    if (!CONFIG.INDICATORS[state.currentIndicator]) {
+        state.currentIndicator = 'buildingCount';
     }
-    customPointsState.editingId = null;
+    if (!CONFIG.INDICATORS[state.bivariateIndicator]) {
+        state.bivariateIndicator = 'floorAreaTotal';
+    }
+    
+    applyCustomDatasets();
+    initIndicatorSelect();
+    initPeriodControls();
+    populateCompareControls();
+    updateMapLayer();
 }
 
 /**
- * ポイント属性を保存
+ * 年・月の値を数値文字列に変換（"2025年" "2025/09" などの表記に対応。月を読み取れなければ null）
  */
-async function savePointAttributes() {
-    const pointId = customPointsState.editingId;
-    if (!pointId) return;
-    
-    const point = customPointsState.points.find(p => p.id === pointId);
-    if (!point) return;
+function parseCustomPeriodValues(yearValue, monthValue) {
+    const yearParts = String(yearValue || '').match(/\d+/g) || [];
+    const year = normalizePeriodValue(yearParts[0]);
     
-    // フォームから値を取得
-    const name = document.getElementById('edit-point-name').value.trim();
-    const newAddress = document.getElementById('edit-point-address').value.trim();
-    const category = document.getElementById('edit-point-category').value;
-    const salesPerson = document.getElementById('edit-sales-person').value.trim();
-    const craftsman = document.getElementById('edit-craftsman').value.trim();
+    // 月の列がなければ年の列から読み取る（例: 2025年9月、2025-09）
+    const monthParts = monthValue !== undefined ? String(monthValue).match(/\d+/g) || [] : yearParts.slice(1);
+    const month = normalizePeriodValue(monthParts[0]);
     
-    // 必須項目チェック
-    if (!name) {
-        alert('ポイント名を入力してください');
-        return;
-    }
+    if (!year || !month || Number(month) < 1 || Number(month) > 12) return null;
+    return { year, month };
+}
+
+/**
+ * 値を数値に変換（"-" "…" "***" などの秘匿・欠損値は null）
+ */
+function parseCustomValue(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/[,\s]/g, '');
+    if (text === '' || !/^-?\d*\.?\d+(e[-+]?\d+)?$/i.test(text)) return null;
+    return Number(text);
+}
+
+/**
+ * 列名の候補から初期選択する列を推定
+ */
+function guessCustomColumn(headers, candidates) {
+    return headers.find(header => candidates.includes(header.trim())) ||
+        headers.find(header => candidates.some(candidate => header.includes(candidate))) ||
+        '';
+}
+
+/**
+ * 値の列として使えそうか（先頭の行に数値がある）
+ */
+function isNumericCustomColumn(rows, header) {
+    const sample = rows.slice(0, 50).map(row => parseCustomValue(row[header]));
+    return sample.some(value => value !== null);
+}
+
+/**
+ * CSVファイルを読み込んで列の対応付けへ進む
+ */
+function readCustomIndicatorFile(file) {
+    if (!file) return;
     
-    if (!newAddress) {
-        alert('住所を入力してください');
-        return;
-    }
+    const encoding = document.getElementById('custom-indicator-encoding').value;
+    const reader = new FileReader();
     
-    // 住所が変更されている場合は再ジオコーディング
-    if (newAddress !== point.address) {
-        try {
-            const result = await geocodeAddress(newAddress);
-            point.lat = result.lat;
-            point.lng = result.lng;
-            point.address = result.fullAddress || newAddress;
-        } catch (error) {
-            alert(`住所のジオコーディングに失敗しました:\n${error.message}\n元の位置を保持します。`);
-            // エラーの場合は元の座標を保持して、住所だけ更新
-            point.address = newAddress;
+    reader.onload = (e) => {
+        const results = Papa.parse(e.target.result, {
+            header: true,
+            skipEmptyLines: true
+        });
+        const headers = (results.meta.fields || []).filter(header => header !== '');
+        
+        if (headers.length < 3 || results.data.length === 0) {
+            alert('CSVの列または行が見つかりませんでした。\n1行目に列名がある市区町村別のCSVを選択してください。');
+            return;
         }
-    }
-    
-    // 属性更新
-    point.name = name;
-    point.category = category;
-    point.salesPerson = salesPerson;
-    point.craftsman = craftsman;
-    
-    // マーカーを再作成
-    if (point.marker) {
-        removeCustomPointFromMap(point);
-        addCustomPointToMap(point);
         
-        // 新しい位置に地図を移動
-        state.map.setView([point.lat, point.lng], state.map.getZoom());
-    }
-    
-    // LocalStorageに保存
-    saveCustomPointsToStorage();
-    
-    // UI更新
-    updateCustomPointsList();
+        customIndicatorState.wizard = { fileName: file.name, headers, rows: results.data };
+        renderCustomMappingStep();
+    };
     
-    // モーダルを閉じる
-    closeEditModal();
+    reader.onerror = () => {
+        alert('ファイルの読み込みに失敗しました');
+    };
     
-    alert('ポイント属性を保存しました');
+    reader.readAsText(file, encoding);
 }
 
 /**
- * モーダルイベントリスナー設定
+ * 列の選択肢を作成
  */
-function setupModalEventListeners() {
-    const modal = document.getElementById('point-edit-modal');
-    const closeBtn = document.getElementById('modal-close-btn');
-    const cancelBtn = document.getElementById('modal-cancel-btn');
-    const saveBtn = document.getElementById('modal-save-btn');
-    
-    if (!modal || !closeBtn || !cancelBtn || !saveBtn) return;
-    
-    // 閉じるボタン
-    closeBtn.addEventListener('click', closeEditModal);
-    cancelBtn.addEventListener('click', closeEditModal);
-    
-    // 保存ボタン
-    saveBtn.addEventListener('click', savePointAttributes);
-    
-    // 背景クリックで閉じる
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            closeEditModal();
-        }
-    });
-    
-    // ESCキーで閉じる
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && modal.classList.contains('show')) {
-            closeEditModal();
-        }
+function populateCustomColumnSelect(select, headers, selected, allowEmpty, emptyLabel) {
+    select.innerHTML = '';
+    if (allowEmpty) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = emptyLabel;
+        select.appendChild(option);
+    }
+    headers.forEach(header => {
+        const option = document.createElement('option');
+        option.value = header;
+        option.textContent = header;
+        select.appendChild(option);
     });
+    select.value = selected;
 }
 
-// ============================================================================
-// CSV エクスポート・インポート機能
-// ============================================================================
-
 /**
- * ポイントデータをCSV形式でエクスポート
+ * 列の対応付け画面を描画
  */
-function exportPointsToCSV() {
-    if (customPointsState.points.length === 0) {
-        alert('エクスポートするポイントがありません');
-        return;
-    }
+function renderCustomMappingStep() {
+    const { fileName, headers, rows } = customIndicatorState.wizard;
+    
+    document.getElementById('custom-indicator-file-info').textContent = `${fileName}（${rows.length}行・${headers.length}列）`;
+    document.getElementById('custom-dataset-name').value = fileName.replace(/\.csv$/i, '');
+    
+    // 都道府県・市区町村・年月の列（推定済みの列は他の項目の候補から外す）
+    const mappedColumns = new Set();
+    CUSTOM_CSV_FIELDS.forEach(field => {
+        const select = document.getElementById(`custom-column-${field.key}`);
+        const guessed = guessCustomColumn(headers.filter(header => !mappedColumns.has(header)), field.candidates);
+        const emptyLabel = field.key === 'month' ? '（年の列から読み取る）' : '（なし）';
+        populateCustomColumnSelect(select, headers, guessed, !field.required, emptyLabel);
+        if (!field.required && !guessed) select.value = '';
+        if (select.value) mappedColumns.add(select.value);
+    });
     
-    try {
-        // CSVヘッダー
-        const headers = ['ID', 'ポイント名', '住所', 'カテゴリ', '営業担当者名', '担当職人名', '緯度', '経度'];
-        
-        // CSVデータ行を作成
-        const rows = customPointsState.points.map(point => {
-            return [
-                point.id,
-                point.name || '',
-                point.address || '',
-                point.category || '',
-                point.salesPerson || '',
-                point.craftsman || '',
-                point.lat,
-                point.lng
-            ].map(value => {
-                // カンマや改行を含む場合はダブルクォートで囲む
-                const strValue = String(value);
-                if (strValue.includes(',') || strValue.includes('\n') || strValue.includes('"')) {
-                    return `"${strValue.replace(/"/g, '""')}"`;
-                }
-                return strValue;
-            }).join(',');
+    // 値の列（数値の列を候補として表示）
+    const tbody = document.getElementById('custom-value-columns');
+    tbody.innerHTML = '';
+    headers.filter(header => !mappedColumns.has(header) && isNumericCustomColumn(rows, header)).forEach(header => {
+        const row = document.createElement('tr');
+        row.dataset.column = header;
+        row.innerHTML = `
+            <td><input type="checkbox" class="custom-value-use" /></td>
+            <td class="custom-value-column"></td>
+            <td><input type="text" class="custom-value-label" /></td>
+            <td><input type="text" class="custom-value-unit" placeholder="例: 戸" /></td>
+            <td><select class="custom-value-aggregation"></select></td>
+        `;
+        const aggregationSelect = row.querySelector('.custom-value-aggregation');
+        Object.entries(CUSTOM_AGGREGATIONS).forEach(([value, label]) => {
+            aggregationSelect.add(new Option(label, value));
         });
-        
-        // CSVテキストを生成
-        const csvContent = [headers.join(','), ...rows].join('\n');
-        
-        // BOM付きUTF-8でエンコード（Excelで文字化けしないように）
-        const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
-        const blob = new Blob([bom, csvContent], { type: 'text/csv;charset=utf-8;' });
-        
-        // ダウンロード用のリンクを作成
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        
-        // ファイル名（日時付き）
-        const now = new Date();
-        const dateStr = now.toISOString().slice(0, 19).replace(/:/g, '-').replace('T', '_');
-        link.download = `登録ポイント_${dateStr}.csv`;
-        
-        // ダウンロード実行
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        alert(`${customPointsState.points.length}件のポイントをエクスポートしました`);
-    } catch (error) {
-        console.error('CSVエクスポートエラー:', error);
-        alert(`エクスポートに失敗しました:\n${error.message}`);
+        row.querySelector('.custom-value-column').textContent = header;
+        row.querySelector('.custom-value-label').value = header;
+        tbody.appendChild(row);
+    });
+    if (tbody.children.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5">数値の列が見つかりません</td></tr>';
+    } else {
+        tbody.querySelector('.custom-value-use').checked = true;
     }
+    
+    renderCustomPreview();
+    showCustomIndicatorStep('mapping');
 }
 
 /**
- * CSV形式のテキストをパースしてポイント配列に変換
+ * 先頭行のプレビューを描画
  */
-function parseCSV(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim());
-    if (lines.length < 2) {
-        throw new Error('CSVデータが空です');
-    }
-    
-    // ヘッダー行をスキップ
-    const dataLines = lines.slice(1);
-    
-    const points = [];
-    let lineNumber = 2; // ヘッダーが1行目なのでデータは2行目から
+function renderCustomPreview() {
+    const { headers, rows } = customIndicatorState.wizard;
+    const table = document.getElementById('custom-preview-table');
+    table.innerHTML = '';
+    
+    const headRow = table.createTHead().insertRow();
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headRow.appendChild(th);
+    });
     
-    for (const line of dataLines) {
-        try {
-            // 簡易CSVパーサー（ダブルクォート対応）
-            const values = [];
-            let currentValue = '';
-            let insideQuotes = false;
-            
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
-                const nextChar = line[i + 1];
-                
-                if (char === '"') {
-                    if (insideQuotes && nextChar === '"') {
-                        // エスケープされたダブルクォート
-                        currentValue += '"';
-                        i++; // 次の文字をスキップ
-                    } else {
-                        // クォートの開始/終了
-                        insideQuotes = !insideQuotes;
-                    }
-                } else if (char === ',' && !insideQuotes) {
-                    // フィールド区切り
-                    values.push(currentValue.trim());
-                    currentValue = '';
-                } else {
-                    currentValue += char;
-                }
-            }
-            values.push(currentValue.trim()); // 最後のフィールド
-            
-            if (values.length < 8) {
-                console.warn(`${lineNumber}行目: フィールド数が不足しています（スキップ）`);
-                lineNumber++;
-                continue;
-            }
-            
-            const [id, name, address, category, salesPerson, craftsman, lat, lng] = values;
-            
-            // 必須項目チェック
-            if (!address) {
-                console.warn(`${lineNumber}行目: 住所が空です（スキップ）`);
-                lineNumber++;
-                continue;
-            }
-            
-            const latNum = parseFloat(lat);
-            const lngNum = parseFloat(lng);
-            
-            if (isNaN(latNum) || isNaN(lngNum)) {
-                console.warn(`${lineNumber}行目: 座標が不正です（スキップ）`);
-                lineNumber++;
-                continue;
-            }
-            
-            points.push({
-                id: parseInt(id, 10) || customPointsState.nextId++,
-                name: name || '',
-                address: address || '',
-                category: category || '',
-                salesPerson: salesPerson || '',
-                craftsman: craftsman || '',
-                lat: latNum,
-                lng: lngNum,
-                marker: null
-            });
-            
-            lineNumber++;
-        } catch (error) {
-            console.error(`${lineNumber}行目のパースエラー:`, error);
-            lineNumber++;
-        }
+    const tbody = table.createTBody();
+    rows.slice(0, 5).forEach(row => {
+        const tr = tbody.insertRow();
+        headers.forEach(header => {
+            tr.insertCell().textContent = row[header] !== undefined ? row[header] : '';
+        });
+    });
+}
+
+/**
+ * 取り込み画面の表示切替（file: ファイル選択・登録済み一覧 / mapping: 列の対応付け）
+ */
+function showCustomIndicatorStep(step) {
+    document.getElementById('custom-indicator-step-file').style.display = step === 'file' ? '' : 'none';
+    document.getElementById('custom-indicator-step-mapping').style.display = step === 'mapping' ? '' : 'none';
+    document.getElementById('custom-indicator-back-btn').style.display = step === 'mapping' ? '' : 'none';
+    document.getElementById('custom-indicator-register-btn').style.display = step === 'mapping' ? '' : 'none';
+    
+    if (step === 'file') {
+        customIndicatorState.wizard = null;
+        renderCustomDatasetList();
     }
-    
-    return points;
 }
 
 /**
- * CSVファイルからポイントデータをインポート
+ * 対応付けに従ってデータを作成し、指標として登録
  */
-function importPointsFromCSV(file) {
-    if (!file) {
-        alert('ファイルが選択されていません');
-        return;
+function registerCustomDatasetFromWizard() {
+    const { fileName, rows } = customIndicatorState.wizard;
+    
+    const columns = {};
+    for (const field of CUSTOM_CSV_FIELDS) {
+        columns[field.key] = document.getElementById(`custom-column-${field.key}`).value;
+        if (field.required && !columns[field.key]) {
+            alert(`${field.label}の列を選択してください`);
+            return;
+        }
     }
     
-    if (!file.name.endsWith('.csv')) {
-        alert('CSVファイルを選択してください');
+    const valueColumns = Array.from(document.querySelectorAll('#custom-value-columns tr[data-column]'))
+        .filter(row => row.querySelector('.custom-value-use').checked)
+        .map(row => ({
+            column: row.dataset.column,
+            label: row.querySelector('.custom-value-label').value.trim() || row.dataset.column,
+            unit: row.querySelector('.custom-value-unit').value.trim(),
+            aggregation: row.querySelector('.custom-value-aggregation').value
+        }));
+    if (valueColumns.length === 0) {
+        alert('指標にする値の列を1つ以上選択してください');
         return;
     }
     
-    const reader = new FileReader();
+    const datasetId = Date.now().toString(36);
+    const dataset = {
+        id: datasetId,
+        name: document.getElementById('custom-dataset-name').value.trim() || fileName,
+        fileName,
+        indicators: valueColumns.map((valueColumn, i) => ({
+            key: buildCustomIndicatorKey(datasetId, i),
+            label: valueColumn.label,
+            unit: valueColumn.unit,
+            aggregation: valueColumn.aggregation
+        })),
+        rows: []
+    };
     
-    reader.onload = (e) => {
-        try {
-            const csvText = e.target.result;
-            const importedPoints = parseCSV(csvText);
-            
-            if (importedPoints.length === 0) {
-                alert('インポート可能なデータがありませんでした');
-                return;
-            }
-            
-            // 確認ダイアログ
-            const message = customPointsState.points.length > 0
-                ? `${importedPoints.length}件のポイントをインポートします。\n既存の${customPointsState.points.length}件のポイントは削除されます。\n\n続行しますか？`
-                : `${importedPoints.length}件のポイントをインポートします。\n\n続行しますか？`;
-            
-            if (!confirm(message)) {
-                return;
-            }
-            
-            // 既存のマーカーをすべて削除
-            customPointsState.points.forEach(point => {
-                removeCustomPointFromMap(point);
-            });
-            
-            // ポイントを置き換え
-            customPointsState.points = importedPoints;
-            
-            // nextIdを更新
-            const maxId = Math.max(...importedPoints.map(p => p.id), 0);
-            customPointsState.nextId = maxId + 1;
-            
-            // 地図に表示
-            if (customPointsState.isVisible) {
-                customPointsState.points.forEach(point => {
-                    addCustomPointToMap(point);
-                });
-            }
-            
-            // LocalStorageに保存
-            saveCustomPointsToStorage();
-            
-            // UI更新
-            updateCustomPointsList();
-            
-            alert(`${importedPoints.length}件のポイントをインポートしました`);
-            
-            // 最初のポイントに地図を移動
-            if (importedPoints.length > 0) {
-                const firstPoint = importedPoints[0];
-                state.map.setView([firstPoint.lat, firstPoint.lng], 12);
-            }
-            
-        } catch (error) {
-            console.error('CSVインポートエラー:', error);
-            alert(`インポートに失敗しました:\n${error.message}`);
+    let skipped = 0;
+    rows.forEach(row => {
+        const prefName = normalizeName(row[columns.pref]);
+        const cityName = normalizeName(row[columns.city]);
+        const period = parseCustomPeriodValues(row[columns.year], columns.month ? row[columns.month] : undefined);
+        if (!prefName || !cityName || !period) {
+            skipped++;
+            return;
         }
-    };
+        
+        dataset.rows.push([
+            prefName,
+            cityName,
+            columns.code ? normalizeCityCode(row[columns.code]) : '',
+            period.year,
+            period.month,
+            ...valueColumns.map(valueColumn => parseCustomValue(row[valueColumn.column]))
+        ]);
+    });
     
-    reader.onerror = () => {
-        alert('ファイルの読み込みに失敗しました');
-    };
+    if (dataset.rows.length === 0) {
+        alert('都道府県名・市区町村名・年月を読み取れる行がありませんでした。\n列の対応を確認してください。');
+        return;
+    }
     
-    reader.readAsText(file, 'UTF-8');
+    customIndicatorState.datasets.push(dataset);
+    const saved = saveCustomDatasetsToStorage();
+    
+    registerCustomIndicators(dataset);
+    refreshAfterCustomIndicatorChange();
+    showCustomIndicatorStep('file');
+    
+    let message = `${dataset.indicators.length}件の指標を登録しました（${dataset.rows.length}行）`;
+    if (skipped > 0) {
+        message += `\n都道府県名・市区町村名・年月を読み取れない${skipped}行は除外しました`;
+    }
+    if (!saved) {
+        message += '\n\n⚠ ブラウザの保存容量を超えたため、次回起動時には読み込まれません';
+    }
+    alert(message);
 }
 
 /**
- * CSV機能のイベントリスナー設定
+ * 登録済みデータを削除
  */
-function setupCSVEventListeners() {
-    const exportBtn = document.getElementById('export-csv-btn');
-    const importBtn = document.getElementById('import-csv-btn');
-    const fileInput = document.getElementById('csv-file-input');
+function deleteCustomDataset(datasetId) {
+    const dataset = customIndicatorState.datasets.find(d => d.id === datasetId);
+    if (!dataset) return;
     
-    if (!exportBtn || !importBtn || !fileInput) {
-        console.warn('CSV機能の要素が見つかりません');
+    if (!confirm(`「${dataset.name}」の指標（${dataset.indicators.map(i => i.label).join('、')}）を削除しますか?`)) {
         return;
     }
     
-    // エクスポートボタン
-    exportBtn.addEventListener('click', exportPointsToCSV);
-    
-    // インポートボタン（ファイル選択ダイアログを開く）
-    importBtn.addEventListener('click', () => {
-        fileInput.click();
-    });
+    customIndicatorState.datasets = customIndicatorState.datasets.filter(d => d.id !== datasetId);
+    saveCustomDatasetsToStorage();
     
-    // ファイル選択時
-    fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            importPointsFromCSV(file);
-        }
-        // 同じファイルを再度選択できるようにリセット
-        fileInput.value = '';
-    });
+    unregisterCustomIndicators(dataset);
+    refreshAfterCustomIndicatorChange();
+    renderCustomDatasetList();
 }
 
 /**
- * 任意ポイント機能のイベントリスナー設定
+ * 登録済みデータの一覧を描画
  */
-function setupCustomPointsEventListeners() {
-    const addressInput = document.getElementById('custom-point-address');
-    const addButton = document.getElementById('add-custom-point-btn');
-    const addByClickButton = document.getElementById('add-point-by-click-btn');
-    const showCheckbox = document.getElementById('show-custom-points-checkbox');
+function renderCustomDatasetList() {
+    const container = document.getElementById('custom-dataset-list');
+    container.innerHTML = '';
     
-    if (!addressInput || !addButton || !showCheckbox) {
-        console.warn('任意ポイント登録要素が見つかりません');
+    if (customIndicatorState.datasets.length === 0) {
+        container.innerHTML = '<p class="modal-description">登録済みのデータはありません</p>';
         return;
     }
     
-    // 住所から追加ボタン
-    addButton.addEventListener('click', async () => {
-        const address = addressInput.value.trim();
+    customIndicatorState.datasets.forEach(dataset => {
+        const item = document.createElement('div');
+        item.className = 'custom-dataset-item';
         
-        if (!address) {
-            alert('住所を入力してください');
-            return;
-        }
+        const info = document.createElement('div');
+        info.className = 'custom-dataset-info';
+        const name = document.createElement('div');
+        name.className = 'custom-dataset-name';
+        name.textContent = `${dataset.name}（${dataset.rows.length}行）`;
+        const indicators = document.createElement('div');
+        indicators.className = 'custom-dataset-indicators';
+        indicators.textContent = dataset.indicators
+            .map(indicator => indicator.unit ? `${indicator.label}（${indicator.unit}）` : indicator.label)
+            .join('、');
+        info.appendChild(name);
+        info.appendChild(indicators);
         
-        try {
-            await addCustomPoint(address);
-            addressInput.value = ''; // 成功したらクリア
-        } catch (error) {
-            // エラーは addCustomPoint 内で処理済み
-        }
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'custom-point-item-btn custom-point-delete-btn';
+        deleteBtn.textContent = '削除';
+        deleteBtn.onclick = () => deleteCustomDataset(dataset.id);
+        
+        item.appendChild(info);
+        item.appendChild(deleteBtn);
+        container.appendChild(item);
     });
-    
-    // 地図クリックで追加ボタン
-    if (addByClickButton) {
-        addByClickButton.addEventListener('click', () => {
-            toggleClickMode();
-        });
-    }
-    
-    // Enterキーで追加
-    addressInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            addButton.click();
-        }
+}
+
+/**
+ * 独自指標の取り込み画面を開く
+ */
+function openCustomIndicatorModal() {
+    showCustomIndicatorStep('file');
+    document.getElementById('custom-indicator-modal').classList.add('show');
+}
+
+/**
+ * 独自指標の取り込み画面を閉じる
+ */
+function closeCustomIndicatorModal() {
+    document.getElementById('custom-indicator-modal').classList.remove('show');
+    customIndicatorState.wizard = null;
+}
+
+/**
+ * 独自指標のイベントリスナー設定
+ */
+function setupCustomIndicatorEventListeners() {
+    const modal = document.getElementById('custom-indicator-modal');
+    const fileInput = document.getElementById('custom-indicator-file-input');
+    
+    document.getElementById('custom-indicator-btn').addEventListener('click', openCustomIndicatorModal);
+    document.getElementById('custom-indicator-close-btn').addEventListener('click', closeCustomIndicatorModal);
+    document.getElementById('custom-indicator-done-btn').addEventListener('click', closeCustomIndicatorModal);
+    document.getElementById('custom-indicator-back-btn').addEventListener('click', () => showCustomIndicatorStep('file'));
+    document.getElementById('custom-indicator-register-btn').addEventListener('click', registerCustomDatasetFromWizard);
+    
+    // ファイル選択ダイアログを開く
+    document.getElementById('custom-indicator-file-btn').addEventListener('click', () => {
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', (e) => {
+        readCustomIndicatorFile(e.target.files[0]);
+        fileInput.value = '';
     });
     
-    // 表示切り替え
-    showCheckbox.addEventListener('change', () => {
-        customPointsState.isVisible = showCheckbox.checked;
-        toggleCustomPointsVisibility();
+    // 背景クリックで閉じる
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeCustomIndicatorModal();
+        }
     });
 }
 
 // ============================================================================
-// 折りたたみ機能
+// 地図の画像出力（PNG・PDF）
 // ============================================================================
 
 /**
- * セクションの折りたたみ状態を管理
+ * mm をピクセルに変換する係数（出力解像度）
  */
-const collapsibleState = {
-    stats: false,           // 統計データ
-    construction: false,    // 建築計画データ
-    customPoints: false,    // 任意ポイント登録
-    areaAnalysis: false,    // エリア分析
-    pointsList: false,      // 登録済みポイント一覧
-    polygonsList: false     // 保存済みポリゴン一覧
-};
+function getExportPixelsPerMM() {
+    return CONFIG.EXPORT.DPI / 25.4;
+}
 
 /**
- * 折りたたみ状態をLocalStorageに保存
+ * 出典表記（CONFIG.MAP.ATTRIBUTION のHTMLタグを除いたもの）
  */
-function saveCollapsibleState() {
-    try {
-        localStorage.setItem('collapsibleState', JSON.stringify(collapsibleState));
-    } catch (error) {
-        console.error('折りたたみ状態の保存エラー:', error);
-    }
+function getExportAttributionText() {
+    const div = document.createElement('div');
+    div.innerHTML = CONFIG.MAP.ATTRIBUTION;
+    return `地図: ${div.textContent}`;
 }
 
 /**
- * 折りたたみ状態をLocalStorageから読み込み
+ * 表示中の年月・指標・表示単位の説明
  */
-function loadCollapsibleState() {
-    try {
-        const saved = localStorage.getItem('collapsibleState');
-        if (saved) {
-            const state = JSON.parse(saved);
-            Object.assign(collapsibleState, state);
-        }
-    } catch (error) {
-        console.error('折りたたみ状態の読み込みエラー:', error);
-    }
+function getExportSubtitle() {
+    const indicatorLabels = getActiveIndicators().map(key => CONFIG.INDICATORS[key].label).join(' × ');
+    const modeLabel = document.querySelector(`#display-mode-select option[value="${state.displayMode}"]`);
+    return [
+        `${state.currentYear}年${state.currentMonth}月`,
+        `指標: ${indicatorLabels}`,
+        `表示単位: ${CONFIG.ADMIN_LEVELS[state.currentLevel].label}`,
+        modeLabel ? `表示方法: ${modeLabel.textContent}` : ''
+    ].filter(Boolean).join('　');
 }
 
 /**
- * セクションを折りたたむ/展開する
+ * Leafletの座標配列をリングの配列に平坦化（Polygon / MultiPolygon の入れ子に対応）
  */
-function toggleSection(sectionElement, sectionKey) {
-    if (!sectionElement) return;
+function flattenLatLngRings(latlngs) {
+    if (latlngs.length === 0) return [];
+    if (L.LineUtil.isFlat(latlngs)) return [latlngs];
+    return latlngs.reduce((rings, child) => rings.concat(flattenLatLngRings(child)), []);
+}
+
+/**
+ * ベクターレイヤー（ポリゴン・線・円）をCanvasに描画
+ */
+function drawPathLayerToCanvas(ctx, layer, scale) {
+    const options = layer.options;
+    if (options.opacity === 0 && options.fillOpacity === 0) return;
     
-    const isCollapsed = sectionElement.classList.contains('collapsed');
+    const toPoint = latlng => state.map.latLngToContainerPoint(latlng).multiplyBy(scale);
     
-    if (isCollapsed) {
-        // 展開
-        sectionElement.classList.remove('collapsed');
-        collapsibleState[sectionKey] = false;
+    ctx.beginPath();
+    if (layer instanceof L.CircleMarker) {
+        const center = toPoint(layer.getLatLng());
+        const radius = (layer._radius !== undefined ? layer._radius : options.radius) * scale;
+        ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
     } else {
-        // 折りたたむ
-        sectionElement.classList.add('collapsed');
-        collapsibleState[sectionKey] = true;
+        flattenLatLngRings(layer.getLatLngs()).forEach(ring => {
+            ring.forEach((latlng, i) => {
+                const point = toPoint(latlng);
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
+            if (layer instanceof L.Polygon) ctx.closePath();
+        });
+    }
+    
+    if (options.fill && (layer instanceof L.Polygon || layer instanceof L.CircleMarker)) {
+        ctx.globalAlpha = options.fillOpacity;
+        ctx.fillStyle = options.fillColor || options.color;
+        ctx.fill('evenodd');
+    }
+    if (options.stroke && options.weight > 0) {
+        ctx.globalAlpha = options.opacity;
+        ctx.strokeStyle = options.color;
+        ctx.lineWidth = options.weight * scale;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * 建築計画マーカーをCanvasに描画（アイコンの色・大きさは画面上の表示に合わせる）
+ */
+function drawMarkerToCanvas(ctx, marker, scale) {
+    const icon = marker.getElement();
+    if (!icon) return;
+    
+    const inner = icon.firstElementChild || icon;
+    const style = window.getComputedStyle(inner);
+    const size = (inner.offsetWidth || 12) * scale;
+    const point = state.map.latLngToContainerPoint(marker.getLatLng()).multiplyBy(scale);
+    
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, size / 2, 0, Math.PI * 2);
+    ctx.fillStyle = style.backgroundColor || '#e74c3c';
+    ctx.fill();
+    ctx.lineWidth = Math.max(parseFloat(style.borderTopWidth) || 1, 1) * scale;
+    ctx.strokeStyle = style.borderTopColor || 'white';
+    ctx.stroke();
+}
+
+/**
+ * 建築計画のクラスターをCanvasに描画（円の上に件数）
+ */
+function drawClusterToCanvas(ctx, cluster, scale) {
+    drawMarkerToCanvas(ctx, cluster, scale);
+    
+    const point = state.map.latLngToContainerPoint(cluster.getLatLng()).multiplyBy(scale);
+    ctx.fillStyle = 'white';
+    ctx.font = `bold ${12 * scale}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(cluster.getChildCount()), point.x, point.y);
+}
+
+/**
+ * 現在の地図表示をCanvasに描画（背景地図・統計レイヤー・シンボル・任意でマーカーとポリゴン）
+ */
+function renderMapViewToCanvas(scale, options) {
+    const container = state.map.getContainer();
+    const size = state.map.getSize();
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(size.x * scale);
+    canvas.height = Math.round(size.y * scale);
+    
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // 背景地図（読み込み済みのタイル画像）
+    const containerRect = container.getBoundingClientRect();
+    state.map.getPane('tilePane').querySelectorAll('img.leaflet-tile-loaded').forEach(img => {
+        const rect = img.getBoundingClientRect();
+        ctx.drawImage(
+            img,
+            (rect.left - containerRect.left) * scale,
+            (rect.top - containerRect.top) * scale,
+            rect.width * scale,
+            rect.height * scale
+        );
+    });
+    
+    // clipX を渡すと、その位置より左（right が true なら右）だけを描画
+    const drawGroup = (group, clipX = null, right = false) => {
+        if (!group || !state.map.hasLayer(group)) return;
+        ctx.save();
+        if (clipX !== null) {
+            ctx.beginPath();
+            ctx.rect(right ? clipX : 0, 0, right ? canvas.width - clipX : clipX, canvas.height);
+            ctx.clip();
+        }
+        group.eachLayer(layer => {
+            if (layer instanceof L.Path) drawPathLayerToCanvas(ctx, layer, scale);
+        });
+        ctx.restore();
+    };
+    
+    // 比較表示中はスワイプ境界で左右に分けて描画
+    const dividerX = compareState.active && compareState.layer ? canvas.width * compareState.ratio : null;
+    drawGroup(state.geoJSONLayer, dividerX);
+    if (dividerX !== null) {
+        drawGroup(compareState.layer, dividerX, true);
+    }
+    drawGroup(symbolState.layer);
+    
+    if (options.includePolygons) {
+        drawGroup(areaAnalysisState.drawnItems);
+    }
+    
+    if (options.includeMarkers) {
+        // クラスター表示中は画面に出ているクラスター・マーカーを1回ずつ描画
+        const bounds = state.map.getBounds();
+        const clusterGroup = constructionState.clusterGroup;
+        const drawn = new Set();
+        constructionState.markers.forEach(marker => {
+            const visible = clusterGroup && clusterGroup.hasLayer(marker)
+                ? clusterGroup.getVisibleParent(marker)
+                : (state.map.hasLayer(marker) ? marker : null);
+            if (!visible || drawn.has(visible) || !bounds.contains(visible.getLatLng())) return;
+            
+            drawn.add(visible);
+            if (visible !== marker) {
+                drawClusterToCanvas(ctx, visible, scale);
+            } else {
+                drawMarkerToCanvas(ctx, visible, scale);
+            }
+        });
+    }
+    
+    return canvas;
+}
+
+/**
+ * 凡例をCanvasに描画（html2canvas が読み込めない場合は null）
+ */
+async function renderLegendToCanvas(scale) {
+    const legend = document.getElementById('legend');
+    if (typeof html2canvas === 'undefined' || !legend || legend.offsetParent === null) {
+        console.warn('凡例を画像化できないため、凡例なしで出力します');
+        return null;
     }
-    
-    saveCollapsibleState();
+    return html2canvas(legend, { scale, backgroundColor: null, logging: false });
 }
 
 /**
- * 折りたたみ機能のイベントリスナー設定
+ * 地図中央の1ピクセルあたりの距離（m）
  */
-function setupCollapsibleListeners() {
-    // 各セクションのヘッダーにクリックイベントを設定
-    const sections = [
-        { selector: '[data-section="stats"]', key: 'stats' },
-        { selector: '[data-section="construction"]', key: 'construction' },
-        { selector: '[data-section="custom-points"]', key: 'customPoints' },
-        { selector: '[data-section="points-list"]', key: 'pointsList' },
-        { selector: '[data-section="area-analysis"]', key: 'areaAnalysis' },
-        { selector: '[data-section="polygons-list"]', key: 'polygonsList' }
-    ];
-    
-    sections.forEach(({ selector, key }) => {
-        const section = document.querySelector(selector);
-        if (!section) return;
-        
-        const header = section.querySelector('.section-header');
-        if (!header) return;
-        
-        // 保存された状態を復元
-        if (collapsibleState[key]) {
-            section.classList.add('collapsed');
-        }
-        
-        // クリックイベント
-        header.addEventListener('click', (e) => {
-            // ボタン以外の場所をクリックした場合も動作
-            toggleSection(section, key);
-        });
-        
-        // ボタンのクリックイベント（伝播を止める必要はない）
-        const btn = header.querySelector('.collapse-btn');
-        if (btn) {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                toggleSection(section, key);
-            });
-        }
-    });
+function getMapMetersPerPixel() {
+    const size = state.map.getSize();
+    const y = size.y / 2;
+    const left = state.map.containerPointToLatLng([0, y]);
+    const right = state.map.containerPointToLatLng([size.x, y]);
+    return state.map.distance(left, right) / size.x;
 }
 
-// ============================================================================
-// サイドバー制御機能
-// ============================================================================
+/**
+ * 縮尺バーを描画（右下を基準）
+ */
+function drawScaleBar(ctx, right, bottom, metersPerPixel, maxWidth, mm) {
+    if (!isFinite(metersPerPixel) || metersPerPixel <= 0) return;
+    
+    const meters = floorToNiceNumber(maxWidth * metersPerPixel);
+    const width = meters / metersPerPixel;
+    const label = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+    const barHeight = 1.5 * mm;
+    const left = right - width;
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(left - 2 * mm, bottom - barHeight - 7 * mm, width + 4 * mm, barHeight + 8 * mm);
+    
+    // 白黒2分割のバー
+    ctx.fillStyle = '#333';
+    ctx.fillRect(left, bottom - barHeight - mm, width / 2, barHeight);
+    ctx.fillStyle = 'white';
+    ctx.fillRect(left + width / 2, bottom - barHeight - mm, width / 2, barHeight);
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 0.3 * mm;
+    ctx.strokeRect(left, bottom - barHeight - mm, width, barHeight);
+    
+    ctx.fillStyle = '#333';
+    ctx.font = `${3 * mm}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('0', left, bottom - barHeight - 2 * mm);
+    ctx.fillText(label, right, bottom - barHeight - 2 * mm);
+}
 
 /**
- * サイドバーの状態管理
+ * 方位記号を描画（中心座標・高さ）
  */
-const sidebarState = {
-    isOpen: true,
-    width: 320 // デフォルト幅（px）
-};
+function drawNorthArrow(ctx, x, y, height) {
+    const halfWidth = height * 0.3;
+    const top = y - height / 2;
+    const bottom = y + height / 2;
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.beginPath();
+    ctx.arc(x, y + height * 0.1, height * 0.65, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // 左半分は塗り、右半分は白抜きの矢印
+    ctx.lineWidth = height * 0.04;
+    ctx.strokeStyle = '#333';
+    ctx.beginPath();
+    ctx.moveTo(x, top + height * 0.25);
+    ctx.lineTo(x - halfWidth, bottom);
+    ctx.lineTo(x, bottom - height * 0.2);
+    ctx.closePath();
+    ctx.fillStyle = '#333';
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.beginPath();
+    ctx.moveTo(x, top + height * 0.25);
+    ctx.lineTo(x + halfWidth, bottom);
+    ctx.lineTo(x, bottom - height * 0.2);
+    ctx.closePath();
+    ctx.fillStyle = 'white';
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.fillStyle = '#333';
+    ctx.font = `bold ${height * 0.3}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('N', x, top - height * 0.1);
+}
 
 /**
- * サイドバーの状態をLocalStorageに保存
+ * 出力用レイアウトを作成（タイトル・年月と指標・地図・凡例・縮尺・方位・出典）
+ * 
+ * width / height はピクセル、mm は1mmあたりのピクセル数
  */
-function saveSidebarState() {
-    try {
-        localStorage.setItem('sidebarState', JSON.stringify(sidebarState));
-    } catch (error) {
-        console.error('サイドバー状態の保存エラー:', error);
+async function composeExportLayout(width, height, mm, options) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    const margin = 8 * mm;
+    const headerHeight = 16 * mm;
+    const footerHeight = 7 * mm;
+    
+    // タイトル・年月と指標
+    ctx.fillStyle = '#2c3e50';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.font = `bold ${7 * mm}px sans-serif`;
+    ctx.fillText(options.title, margin, margin, width - margin * 2);
+    ctx.fillStyle = '#586069';
+    ctx.font = `${3.5 * mm}px sans-serif`;
+    ctx.fillText(getExportSubtitle(), margin, margin + 9 * mm, width - margin * 2);
+    
+    // 地図（表示範囲を枠内に縦横比を保って配置）
+    const frame = {
+        x: margin,
+        y: margin + headerHeight,
+        width: width - margin * 2,
+        height: height - margin * 2 - headerHeight - footerHeight
+    };
+    const mapSize = state.map.getSize();
+    const mapScale = Math.min(frame.width / mapSize.x, frame.height / mapSize.y);
+    const mapImage = renderMapViewToCanvas(mapScale, options);
+    const mapX = frame.x + (frame.width - mapImage.width) / 2;
+    const mapY = frame.y + (frame.height - mapImage.height) / 2;
+    ctx.drawImage(mapImage, mapX, mapY);
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 0.3 * mm;
+    ctx.strokeRect(mapX, mapY, mapImage.width, mapImage.height);
+    
+    // 凡例（地図の左下。画面上と同じ比率の大きさ）
+    const legendImage = await renderLegendToCanvas(mapScale);
+    if (legendImage) {
+        const legendScale = Math.min(1, (mapImage.height * 0.6) / legendImage.height);
+        const legendWidth = legendImage.width * legendScale;
+        const legendHeight = legendImage.height * legendScale;
+        ctx.drawImage(legendImage, mapX + 3 * mm, mapY + mapImage.height - legendHeight - 3 * mm, legendWidth, legendHeight);
     }
+    
+    // 縮尺バー（右下）・方位記号（右上）
+    drawScaleBar(
+        ctx,
+        mapX + mapImage.width - 5 * mm,
+        mapY + mapImage.height - 3 * mm,
+        getMapMetersPerPixel() / mapScale,
+        Math.min(mapImage.width * 0.25, 40 * mm),
+        mm
+    );
+    drawNorthArrow(ctx, mapX + mapImage.width - 10 * mm, mapY + 12 * mm, 12 * mm);
+    
+    // 出典・作成日
+    ctx.fillStyle = '#586069';
+    ctx.font = `${2.8 * mm}px sans-serif`;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(getExportAttributionText(), margin, height - margin);
+    ctx.textAlign = 'right';
+    ctx.fillText(`作成: ${new Date().toLocaleString('ja-JP')}`, width - margin, height - margin);
+    
+    return canvas;
 }
 
 /**
- * サイドバーの状態をLocalStorageから読み込み
+ * PNGで出力（地図の表示サイズ × 出力倍率）
  */
-function loadSidebarState() {
-    try {
-        const saved = localStorage.getItem('sidebarState');
-        if (saved) {
-            const state = JSON.parse(saved);
-            Object.assign(sidebarState, state);
-        }
-    } catch (error) {
-        console.error('サイドバー状態の読み込みエラー:', error);
-    }
+async function exportMapPNG(options) {
+    const scale = CONFIG.EXPORT.PNG_SCALE;
+    const mapSize = state.map.getSize();
+    const mm = 96 / 25.4 * scale;  // 画面上の1mm相当
+    
+    // 地図の上下にタイトル・出典の余白を加えた大きさ
+    const width = mapSize.x * scale + 16 * mm;
+    const height = mapSize.y * scale + 39 * mm;
+    const canvas = await composeExportLayout(width, height, mm, options);
+    
+    const link = document.createElement('a');
+    link.href = canvas.toDataURL('image/png');
+    link.download = `建築統計マップ_${buildFileTimestamp()}.png`;
+    link.click();
 }
 
 /**
- * サイドバーを開閉
+ * PDFで出力（A4 / A3、縦・横）
  */
-function toggleSidebar() {
-    const sidebar = document.getElementById('sidebar');
-    if (!sidebar) return;
-    
-    sidebarState.isOpen = !sidebarState.isOpen;
-    
-    if (sidebarState.isOpen) {
-        sidebar.classList.remove('collapsed');
-    } else {
-        sidebar.classList.add('collapsed');
+async function exportMapPDF(options) {
+    if (!window.jspdf) {
+        throw new Error('PDF出力ライブラリ（jsPDF）を読み込めませんでした');
     }
     
-    saveSidebarState();
+    const [longSide, shortSide] = CONFIG.EXPORT.PAPER_SIZES[options.paper];
+    const landscape = options.orientation === 'landscape';
+    const pageWidth = landscape ? longSide : shortSide;
+    const pageHeight = landscape ? shortSide : longSide;
     
-    // 地図のサイズを更新
-    setTimeout(() => {
-        if (state.map) {
-            state.map.invalidateSize();
-        }
-    }, 300); // アニメーション完了後
+    // 日本語を含むため、レイアウト全体を画像として作成して貼り付ける
+    const mm = getExportPixelsPerMM();
+    const canvas = await composeExportLayout(pageWidth * mm, pageHeight * mm, mm, options);
+    
+    const pdf = new window.jspdf.jsPDF({
+        orientation: options.orientation,
+        unit: 'mm',
+        format: options.paper.toLowerCase()
+    });
+    pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, pageWidth, pageHeight);
+    pdf.save(`建築統計マップ_${options.paper}_${buildFileTimestamp()}.pdf`);
 }
 
 /**
- * サイドバーの幅を設定
+ * 出力設定モーダルを開く
  */
-function setSidebarWidth(width) {
-    const sidebar = document.getElementById('sidebar');
-    if (!sidebar) return;
-    
-    // 幅の制限
-    const minWidth = 280;
-    const maxWidth = 500;
-    const constrainedWidth = Math.max(minWidth, Math.min(maxWidth, width));
-    
-    sidebar.style.width = `${constrainedWidth}px`;
-    sidebarState.width = constrainedWidth;
-    
-    saveSidebarState();
-    
-    // 地図のサイズを更新
-    if (state.map) {
-        state.map.invalidateSize();
+function openMapExportModal() {
+    const titleInput = document.getElementById('export-title');
+    if (!titleInput.value) {
+        titleInput.value = document.querySelector('header h1').textContent;
     }
+    updateMapExportControls();
+    document.getElementById('map-export-modal').classList.add('show');
 }
 
 /**
- * サイドバーリサイザーの設定
+ * 出力設定モーダルを閉じる
  */
-function setupSidebarResizer() {
-    const resizer = document.getElementById('sidebar-resizer');
-    const sidebar = document.getElementById('sidebar');
-    
-    if (!resizer || !sidebar) return;
-    
-    let isResizing = false;
-    let startX = 0;
-    let startWidth = 0;
+function closeMapExportModal() {
+    document.getElementById('map-export-modal').classList.remove('show');
+}
+
+/**
+ * 形式に応じて用紙設定の表示を切替
+ */
+function updateMapExportControls() {
+    const isPDF = document.getElementById('export-format-select').value === 'pdf';
+    document.getElementById('export-paper-group').style.display = isPDF ? '' : 'none';
+}
+
+/**
+ * 出力の実行
+ */
+async function runMapExport() {
+    const options = {
+        format: document.getElementById('export-format-select').value,
+        paper: document.getElementById('export-paper-select').value,
+        orientation: document.getElementById('export-orientation-select').value,
+        title: document.getElementById('export-title').value.trim(),
+        includeMarkers: document.getElementById('export-markers-checkbox').checked,
+        includePolygons: document.getElementById('export-polygons-checkbox').checked
+    };
     
-    resizer.addEventListener('mousedown', (e) => {
-        isResizing = true;
-        startX = e.clientX;
-        startWidth = sidebar.offsetWidth;
-        
-        resizer.classList.add('resizing');
-        document.body.style.cursor = 'ew-resize';
-        document.body.style.userSelect = 'none';
-        
-        e.preventDefault();
-    });
+    const runBtn = document.getElementById('export-run-btn');
+    runBtn.disabled = true;
+    try {
+        if (options.format === 'pdf') {
+            await exportMapPDF(options);
+        } else {
+            await exportMapPNG(options);
+        }
+        console.log(`✓ 地図を出力: ${options.format.toUpperCase()}`);
+        closeMapExportModal();
+    } catch (error) {
+        console.error('地図出力エラー:', error);
+        const hint = error.name === 'SecurityError'
+            ? '\n\n背景地図の画像を読み込めませんでした。ページを再読み込みしてから再度お試しください。'
+            : '';
+        alert(`地図の出力に失敗しました:\n${error.message}${hint}`);
+    } finally {
+        runBtn.disabled = false;
+    }
+}
+
+/**
+ * 地図出力のイベントリスナー設定
+ */
+function setupMapExportEventListeners() {
+    const modal = document.getElementById('map-export-modal');
     
-    document.addEventListener('mousemove', (e) => {
-        if (!isResizing) return;
-        
-        const deltaX = e.clientX - startX;
-        const newWidth = startWidth + deltaX;
-        
-        setSidebarWidth(newWidth);
-    });
+    document.getElementById('map-export-btn').addEventListener('click', openMapExportModal);
+    document.getElementById('export-close-btn').addEventListener('click', closeMapExportModal);
+    document.getElementById('export-cancel-btn').addEventListener('click', closeMapExportModal);
+    document.getElementById('export-run-btn').addEventListener('click', runMapExport);
+    document.getElementById('export-format-select').addEventListener('change', updateMapExportControls);
     
-    document.addEventListener('mouseup', () => {
-        if (isResizing) {
-            isResizing = false;
-            resizer.classList.remove('resizing');
-            document.body.style.cursor = '';
-            document.body.style.userSelect = '';
+    // 背景クリックで閉じる
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeMapExportModal();
         }
     });
 }
 
 // ============================================================================
-// エリア分析機能
+// 凡例の操作（階級の絞り込み・ヒストグラム）
 // ============================================================================
 
+// 凡例の絞り込み状態
+const legendFilterState = {
+    selectedClasses: new Set(),  // 表示中の階級（階級インデックス、'noData'、'unitCost'）
+    signature: null              // 表示方法・指標・階級数（変わったら絞り込みを解除）
+};
+
+// ヒストグラムの境界値ドラッグの状態
+const histogramState = {
+    dragIndex: null,        // ドラッグ中の境界（state.currentBreaks のインデックス）
+    restylePending: false   // 地図の再スタイルを次の描画フレームで行うか
+};
+
 /**
- * ポリゴンレイヤーを最前面に移動するヘルパー関数
+ * 凡例の階級で絞り込みできる表示か（単一指標の塗り分けのみ）
  */
-function bringDrawnItemsToFront() {
-    if (areaAnalysisState.drawnItems) {
-        areaAnalysisState.drawnItems.bringToFront();
-    }
+function isLegendFilterAvailable() {
+    return state.displayMode === 'choropleth';
 }
 
-// エリア分析の状態管理
-const areaAnalysisState = {
-    drawnItems: null,          // Leaflet.draw レイヤーグループ
-    drawControl: null,         // 描画コントロール
-    currentPolygon: null,      // 現在描画中/編集中のポリゴン
-    projectsInPolygon: [],     // ポリゴン内のプロジェクト
-    savedPolygons: [],         // 保存済みポリゴン配列
-    nextId: 1,                 // 次のID
-    visiblePolygonIds: new Set() // 表示中のポリゴンID
-};
-
 /**
- * 主要用途をカテゴリに分類
+ * 表示方法・指標・階級数が変わっていたら絞り込みを解除（updateLegend から呼ぶ）
  */
-function categorizeUsage(usage) {
-    if (!usage) return 'その他';
-    
-    const u = usage.toLowerCase();
-    
-    // 住宅系
-    if (u.includes('共同住宅') || u.includes('長屋') || u.includes('一戸建') || 
-        u.includes('寄宿舎') || u.includes('下宿') || u.includes('アパート') || 
-        u.includes('マンション')) {
-        return '住宅系';
-    }
-    
-    // 商業系
-    if (u.includes('店舗') || u.includes('ホテル') || u.includes('飲食') || 
-        u.includes('物販') || u.includes('百貨店') || u.includes('スーパー') ||
-        u.includes('旅館') || u.includes('料理店')) {
-        return '商業系';
-    }
-    
-    // 業務系
-    if (u.includes('事務所') || u.includes('銀行') || u.includes('オフィス')) {
-        return '業務系';
-    }
-    
-    // 工業系
-    if (u.includes('工場') || u.includes('倉庫') || u.includes('物流') || 
-        u.includes('作業所')) {
-        return '工業系';
-    }
-    
-    // 公共系
-    if (u.includes('学校') || u.includes('病院') || u.includes('診療所') || 
-        u.includes('福祉') || u.includes('保育') || u.includes('幼稚園') ||
-        u.includes('図書館') || u.includes('美術館') || u.includes('体育館') ||
-        u.includes('公民館') || u.includes('庁舎')) {
-        return '公共系';
+function syncLegendFilterSignature() {
+    const signature = `${state.displayMode}__${state.currentIndicator}__${state.currentBreaks.length}`;
+    if (legendFilterState.signature !== signature) {
+        legendFilterState.signature = signature;
+        legendFilterState.selectedClasses.clear();
     }
+}
+
+/**
+ * フィーチャーが属する凡例の階級
+ */
+function getFeatureClassKey(feature) {
+    const props = feature.properties;
+    if (props.unitCostMissing && indicatorRequiresUnitCost(state.currentIndicator)) return 'unitCost';
     
-    return 'その他';
+    const value = props[state.currentIndicator];
+    if (value === null || value === undefined || isNaN(value)) return 'noData';
+    return getClassIndex(value, state.currentBreaks);
 }
 
 /**
- * Point-in-Polygon判定（Ray Casting Algorithm）
+ * 凡例の絞り込みで非表示にするフィーチャーか（左側の指標・階級区分で判定）
  */
-function isPointInPolygon(lat, lng, polygon) {
-    const latlngs = polygon.getLatLngs()[0]; // 外側のリング
-    let inside = false;
+function isFeatureFilteredOut(feature) {
+    if (legendFilterState.selectedClasses.size === 0 || !isLegendFilterAvailable()) return false;
+    return !legendFilterState.selectedClasses.has(getFeatureClassKey(feature));
+}
+
+/**
+ * 絞り込みで非表示にするフィーチャーのスタイル（境界だけ薄く残す）
+ */
+function getFilteredOutStyle(style) {
+    return {
+        ...style,
+        opacity: CONFIG.STYLE.FILTERED_OPACITY,
+        fillOpacity: CONFIG.STYLE.FILTERED_FILL_OPACITY
+    };
+}
+
+/**
+ * 凡例の階級をクリック（Shift+クリックで複数選択、選択中の階級だけを再度クリックで解除）
+ */
+function toggleLegendClass(classKey, additive) {
+    const selected = legendFilterState.selectedClasses;
     
-    for (let i = 0, j = latlngs.length - 1; i < latlngs.length; j = i++) {
-        const xi = latlngs[i].lat, yi = latlngs[i].lng;
-        const xj = latlngs[j].lat, yj = latlngs[j].lng;
-        
-        const intersect = ((yi > lng) !== (yj > lng)) &&
-            (lat < (xj - xi) * (lng - yi) / (yj - yi) + xi);
-        
-        if (intersect) inside = !inside;
+    if (additive) {
+        if (selected.has(classKey)) {
+            selected.delete(classKey);
+        } else {
+            selected.add(classKey);
+        }
+    } else if (selected.size === 1 && selected.has(classKey)) {
+        selected.clear();
+    } else {
+        selected.clear();
+        selected.add(classKey);
     }
     
-    return inside;
+    applyLegendFilter();
 }
 
 /**
- * 延べ床面積を数値に変換（"1234.56 ㎡" → 1234.56）
+ * 絞り込みを解除
  */
-function parseFloorArea(areaStr) {
-    if (!areaStr) return 0;
-    const num = parseFloat(areaStr.toString().replace(/[^\d.]/g, ''));
-    return isNaN(num) ? 0 : num;
+function clearLegendFilter() {
+    legendFilterState.selectedClasses.clear();
+    applyLegendFilter();
 }
 
 /**
- * 保存済みポリゴンをLocalStorageに保存
+ * 絞り込みを地図と凡例に反映
  */
-function savePolygonsToStorage() {
-    try {
-        const data = areaAnalysisState.savedPolygons.map(p => ({
-            id: p.id,
-            name: p.name,
-            latlngs: p.latlngs,
-            createdAt: p.createdAt
-        }));
-        
-        localStorage.setItem('savedPolygons', JSON.stringify(data));
-        localStorage.setItem('savedPolygonsNextId', areaAnalysisState.nextId.toString());
-        console.log(`✓ ポリゴンを保存しました (${data.length}件)`);
-    } catch (error) {
-        console.error('ポリゴン保存エラー:', error);
+function applyLegendFilter() {
+    if (state.geoJSONLayer) {
+        state.geoJSONLayer.setStyle(getFeatureStyle);
     }
+    updateLegend();
 }
 
 /**
- * 保存済みポリゴンをLocalStorageから読み込み
+ * 凡例アイテムをクリックで絞り込めるようにする
  */
-function loadPolygonsFromStorage() {
-    try {
-        const data = localStorage.getItem('savedPolygons');
-        const nextId = localStorage.getItem('savedPolygonsNextId');
-        
-        if (data) {
-            areaAnalysisState.savedPolygons = JSON.parse(data).map(p => ({ ...p, layer: null }));
-            
-            // 初期表示状態：全て表示
-            areaAnalysisState.savedPolygons.forEach(polygon => {
-                areaAnalysisState.visiblePolygonIds.add(polygon.id);
-                addPolygonToMap(polygon);
-            });
-            
-            console.log(`✓ 保存済みポリゴンを復元しました (${areaAnalysisState.savedPolygons.length}件)`);
-        }
-        
-        if (nextId) {
-            areaAnalysisState.nextId = parseInt(nextId, 10);
-        }
-        
-        // UI更新
-        updateSavedPolygonsList();
-    } catch (error) {
-        console.error('ポリゴン読み込みエラー:', error);
-    }
+function makeLegendItemSelectable(item, classKey) {
+    const selected = legendFilterState.selectedClasses;
+    
+    item.classList.add('legend-item-selectable');
+    item.classList.toggle('selected', selected.has(classKey));
+    item.classList.toggle('dimmed', selected.size > 0 && !selected.has(classKey));
+    item.title = 'クリックでこの階級のみ表示（Shift+クリックで複数選択）';
+    item.addEventListener('click', (e) => {
+        toggleLegendClass(classKey, e.shiftKey);
+    });
 }
 
 /**
- * ポリゴンを地図に追加
+ * 絞り込み中の表示と解除ボタン
  */
-function addPolygonToMap(polygonData) {
-    if (!polygonData || !areaAnalysisState.drawnItems) return;
+function appendLegendFilterNote(legendContent) {
+    const note = document.createElement('div');
+    note.className = 'legend-note';
     
-    // 既に追加済みの場合はスキップ
-    if (polygonData.layer) return;
+    if (legendFilterState.selectedClasses.size === 0) {
+        note.textContent = '階級をクリックで絞り込み（Shift+クリックで複数選択）';
+        legendContent.appendChild(note);
+        return;
+    }
     
-    const latlngs = polygonData.latlngs.map(ll => [ll.lat, ll.lng]);
-    const polygon = L.polygon(latlngs, {
-        color: '#0078ff',
-        fillColor: '#0078ff',
-        fillOpacity: 0.2,
-        weight: 2
+    const count = state.displayGeoJSON.features.filter(feature => !isFeatureFilteredOut(feature)).length;
+    note.textContent = `絞り込み中: ${count}件を表示 `;
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'legend-filter-clear';
+    clearBtn.textContent = 'すべて表示';
+    clearBtn.addEventListener('click', clearLegendFilter);
+    note.appendChild(clearBtn);
+    
+    legendContent.appendChild(note);
+}
+
+/**
+ * ヒストグラムの横軸の範囲（値の範囲と内側の境界値を含む）
+ */
+function getHistogramDomain(values, breaks) {
+    const innerBreaks = breaks.slice(1, -1);
+    let min = Math.min(values[0], ...innerBreaks);
+    let max = Math.max(values[values.length - 1], ...innerBreaks);
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    return { min, max };
+}
+
+/**
+ * 指標の分布のヒストグラム（境界値の線はドラッグで調整可能）
+ */
+function appendBreaksHistogram(legendContent) {
+    const values = collectIndicatorValues(state.currentIndicator).sort((a, b) => a - b);
+    if (values.length < 2) return;
+    
+    const { WIDTH: width, HEIGHT: height, BIN_COUNT: binCount } = CONFIG.LEGEND_HISTOGRAM;
+    const plotHeight = height - 14;  // 下端は軸ラベル
+    const breaks = state.currentBreaks;
+    const colors = getIndicatorColorScale(state.currentIndicator, breaks.length - 1);
+    const domain = getHistogramDomain(values, breaks);
+    const toX = value => (value - domain.min) / (domain.max - domain.min) * width;
+    
+    // 度数分布
+    const counts = new Array(binCount).fill(0);
+    values.forEach(value => {
+        const bin = Math.min(Math.floor((value - domain.min) / (domain.max - domain.min) * binCount), binCount - 1);
+        counts[Math.max(bin, 0)]++;
+    });
+    const maxCount = Math.max(...counts);
+    const binWidth = width / binCount;
+    
+    let bars = '';
+    counts.forEach((count, i) => {
+        if (count === 0) return;
+        const barHeight = Math.max(count / maxCount * (plotHeight - 6), 1);
+        const center = domain.min + (i + 0.5) / binCount * (domain.max - domain.min);
+        bars += `<rect x="${i * binWidth}" y="${plotHeight - barHeight}" width="${binWidth - 1}" height="${barHeight}" fill="${getColor(center, breaks, colors)}" stroke="#999" stroke-width="0.5"><title>${count}件</title></rect>`;
     });
     
-    // ポリゴンにデータを付与
-    polygon.polygonId = polygonData.id;
+    // 内側の境界値（ドラッグ用のつまみ付き）
+    let handles = '';
+    for (let i = 1; i < breaks.length - 1; i++) {
+        const x = toX(breaks[i]);
+        handles += `
+            <g class="histogram-break" data-index="${i}" transform="translate(${x}, 0)">
+                <line x1="0" y1="0" x2="0" y2="${plotHeight}" stroke="#333" stroke-width="1" />
+                <rect class="histogram-handle" x="-4" y="0" width="8" height="${plotHeight}" fill="transparent" />
+                <circle cx="0" cy="3" r="3" fill="#333" />
+            </g>
+        `;
+    }
     
-    // ポップアップを追加
-    polygon.bindPopup(`<b>${polygonData.name || 'ポリゴン #' + polygonData.id}</b><br>登録日: ${new Date(polygonData.createdAt).toLocaleString('ja-JP')}<br><small>クリックで集計表示</small>`);
+    const formatValue = value => formatIndicatorValue(CONFIG.INDICATORS[state.currentIndicator], value);
+    const wrapper = document.createElement('div');
+    wrapper.className = 'legend-histogram';
+    wrapper.innerHTML = `
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            ${bars}
+            <line x1="0" y1="${plotHeight}" x2="${width}" y2="${plotHeight}" stroke="#999" />
+            ${handles}
+            <text x="0" y="${height - 2}" font-size="9" fill="#666">${formatValue(domain.min)}</text>
+            <text x="${width}" y="${height - 2}" font-size="9" fill="#666" text-anchor="end">${formatValue(domain.max)}</text>
+        </svg>
+        <div class="legend-histogram-caption">境界線をドラッグして分類を調整</div>
+    `;
+    legendContent.appendChild(wrapper);
     
-    // クリックイベントを追加
-    polygon.on('click', function(e) {
-        // ポップアップを開く
-        polygon.openPopup();
-        
-        // 分析実行
-        const analysisData = analyzeProjectsInPolygon(polygon);
-        displayAnalysisResults(analysisData);
-        
-        // マーカー強調は行わない（保存済みポリゴンは常に通常表示）
-        resetMarkerHighlight();
+    const svg = wrapper.querySelector('svg');
+    const caption = wrapper.querySelector('.legend-histogram-caption');
+    wrapper.querySelectorAll('.histogram-break').forEach(group => {
+        const index = Number(group.dataset.index);
         
-        console.log(`✓ ポリゴン「${polygonData.name}」をクリック - 集計を表示しました`);
+        group.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            group.setPointerCapture(e.pointerId);
+            histogramState.dragIndex = index;
+        });
         
-        // イベントの伝播を止める（地図のクリックイベントが発火しないように）
-        L.DomEvent.stopPropagation(e);
-    });
-    
-    // マウスオーバーで強調表示
-    polygon.on('mouseover', function(e) {
-        polygon.setStyle({
-            fillOpacity: 0.4,
-            weight: 3
+        group.addEventListener('pointermove', (e) => {
+            if (histogramState.dragIndex !== index) return;
+            
+            // 隣の境界値を越えない範囲で移動
+            const rect = svg.getBoundingClientRect();
+            const x = (e.clientX - rect.left) * (width / rect.width);
+            const epsilon = (domain.max - domain.min) / 1000;
+            const lower = index > 1 ? breaks[index - 1] + epsilon : domain.min;
+            const upper = index < breaks.length - 2 ? breaks[index + 1] - epsilon : domain.max;
+            const value = Math.min(Math.max(domain.min + x / width * (domain.max - domain.min), lower), upper);
+            
+            breaks[index] = value;
+            group.setAttribute('transform', `translate(${toX(value)}, 0)`);
+            caption.textContent = `境界: ${formatValue(value)} ${CONFIG.INDICATORS[state.currentIndicator].unit}`;
+            scheduleHistogramRestyle();
         });
+        
+        const endDrag = () => {
+            if (histogramState.dragIndex !== index) return;
+            histogramState.dragIndex = null;
+            commitHistogramBreaks();
+        };
+        group.addEventListener('pointerup', endDrag);
+        group.addEventListener('pointercancel', endDrag);
     });
-    
-    // マウスアウトで元に戻す
-    polygon.on('mouseout', function(e) {
-        polygon.setStyle({
-            fillOpacity: 0.2,
-            weight: 2
-        });
+}
+
+/**
+ * ドラッグ中の地図の再スタイル（描画フレームごとに1回）
+ */
+function scheduleHistogramRestyle() {
+    if (histogramState.restylePending) return;
+    histogramState.restylePending = true;
+    
+    requestAnimationFrame(() => {
+        histogramState.restylePending = false;
+        if (state.geoJSONLayer) {
+            state.geoJSONLayer.setStyle(getFeatureStyle);
+        }
     });
+}
+
+/**
+ * 境界値を入力欄向けに丸める（有効数字3桁から、隣の境界値と重ならない桁数まで増やす）
+ */
+function roundBreaksForInput(values) {
+    for (let digits = 3; digits <= 8; digits++) {
+        const rounded = values.map(value => Number(value.toPrecision(digits)));
+        if (rounded.every((value, i) => i === 0 || value > rounded[i - 1])) {
+            return rounded;
+        }
+    }
+    return values.slice();
+}
+
+/**
+ * ドラッグした境界値を手動分類として確定
+ */
+function commitHistogramBreaks() {
+    const innerBreaks = roundBreaksForInput(state.currentBreaks.slice(1, -1));
     
-    areaAnalysisState.drawnItems.addLayer(polygon);
-    polygonData.layer = polygon;
+    state.manualBreaks = innerBreaks;
+    state.currentClassMethod = 'manual';
+    document.getElementById('classification-select').value = 'manual';
+    document.getElementById('manual-breaks-input').value = innerBreaks.join(', ');
+    updateStyleControls();
     
-    // 最前面に移動
-    bringDrawnItemsToFront();
+    updateMapLayer();
 }
 
+// ============================================================================
+// 比較表示（スワイプで2つの年月・指標を比較）
+// ============================================================================
+
+// 比較表示の状態（地図の左側は通常の表示、右側が比較対象）
+const compareState = {
+    active: false,
+    year: null,
+    month: null,
+    indicator: 'buildingCount',
+    sharedBreaks: true,     // 左右で階級区分を共通にするか
+    geojson: null,          // 比較側のフィーチャー（表示単位のフィーチャーの複製。ジオメトリは共有）
+    sourceGeoJSON: null,    // 複製元の表示単位のフィーチャー
+    breaks: [],
+    layer: null,
+    layerBuildKey: null,
+    ratio: 0.5,             // スワイプ境界の位置（地図の幅に対する割合）
+    dragging: false
+};
+
 /**
- * ポリゴンを地図から削除
+ * 比較側のフィーチャーを取得（表示単位が変わったら複製し直す）
  */
-function removePolygonFromMap(polygonData) {
-    if (!polygonData || !polygonData.layer) return;
+function getCompareGeoJSON() {
+    if (compareState.sourceGeoJSON !== state.displayGeoJSON) {
+        compareState.sourceGeoJSON = state.displayGeoJSON;
+        compareState.geojson = {
+            type: 'FeatureCollection',
+            features: state.displayGeoJSON.features.map(feature => {
+                // 簡略化ジオメトリのキャッシュは元のフィーチャーと共有
+                feature.simplifiedGeometries = feature.simplifiedGeometries || {};
+                return {
+                    type: 'Feature',
+                    properties: { ...feature.properties },
+                    geometry: feature.geometry,
+                    simplifiedGeometries: feature.simplifiedGeometries
+                };
+            })
+        };
+    }
+    return compareState.geojson;
+}
+
+/**
+ * 左右で階級区分を共通にできるか（単位と増減指標かどうかが同じ場合）
+ */
+function canShareCompareBreaks() {
+    const main = CONFIG.INDICATORS[state.currentIndicator];
+    const compare = CONFIG.INDICATORS[compareState.indicator];
+    return main.unit === compare.unit && !!main.diverging === !!compare.diverging;
+}
+
+/**
+ * 比較側のデータを付与（updateMapLayer から左側の階級区分の前に呼ぶ）
+ */
+function prepareCompareData() {
+    // 比較表示は単一指標の塗り分けのみ
+    if (compareState.active && state.displayMode !== 'choropleth') {
+        console.warn('比較表示は表示方法「単一指標」でのみ利用できるため、比較表示を終了しました');
+        setCompareActive(false);
+    }
+    if (!compareState.active) return;
+    attachDataToFeatures(getCompareGeoJSON(), compareState.year, compareState.month);
+}
+
+/**
+ * 左側の階級区分に使う値（共通の階級区分では右側の値も含める）
+ */
+function getMainBreakValues() {
+    const values = collectIndicatorValues(state.currentIndicator);
+    if (!compareState.active || !compareState.sharedBreaks || !canShareCompareBreaks()) {
+        return values;
+    }
+    return values.concat(collectIndicatorValues(compareState.indicator, compareState.geojson));
+}
+
+/**
+ * 比較側のスタイル（左側と同じ塗り分けを比較側の指標・階級区分で行う）
+ * 
+ * 凡例の絞り込みは左側の凡例の階級なので、比較側には適用しない
+ */
+function getCompareFeatureStyle(feature) {
+    return getFeatureStyle(feature, compareState.indicator, compareState.breaks, false);
+}
+
+/**
+ * 比較側のツールチップ
+ */
+function getCompareTooltipContent(layer) {
+    const props = layer.feature.properties;
+    const indicator = CONFIG.INDICATORS[compareState.indicator];
+    const value = props[compareState.indicator];
+    
+    let valueText;
+    if (props.unitCostMissing && indicatorRequiresUnitCost(compareState.indicator)) {
+        valueText = '単価未設定';
+    } else if (value === null || value === undefined || isNaN(value)) {
+        valueText = 'データなし';
+    } else {
+        valueText = `${formatIndicatorValue(indicator, value)} ${escapeHTML(indicator.unit)}`;
+    }
     
-    areaAnalysisState.drawnItems.removeLayer(polygonData.layer);
-    polygonData.layer = null;
+    const name = document.createElement('div');
+    name.textContent = getFeatureDisplayName(props);
+    return `<b>${name.innerHTML}</b><br>${compareState.year}年${compareState.month}月 ${escapeHTML(indicator.label)}: ${valueText}`;
 }
 
 /**
- * 新しいポリゴンを保存
+ * 比較側のレイヤーを更新（updateMapLayer から呼ぶ）
  */
-function saveNewPolygon() {
-    if (!areaAnalysisState.currentPolygon) {
-        alert('保存するポリゴンがありません。まずポリゴンを描画してください。');
+function updateCompareLayer() {
+    if (!compareState.active) {
+        removeCompareLayer();
         return;
     }
     
-    const nameInput = document.getElementById('polygon-name');
-    const name = nameInput.value.trim() || `エリア ${areaAnalysisState.nextId}`;
-    
-    const latlngs = areaAnalysisState.currentPolygon.getLatLngs()[0];
-    const polygonData = {
-        id: areaAnalysisState.nextId++,
-        name: name,
-        latlngs: latlngs.map(ll => ({ lat: ll.lat, lng: ll.lng })),
-        createdAt: new Date().toISOString(),
-        layer: null
-    };
-    
-    // 保存済みリストに追加
-    areaAnalysisState.savedPolygons.push(polygonData);
-    areaAnalysisState.visiblePolygonIds.add(polygonData.id);
-    
-    // 描画中のポリゴンを削除
-    areaAnalysisState.drawnItems.removeLayer(areaAnalysisState.currentPolygon);
-    areaAnalysisState.currentPolygon = null;
-    
-    // 地図に追加
-    addPolygonToMap(polygonData);
-    
-    // 保存
-    savePolygonsToStorage();
-    
-    // UI更新
-    updateSavedPolygonsList();
-    nameInput.value = '';
+    const shared = compareState.sharedBreaks && canShareCompareBreaks();
+    compareState.breaks = shared
+        ? state.currentBreaks
+        : calculateBreaks(compareState.indicator, collectIndicatorValues(compareState.indicator, compareState.geojson));
     
-    // マーカーを元に戻す（保存後は通常表示）
-    resetMarkerHighlight();
+    // 表示単位・レンダラーが変わった場合のみ作り直す
+    const buildKey = `${state.currentLevel}__${renderState.useCanvas ? 'canvas' : 'svg'}`;
+    if (!compareState.layer || compareState.layerBuildKey !== buildKey) {
+        if (compareState.layer) {
+            state.map.removeLayer(compareState.layer);
+        }
+        compareState.layer = createFeatureLayer(compareState.geojson.features, {
+            style: getCompareFeatureStyle,
+            pane: 'comparePane',
+            renderer: getPolygonRenderer('comparePane')
+        });
+        compareState.layer.eachLayer(layer => {
+            layer.bindTooltip(getCompareTooltipContent, { sticky: true });
+        });
+        compareState.layerBuildKey = buildKey;
+    } else {
+        compareState.layer.setStyle(getCompareFeatureStyle);
+    }
     
-    // ボタンを戻す
-    document.getElementById('save-polygon-btn').style.display = 'none';
-    document.getElementById('start-polygon-btn').style.display = 'inline-block';
+    const statsLayerCheckbox = document.getElementById('show-stats-layer-checkbox');
+    if (!statsLayerCheckbox || statsLayerCheckbox.checked) {
+        compareState.layer.addTo(state.map);
+    }
     
-    alert(`ポリゴン「${name}」を保存しました！`);
+    updateCompareClip();
+    updateCompareLabels(shared);
+    updateCompareLegend(shared);
 }
 
 /**
- * 保存済みポリゴンを削除
+ * 比較側のレイヤーと表示を片付ける
  */
-function deleteSavedPolygon(id) {
-    const index = areaAnalysisState.savedPolygons.findIndex(p => p.id === id);
-    if (index === -1) return;
-    
-    const polygon = areaAnalysisState.savedPolygons[index];
-    
-    // 地図から削除
-    removePolygonFromMap(polygon);
+function removeCompareLayer() {
+    if (compareState.layer) {
+        state.map.removeLayer(compareState.layer);
+        compareState.layer = null;
+        compareState.layerBuildKey = null;
+    }
+    compareState.sourceGeoJSON = null;
+    compareState.geojson = null;
+    
+    state.map.getPane('statsPane').style.clip = '';
+    state.map.getPane('comparePane').style.clip = '';
+    document.getElementById('compare-divider').style.display = 'none';
+    document.getElementById('compare-legend').style.display = 'none';
+    document.getElementById('compare-shared-note').textContent = '';
+}
+
+/**
+ * 左右のペインをスワイプ境界で切り抜く
+ */
+function updateCompareClip() {
+    if (!compareState.active) return;
     
-    // 配列から削除
-    areaAnalysisState.savedPolygons.splice(index, 1);
-    areaAnalysisState.visiblePolygonIds.delete(id);
+    const size = state.map.getSize();
+    const x = size.x * compareState.ratio;
+    const nw = state.map.containerPointToLayerPoint([0, 0]);
+    const se = state.map.containerPointToLayerPoint(size);
+    const dividerX = state.map.containerPointToLayerPoint([x, 0]).x;
     
-    // 保存
-    savePolygonsToStorage();
+    state.map.getPane('statsPane').style.clip = `rect(${nw.y}px, ${dividerX}px, ${se.y}px, ${nw.x}px)`;
+    state.map.getPane('comparePane').style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${dividerX}px)`;
     
-    // UI更新
-    updateSavedPolygonsList();
+    const divider = document.getElementById('compare-divider');
+    divider.style.display = '';
+    divider.style.left = `${x}px`;
 }
 
 /**
- * ポリゴンの表示/非表示を切り替え
- */
-function togglePolygonVisibility(id) {
-    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
-    if (!polygon) return;
-    
-    if (areaAnalysisState.visiblePolygonIds.has(id)) {
-        // 非表示に
-        removePolygonFromMap(polygon);
-        areaAnalysisState.visiblePolygonIds.delete(id);
-    } else {
-        // 表示に
-        addPolygonToMap(polygon);
-        areaAnalysisState.visiblePolygonIds.add(id);
-    }
+ * 境界の左右に表示する年月・指標のラベル
+ */
+function updateCompareLabels(shared) {
+    const describe = (year, month, indicatorKey) => `${year}年${month}月 ${CONFIG.INDICATORS[indicatorKey].label}`;
+    document.getElementById('compare-label-left').textContent = `◀ ${describe(state.currentYear, state.currentMonth, state.currentIndicator)}`;
+    document.getElementById('compare-label-right').textContent = `${describe(compareState.year, compareState.month, compareState.indicator)} ▶`;
     
-    // UI更新
-    updateSavedPolygonsList();
+    const note = document.getElementById('compare-shared-note');
+    note.textContent = compareState.sharedBreaks && !shared ? '※ 単位が異なるため階級区分は左右別です' : '';
 }
 
 /**
- * ポリゴンにズーム
+ * 比較側の凡例（共通の階級区分なら左側の凡例を参照）
  */
-function zoomToPolygon(id) {
-    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
-    if (!polygon) return;
+function updateCompareLegend(shared) {
+    const legend = document.getElementById('compare-legend');
+    const content = document.getElementById('compare-legend-content');
+    content.innerHTML = '';
+    legend.style.display = '';
+    
+    if (shared) {
+        const note = document.createElement('div');
+        note.className = 'legend-note';
+        note.textContent = '階級・配色は左側の凡例と共通';
+        content.appendChild(note);
+        return;
+    }
     
-    // 表示されていない場合は表示
-    if (!areaAnalysisState.visiblePolygonIds.has(id)) {
-        addPolygonToMap(polygon);
-        areaAnalysisState.visiblePolygonIds.add(id);
-        updateSavedPolygonsList();
+    const breaks = compareState.breaks;
+    const indicator = CONFIG.INDICATORS[compareState.indicator];
+    const colors = getIndicatorColorScale(compareState.indicator, breaks.length - 1);
+    const formatValue = value => formatIndicatorValue(indicator, value);
+    
+    for (let i = breaks.length - 2; i >= 0; i--) {
+        content.appendChild(createLegendItem(colors[i], `${formatValue(breaks[i])} – ${formatValue(breaks[i + 1])} ${indicator.unit}`));
     }
+    content.appendChild(createLegendItem(CONFIG.COLORS.NO_DATA, 'データなし'));
+}
+
+/**
+ * 比較表示の開始・終了
+ */
+function setCompareActive(active) {
+    compareState.active = active;
+    document.getElementById('compare-checkbox').checked = active;
+    document.getElementById('compare-options').style.display = active ? '' : 'none';
     
-    if (polygon.layer) {
-        state.map.fitBounds(polygon.layer.getBounds());
-        polygon.layer.openPopup();
-        
-        // 分析実行
-        const analysisData = analyzeProjectsInPolygon(polygon.layer);
-        displayAnalysisResults(analysisData);
+    if (!active) {
+        removeCompareLayer();
     }
 }
 
 /**
- * ポリゴン名編集モーダルを開く
+ * 比較側の年月・指標の選択肢を作成（選択中の値は保持）
  */
-function openPolygonEditModal(id) {
-    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
-    if (!polygon) return;
+function populateCompareControls() {
+    const periodSelect = document.getElementById('compare-period-select');
+    const periods = state.availablePeriods;
+    
+    // 初期値は前年同月（なければ1つ前の年月）
+    if (!periods.some(p => p.year === compareState.year && p.month === compareState.month) && periods.length > 0) {
+        const lastYear = shiftPeriod(state.currentYear, state.currentMonth, -12);
+        const index = getCurrentPeriodIndex();
+        const fallback = periods[Math.max(index - 1, 0)];
+        const initial = periods.find(p => p.year === lastYear.year && p.month === lastYear.month) || fallback;
+        compareState.year = initial.year;
+        compareState.month = initial.month;
+    }
     
-    const modal = document.getElementById('polygon-edit-modal');
-    const nameInput = document.getElementById('edit-polygon-name');
+    periodSelect.innerHTML = '';
+    periods.forEach(p => {
+        const option = document.createElement('option');
+        option.value = buildPeriodKey(p.year, p.month);
+        option.textContent = `${p.year}年${p.month}月`;
+        periodSelect.appendChild(option);
+    });
+    periodSelect.value = buildPeriodKey(compareState.year, compareState.month);
     
-    if (!modal || !nameInput) {
-        console.error('モーダル要素が見つかりません', { modal, nameInput });
-        return;
+    if (!CONFIG.INDICATORS[compareState.indicator]) {
+        compareState.indicator = 'buildingCount';
+    }
+    populateIndicatorSelect(document.getElementById('compare-indicator-select'), compareState.indicator);
+}
+
+/**
+ * 比較側の設定を読み取って地図を更新
+ */
+function onCompareSettingsChange() {
+    const [year, month] = document.getElementById('compare-period-select').value.split('__');
+    compareState.year = year;
+    compareState.month = month;
+    compareState.indicator = document.getElementById('compare-indicator-select').value;
+    compareState.sharedBreaks = document.getElementById('compare-shared-breaks-checkbox').checked;
+    
+    if (compareState.active) {
+        updateMapLayer();
     }
+}
+
+/**
+ * スワイプ境界のドラッグ
+ */
+function setupCompareDividerDrag() {
+    const divider = document.getElementById('compare-divider');
+    const container = state.map.getContainer();
     
-    // 現在の値を設定
-    nameInput.value = polygon.name;
-    nameInput.dataset.polygonId = id;
+    divider.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        divider.setPointerCapture(e.pointerId);
+        compareState.dragging = true;
+    });
     
-    // モーダルを表示
-    modal.style.display = 'block';
+    divider.addEventListener('pointermove', (e) => {
+        if (!compareState.dragging) return;
+        const rect = container.getBoundingClientRect();
+        compareState.ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0.02), 0.98);
+        updateCompareClip();
+    });
     
-    // 少し遅延させてからフォーカス
-    setTimeout(() => {
-        nameInput.focus();
-        nameInput.select(); // テキストを選択状態にする
+    const endDrag = () => {
+        compareState.dragging = false;
+    };
+    divider.addEventListener('pointerup', endDrag);
+    divider.addEventListener('pointercancel', endDrag);
+}
+
+/**
+ * 比較表示のイベントリスナー設定
+ */
+function setupCompareEventListeners() {
+    populateCompareControls();
+    setupCompareDividerDrag();
+    
+    document.getElementById('compare-checkbox').addEventListener('change', (e) => {
+        if (e.target.checked && state.displayMode !== 'choropleth') {
+            alert('比較表示は表示方法「単一指標」で利用できます');
+            e.target.checked = false;
+            return;
+        }
         
-        // IMEを明示的に有効化（Chromeなど）
-        nameInput.style.imeMode = 'active';
-        nameInput.setAttribute('lang', 'ja');
-    }, 100);
+        setCompareActive(e.target.checked);
+        if (compareState.active) {
+            onCompareSettingsChange();
+        }
+    });
     
-    console.log('✓ ポリゴン編集モーダルを開きました', { id, name: polygon.name });
+    ['compare-period-select', 'compare-indicator-select', 'compare-shared-breaks-checkbox'].forEach(id => {
+        document.getElementById(id).addEventListener('change', onCompareSettingsChange);
+    });
+    
+    // 地図の移動・サイズ変更に合わせて切り抜き範囲を更新
+    state.map.on('move resize', updateCompareClip);
 }
 
+// ============================================================================
+// 建築計画の市区町村別集計（境界内の件数・延床面積を指標として表示）
+// ============================================================================
+
+// 集計結果のキャッシュ（表示単位・絞り込み条件ごと）
+const projectJoinState = {
+    cache: new Map()    // `${表示単位}__${絞り込み条件}` → Map(unit_key → { 指標キー: 値 })
+};
+
 /**
- * ポリゴン名編集モーダルを閉じる
+ * 用途区分ごとの件数の指標キー
  */
-function closePolygonEditModal() {
-    const modal = document.getElementById('polygon-edit-modal');
-    if (modal) {
-        modal.style.display = 'none';
-    }
+function buildProjectUsageIndicatorKey(categoryKey) {
+    return `projectCount_${categoryKey}`;
 }
 
 /**
- * ポリゴン名を保存
+ * 建築計画の集計指標を登録（件数・延床面積・用途区分別の件数）
  */
-function savePolygonName() {
-    const nameInput = document.getElementById('edit-polygon-name');
-    if (!nameInput) {
-        console.error('入力フィールドが見つかりません');
-        return;
+function registerProjectIndicators() {
+    CONFIG.INDICATORS.projectCount = {
+        field: 'projectCount',
+        label: '建築計画件数',
+        unit: '件',
+        projectJoin: true
+    };
+    CONFIG.INDICATORS.projectFloorArea = {
+        field: 'projectFloorArea',
+        label: '建築計画延床面積',
+        unit: '㎡',
+        projectJoin: true
+    };
+    Object.entries(CONFIG.PROJECT_USAGE_CATEGORIES).forEach(([categoryKey, category]) => {
+        const key = buildProjectUsageIndicatorKey(categoryKey);
+        CONFIG.INDICATORS[key] = {
+            field: key,
+            label: `建築計画件数（${category.label}）`,
+            unit: '件',
+            projectJoin: true
+        };
+    });
+}
+
+/**
+ * 建築計画の集計指標か
+ */
+function isProjectIndicator(indicatorKey) {
+    const def = CONFIG.INDICATORS[indicatorKey];
+    return !!(def && def.projectJoin);
+}
+
+/**
+ * 建築計画の集計指標のキー
+ */
+function getProjectIndicatorKeys() {
+    return Object.keys(CONFIG.INDICATORS).filter(isProjectIndicator);
+}
+
+/**
+ * 建築計画データの完成年月・着工年月の絞り込み条件（サイドバーの選択値）
+ */
+function getConstructionMonthFilters() {
+    const getValue = id => {
+        const select = document.getElementById(id);
+        return select ? select.value : '';
+    };
+    return {
+        completionFrom: getValue('completion-month-from'),
+        completionTo: getValue('completion-month-to'),
+        startFrom: getValue('start-month-from'),
+        startTo: getValue('start-month-to')
+    };
+}
+
+/**
+ * 絞り込み条件の表示用テキスト
+ */
+function describeConstructionMonthFilters(filters) {
+    const describe = (from, to) => from && to ? `${from}～${to}` : from ? `${from}以降` : to ? `${to}以前` : 'すべて';
+    return `着工 ${describe(filters.startFrom, filters.startTo)} / 完成 ${describe(filters.completionFrom, filters.completionTo)}`;
+}
+
+/**
+ * 年月・属性の絞り込み条件の表示用テキスト
+ */
+function describeConstructionFilters() {
+    const texts = [describeConstructionMonthFilters(getConstructionMonthFilters())];
+    return texts.concat(describeConstructionAttributeFilters(getConstructionAttributeFilters())).join(' / ');
+}
+
+/**
+ * 表示単位ごとに境界内の建築計画を集計（結果は絞り込み条件ごとにキャッシュ）
+ * 
+ * 空間結合は行政区の細かさで1回だけ行い（getProjectLocations）、表示単位キーで市区町村・都道府県に集約する
+ */
+function getProjectJoinValues(geojson, level) {
+    const filters = getConstructionMonthFilters();
+    const attributeFilters = getConstructionAttributeFilters();
+    const cacheKey = `${level}__${JSON.stringify([filters, attributeFilters])}`;
+    if (projectJoinState.cache.has(cacheKey)) {
+        return projectJoinState.cache.get(cacheKey);
     }
     
-    const id = parseInt(nameInput.dataset.polygonId, 10);
-    const newName = nameInput.value.trim();
+    const usageKeys = Object.keys(CONFIG.PROJECT_USAGE_CATEGORIES);
     
-    console.log('保存処理開始', { id, newName, rawValue: nameInput.value });
+    // 建築計画がない表示単位は0件
+    const values = new Map();
+    geojson.features.forEach(feature => {
+        const unitValues = { projectCount: 0, projectFloorArea: 0 };
+        usageKeys.forEach(key => {
+            unitValues[buildProjectUsageIndicatorKey(key)] = 0;
+        });
+        values.set(feature.properties.unit_key, unitValues);
+    });
     
-    if (!newName) {
-        alert('ポリゴン名を入力してください');
-        return;
-    }
+    let unmatched = 0;
+    const projects = filterProjectsByAttributes(filterProjectsByMonths(constructionState.data.projects, filters), attributeFilters);
+    projects.forEach(project => {
+        if (!project.緯度 || !project.経度) return;
+        
+        const unitKey = getProjectUnitKey(project, level);
+        const unitValues = unitKey ? values.get(unitKey) : null;
+        if (!unitValues) {
+            unmatched++;
+            return;
+        }
+        
+        unitValues.projectCount++;
+        unitValues.projectFloorArea += parseFloorArea(project.area);
+        unitValues[buildProjectUsageIndicatorKey(getUsageCategoryKey(project.usage))]++;
+    });
     
-    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
-    if (!polygon) {
-        console.error('ポリゴンが見つかりません', id);
+    projectJoinState.cache.set(cacheKey, values);
+    console.log(`✓ 建築計画を表示単位に集計: ${projects.length - unmatched}件（境界外 ${unmatched}件）- ${describeConstructionFilters()}`);
+    return values;
+}
+
+/**
+ * フィーチャーに建築計画の集計値を付与（建築計画データの読み込み前は null）
+ */
+function attachProjectIndicatorValues(geojson) {
+    const keys = getProjectIndicatorKeys();
+    if (!constructionState.data || geojson.features.length === 0) {
+        geojson.features.forEach(feature => {
+            keys.forEach(key => {
+                feature.properties[key] = null;
+            });
+        });
         return;
     }
     
-    // 名前を更新
-    polygon.name = newName;
-    
-    // レイヤーのポップアップも更新
-    if (polygon.layer) {
-        polygon.layer.setPopupContent(`<b>${polygon.name}</b><br>登録日: ${new Date(polygon.createdAt).toLocaleString('ja-JP')}`);
+    const values = getProjectJoinValues(geojson, geojson.features[0].properties.level);
+    geojson.features.forEach(feature => {
+        const unitValues = values.get(feature.properties.unit_key);
+        keys.forEach(key => {
+            feature.properties[key] = unitValues ? unitValues[key] : null;
+        });
+    });
+}
+
+/**
+ * 建築計画データ・絞り込み条件の変更を地図に反映（集計指標を表示中の場合のみ再描画）
+ */
+function refreshProjectIndicators() {
+    const indicators = getActiveIndicators();
+    if (compareState.active) {
+        indicators.push(compareState.indicator);
     }
+    if (indicators.some(isProjectIndicator)) {
+        updateMapLayer();
+    }
+}
+
+/**
+ * 建築計画の集計指標の凡例に絞り込み条件を表示
+ */
+function appendProjectFilterNote(legendContent) {
+    if (!getActiveIndicators().some(isProjectIndicator)) return;
+    
+    const note = document.createElement('div');
+    note.className = 'legend-note';
+    note.textContent = constructionState.data
+        ? `建築計画: ${describeConstructionFilters()}`
+        : '建築計画データの読み込み待ち';
+    legendContent.appendChild(note);
+}
+
+// ============================================================================
+// 建築計画の検索（名称・住所・設計者・施工者・建築主の全文検索）
+// ============================================================================
+
+// 建築計画検索の状態
+const projectSearchState = {
+    query: '',
+    results: [],            // [{ project, matchedFields: [項目名] }]
+    matchedProjects: new Set(),
+    onlyMatches: false,     // 一致した建築計画だけを地図に表示するか
+    textCache: new Map()    // project → { 項目キー: 正規化した文字列 }
+};
+
+/**
+ * 全文検索用の文字列正規化（全角半角・大文字小文字・カタカナひらがな・空白の違いを吸収）
+ */
+function normalizeProjectSearchText(text) {
+    if (!text || text === 'nan') return '';
+    return String(text)
+        .normalize('NFKC')
+        .replace(/\s+/g, '')
+        .toLowerCase()
+        .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+/**
+ * 建築計画の検索対象項目（正規化済み。初回のみ作成）
+ */
+function getProjectSearchTexts(project) {
+    let texts = projectSearchState.textCache.get(project);
+    if (!texts) {
+        texts = {};
+        CONFIG.PROJECT_SEARCH.FIELDS.forEach(field => {
+            texts[field.key] = normalizeProjectSearchText(project[field.key]);
+        });
+        projectSearchState.textCache.set(project, texts);
+    }
+    return texts;
+}
+
+/**
+ * 建築計画を検索（空白区切りの語をすべて含むもの。語はどの項目に含まれてもよい）
+ */
+function searchProjects(query) {
+    if (!constructionState.data) return [];
     
-    // 保存
-    savePolygonsToStorage();
-    
-    // UI更新
-    updateSavedPolygonsList();
+    const terms = query.split(/[\s　]+/).map(normalizeProjectSearchText).filter(Boolean);
+    if (terms.length === 0) return [];
     
-    // モーダルを閉じる
-    closePolygonEditModal();
+    const results = [];
+    constructionState.data.projects.forEach(project => {
+        const texts = getProjectSearchTexts(project);
+        const matchedFields = new Set();
+        
+        const allMatched = terms.every(term => {
+            let matched = false;
+            CONFIG.PROJECT_SEARCH.FIELDS.forEach(field => {
+                if (texts[field.key].includes(term)) {
+                    matched = true;
+                    matchedFields.add(field.label);
+                }
+            });
+            return matched;
+        });
+        
+        if (allMatched) {
+            results.push({ project, matchedFields: Array.from(matchedFields) });
+        }
+    });
     
-    console.log('✓ ポリゴン名を保存しました', { id, newName });
+    return results;
 }
 
 /**
- * ポリゴン名編集モーダルのイベントリスナー設定
+ * 一致した建築計画だけを地図に表示する場合の絞り込み（showConstructionMarkers から呼ぶ）
  */
-function setupPolygonEditModalListeners() {
-    const modal = document.getElementById('polygon-edit-modal');
-    const closeBtn = document.getElementById('polygon-modal-close-btn');
-    const cancelBtn = document.getElementById('polygon-modal-cancel-btn');
-    const saveBtn = document.getElementById('polygon-modal-save-btn');
-    const nameInput = document.getElementById('edit-polygon-name');
-    
-    if (closeBtn) {
-        closeBtn.addEventListener('click', closePolygonEditModal);
-    }
+function filterProjectsBySearch(projects) {
+    if (!projectSearchState.onlyMatches || !projectSearchState.query) return projects;
+    return projects.filter(project => projectSearchState.matchedProjects.has(project));
+}
+
+/**
+ * 検索の実行と結果の反映
+ */
+function runProjectSearch(query) {
+    projectSearchState.query = query.trim();
+    projectSearchState.results = projectSearchState.query ? searchProjects(projectSearchState.query) : [];
+    projectSearchState.matchedProjects = new Set(projectSearchState.results.map(result => result.project));
     
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', closePolygonEditModal);
-    }
+    renderProjectSearchResults();
     
-    if (saveBtn) {
-        saveBtn.addEventListener('click', savePolygonName);
+    // 一致した建築計画だけを表示中なら地図も更新
+    if (projectSearchState.onlyMatches) {
+        refreshConstructionMarkers();
     }
-    
-    // モーダル外クリックで閉じる
-    if (modal) {
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                closePolygonEditModal();
-            }
-        });
+}
+
+/**
+ * 表示中の建築計画マーカーを現在の条件で作り直す
+ */
+function refreshConstructionMarkers() {
+    const checkbox = document.getElementById('show-construction-checkbox');
+    if (checkbox && checkbox.checked) {
+        toggleConstructionDisplay();
+        refreshAreaAnalysis();
     }
 }
 
 /**
- * ポリゴンにズーム
+ * 検索結果の一覧を描画
  */
-function zoomToPolygonOld(id) {
-    const polygon = areaAnalysisState.savedPolygons.find(p => p.id === id);
-    if (!polygon) return;
-    
-    // 表示されていない場合は表示
-    if (!areaAnalysisState.visiblePolygonIds.has(id)) {
-        addPolygonToMap(polygon);
-        areaAnalysisState.visiblePolygonIds.add(id);
-        updateSavedPolygonsList();
+function renderProjectSearchResults() {
+    const list = document.getElementById('project-search-results');
+    const summary = document.getElementById('project-search-summary');
+    list.innerHTML = '';
+    
+    const results = projectSearchState.results;
+    if (!projectSearchState.query) {
+        summary.textContent = '';
+        return;
     }
     
-    if (polygon.layer) {
-        state.map.fitBounds(polygon.layer.getBounds());
-        polygon.layer.openPopup();
+    const shown = results.slice(0, CONFIG.PROJECT_SEARCH.MAX_RESULTS);
+    summary.textContent = results.length > shown.length
+        ? `${results.length.toLocaleString()}件が一致（先頭${shown.length}件を表示）`
+        : `${results.length.toLocaleString()}件が一致`;
+    
+    shown.forEach(({ project, matchedFields }) => {
+        const item = document.createElement('div');
+        item.className = 'project-search-item';
         
-        // 分析実行
-        const analysisData = analyzeProjectsInPolygon(polygon.layer);
-        displayAnalysisResults(analysisData);
-    }
+        const name = document.createElement('div');
+        name.className = 'project-search-name';
+        name.textContent = project.name || '(名称なし)';
+        
+        const detail = document.createElement('div');
+        detail.className = 'project-search-detail';
+        detail.textContent = `${project.address || '-'}（一致: ${matchedFields.join('・')}）`;
+        
+        item.appendChild(name);
+        item.appendChild(detail);
+        item.addEventListener('click', () => focusConstructionProject(project));
+        list.appendChild(item);
+    });
 }
 
 /**
- * 保存済みポリゴン一覧UIを更新
+ * 建築計画の位置へ移動してポップアップを開く（マーカーがなければ単独のポップアップ）
  */
-function updateSavedPolygonsList() {
-    const countElement = document.getElementById('saved-polygons-count');
-    const itemsElement = document.getElementById('saved-polygons-items');
+function focusConstructionProject(project) {
+    if (!project.latitude || !project.longitude) {
+        alert('この建築計画には位置情報がありません');
+        return;
+    }
     
-    if (!countElement || !itemsElement) return;
+    const marker = constructionState.markers.find(m => m.project === project);
+    const clusterGroup = constructionState.clusterGroup;
     
-    // 件数更新
-    countElement.textContent = areaAnalysisState.savedPolygons.length;
+    if (marker && clusterGroup && clusterGroup.hasLayer(marker)) {
+        // クラスター内のマーカーは展開されるまでズームしてから開く
+        clusterGroup.zoomToShowLayer(marker, () => marker.openPopup());
+        return;
+    }
     
-    // リストクリア
-    itemsElement.innerHTML = '';
+    const latlng = L.latLng(project.latitude, project.longitude);
+    state.map.setView(latlng, Math.max(state.map.getZoom(), CONFIG.PROJECT_SEARCH.FOCUS_ZOOM));
     
-    // ポリゴンがない場合
-    if (areaAnalysisState.savedPolygons.length === 0) {
-        itemsElement.innerHTML = '<p style="color: #999; font-size: 14px; padding: 10px;">保存されたポリゴンはありません</p>';
-        return;
+    if (marker && state.map.hasLayer(marker)) {
+        marker.openPopup();
+    } else {
+        L.popup()
+            .setLatLng(latlng)
+            .setContent(createConstructionPopupContent(project))
+            .openOn(state.map);
     }
+}
+
+/**
+ * 建築計画検索のイベントリスナー設定
+ */
+function setupProjectSearchEventListeners() {
+    const input = document.getElementById('project-search-input');
+    const onlyCheckbox = document.getElementById('project-search-only-checkbox');
     
-    // 各ポリゴンのアイテムを作成
-    areaAnalysisState.savedPolygons.forEach(polygon => {
-        const item = document.createElement('div');
-        item.className = 'custom-point-item'; // 同じスタイルを再利用
-        
-        const nameDiv = document.createElement('div');
-        nameDiv.className = 'custom-point-item-address';
-        nameDiv.textContent = polygon.name;
-        
-        const actionsDiv = document.createElement('div');
-        actionsDiv.className = 'custom-point-item-actions';
-        
-        // 編集ボタン
-        const editBtn = document.createElement('button');
-        editBtn.className = 'custom-point-item-btn custom-point-edit-btn';
-        editBtn.textContent = '編集';
-        editBtn.onclick = () => openPolygonEditModal(polygon.id);
-        
-        // 表示/非表示ボタン
-        const toggleBtn = document.createElement('button');
-        toggleBtn.className = 'custom-point-item-btn custom-point-locate-btn';
-        const isVisible = areaAnalysisState.visiblePolygonIds.has(polygon.id);
-        toggleBtn.textContent = isVisible ? '非表示' : '表示';
-        toggleBtn.onclick = () => togglePolygonVisibility(polygon.id);
-        
-        // ズームボタン
-        const zoomBtn = document.createElement('button');
-        zoomBtn.className = 'custom-point-item-btn custom-point-edit-btn';
-        zoomBtn.textContent = 'ズーム';
-        zoomBtn.onclick = () => zoomToPolygon(polygon.id);
-        
-        // 削除ボタン
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'custom-point-item-btn custom-point-delete-btn';
-        deleteBtn.textContent = '削除';
-        deleteBtn.onclick = () => {
-            if (confirm(`ポリゴン「${polygon.name}」を削除しますか？`)) {
-                deleteSavedPolygon(polygon.id);
-            }
-        };
-        
-        actionsDiv.appendChild(editBtn);
-        actionsDiv.appendChild(toggleBtn);
-        actionsDiv.appendChild(zoomBtn);
-        actionsDiv.appendChild(deleteBtn);
-        
-        item.appendChild(nameDiv);
-        item.appendChild(actionsDiv);
+    input.addEventListener('input', () => runProjectSearch(input.value));
+    
+    onlyCheckbox.addEventListener('change', (e) => {
+        projectSearchState.onlyMatches = e.target.checked;
         
-        itemsElement.appendChild(item);
+        // 一致した建築計画だけを表示する場合は建築計画の表示をオンにする
+        const showCheckbox = document.getElementById('show-construction-checkbox');
+        if (projectSearchState.onlyMatches && !showCheckbox.checked) {
+            showCheckbox.checked = true;
+        }
+        refreshConstructionMarkers();
     });
 }
 
+// ============================================================================
+// 建築計画一覧（データパネルの表。地図のマーカーと連動）
+// ============================================================================
+
+// 建築計画一覧の状態（列・並び順はLocalStorageに保存）
+const projectTableState = {
+    columns: CONFIG.PROJECT_TABLE.DEFAULT_COLUMNS.slice(),
+    sortKey: 'start_date',
+    sortAscending: true,
+    page: 0,
+    selectedProject: null,
+    highlightMarker: null   // 選択中の建築計画を囲む円
+};
+
 /**
- * ポリゴンをLocalStorageに保存（旧版、下位互換用に残す）
+ * 一覧の設定をLocalStorageに保存
  */
-function savePolygonToStorage() {
-    // 何もしない（新しいsavePolygonsToStorageを使用）
+function saveProjectTableSettings() {
+    try {
+        localStorage.setItem('projectTableSettings', JSON.stringify({
+            columns: projectTableState.columns,
+            sortKey: projectTableState.sortKey,
+            sortAscending: projectTableState.sortAscending
+        }));
+    } catch (error) {
+        console.error('建築計画一覧の設定の保存エラー:', error);
+    }
 }
 
 /**
- * ポリゴンをLocalStorageから読み込み（旧版、下位互換用に残す）
+ * 一覧の設定をLocalStorageから読み込み（存在しない列は除く）
  */
-function loadPolygonFromStorage() {
-    // 何もしない（新しいloadPolygonsFromStorageを使用）
+function loadProjectTableSettings() {
+    try {
+        const saved = localStorage.getItem('projectTableSettings');
+        if (!saved) return;
+        
+        const settings = JSON.parse(saved);
+        const columnKeys = CONFIG.PROJECT_TABLE.COLUMNS.map(col => col.key);
+        const columns = (settings.columns || []).filter(key => columnKeys.includes(key));
+        if (columns.length > 0) {
+            projectTableState.columns = columns;
+        }
+        if (columnKeys.includes(settings.sortKey)) {
+            projectTableState.sortKey = settings.sortKey;
+            projectTableState.sortAscending = !!settings.sortAscending;
+        }
+    } catch (error) {
+        console.error('建築計画一覧の設定の読み込みエラー:', error);
+    }
 }
 
 /**
- * ポリゴン内のプロジェクトを分析
+ * 表示する列（設定の順ではなく CONFIG.PROJECT_TABLE.COLUMNS の順）
  */
-function analyzeProjectsInPolygon(polygon) {
-    // 表示中のマーカーがない場合は、全データを対象にする（後方互換性のため）
-    if (!constructionState.markers || constructionState.markers.length === 0) {
-        // マーカーが表示されていない場合は全データを対象
-        if (!constructionState.data || !constructionState.data.projects) {
-            return {
-                count: 0,
-                totalArea: 0,
-                avgArea: 0,
-                usageBreakdown: {},
-                constructionTypeBreakdown: {}
-            };
-        }
+function getProjectTableColumns() {
+    return CONFIG.PROJECT_TABLE.COLUMNS.filter(col => projectTableState.columns.includes(col.key));
+}
+
+/**
+ * 一覧のセルの値（延床面積は数値、記載なしは null）
+ */
+function getProjectTableValue(project, key) {
+    const value = project[key];
+    if (value === null || value === undefined || value === '' || value === 'nan') return null;
+    if (key === 'area') return parseFloorArea(value);
+    return value;
+}
+
+/**
+ * 一覧の行（地図に表示中の建築計画。並べ替え済み）
+ */
+function getProjectTableRows() {
+    const { sortKey, sortAscending } = projectTableState;
+    const column = CONFIG.PROJECT_TABLE.COLUMNS.find(col => col.key === sortKey);
+    const projects = constructionState.markers.map(marker => marker.project);
+    
+    // 記載なしは並び順に関係なく末尾
+    return projects.sort((a, b) => {
+        const valueA = getProjectTableValue(a, sortKey);
+        const valueB = getProjectTableValue(b, sortKey);
+        if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
         
-        const projects = constructionState.data.projects;
-        const projectsInside = [];
+        const result = column.numeric ? valueA - valueB : String(valueA).localeCompare(String(valueB), 'ja');
+        return sortAscending ? result : -result;
+    });
+}
+
+/**
+ * 建築計画一覧の描画
+ */
+function renderProjectTable() {
+    if (!rankingTableState.isOpen || dataPanelState.activeTab !== 'projects') return;
+    
+    const rows = getProjectTableRows();
+    const columns = getProjectTableColumns();
+    const pageSize = CONFIG.PROJECT_TABLE.PAGE_SIZE;
+    const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+    projectTableState.page = Math.min(projectTableState.page, pageCount - 1);
+    
+    // ヘッダー（クリックで並べ替え）
+    const headRow = document.getElementById('project-table-head');
+    headRow.innerHTML = columns.map(col => {
+        const arrow = col.key === projectTableState.sortKey ? (projectTableState.sortAscending ? ' ▲' : ' ▼') : '';
+        return `<th class="sortable${col.numeric ? ' numeric' : ''}" data-key="${col.key}">${escapeHTML(col.label)}${col.unit ? `（${escapeHTML(col.unit)}）` : ''}${arrow}</th>`;
+    }).join('');
+    
+    // 本体（現在のページ）
+    const body = document.getElementById('project-table-body');
+    body.innerHTML = '';
+    const start = projectTableState.page * pageSize;
+    rows.slice(start, start + pageSize).forEach(project => {
+        const tr = document.createElement('tr');
+        tr.dataset.projectId = project.id;
+        if (project === projectTableState.selectedProject) {
+            tr.classList.add('selected');
+        }
         
-        // ポリゴン内の点を抽出
-        for (const project of projects) {
-            if (project.緯度 && project.経度) {
-                if (isPointInPolygon(project.緯度, project.経度, polygon)) {
-                    projectsInside.push(project);
-                }
+        columns.forEach(col => {
+            const td = document.createElement('td');
+            const value = getProjectTableValue(project, col.key);
+            if (col.numeric) {
+                td.className = 'numeric';
+                td.textContent = value === null ? '-' : Math.round(value).toLocaleString();
+            } else {
+                td.textContent = value === null ? '-' : value;
             }
-        }
+            tr.appendChild(td);
+        });
         
-        return analyzeProjects(projectsInside);
-    }
-    
-    // 表示中のマーカーに対応するプロジェクトのみを対象に集計
-    const projectsInside = [];
+        tr.addEventListener('click', () => selectConstructionProject(project, { source: 'table' }));
+        body.appendChild(tr);
+    });
     
-    constructionState.markers.forEach(marker => {
-        const project = marker.project;
-        if (!project || !project.緯度 || !project.経度) return;
-        
-        if (isPointInPolygon(project.緯度, project.経度, polygon)) {
-            projectsInside.push(project);
-        }
+    document.getElementById('project-page-info').textContent =
+        `${rows.length}件中 ${rows.length === 0 ? 0 : start + 1}–${Math.min(start + pageSize, rows.length)}件（${projectTableState.page + 1} / ${pageCount}ページ）`;
+    document.getElementById('project-prev-btn').disabled = projectTableState.page === 0;
+    document.getElementById('project-next-btn').disabled = projectTableState.page >= pageCount - 1;
+    document.getElementById('project-table-note').textContent = constructionState.markers.length > 0
+        ? '地図に表示中の建築計画'
+        : '建築計画を地図に表示すると一覧に表示されます';
+}
+
+/**
+ * 列の選択メニューを描画
+ */
+function renderProjectColumnMenu() {
+    const menu = document.getElementById('project-columns-menu');
+    menu.innerHTML = '';
+    
+    CONFIG.PROJECT_TABLE.COLUMNS.forEach(col => {
+        const label = document.createElement('label');
+        label.className = 'filter-checkbox';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = col.key;
+        input.checked = projectTableState.columns.includes(col.key);
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(col.label));
+        menu.appendChild(label);
     });
+}
+
+/**
+ * 建築計画を選択（一覧の行・工程表のバー・マーカーを強調）
+ * 
+ * source は選んだ場所（'map' | 'table' | 'timeline'）。一覧・工程表から選んだ場合は地図を移動し、
+ * マーカーから選んだ場合は一覧の該当ページと工程表の該当のバーを表示する
+ */
+function selectConstructionProject(project, options = {}) {
+    const source = options.source || 'map';
+    projectTableState.selectedProject = project;
+    highlightConstructionProject(project);
+    highlightTimelineProject(project, source === 'map');
+    
+    if (source === 'map') {
+        scrollToProjectRow(project);
+        return;
+    }
     
-    console.log(`ポリゴン内分析: 表示中${constructionState.markers.length}件のうち${projectsInside.length}件がポリゴン内`);
+    document.querySelectorAll('#project-table-body tr.selected').forEach(tr => tr.classList.remove('selected'));
+    const tr = document.querySelector(`#project-table-body tr[data-project-id="${project.id}"]`);
+    if (tr) tr.classList.add('selected');
     
-    return analyzeProjects(projectsInside);
+    // クラスター内のマーカーは展開されるまでズーム
+    const marker = constructionState.markers.find(m => m.project === project);
+    const clusterGroup = constructionState.clusterGroup;
+    if (marker && clusterGroup && clusterGroup.hasLayer(marker)) {
+        clusterGroup.zoomToShowLayer(marker, () => {});
+    } else {
+        state.map.panTo([project.latitude, project.longitude]);
+    }
 }
 
 /**
- * プロジェクトデータを集計
+ * 選択中の建築計画の位置を円で囲む
  */
-function analyzeProjects(projectsInside) {
-    const totalCount = projectsInside.length;
-    
-    if (totalCount === 0) {
-        return {
-            count: 0,
-            totalArea: 0,
-            avgArea: 0,
-            usageBreakdown: {},
-            constructionTypeBreakdown: {}
-        };
+function highlightConstructionProject(project) {
+    if (projectTableState.highlightMarker) {
+        state.map.removeLayer(projectTableState.highlightMarker);
+        projectTableState.highlightMarker = null;
     }
+    if (!project || !project.latitude || !project.longitude) return;
+    
+    projectTableState.highlightMarker = L.circleMarker([project.latitude, project.longitude], {
+        radius: 14,
+        color: CONFIG.PROJECT_TABLE.HIGHLIGHT_COLOR,
+        weight: 4,
+        fill: false,
+        interactive: false
+    }).addTo(state.map);
+}
+
+/**
+ * 一覧で建築計画の行を表示して選択
+ */
+function scrollToProjectRow(project) {
+    if (!rankingTableState.isOpen || dataPanelState.activeTab !== 'projects') return;
     
-    // 延べ床面積の集計
-    const areas = projectsInside.map(p => parseFloorArea(p.延床面積));
-    const totalArea = areas.reduce((sum, a) => sum + a, 0);
-    const avgArea = totalArea / totalCount;
-    
-    // 用途別集計（カテゴリ分類）
-    const usageBreakdown = {};
-    projectsInside.forEach(p => {
-        const category = categorizeUsage(p.主要用途);
-        usageBreakdown[category] = (usageBreakdown[category] || 0) + 1;
-    });
+    const index = getProjectTableRows().indexOf(project);
+    if (index < 0) return;
     
-    // 工事種別集計
-    const constructionTypeBreakdown = {};
-    projectsInside.forEach(p => {
-        const type = p.工事種別 || 'その他';
-        constructionTypeBreakdown[type] = (constructionTypeBreakdown[type] || 0) + 1;
-    });
+    projectTableState.page = Math.floor(index / CONFIG.PROJECT_TABLE.PAGE_SIZE);
+    renderProjectTable();
     
-    return {
-        count: totalCount,
-        totalArea,
-        avgArea,
-        usageBreakdown,
-        constructionTypeBreakdown,
-        projects: projectsInside
-    };
+    const tr = document.querySelector(`#project-table-body tr[data-project-id="${project.id}"]`);
+    if (tr) {
+        tr.scrollIntoView({ block: 'nearest' });
+    }
 }
 
 /**
- * 分析結果をUIに表示
+ * マーカーの作り直し後に一覧を更新（表示されなくなった建築計画は選択を解除）
  */
-function displayAnalysisResults(analysisData) {
-    const resultsDiv = document.getElementById('analysis-results');
-    
-    if (!analysisData || analysisData.count === 0) {
-        // データがない場合でも表示は保持し、「-」を表示
-        document.getElementById('total-count').textContent = '-';
-        document.getElementById('total-area').textContent = '-';
-        document.getElementById('avg-area').textContent = '-';
-        document.getElementById('usage-breakdown').textContent = '-';
-        document.getElementById('construction-type-breakdown').textContent = '-';
-        areaAnalysisState.projectsInPolygon = [];
-        return;
+function refreshProjectTable() {
+    const selected = projectTableState.selectedProject;
+    if (selected && !constructionState.markers.some(marker => marker.project === selected)) {
+        projectTableState.selectedProject = null;
+        highlightConstructionProject(null);
     }
+    renderProjectTable();
+    renderProjectTimeline();
+}
+
+/**
+ * 建築計画一覧のイベントリスナー設定
+ */
+function setupProjectTableEventListeners() {
+    loadProjectTableSettings();
+    renderProjectColumnMenu();
     
-    // 基本情報
-    document.getElementById('total-count').textContent = `${analysisData.count.toLocaleString()}件`;
-    document.getElementById('total-area').textContent = `${analysisData.totalArea.toLocaleString()}㎡`;
-    document.getElementById('avg-area').textContent = `${analysisData.avgArea.toFixed(1)}㎡`;
-    
-    // 用途別内訳
-    const usageDiv = document.getElementById('usage-breakdown');
-    const sortedUsage = Object.entries(analysisData.usageBreakdown)
-        .sort((a, b) => b[1] - a[1]);
-    
-    usageDiv.innerHTML = sortedUsage.map(([category, count]) => {
-        const percentage = (count / analysisData.count * 100).toFixed(1);
-        return `
-            <div class="breakdown-item">
-                <span class="breakdown-label">${category}</span>
-                <span class="breakdown-value">${count}件 (${percentage}%)</span>
-            </div>
-        `;
-    }).join('');
+    document.getElementById('project-table-btn').addEventListener('click', () => {
+        toggleDataPanelTab('projects');
+    });
     
-    // 工事種別
-    const ctDiv = document.getElementById('construction-type-breakdown');
-    const sortedCT = Object.entries(analysisData.constructionTypeBreakdown)
-        .sort((a, b) => b[1] - a[1]);
+    // ヘッダークリックで並べ替え（同じ列は昇順・降順を切替）
+    document.getElementById('project-table-head').addEventListener('click', (e) => {
+        const th = e.target.closest('th.sortable');
+        if (!th) return;
+        
+        const key = th.dataset.key;
+        if (projectTableState.sortKey === key) {
+            projectTableState.sortAscending = !projectTableState.sortAscending;
+        } else {
+            projectTableState.sortKey = key;
+            projectTableState.sortAscending = !CONFIG.PROJECT_TABLE.COLUMNS.find(col => col.key === key).numeric;
+        }
+        projectTableState.page = 0;
+        saveProjectTableSettings();
+        renderProjectTable();
+    });
     
-    ctDiv.innerHTML = sortedCT.map(([type, count]) => {
-        const percentage = (count / analysisData.count * 100).toFixed(1);
-        return `
-            <div class="breakdown-item">
-                <span class="breakdown-label">${type}</span>
-                <span class="breakdown-value">${count}件 (${percentage}%)</span>
-            </div>
-        `;
-    }).join('');
+    // 列の選択（1列以上は残す）
+    const columnsBtn = document.getElementById('project-columns-btn');
+    const menu = document.getElementById('project-columns-menu');
+    columnsBtn.addEventListener('click', () => {
+        menu.classList.toggle('show');
+    });
+    menu.addEventListener('change', (e) => {
+        const checked = Array.from(menu.querySelectorAll('input:checked')).map(input => input.value);
+        if (checked.length === 0) {
+            e.target.checked = true;
+            return;
+        }
+        projectTableState.columns = checked;
+        saveProjectTableSettings();
+        renderProjectTable();
+    });
     
-    // ポリゴン内プロジェクトを保存
-    areaAnalysisState.projectsInPolygon = analysisData.projects;
+    document.getElementById('project-prev-btn').addEventListener('click', () => {
+        projectTableState.page--;
+        renderProjectTable();
+    });
+    document.getElementById('project-next-btn').addEventListener('click', () => {
+        projectTableState.page++;
+        renderProjectTable();
+    });
+}
+
+// ============================================================================
+// 建築計画の工事状況（基準日時点）
+// ============================================================================
+
+// 基準日モードの状態
+const constructionAsOfState = {
+    active: false,
+    date: null,         // 基準日（'YYYY/MM/DD'。建築計画の日付と文字列で比較）
+    months: [],         // スライダーの年月（'YYYY/MM'。最も早い着工から最も遅い完成まで）
+    isPlaying: false,
+    timer: null
+};
+
+/**
+ * 基準日モードで表示中か
+ */
+function isConstructionAsOfActive() {
+    return constructionAsOfState.active && !!constructionAsOfState.date;
+}
+
+/**
+ * 有効な日付（'YYYY/MM/DD'）か
+ */
+function isValidProjectDate(value) {
+    return typeof value === 'string' && /^\d{4}\/\d{2}\/\d{2}$/.test(value);
 }
 
 /**
- * ポリゴン描画時のイベントハンドラ
+ * 基準日時点の工事状況（CONFIG.PROJECT_STATUSES のキー）
+ * 
+ * 着工日より前は着工前、完成日より後は完成、両方の日付の間は工事中。判定できない場合は日付不明
  */
-function onPolygonCreated(e) {
-    const layer = e.layer;
-    
-    // 既存の描画中ポリゴンを削除
-    if (areaAnalysisState.currentPolygon) {
-        areaAnalysisState.drawnItems.removeLayer(areaAnalysisState.currentPolygon);
+function getProjectStatus(project, date) {
+    const start = isValidProjectDate(project.start_date) ? project.start_date : null;
+    const completion = isValidProjectDate(project.completion_date) ? project.completion_date : null;
+    
+    if (start && date < start) return 'planned';
+    if (completion && date > completion) return 'completed';
+    if (start && completion) return 'underConstruction';
+    return 'unknown';
+}
+
+/**
+ * 基準日の選択肢を初期化（建築計画データの読み込み後）
+ */
+function initConstructionAsOfControls() {
+    const projects = constructionState.data.projects;
+    const starts = projects.map(p => p.start_date).filter(isValidProjectDate).sort();
+    const completions = projects.map(p => p.completion_date).filter(isValidProjectDate).sort();
+    if (starts.length === 0 || completions.length === 0) return;
+    
+    // 最も早い着工月から最も遅い完成月までの各月
+    const first = starts[0];
+    const last = completions[completions.length - 1] > starts[starts.length - 1]
+        ? completions[completions.length - 1]
+        : starts[starts.length - 1];
+    const months = [];
+    let year = Number(first.slice(0, 4));
+    let month = Number(first.slice(5, 7));
+    while (`${year}/${String(month).padStart(2, '0')}` <= last.slice(0, 7)) {
+        months.push(`${year}/${String(month).padStart(2, '0')}`);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
     }
+    constructionAsOfState.months = months;
     
-    // 新しいポリゴンを追加
-    areaAnalysisState.drawnItems.addLayer(layer);
-    areaAnalysisState.currentPolygon = layer;
+    const slider = document.getElementById('construction-asof-slider');
+    slider.max = months.length - 1;
     
-    // ポリゴンレイヤーを最前面に持ってくる
-    areaAnalysisState.drawnItems.bringToFront();
+    const dateInput = document.getElementById('construction-asof-date');
+    dateInput.min = `${months[0]}/01`.replace(/\//g, '-');
+    dateInput.max = last.replace(/\//g, '-');
     
-    // 分析実行
-    const analysisData = analyzeProjectsInPolygon(layer);
-    displayAnalysisResults(analysisData);
+    // 初期値は今日（データの期間外なら期間の端）
+    const now = new Date();
+    const today = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${String(now.getDate()).padStart(2, '0')}`;
+    const minDate = `${months[0]}/01`;
+    setConstructionAsOfDate(today < minDate ? minDate : (today > last ? last : today));
     
-    // 保存ボタンを表示
-    const startBtn = document.getElementById('start-polygon-btn');
-    const saveBtn = document.getElementById('save-polygon-btn');
-    if (startBtn) startBtn.style.display = 'none';
-    if (saveBtn) saveBtn.style.display = '';
+    console.log(`✓ 基準日の範囲: ${minDate}～${last}（${months.length}ヶ月）`);
+}
+
+/**
+ * 基準日を変更（表示中のマーカーの色と件数を更新）
+ */
+function setConstructionAsOfDate(date) {
+    constructionAsOfState.date = date;
     
-    console.log('✓ ポリゴン描画完了 - 保存ボタンを表示しました');
+    const monthIndex = constructionAsOfState.months.indexOf(date.slice(0, 7));
+    const slider = document.getElementById('construction-asof-slider');
+    if (monthIndex >= 0) {
+        slider.value = monthIndex;
+    }
+    document.getElementById('construction-asof-date').value = date.replace(/\//g, '-');
+    document.getElementById('construction-asof-label').textContent = date;
+    
+    if (isConstructionAsOfActive()) {
+        applyConstructionStatusStyles();
+    }
 }
 
 /**
- * ポリゴン編集時のイベントハンドラ
+ * 工事状況に応じてマーカーの色・クラスター・凡例・件数を更新
  */
-function onPolygonEdited(e) {
-    if (areaAnalysisState.currentPolygon) {
-        const analysisData = analyzeProjectsInPolygon(areaAnalysisState.currentPolygon);
-        displayAnalysisResults(analysisData);
+function applyConstructionStatusStyles() {
+    resetMarkerHighlight();
+    if (constructionState.clusterGroup && state.map.hasLayer(constructionState.clusterGroup)) {
+        constructionState.clusterGroup.refreshClusters();
     }
+    updateConstructionMarkerLegend();
+    updateConstructionAsOfCounts();
+    renderProjectTimeline();
 }
 
 /**
- * ポリゴン削除時のイベントハンドラ
+ * 工事状況ごとの件数を表示（表示中の建築計画）
  */
-function onPolygonDeleted(e) {
-    areaAnalysisState.currentPolygon = null;
-    areaAnalysisState.projectsInPolygon = [];
-    document.getElementById('analysis-results').style.display = 'none';
+function updateConstructionAsOfCounts() {
+    const container = document.getElementById('construction-asof-counts');
+    container.innerHTML = '';
+    if (!isConstructionAsOfActive()) return;
     
-    // マーカー強調を解除
-    resetMarkerHighlight();
+    if (constructionState.markers.length === 0) {
+        container.textContent = '建築計画を地図に表示すると件数を表示します';
+        return;
+    }
     
-    // ボタンを戻す
-    const saveBtn = document.getElementById('save-polygon-btn');
-    const startBtn = document.getElementById('start-polygon-btn');
-    if (saveBtn) saveBtn.style.display = 'none';
-    if (startBtn) startBtn.style.display = '';
+    const counts = countProjectStatuses(constructionState.markers.map(marker => marker.project));
+    Object.entries(CONFIG.PROJECT_STATUSES).forEach(([key, status]) => {
+        const item = document.createElement('span');
+        item.className = 'construction-asof-count';
+        item.innerHTML = `<span class="construction-asof-swatch" style="background-color: ${status.color}"></span>${status.label} ${(counts[key] || 0).toLocaleString()}件`;
+        container.appendChild(item);
+    });
 }
 
 /**
- * 範囲内マーカーを強調表示
+ * 工事状況ごとの件数
  */
+function countProjectStatuses(projects) {
+    const counts = {};
+    projects.forEach(project => {
+        const key = getProjectStatus(project, constructionAsOfState.date);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
 /**
- * マーカー強調をリセット
+ * 基準日モードの切替（年月の絞り込みを使わずにマーカーを作り直す）
  */
-function resetMarkerHighlight() {
-    if (!constructionState.markers || constructionState.markers.length === 0) {
-        return;
+function setConstructionAsOfActive(active) {
+    constructionAsOfState.active = active;
+    if (!active) {
+        stopConstructionAsOfPlayback();
     }
     
-    constructionState.markers.forEach(marker => {
-        marker.setOpacity(1.0);
-        // 元の赤い円形マーカーに戻す
-        marker.setIcon(L.divIcon({
-            className: 'construction-marker',
-            html: '<div class="construction-marker-inner"></div>',
-            iconSize: [12, 12],
-            iconAnchor: [6, 6],
-            popupAnchor: [0, -6]
-        }));
-    });
+    document.getElementById('construction-asof-options').style.display = active ? '' : 'none';
+    // 基準日モードでは工事状況で色分けする
+    document.getElementById('construction-marker-color-select').disabled = active;
+    
+    // 基準日モードでは年月を選ばなくても表示できるため、表示をオンにする
+    const showCheckbox = document.getElementById('show-construction-checkbox');
+    if (active && !showCheckbox.checked) {
+        showCheckbox.checked = true;
+    }
+    refreshConstructionMarkers();
+    updateConstructionAsOfCounts();
 }
 
 /**
- * エリア分析機能のセットアップ
+ * 基準日の再生開始（1ヶ月ずつ進める）
  */
-function setupAreaAnalysis() {
-    // Leaflet.drawレイヤーグループを作成
-    areaAnalysisState.drawnItems = new L.FeatureGroup();
-    state.map.addLayer(areaAnalysisState.drawnItems);
+function startConstructionAsOfPlayback() {
+    const months = constructionAsOfState.months;
+    if (months.length < 2) return;
     
-    // ポリゴンレイヤーを常に最前面に表示
-    areaAnalysisState.drawnItems.bringToFront();
+    const currentIndex = () => months.indexOf(constructionAsOfState.date.slice(0, 7));
     
-    // 描画コントロールを初期化（デフォルトは非表示）
-    areaAnalysisState.drawControl = new L.Control.Draw({
-        draw: {
-            polygon: {
-                allowIntersection: false,
-                shapeOptions: {
-                    color: '#0078ff',
-                    fillColor: '#0078ff',
-                    fillOpacity: 0.2,
-                    weight: 2
-                }
-            },
-            polyline: false,
-            rectangle: false,
-            circle: false,
-            marker: false,
-            circlemarker: false
-        },
-        edit: {
-            featureGroup: areaAnalysisState.drawnItems,
-            remove: true
+    // 最後の月から再生する場合は先頭に戻す
+    if (currentIndex() >= months.length - 1) {
+        setConstructionAsOfDate(`${months[0]}/01`);
+    }
+    
+    constructionAsOfState.isPlaying = true;
+    constructionAsOfState.timer = setInterval(() => {
+        const nextIndex = currentIndex() + 1;
+        if (nextIndex >= months.length) {
+            stopConstructionAsOfPlayback();
+            return;
         }
-    });
+        setConstructionAsOfDate(`${months[nextIndex]}/01`);
+    }, CONFIG.CONSTRUCTION_ASOF.PLAY_INTERVAL_MS);
     
-    // イベントリスナー
-    state.map.on(L.Draw.Event.CREATED, onPolygonCreated);
-    state.map.on(L.Draw.Event.EDITED, onPolygonEdited);
-    state.map.on(L.Draw.Event.DELETED, onPolygonDeleted);
+    updateConstructionAsOfPlayButton();
+}
+
+/**
+ * 基準日の再生停止
+ */
+function stopConstructionAsOfPlayback() {
+    if (constructionAsOfState.timer) {
+        clearInterval(constructionAsOfState.timer);
+        constructionAsOfState.timer = null;
+    }
+    constructionAsOfState.isPlaying = false;
     
-    // 地図操作後にポリゴンレイヤーを最前面に保つ
-    state.map.on('zoomend moveend', bringDrawnItemsToFront);
+    updateConstructionAsOfPlayButton();
+}
+
+/**
+ * 基準日の再生ボタンの表示更新
+ */
+function updateConstructionAsOfPlayButton() {
+    const playBtn = document.getElementById('construction-asof-play-btn');
+    if (!playBtn) return;
     
-    // 保存されたポリゴンを復元
-    loadPolygonsFromStorage();
+    playBtn.textContent = constructionAsOfState.isPlaying ? '⏸' : '▶';
+    playBtn.classList.toggle('active', constructionAsOfState.isPlaying);
+}
+
+/**
+ * 基準日モードのイベントリスナー設定
+ */
+function setupConstructionAsOfEventListeners() {
+    document.getElementById('construction-asof-checkbox').addEventListener('change', (e) => {
+        setConstructionAsOfActive(e.target.checked);
+    });
     
-    // ボタンイベント
-    const startBtn = document.getElementById('start-polygon-btn');
-    const saveBtn = document.getElementById('save-polygon-btn');
+    document.getElementById('construction-asof-date').addEventListener('change', (e) => {
+        if (!e.target.value) return;
+        stopConstructionAsOfPlayback();
+        setConstructionAsOfDate(e.target.value.replace(/-/g, '/'));
+    });
     
-    let controlAdded = false; // コントロール追加フラグ
+    // スライダーは各月の1日
+    document.getElementById('construction-asof-slider').addEventListener('input', (e) => {
+        stopConstructionAsOfPlayback();
+        const month = constructionAsOfState.months[Number(e.target.value)];
+        if (month) {
+            setConstructionAsOfDate(`${month}/01`);
+        }
+    });
     
-    if (startBtn) {
-        startBtn.addEventListener('click', () => {
-            // 描画コントロールを地図に追加（初回のみ）
-            if (!controlAdded) {
-                state.map.addControl(areaAnalysisState.drawControl);
-                controlAdded = true;
-            }
-            
-            // 統計レイヤーを一時的に非表示（描画を邪魔しないように）
-            const statsCheckbox = document.getElementById('show-stats-layer-checkbox');
-            if (statsCheckbox && statsCheckbox.checked) {
-                statsCheckbox.checked = false;
-                toggleStatsLayer(false);
-                
-                // ヒント表示
-                console.log('ℹ️ ポリゴン描画のため統計レイヤーを一時的に非表示にしました');
-            }
-            
-            // ポリゴン描画を開始
-            new L.Draw.Polygon(state.map, areaAnalysisState.drawControl.options.draw.polygon).enable();
-            
-            startBtn.textContent = '🖊️ 描画中...';
-            startBtn.disabled = true;
-            
-            // 描画完了またはキャンセル後にボタンを戻す
-            const resetButton = () => {
-                startBtn.textContent = '🖊️ ポリゴン描画開始';
-                startBtn.disabled = false;
-            };
-            
-            state.map.once(L.Draw.Event.CREATED, resetButton);
-            state.map.once(L.Draw.Event.DRAWSTOP, resetButton);
-        });
+    document.getElementById('construction-asof-play-btn').addEventListener('click', () => {
+        if (constructionAsOfState.isPlaying) {
+            stopConstructionAsOfPlayback();
+        } else {
+            startConstructionAsOfPlayback();
+        }
+    });
+}
+
+// ============================================================================
+// 建築計画の工程表（データパネルのガントチャート）
+// ============================================================================
+
+// 工程表の状態
+const timelineState = {
+    groupBy: 'municipality',    // 'municipality' | 'usage' | 'constructor'
+    scale: 'month',             // 'month' | 'quarter' | 'year'
+    rows: []                    // 描画中の行（グループ見出し・建築計画）
+};
+
+/**
+ * 建築計画が所在する市区町村（政令市は市全体。行政区域ポリゴンとの判定結果から）
+ */
+function getProjectMunicipality(project) {
+    const location = getProjectLocations().get(project);
+    return location ? getFeatureDisplayName({ pref_name: location.prefName, city_name: location.cityName }) : '所在地不明';
+}
+
+/**
+ * 工程表のグループ名
+ */
+function getTimelineGroupName(project) {
+    switch (timelineState.groupBy) {
+        case 'usage':
+            return categorizeUsage(project.usage);
+        case 'constructor':
+            return project.constructor && project.constructor !== 'nan' ? project.constructor : '記載なし';
+        default:
+            return getProjectMunicipality(project);
     }
-    
-    if (saveBtn) {
-        saveBtn.addEventListener('click', saveNewPolygon);
+}
+
+/**
+ * 'YYYY/MM/DD' をUTCのミリ秒に変換
+ */
+function parseProjectDate(value) {
+    const [year, month, day] = value.split('/').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * 工程表の目盛り（表示単位の区切りごと。期間の前後を単位の境界まで広げる）
+ */
+function getTimelineTicks(startTime, endTime, unitMonths) {
+    const start = new Date(startTime);
+    let year = start.getUTCFullYear();
+    let month = Math.floor(start.getUTCMonth() / unitMonths) * unitMonths;
+    
+    const ticks = [];
+    while (true) {
+        const time = Date.UTC(year, month, 1);
+        let label = `${year}/${String(month + 1).padStart(2, '0')}`;
+        if (unitMonths === 3) label = `${year} Q${month / 3 + 1}`;
+        if (unitMonths === 12) label = `${year}`;
+        ticks.push({ time, label });
+        if (time > endTime) break;
+        
+        month += unitMonths;
+        year += Math.floor(month / 12);
+        month %= 12;
     }
+    return ticks;
 }
 
 /**
- * サイドバー制御のセットアップ
+ * 工程表の行（グループ見出しと着工日順の建築計画。件数の多いグループから）
  */
-function setupSidebarControls() {
-    // 状態を読み込み
-    loadSidebarState();
+function buildTimelineRows(projects) {
+    const groups = new Map();
+    projects.forEach(project => {
+        const name = getTimelineGroupName(project);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(project);
+    });
     
-    // サイドバーの初期状態を設定
-    const sidebar = document.getElementById('sidebar');
-    if (sidebar) {
-        setSidebarWidth(sidebarState.width);
-        
-        if (!sidebarState.isOpen) {
-            sidebar.classList.add('collapsed');
-        }
+    const rows = [];
+    Array.from(groups.entries())
+        .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0], 'ja'))
+        .forEach(([name, groupProjects]) => {
+            rows.push({ type: 'group', label: `${name}（${groupProjects.length}件）` });
+            groupProjects
+                .sort((a, b) => a.start_date.localeCompare(b.start_date) || a.completion_date.localeCompare(b.completion_date))
+                .forEach(project => rows.push({ type: 'project', project }));
+        });
+    return rows;
+}
+
+/**
+ * 工程表の描画（地図に表示中の建築計画）
+ */
+function renderProjectTimeline() {
+    if (!rankingTableState.isOpen || dataPanelState.activeTab !== 'timeline') return;
+    
+    const container = document.getElementById('project-timeline');
+    const note = document.getElementById('project-timeline-note');
+    const projects = constructionState.markers.map(marker => marker.project);
+    const dated = projects.filter(p => isValidProjectDate(p.start_date) && isValidProjectDate(p.completion_date));
+    
+    const undatedCount = projects.length - dated.length;
+    note.textContent = projects.length === 0
+        ? '建築計画を地図に表示すると工程表に表示されます'
+        : `地図に表示中の建築計画 ${dated.length.toLocaleString()}件${undatedCount > 0 ? `（着工日・完成日の記載がない${undatedCount.toLocaleString()}件は除く）` : ''}`;
+    
+    timelineState.rows = buildTimelineRows(dated);
+    if (dated.length === 0) {
+        container.innerHTML = '';
+        return;
     }
     
-    // 切替ボタン
-    const toggleBtn = document.getElementById('sidebar-toggle-btn');
-    if (toggleBtn) {
-        toggleBtn.addEventListener('click', toggleSidebar);
+    const { ROW_HEIGHT, LABEL_WIDTH, AXIS_HEIGHT, LABEL_MAX_LENGTH, SCALES } = CONFIG.PROJECT_TIMELINE;
+    const scale = SCALES[timelineState.scale];
+    const rows = timelineState.rows;
+    
+    // 期間と目盛り
+    const startTime = Math.min(...dated.map(p => parseProjectDate(p.start_date)));
+    const endTime = Math.max(...dated.map(p => parseProjectDate(p.completion_date)));
+    const ticks = getTimelineTicks(startTime, endTime, scale.unitMonths);
+    const domainStart = ticks[0].time;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const toX = time => (time - domainStart) / dayMs * scale.dayWidth;
+    const chartWidth = Math.ceil(toX(ticks[ticks.length - 1].time));
+    const chartHeight = rows.length * ROW_HEIGHT;
+    
+    const gridLines = ticks.map(tick =>
+        `<line x1="${toX(tick.time).toFixed(1)}" y1="0" x2="${toX(tick.time).toFixed(1)}" y2="${chartHeight}" class="timeline-grid" />`
+    ).join('');
+    const tickLabels = ticks.slice(0, -1).map(tick =>
+        `<text x="${(toX(tick.time) + 3).toFixed(1)}" y="${AXIS_HEIGHT - 6}" class="timeline-axis-label">${tick.label}</text>`
+    ).join('');
+    
+    // 行ごとのバー・ラベル（色は地図のマーカーと同じ）
+    let bars = '';
+    let labels = '';
+    rows.forEach((row, index) => {
+        const y = index * ROW_HEIGHT;
+        if (row.type === 'group') {
+            bars += `<rect x="0" y="${y}" width="${chartWidth}" height="${ROW_HEIGHT}" class="timeline-group-row" />`;
+            labels += `<rect x="0" y="${y}" width="${LABEL_WIDTH}" height="${ROW_HEIGHT}" class="timeline-group-row" />`;
+            labels += `<text x="6" y="${y + ROW_HEIGHT - 5}" class="timeline-group-label">${escapeHTML(row.label)}</text>`;
+            return;
+        }
+        
+        const project = row.project;
+        const selected = project === projectTableState.selectedProject ? ' selected' : '';
+        const x1 = toX(parseProjectDate(project.start_date));
+        const x2 = toX(parseProjectDate(project.completion_date) + dayMs);
+        const name = project.name.length > LABEL_MAX_LENGTH ? project.name.slice(0, LABEL_MAX_LENGTH) + '…' : project.name;
+        
+        bars += `<rect x="${x1.toFixed(1)}" y="${y + 3}" width="${Math.max(x2 - x1, 2).toFixed(1)}" height="${ROW_HEIGHT - 6}" rx="2" fill="${getConstructionMarkerColor(project)}" class="timeline-bar${selected}" data-index="${index}"><title>${escapeHTML(project.name)}\n${escapeHTML(project.start_date)} ～ ${escapeHTML(project.completion_date)}</title></rect>`;
+        labels += `<text x="14" y="${y + ROW_HEIGHT - 5}" class="timeline-project-label${selected}" data-index="${index}">${escapeHTML(name)}<title>${escapeHTML(project.name)}</title></text>`;
+    });
+    
+    // 今日（基準日モードでは基準日）の線
+    const markerDate = isConstructionAsOfActive() ? constructionAsOfState.date : null;
+    const markerTime = markerDate ? parseProjectDate(markerDate) : Date.now();
+    const markerX = toX(markerTime);
+    const dateLine = markerX >= 0 && markerX <= chartWidth
+        ? `<line x1="${markerX.toFixed(1)}" y1="0" x2="${markerX.toFixed(1)}" y2="${chartHeight}" class="timeline-date-line" />`
+        : '';
+    
+    container.innerHTML = `
+        <div class="timeline" style="width: ${LABEL_WIDTH + chartWidth}px">
+            <div class="timeline-header">
+                <div class="timeline-corner" style="width: ${LABEL_WIDTH}px">${CONFIG.PROJECT_TIMELINE.GROUPS[timelineState.groupBy]} / 名称</div>
+                <svg width="${chartWidth}" height="${AXIS_HEIGHT}">${tickLabels}</svg>
+            </div>
+            <div class="timeline-body">
+                <svg class="timeline-labels" width="${LABEL_WIDTH}" height="${chartHeight}">${labels}</svg>
+                <svg width="${chartWidth}" height="${chartHeight}">${bars}${gridLines}${dateLine}</svg>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 工程表で建築計画を強調（地図のマーカーから選んだ場合は該当のバーまでスクロール）
+ */
+function highlightTimelineProject(project, scroll) {
+    const container = document.getElementById('project-timeline');
+    container.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+    
+    const index = timelineState.rows.findIndex(row => row.project === project);
+    if (index < 0) return;
+    
+    const elements = container.querySelectorAll(`[data-index="${index}"]`);
+    elements.forEach(el => el.classList.add('selected'));
+    if (scroll && elements.length > 0 && dataPanelState.activeTab === 'timeline') {
+        elements[0].scrollIntoView({ block: 'center', inline: 'center' });
     }
+}
+
+/**
+ * 工程表のイベントリスナー設定
+ */
+function setupProjectTimelineEventListeners() {
+    const groupSelect = document.getElementById('timeline-group-select');
+    const scaleSelect = document.getElementById('timeline-scale-select');
+    
+    groupSelect.innerHTML = Object.entries(CONFIG.PROJECT_TIMELINE.GROUPS)
+        .map(([key, label]) => `<option value="${key}">${label}ごと</option>`)
+        .join('');
+    scaleSelect.innerHTML = Object.entries(CONFIG.PROJECT_TIMELINE.SCALES)
+        .map(([key, scale]) => `<option value="${key}">${scale.label}</option>`)
+        .join('');
+    groupSelect.value = timelineState.groupBy;
+    scaleSelect.value = timelineState.scale;
+    
+    groupSelect.addEventListener('change', () => {
+        timelineState.groupBy = groupSelect.value;
+        renderProjectTimeline();
+    });
+    scaleSelect.addEventListener('change', () => {
+        timelineState.scale = scaleSelect.value;
+        renderProjectTimeline();
+    });
     
-    // リサイザー
-    setupSidebarResizer();
+    document.getElementById('project-timeline-btn').addEventListener('click', () => {
+        toggleDataPanelTab('timeline');
+    });
+    
+    // バー・名称のクリックで地図上の建築計画を選択
+    document.getElementById('project-timeline').addEventListener('click', (e) => {
+        const target = e.target.closest('[data-index]');
+        if (!target) return;
+        
+        const row = timelineState.rows[Number(target.dataset.index)];
+        if (row && row.project) {
+            selectConstructionProject(row.project, { source: 'timeline' });
+        }
+    });
 }
 
 // ============================================================================
@@ -3159,6 +10865,15 @@ window.addEventListener('DOMContentLoaded', async () => {
     // 建築計画機能のイベントリスナー設定
     setupConstructionEventListeners();
     
+    // 建築計画一覧の初期化
+    setupProjectTableEventListeners();
+    
+    // 建築計画の基準日モードの初期化
+    setupConstructionAsOfEventListeners();
+    
+    // 建築計画の工程表の初期化
+    setupProjectTimelineEventListeners();
+    
     // 任意ポイント機能の初期化
     loadCustomPointsFromStorage();
     setupCustomPointsEventListeners();
@@ -3178,4 +10893,29 @@ window.addEventListener('DOMContentLoaded', async () => {
     
     // サイドバー機能の初期化
     setupSidebarControls();
+    
+    // 工事単価設定の初期化
+    setupUnitCostEventListeners();
+    
+    // 市区町村詳細パネル・検索
+    setupDetailPanelEventListeners();
+    setupSearchEventListeners();
+    
+    // 市区町村ランキング表
+    setupRankingTableEventListeners();
+    
+    // 描画設定（Canvas描画・ズーム別の簡略化）
+    setupRenderingEventListeners();
+    
+    // 独自指標（CSV取り込み）
+    setupCustomIndicatorEventListeners();
+    
+    // 地図の画像出力
+    setupMapExportEventListeners();
+    
+    // 比較表示（スワイプ）
+    setupCompareEventListeners();
+    
+    // 建築計画の検索
+    setupProjectSearchEventListeners();
 });